@@ -0,0 +1,215 @@
+/**
+ * Admin Console Module
+ * Index maintenance for admins: store stats, per-document vector counts,
+ * orphaned vectors, and reconcile / reindex / flush actions. Every action
+ * asks for confirmation and is written to the server's audit log, which the
+ * view lists below the documents.
+ */
+
+const ADMIN_STATUS_LABELS = {
+    ok: 'OK',
+    missing: 'No vectors',
+    partial: 'Partial',
+    extra: 'Extra vectors',
+    unknown: 'Unknown'
+};
+
+async function adminRequest(path, method = 'GET') {
+    const response = await authFetch(`${API_BASE}/admin${path}`, { method });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+}
+
+/**
+ * Load the index report and the audit log into the Admin view
+ */
+async function loadAdminConsole() {
+    const stats = document.getElementById('adminStats');
+    const docs = document.getElementById('adminDocuments');
+    if (!stats || !docs) return;
+    docs.innerHTML = '<div class="loading">Checking the index...</div>';
+    try {
+        const report = await adminRequest('/index');
+        renderAdminStats(report);
+        renderAdminDocuments(report.documents);
+        renderAdminOrphans(report.orphans);
+    } catch (error) {
+        stats.innerHTML = '';
+        docs.innerHTML = `<div class="error-state">Failed to check the index: ${escapeHtml(error.message)}</div>`;
+    }
+    loadAdminAudit();
+}
+
+function renderAdminStats(report) {
+    const summary = report.summary;
+    const store = report.store || {};
+    const health = report.health || {};
+    const card = (icon, value, label) => `
+        <div class="stat-card">
+            <i class="fas ${icon}"></i>
+            <div>
+                <div class="stat-value">${escapeHtml(String(value ?? '–'))}</div>
+                <div class="stat-label">${escapeHtml(label)}</div>
+            </div>
+        </div>
+    `;
+    document.getElementById('adminStats').innerHTML = [
+        card('fa-database', store.total_vectors, `Vectors (${store.vector_db || 'no store'})`),
+        card('fa-file', summary.documents, `Documents in ${summary.collections} collection(s)`),
+        card('fa-puzzle-piece', summary.chunks, 'Chunks in the local index'),
+        card('fa-check-circle', summary.healthy, 'Documents fully indexed'),
+        card('fa-tools', summary.needs_reindex, 'Documents needing reindex'),
+        card('fa-unlink', summary.orphaned_vectors, 'Orphaned vectors')
+    ].join('');
+    document.getElementById('adminHealth').textContent = [
+        `Status: ${health.status || 'unknown'}`,
+        health.embedding_model ? `embeddings ${health.embedding_model} (${health.embed_dim})` : '',
+        health.llm_provider ? `LLM ${health.llm_provider}/${health.llm_model}` : 'no LLM',
+        store.index_name ? `index ${store.index_name}` : store.path ? `file ${store.path}` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+function renderAdminDocuments(documents) {
+    const container = document.getElementById('adminDocuments');
+    if (!documents.length) {
+        container.innerHTML = '<div class="empty-state">The local index has no documents</div>';
+        return;
+    }
+    container.innerHTML = `
+        <div class="eval-table-wrapper">
+            <table class="eval-table admin-table">
+                <thead>
+                    <tr><th>Document</th><th>Collection</th><th>Chunks</th><th>Vectors</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${documents.map(doc => `
+                        <tr data-id="${escapeHtml(doc.document_id)}">
+                            <td>
+                                <div>${escapeHtml(doc.filename || doc.document_id)}</div>
+                                <div class="eval-muted">${escapeHtml(doc.document_id)}${doc.cached ? '' : ' · no cached text'}</div>
+                            </td>
+                            <td>${escapeHtml(doc.collection)}</td>
+                            <td>${doc.total_chunks}</td>
+                            <td>${doc.vectors ?? '–'}</td>
+                            <td><span class="chip admin-status ${escapeHtml(doc.status)}">${ADMIN_STATUS_LABELS[doc.status] || escapeHtml(doc.status)}</span></td>
+                            <td>
+                                <button class="btn btn-secondary" data-reindex="${escapeHtml(doc.document_id)}" data-name="${escapeHtml(doc.filename || doc.document_id)}">
+                                    <i class="fas fa-redo"></i> Reindex
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderAdminOrphans(orphans) {
+    const container = document.getElementById('adminOrphans');
+    if (orphans === null) {
+        container.innerHTML = '<div class="eval-note"><i class="fas fa-info-circle"></i> This vector store cannot list its ids, so orphaned vectors are not detected.</div>';
+        return;
+    }
+    container.innerHTML = orphans.length ? `
+        <div class="eval-table-wrapper">
+            <table class="eval-table admin-table">
+                <thead><tr><th>Document id</th><th>Namespace</th><th>Vectors</th></tr></thead>
+                <tbody>
+                    ${orphans.map(o => `
+                        <tr>
+                            <td>${escapeHtml(o.document_id)}</td>
+                            <td>${escapeHtml(o.namespace || '(default)')}</td>
+                            <td>${o.vectors}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    ` : '<div class="empty-state">No orphaned vectors</div>';
+}
+
+async function loadAdminAudit() {
+    const container = document.getElementById('adminAudit');
+    try {
+        const data = await adminRequest('/audit?limit=100');
+        container.innerHTML = data.entries.length ? data.entries.map(entry => `
+            <div class="admin-audit-entry ${entry.success ? '' : 'failed'}">
+                <span class="eval-muted">${escapeHtml(new Date(entry.time).toLocaleString())}</span>
+                <strong>${escapeHtml(entry.action)}</strong>
+                ${entry.target ? `<span>${escapeHtml(entry.target)}</span>` : ''}
+                <span class="eval-muted">by ${escapeHtml(entry.username)}</span>
+                <span class="admin-audit-details">${escapeHtml(entry.error || describeAuditDetails(entry.details))}</span>
+            </div>
+        `).join('') : '<div class="empty-state">No maintenance actions yet</div>';
+    } catch (error) {
+        container.innerHTML = `<div class="error-state">Failed to load the audit log: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function describeAuditDetails(details) {
+    return Object.entries(details || {}).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`).join(', ');
+}
+
+async function runAdminAction(button, action) {
+    button.disabled = true;
+    try {
+        await action();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    } finally {
+        button.disabled = false;
+        loadAdminConsole();
+    }
+}
+
+function reconcileIndex(button) {
+    if (!confirm('Reconcile the index? Orphaned vectors are deleted and documents with missing or partial vectors are re-embedded.')) return;
+    runAdminAction(button, async () => {
+        const result = await adminRequest('/reconcile', 'POST');
+        const failed = result.failed.length ? `, ${result.failed.length} failed` : '';
+        showNotification(
+            `Deleted ${result.deleted_vectors} orphaned vector(s), reindexed ${result.reindexed.length} document(s)${failed}`,
+            result.failed.length ? 'warning' : 'success'
+        );
+    });
+}
+
+function reindexDocument(button) {
+    const name = button.dataset.name;
+    if (!confirm(`Reindex "${name}"? Its vectors are deleted and re-embedded from the stored text.`)) return;
+    runAdminAction(button, async () => {
+        const result = await adminRequest(`/docs/${encodeURIComponent(button.dataset.reindex)}/reindex`, 'POST');
+        showNotification(`Reindexed ${name} (${result.vectors} vectors)`, 'success');
+    });
+}
+
+function flushIndex(button) {
+    const answer = prompt('This deletes EVERY vector from the store; documents stay listed but become unsearchable until reindexed. Type FLUSH to confirm.');
+    if (answer !== 'FLUSH') return;
+    runAdminAction(button, async () => {
+        const result = await adminRequest('/flush-vectors', 'POST');
+        showNotification(result.message, 'success');
+    });
+}
+
+/**
+ * Initialize the Admin view's buttons
+ */
+function initializeAdminConsole() {
+    document.getElementById('refreshAdminBtn')?.addEventListener('click', loadAdminConsole);
+    document.getElementById('reconcileIndexBtn')?.addEventListener('click', (e) => reconcileIndex(e.currentTarget));
+    document.getElementById('flushIndexBtn')?.addEventListener('click', (e) => flushIndex(e.currentTarget));
+    document.getElementById('adminDocuments')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-reindex]');
+        if (button) reindexDocument(button);
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeAdminConsole);
+} else {
+    initializeAdminConsole();
+}
@@ -0,0 +1,255 @@
+/**
+ * Chat Archive Module
+ * Backs up the whole chat history to a versioned JSON archive and restores it,
+ * merging by session id. Archives are validated in full before chatHistory or
+ * localStorage are touched.
+ */
+
+const CHAT_ARCHIVE_FORMAT = 'finrag-chat-archive';
+const CHAT_ARCHIVE_VERSION = 1;
+const CHAT_ARCHIVE_ID_RE = /^chat_[A-Za-z0-9_-]{1,64}$/;
+
+// Validated archive waiting for the user to pick a conflict strategy
+let pendingChatArchive = null;
+
+/**
+ * Build an archive of every session
+ * @returns {Object} Archive
+ */
+function buildChatArchive() {
+    return {
+        format: CHAT_ARCHIVE_FORMAT,
+        version: CHAT_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions: Object.values(chatHistory),
+        folders: chatFolders
+    };
+}
+
+function exportChatArchive() {
+    const archive = buildChatArchive();
+    const stamp = archive.exportedAt.slice(0, 10);
+    downloadTextFile(`finrag-chats-${stamp}.json`, JSON.stringify(archive, null, 2), 'application/json');
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value));
+}
+
+/**
+ * Validate an archive against the current schema
+ * @param {*} archive - Parsed JSON
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateChatArchive(archive) {
+    const errors = [];
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+        return ['Archive must be a JSON object'];
+    }
+    if (archive.format !== CHAT_ARCHIVE_FORMAT) {
+        return [`Not a chat archive (format "${archive.format}")`];
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        return ['Archive version is missing'];
+    }
+    if (archive.version > CHAT_ARCHIVE_VERSION) {
+        return [`Archive version ${archive.version} is newer than this app supports (${CHAT_ARCHIVE_VERSION})`];
+    }
+    if (!Array.isArray(archive.sessions)) {
+        return ['sessions must be a list'];
+    }
+    // folders is optional (archives made before folders existed)
+    if (archive.folders !== undefined) {
+        if (!Array.isArray(archive.folders)) {
+            errors.push('folders must be a list');
+        } else {
+            archive.folders.forEach((folder, i) => {
+                if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string') {
+                    errors.push(`folders[${i}] must have a string id and name`);
+                }
+            });
+        }
+    }
+
+    const seen = new Set();
+    archive.sessions.forEach((session, i) => {
+        const at = `sessions[${i}]`;
+        if (!session || typeof session !== 'object') {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        if (typeof session.id !== 'string' || !CHAT_ARCHIVE_ID_RE.test(session.id)) {
+            errors.push(`${at}.id is not a valid chat id`);
+        } else if (seen.has(session.id)) {
+            errors.push(`${at}.id "${session.id}" appears twice`);
+        }
+        seen.add(session.id);
+        if (typeof session.title !== 'string') errors.push(`${at}.title must be a string`);
+        if (!isValidDate(session.created)) errors.push(`${at}.created must be a date`);
+        if (session.updated !== undefined && !isValidDate(session.updated)) errors.push(`${at}.updated must be a date`);
+        if (!Array.isArray(session.messages)) {
+            errors.push(`${at}.messages must be a list`);
+            return;
+        }
+        session.messages.forEach((msg, j) => {
+            const mat = `${at}.messages[${j}]`;
+            if (!msg || typeof msg !== 'object') {
+                errors.push(`${mat} must be an object`);
+                return;
+            }
+            if (typeof msg.content !== 'string') errors.push(`${mat}.content must be a string`);
+            if (typeof msg.isUser !== 'boolean') errors.push(`${mat}.isUser must be a boolean`);
+            if (msg.timestamp !== undefined && !isValidDate(msg.timestamp)) errors.push(`${mat}.timestamp must be a date`);
+            if (msg.sources !== undefined && msg.sources !== null &&
+                (!Array.isArray(msg.sources) || msg.sources.some(s => !s || typeof s !== 'object'))) {
+                errors.push(`${mat}.sources must be a list of objects`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Classify archive sessions against the local history
+ * @param {Object} archive - Validated archive
+ * @returns {Object} { added, identical, conflicts } lists of sessions
+ */
+function diffChatArchive(archive) {
+    const result = { added: [], identical: [], conflicts: [] };
+    for (const session of archive.sessions) {
+        const local = chatHistory[session.id];
+        if (!local) {
+            result.added.push(session);
+        } else if (JSON.stringify(local) === JSON.stringify(session)) {
+            result.identical.push(session);
+        } else {
+            result.conflicts.push(session);
+        }
+    }
+    return result;
+}
+
+/**
+ * Merge a validated archive into chatHistory
+ * @param {Object} archive - Validated archive
+ * @param {string} strategy - Same-id conflicts: 'newer' | 'both' | 'overwrite' | 'skip'
+ * @returns {Object} Counts { added, replaced, copied, skipped }
+ */
+function mergeChatArchive(archive, strategy) {
+    const diff = diffChatArchive(archive);
+    const counts = { added: 0, replaced: 0, copied: 0, skipped: diff.identical.length };
+    const changed = [];
+
+    for (const session of diff.added) {
+        chatHistory[session.id] = session;
+        changed.push(session.id);
+        counts.added++;
+    }
+
+    diff.conflicts.forEach((session, i) => {
+        const local = chatHistory[session.id];
+        if (strategy === 'overwrite' || (strategy === 'newer' && chatSessionTime(session) > chatSessionTime(local))) {
+            chatHistory[session.id] = session;
+            changed.push(session.id);
+            counts.replaced++;
+        } else if (strategy === 'both') {
+            const id = `chat_${Date.now()}_${i}`;
+            chatHistory[id] = { ...session, id, title: `${session.title} (imported)` };
+            changed.push(id);
+            counts.copied++;
+        } else {
+            counts.skipped++;
+        }
+    });
+
+    // Bring over folders the imported sessions refer to
+    for (const folder of archive.folders || []) {
+        if (!chatFolders.some(f => f.id === folder.id)) chatFolders.push({ ...folder });
+    }
+    saveChatFolders();
+
+    saveChatHistory();
+    changed.forEach(id => pushChatSession(id));
+    if (changed.includes(currentChatId) && !isProcessing) {
+        loadChatSession(currentChatId);
+    } else {
+        renderChatHistoryList();
+    }
+    return counts;
+}
+
+/**
+ * Read and validate an archive file, then show the import summary
+ * @param {File} file - Selected .json file
+ */
+async function importChatArchive(file) {
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch (error) {
+        alert(`Import failed: ${file.name} is not valid JSON`);
+        return;
+    }
+
+    const errors = validateChatArchive(archive);
+    if (errors.length) {
+        const shown = errors.slice(0, 8).join('\n');
+        const more = errors.length > 8 ? `\n...and ${errors.length - 8} more` : '';
+        alert(`Import failed: the archive is invalid.\n\n${shown}${more}`);
+        return;
+    }
+
+    pendingChatArchive = archive;
+    const diff = diffChatArchive(archive);
+    document.getElementById('importSummary').textContent =
+        `${archive.sessions.length} session(s) in archive: ${diff.added.length} new, ` +
+        `${diff.identical.length} unchanged, ${diff.conflicts.length} conflicting with local chats.`;
+    document.getElementById('importConflictOptions').classList.toggle('hidden', diff.conflicts.length === 0);
+    document.getElementById('importModal').classList.remove('hidden');
+}
+
+function closeImportDialog() {
+    document.getElementById('importModal')?.classList.add('hidden');
+    pendingChatArchive = null;
+}
+
+/**
+ * Initialize archive buttons and the import dialog
+ */
+function initializeArchive() {
+    const fileInput = document.getElementById('chatArchiveInput');
+    document.getElementById('exportAllChatsBtn')?.addEventListener('click', exportChatArchive);
+    document.getElementById('importChatsBtn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        if (fileInput.files[0]) importChatArchive(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+    modal.addEventListener('click', (e) => {
+        if (e.target.closest('[data-close]')) {
+            closeImportDialog();
+        }
+    });
+    document.getElementById('importConfirmBtn')?.addEventListener('click', () => {
+        if (!pendingChatArchive) return;
+        const strategy = modal.querySelector('input[name="importStrategy"]:checked')?.value || 'newer';
+        const counts = mergeChatArchive(pendingChatArchive, strategy);
+        closeImportDialog();
+        alert(`Imported: ${counts.added} new, ${counts.replaced} replaced, ` +
+            `${counts.copied} kept as copies, ${counts.skipped} skipped.`);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeImportDialog();
+        }
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeArchive);
+} else {
+    initializeArchive();
+}
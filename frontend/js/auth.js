@@ -0,0 +1,240 @@
+/**
+ * Auth Module
+ * Login screen, the signed-in user menu and API tokens. Every API call goes
+ * through authFetch(), which sends the session token as a Bearer header and
+ * brings the login screen back when the server answers 401.
+ */
+
+const AUTH_TOKEN_KEY = 'finrag_auth_token_v1';
+const AUTH_USER_KEY = 'finrag_auth_user_v1';
+
+// Signed-in user ({ id, username, role }) once /api/auth/me answered
+let currentUser = null;
+
+function getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+/**
+ * Headers with the Authorization header added (for fetch and XHR callers)
+ * @param {Object} headers - Other headers
+ * @returns {Object} Headers
+ */
+function authHeaders(headers = {}) {
+    const token = getAuthToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers };
+}
+
+/**
+ * fetch() with credentials. A 401 means the session is gone: the login screen
+ * is shown and the response is returned as usual so callers report the error.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function authFetch(url, options = {}) {
+    const response = await fetch(url, { ...options, headers: authHeaders(options.headers || {}) });
+    if (response.status === 401) handleUnauthorized();
+    return response;
+}
+
+function handleUnauthorized() {
+    if (!document.getElementById('loginScreen')?.classList.contains('hidden')) return;
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    currentUser = null;
+    showLoginScreen();
+}
+
+function isAdminUser() {
+    return currentUser?.role === 'admin';
+}
+
+// Local chat state belongs to one account; drop it when another one signs in
+function clearLocalChatState() {
+    [CHAT_HISTORY_KEY, CHAT_SYNC_STATE_KEY, CHAT_FOLDERS_KEY, CHAT_FOLDERS_UPDATED_KEY, COLLECTION_KEY].forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * Show the login screen, or the first-run form for the admin account
+ */
+async function showLoginScreen() {
+    const screen = document.getElementById('loginScreen');
+    if (!screen) return;
+    let setupRequired = false;
+    try {
+        const response = await fetch(`${API_BASE}/auth/status`);
+        setupRequired = Boolean((await response.json()).setupRequired);
+    } catch (error) {
+        console.warn('Auth status unavailable:', error.message);
+    }
+    screen.dataset.mode = setupRequired ? 'setup' : 'login';
+    document.getElementById('loginTitle').textContent = setupRequired ? 'Create the admin account' : 'Sign in';
+    document.getElementById('loginHint').textContent = setupRequired
+        ? 'No accounts exist yet. This first account gets the admin role and the documents and chats already stored.'
+        : 'Sign in to reach your documents and chats.';
+    document.getElementById('loginSubmit').innerHTML = setupRequired
+        ? '<i class="fas fa-user-shield"></i> Create account'
+        : '<i class="fas fa-sign-in-alt"></i> Sign in';
+    document.getElementById('loginError').textContent = '';
+    screen.classList.remove('hidden');
+    document.getElementById('loginUsername')?.focus();
+}
+
+async function submitLogin(event) {
+    event.preventDefault();
+    const screen = document.getElementById('loginScreen');
+    const error = document.getElementById('loginError');
+    const button = document.getElementById('loginSubmit');
+    const path = screen.dataset.mode === 'setup' ? 'setup' : 'login';
+    button.disabled = true;
+    error.textContent = '';
+    try {
+        const response = await fetch(`${API_BASE}/auth/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value.trim(),
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        if (localStorage.getItem(AUTH_USER_KEY) !== data.user.id) clearLocalChatState();
+        localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+        localStorage.setItem(AUTH_USER_KEY, data.user.id);
+        // Start over so every module loads with the new credentials
+        location.reload();
+    } catch (err) {
+        error.textContent = err.message;
+        button.disabled = false;
+    }
+}
+
+async function logout() {
+    try {
+        await authFetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.warn('Logout request failed:', error.message);
+    }
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    location.reload();
+}
+
+// Username in the header; admin-only navigation hidden for other roles
+function renderUserMenu() {
+    const menu = document.getElementById('userMenu');
+    if (!menu || !currentUser) return;
+    document.getElementById('userMenuName').textContent = currentUser.username;
+    document.getElementById('userMenuRole').textContent = currentUser.role;
+    menu.classList.remove('hidden');
+    document.querySelectorAll('[data-admin-only]').forEach(el => el.classList.toggle('hidden', !isAdminUser()));
+}
+
+/**
+ * Open the API tokens dialog and list the user's tokens
+ */
+async function openApiTokens() {
+    document.getElementById('apiTokensModal')?.classList.remove('hidden');
+    document.getElementById('apiTokenCreated').classList.add('hidden');
+    await loadApiTokens();
+}
+
+async function loadApiTokens() {
+    const list = document.getElementById('apiTokensList');
+    try {
+        const response = await authFetch(`${API_BASE}/auth/tokens`);
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        list.innerHTML = data.tokens.length ? data.tokens.map(token => `
+            <div class="api-token" data-id="${escapeHtml(token.id)}">
+                <div>
+                    <strong>${escapeHtml(token.name)}</strong>
+                    <span class="api-token-meta">created ${escapeHtml(new Date(token.created).toLocaleDateString())}
+                        · ${token.last_used ? `last used ${escapeHtml(new Date(token.last_used).toLocaleDateString())}` : 'never used'}</span>
+                </div>
+                <button class="btn-icon" data-revoke title="Revoke"><i class="fas fa-trash"></i></button>
+            </div>
+        `).join('') : '<div class="empty-state">No API tokens</div>';
+    } catch (error) {
+        list.innerHTML = `<div class="error-state">Failed to load tokens: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function createApiToken() {
+    const input = document.getElementById('apiTokenName');
+    const name = input.value.trim();
+    if (!name) {
+        showNotification('Give the token a name', 'warning');
+        return;
+    }
+    try {
+        const response = await authFetch(`${API_BASE}/auth/tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        input.value = '';
+        document.getElementById('apiTokenValue').value = data.token;
+        document.getElementById('apiTokenCreated').classList.remove('hidden');
+        loadApiTokens();
+    } catch (error) {
+        showNotification(`Could not create token: ${error.message}`, 'error');
+    }
+}
+
+async function revokeApiToken(id) {
+    if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+    try {
+        const response = await authFetch(`${API_BASE}/auth/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        loadApiTokens();
+    } catch (error) {
+        showNotification(`Revoke failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Initialize login, user menu and token dialog
+ */
+async function initializeAuth() {
+    document.getElementById('loginForm')?.addEventListener('submit', submitLogin);
+    document.getElementById('logoutBtn')?.addEventListener('click', logout);
+    document.getElementById('apiTokensBtn')?.addEventListener('click', openApiTokens);
+    document.getElementById('createApiTokenBtn')?.addEventListener('click', createApiToken);
+    document.getElementById('copyApiTokenBtn')?.addEventListener('click', () => {
+        navigator.clipboard?.writeText(document.getElementById('apiTokenValue').value);
+        showNotification('Token copied', 'success');
+    });
+    const modal = document.getElementById('apiTokensModal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-close]')) modal.classList.add('hidden');
+        const revoke = e.target.closest('[data-revoke]');
+        if (revoke) revokeApiToken(revoke.closest('.api-token').dataset.id);
+    });
+
+    if (!getAuthToken()) {
+        showLoginScreen();
+        return;
+    }
+    try {
+        const response = await authFetch(`${API_BASE}/auth/me`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) return;
+        currentUser = data.user;
+        renderUserMenu();
+    } catch (error) {
+        console.warn('Could not load the signed-in user:', error.message);
+    }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeAuth);
+} else {
+    initializeAuth();
+}
@@ -0,0 +1,258 @@
+/**
+ * Chat Branches Module
+ * Edit-and-resend for questions and regenerate for answers. Both fork the
+ * thread at that message: the replaced tail is kept on the message as an
+ * alternate (`forks`, with `forkIndex` marking the live one) and can be
+ * browsed back with the 1/3-style arrows. `messages` always holds the live
+ * path, so search, export and sync keep working on what is on screen.
+ */
+
+// Fork metadata waiting for the first message saved at its index
+let pendingChatFork = null;
+
+// Copy of a tail with the fork metadata of its head removed
+function detachForkTail(tail) {
+    if (!tail.length) return tail;
+    const [head, ...rest] = tail;
+    const { forks, forkIndex, ...plain } = head;
+    return [plain, ...rest];
+}
+
+/**
+ * Turns of the live thread as server history ({ question, answer }), used to
+ * seed a fresh server conversation after the thread was forked
+ * @param {Array<Object>} messages - Live messages
+ * @returns {Array<Object>} Turns, oldest first
+ */
+function buildConversationSeed(messages) {
+    const turns = [];
+    for (let i = 0; i < messages.length - 1; i++) {
+        const question = messages[i];
+        const answer = messages[i + 1];
+        if (question.isUser && !answer.isUser && !answer.isError) {
+            turns.push({ question: question.content, answer: answer.content });
+            i++;
+        }
+    }
+    return turns;
+}
+
+/**
+ * Fork the current thread at a message: stash the tail from `index` on as an
+ * alternate and truncate the live thread so a new message can take its place
+ * @param {number} index - Message index
+ */
+function beginChatFork(index) {
+    const session = chatHistory[currentChatId];
+    if (!session || index < 0 || index >= session.messages.length) return;
+
+    const head = session.messages[index];
+    const forks = head.forks ? [...head.forks] : [null];
+    const forkIndex = head.forks ? head.forkIndex : 0;
+    forks[forkIndex] = detachForkTail(session.messages.slice(index));
+    forks.push(null);
+
+    session.messages = session.messages.slice(0, index);
+    pendingChatFork = { chatId: currentChatId, index, forks, forkIndex: forks.length - 1 };
+
+    // Server memory still holds the old branch; the next request re-seeds it
+    session.conversationId = null;
+    conversationId = null;
+    touchChatSession(currentChatId);
+    saveChatHistory();
+    pushChatSession(currentChatId);
+}
+
+// Called by saveMessageToCurrentChat: the new head of a fork carries its alternates
+function applyPendingChatFork(message, index) {
+    if (!pendingChatFork || pendingChatFork.chatId !== currentChatId || pendingChatFork.index !== index) return;
+    message.forks = pendingChatFork.forks;
+    message.forkIndex = pendingChatFork.forkIndex;
+    pendingChatFork = null;
+}
+
+/**
+ * Switch the live thread to another alternate at a message
+ * @param {number} index - Message index holding the forks
+ * @param {number} step - -1 (previous) or 1 (next)
+ */
+function switchChatFork(index, step) {
+    const session = chatHistory[currentChatId];
+    const head = session?.messages[index];
+    if (isProcessing || !head?.forks) return;
+    const target = head.forkIndex + step;
+    if (target < 0 || target >= head.forks.length) return;
+
+    const forks = [...head.forks];
+    forks[head.forkIndex] = detachForkTail(session.messages.slice(index));
+    const tail = forks[target];
+    forks[target] = null;
+
+    session.messages = session.messages.slice(0, index).concat(tail);
+    session.messages[index] = { ...session.messages[index], forks, forkIndex: target };
+    session.conversationId = null;
+    conversationId = null;
+    touchChatSession(currentChatId);
+    saveChatHistory();
+    pushChatSession(currentChatId);
+    loadChatSession(currentChatId, { messageIndex: index });
+}
+
+/**
+ * Replace a question with an edited one and ask again on a new branch
+ * @param {number} index - Index of the user message
+ * @param {string} text - Edited question
+ */
+function editAndResendMessage(index, text) {
+    if (isProcessing || !text.trim()) return;
+    beginChatFork(index);
+    loadChatSession(currentChatId);
+    sendMessage(text.trim());
+}
+
+/**
+ * Ask the same question again with different retrieval settings
+ * @param {number} index - Index of the assistant message
+ * @param {Object} settings - { topK, includeContext, filters }
+ */
+function regenerateAnswer(index, settings) {
+    const session = chatHistory[currentChatId];
+    if (isProcessing || !session) return;
+    let q = index - 1;
+    while (q >= 0 && !session.messages[q].isUser) q--;
+    if (q < 0) return;
+    const question = session.messages[q].content;
+
+    beginChatFork(index);
+    loadChatSession(currentChatId);
+    sendMessage(question, { ...settings, skipUserMessage: true });
+}
+
+function describeAnswerSettings(settings) {
+    if (!settings) return '';
+    if (settings.includeContext === false) return 'no context';
+    const filters = describeRetrievalFilters(settings.filters);
+    return filters ? `topK ${settings.topK} · ${filters}` : `topK ${settings.topK}`;
+}
+
+// Inline editor in place of a question's text
+function openMessageEditor(messageDiv, index) {
+    const message = chatHistory[currentChatId]?.messages[index];
+    const textEl = messageDiv.querySelector('.message-text');
+    if (!message || !textEl || messageDiv.querySelector('.message-editor')) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+    editor.innerHTML = `
+        <textarea rows="3"></textarea>
+        <div class="message-editor-actions">
+            <button class="btn btn-secondary" data-editor="cancel">Cancel</button>
+            <button class="btn btn-primary" data-editor="send"><i class="fas fa-paper-plane"></i> Save &amp; send</button>
+        </div>
+    `;
+    const textarea = editor.querySelector('textarea');
+    textarea.value = message.content;
+    textEl.classList.add('hidden');
+    textEl.after(editor);
+    textarea.focus();
+
+    editor.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-editor]')?.dataset.editor;
+        if (action === 'cancel') {
+            editor.remove();
+            textEl.classList.remove('hidden');
+        } else if (action === 'send') {
+            editAndResendMessage(index, textarea.value);
+        }
+    });
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            editAndResendMessage(index, textarea.value);
+        } else if (e.key === 'Escape') {
+            editor.remove();
+            textEl.classList.remove('hidden');
+        }
+    });
+}
+
+// Small form to pick topK / context for a regenerated answer
+function openRegenerateOptions(messageDiv, index) {
+    const existing = messageDiv.querySelector('.regenerate-options');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const message = chatHistory[currentChatId]?.messages[index];
+    const settings = message?.settings || {
+        topK: parseInt(document.getElementById('contextTopK')?.value || '5'),
+        includeContext: document.getElementById('includeContext')?.checked ?? true
+    };
+
+    const form = document.createElement('div');
+    form.className = 'regenerate-options';
+    form.innerHTML = `
+        <label>Top K <input type="number" min="1" max="20" value="${settings.topK || 5}" data-field="topK"></label>
+        <label><input type="checkbox" data-field="includeContext" ${settings.includeContext === false ? '' : 'checked'}> Use document context</label>
+        <button class="btn btn-primary"><i class="fas fa-rotate-right"></i> Regenerate</button>
+    `;
+    form.querySelector('button').addEventListener('click', () => {
+        const topK = Math.min(20, Math.max(1, parseInt(form.querySelector('[data-field="topK"]').value) || 5));
+        const includeContext = form.querySelector('[data-field="includeContext"]').checked;
+        regenerateAnswer(index, { topK, includeContext, filters: settings.filters });
+    });
+    messageDiv.querySelector('.message-content')?.appendChild(form);
+}
+
+/**
+ * Add edit/regenerate buttons and the alternates pager to a rendered message
+ * @param {HTMLElement} messageDiv - Message bubble
+ * @param {number} index - Index in the live thread
+ */
+function attachMessageActions(messageDiv, index) {
+    const message = chatHistory[currentChatId]?.messages[index];
+    if (!messageDiv || !message) return;
+    messageDiv.dataset.messageIndex = index;
+    messageDiv.querySelector('.message-actions')?.remove();
+
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    const pager = message.forks && message.forks.length > 1 ? `
+        <button class="btn-icon" data-branch="prev" title="Previous version" ${message.forkIndex === 0 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <span class="message-branch-count">${message.forkIndex + 1}/${message.forks.length}</span>
+        <button class="btn-icon" data-branch="next" title="Next version" ${message.forkIndex === message.forks.length - 1 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-right"></i>
+        </button>
+    ` : '';
+    const settings = !message.isUser && message.settings
+        ? `<span class="message-settings">${escapeHtml(describeAnswerSettings(message.settings))}</span>`
+        : '';
+    const model = !message.isUser && message.model
+        ? `<span class="message-model" title="Answered by ${escapeHtml(message.model.provider)} · ${escapeHtml(message.model.model)}">
+            <i class="fas fa-microchip"></i> ${escapeHtml(message.model.model)}
+        </span>`
+        : '';
+    const button = message.isUser
+        ? '<button class="btn-icon" data-branch="edit" title="Edit and resend"><i class="fas fa-pen"></i></button>'
+        : '<button class="btn-icon" data-branch="regenerate" title="Regenerate answer"><i class="fas fa-rotate-right"></i></button>';
+    actions.innerHTML = `${pager}${settings}${model}${button}`;
+    if (!message.isUser && !message.isError) appendFeedbackButtons(actions, messageDiv, index);
+
+    actions.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-branch]')?.dataset.branch;
+        if (!action) return;
+        if (isProcessing) {
+            showNotification('Please wait for the current response', 'warning');
+            return;
+        }
+        if (action === 'prev') switchChatFork(index, -1);
+        else if (action === 'next') switchChatFork(index, 1);
+        else if (action === 'edit') openMessageEditor(messageDiv, index);
+        else if (action === 'regenerate') openRegenerateOptions(messageDiv, index);
+    });
+
+    const timestamp = messageDiv.querySelector('.message-timestamp');
+    messageDiv.querySelector('.message-content')?.insertBefore(actions, timestamp);
+}
@@ -0,0 +1,313 @@
+/**
+ * Chat Organisation Module
+ * Pinned chats, user-defined folders, archiving and drag-and-drop between
+ * groups in the sidebar. Pin/folder/archive state lives on each session in
+ * chatHistory; folder definitions and the sort preference are stored next to
+ * it in localStorage, and the folders are synced with the sessions
+ * (see chat-sync.js).
+ */
+
+const CHAT_FOLDERS_KEY = 'finrag_chat_folders_v1';
+const CHAT_FOLDERS_UPDATED_KEY = 'finrag_chat_folders_updated_v1';
+const CHAT_SORT_KEY = 'finrag_chat_sort_v1';
+
+// [{ id, name, created, collapsed }]
+let chatFolders = loadChatFolders();
+// When chatFolders last changed here or on the server (ISO string or null)
+let chatFoldersUpdated = localStorage.getItem(CHAT_FOLDERS_UPDATED_KEY);
+// 'activity' (last message) | 'created'
+let chatSortMode = localStorage.getItem(CHAT_SORT_KEY) === 'created' ? 'created' : 'activity';
+let archivedChatsExpanded = false;
+
+function loadChatFolders() {
+    try {
+        const folders = JSON.parse(localStorage.getItem(CHAT_FOLDERS_KEY) || '[]');
+        return Array.isArray(folders) ? folders : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Keep folders in localStorage without syncing them (used for server copies)
+ * @param {Array} folders - Folder definitions
+ * @param {string} updated - When they last changed
+ */
+function storeChatFolders(folders, updated) {
+    chatFolders = folders;
+    chatFoldersUpdated = updated;
+    localStorage.setItem(CHAT_FOLDERS_KEY, JSON.stringify(chatFolders));
+    localStorage.setItem(CHAT_FOLDERS_UPDATED_KEY, chatFoldersUpdated);
+}
+
+function saveChatFolders() {
+    storeChatFolders(chatFolders, new Date().toISOString());
+    pushChatFolders();
+}
+
+// Last activity is the newest message, so renaming or pinning doesn't reorder the list
+function chatActivityTime(chat) {
+    const messages = Array.isArray(chat.messages) ? chat.messages : [];
+    const last = messages[messages.length - 1];
+    return new Date((last && last.timestamp) || chat.created || 0).getTime() || 0;
+}
+
+function sortChatSessions(chats) {
+    const key = chatSortMode === 'created'
+        ? (c) => new Date(c.created || 0).getTime() || 0
+        : chatActivityTime;
+    return chats.sort((a, b) => key(b) - key(a));
+}
+
+function setChatSortMode(mode) {
+    chatSortMode = mode === 'created' ? 'created' : 'activity';
+    localStorage.setItem(CHAT_SORT_KEY, chatSortMode);
+    renderChatHistoryList();
+}
+
+// ------------------------
+// Folders
+// ------------------------
+function createChatFolder(name) {
+    const folder = { id: 'folder_' + Date.now(), name: name.trim(), created: new Date().toISOString(), collapsed: false };
+    chatFolders.push(folder);
+    saveChatFolders();
+    return folder;
+}
+
+function promptNewChatFolder() {
+    const name = prompt('New folder name (e.g. a client or deal):');
+    if (name && name.trim()) {
+        createChatFolder(name);
+        renderChatHistoryList();
+    }
+}
+
+function renameChatFolder(folderId) {
+    const folder = chatFolders.find(f => f.id === folderId);
+    if (!folder) return;
+    const name = prompt('Rename folder:', folder.name);
+    if (name && name.trim()) {
+        folder.name = name.trim();
+        saveChatFolders();
+        renderChatHistoryList();
+    }
+}
+
+function deleteChatFolder(folderId) {
+    const folder = chatFolders.find(f => f.id === folderId);
+    if (!folder) return;
+    if (!confirm(`Delete folder "${folder.name}"? Its chats are kept and moved out of the folder.`)) return;
+    chatFolders = chatFolders.filter(f => f.id !== folderId);
+    saveChatFolders();
+    for (const chat of Object.values(chatHistory)) {
+        if (chat.folderId === folderId) updateChatOrganisation(chat.id, { folderId: null }, false);
+    }
+    saveChatHistory();
+    renderChatHistoryList();
+}
+
+function toggleChatFolderCollapsed(folderId) {
+    const folder = chatFolders.find(f => f.id === folderId);
+    if (!folder) return;
+    folder.collapsed = !folder.collapsed;
+    saveChatFolders();
+    renderChatHistoryList();
+}
+
+// ------------------------
+// Session organisation
+// ------------------------
+/**
+ * Apply pin/folder/archive changes to a session and sync it
+ * @param {string} chatId - Chat id
+ * @param {Object} changes - Subset of { pinned, folderId, archived }
+ * @param {boolean} render - Save and re-render immediately
+ */
+function updateChatOrganisation(chatId, changes, render = true) {
+    if (!chatHistory[chatId]) return;
+    Object.assign(chatHistory[chatId], changes);
+    touchChatSession(chatId);
+    pushChatSession(chatId);
+    if (render) {
+        saveChatHistory();
+        renderChatHistoryList();
+    }
+}
+
+function toggleChatPinned(chatId) {
+    const chat = chatHistory[chatId];
+    if (chat) updateChatOrganisation(chatId, { pinned: !chat.pinned, archived: false });
+}
+
+function toggleChatArchived(chatId) {
+    const chat = chatHistory[chatId];
+    if (chat) updateChatOrganisation(chatId, { archived: !chat.archived, pinned: false });
+}
+
+function promptMoveChatToFolder(chatId) {
+    if (!chatHistory[chatId]) return;
+    const current = chatFolders.find(f => f.id === chatHistory[chatId].folderId);
+    const names = chatFolders.map(f => f.name).join(', ');
+    const answer = prompt(
+        `Move to folder (leave empty to remove from folders)${names ? `\nExisting: ${names}` : ''}`,
+        current ? current.name : ''
+    );
+    if (answer === null) return;
+    const name = answer.trim();
+    let folder = null;
+    if (name) {
+        folder = chatFolders.find(f => f.name.toLowerCase() === name.toLowerCase()) || createChatFolder(name);
+    }
+    updateChatOrganisation(chatId, { folderId: folder ? folder.id : null, pinned: false, archived: false });
+}
+
+// Drop targets: { pinned: true } | { archived: true } | { folderId }
+function applyChatDrop(chatId, target) {
+    if (!chatHistory[chatId]) return;
+    if (target.archived) {
+        updateChatOrganisation(chatId, { archived: true, pinned: false });
+    } else if (target.pinned) {
+        updateChatOrganisation(chatId, { pinned: true, archived: false });
+    } else {
+        updateChatOrganisation(chatId, { folderId: target.folderId || null, pinned: false, archived: false });
+    }
+}
+
+// ------------------------
+// Rendering
+// ------------------------
+/**
+ * Render one sidebar group with its header and drop handling
+ * @param {HTMLElement} container - #chatHistoryList
+ * @param {Object} group - { title, icon, chats, drop, collapsed, onToggle, folderId, showHeader }
+ */
+function renderChatGroup(container, group) {
+    const section = document.createElement('section');
+    section.className = 'chat-group';
+
+    if (group.showHeader !== false) {
+        const header = document.createElement('div');
+        header.className = 'chat-group-header';
+        const caret = group.onToggle
+            ? `<i class="fas fa-chevron-${group.collapsed ? 'right' : 'down'} chat-group-caret"></i>`
+            : '';
+        header.innerHTML = `
+            ${caret}
+            <i class="fas ${group.icon}"></i>
+            <span class="chat-group-title">${escapeHtml(group.title)}</span>
+            <span class="chat-group-count">${group.chats.length}</span>
+            ${group.folderId ? `
+                <button class="btn-icon chat-group-action" data-folder-action="rename" title="Rename folder"><i class="fas fa-edit"></i></button>
+                <button class="btn-icon chat-group-action" data-folder-action="delete" title="Delete folder"><i class="fas fa-trash"></i></button>
+            ` : ''}
+        `;
+        header.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-folder-action]');
+            if (action) {
+                e.stopPropagation();
+                if (action.dataset.folderAction === 'rename') renameChatFolder(group.folderId);
+                else deleteChatFolder(group.folderId);
+                return;
+            }
+            if (group.onToggle) group.onToggle();
+        });
+        section.appendChild(header);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'gpt-chat-history-list';
+    if (!group.collapsed) {
+        for (const chat of group.chats) list.appendChild(createChatListItem(chat));
+    }
+    section.appendChild(list);
+
+    section.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        section.classList.add('drop-target');
+    });
+    section.addEventListener('dragleave', (e) => {
+        if (!section.contains(e.relatedTarget)) section.classList.remove('drop-target');
+    });
+    section.addEventListener('drop', (e) => {
+        e.preventDefault();
+        section.classList.remove('drop-target');
+        const chatId = e.dataTransfer.getData('text/plain');
+        if (chatId) applyChatDrop(chatId, group.drop);
+    });
+
+    container.appendChild(section);
+}
+
+/**
+ * Render pinned chats, folders, unfiled chats and the archive
+ * @param {HTMLElement} container - #chatHistoryList
+ */
+function renderChatGroups(container) {
+    const chats = sortChatSessions(Object.values(chatHistory).filter(isChatInCurrentCollection));
+    const active = chats.filter(c => !c.archived);
+    const archived = chats.filter(c => c.archived);
+    const folderIds = new Set(chatFolders.map(f => f.id));
+    const pinned = active.filter(c => c.pinned);
+    const unfiled = active.filter(c => !c.pinned && !folderIds.has(c.folderId));
+    const organised = pinned.length > 0 || chatFolders.length > 0 || archived.length > 0;
+
+    if (pinned.length) {
+        renderChatGroup(container, { title: 'Pinned', icon: 'fa-thumbtack', chats: pinned, drop: { pinned: true } });
+    }
+
+    const folders = [...chatFolders].sort((a, b) => a.name.localeCompare(b.name));
+    for (const folder of folders) {
+        renderChatGroup(container, {
+            title: folder.name,
+            icon: folder.collapsed ? 'fa-folder' : 'fa-folder-open',
+            chats: active.filter(c => !c.pinned && c.folderId === folder.id),
+            drop: { folderId: folder.id },
+            collapsed: folder.collapsed,
+            onToggle: () => toggleChatFolderCollapsed(folder.id),
+            folderId: folder.id
+        });
+    }
+
+    renderChatGroup(container, {
+        title: 'Other chats',
+        icon: 'fa-comments',
+        chats: unfiled,
+        drop: { folderId: null },
+        showHeader: organised
+    });
+
+    if (archived.length) {
+        renderChatGroup(container, {
+            title: 'Archived',
+            icon: 'fa-box-archive',
+            chats: archived,
+            drop: { archived: true },
+            collapsed: !archivedChatsExpanded,
+            onToggle: () => {
+                archivedChatsExpanded = !archivedChatsExpanded;
+                renderChatHistoryList();
+            }
+        });
+    }
+}
+
+/**
+ * Initialize sort selector and folder button
+ */
+function initializeChatOrganisation() {
+    const sortSelect = document.getElementById('chatSortSelect');
+    if (sortSelect) {
+        sortSelect.value = chatSortMode;
+        sortSelect.addEventListener('change', () => setChatSortMode(sortSelect.value));
+    }
+    document.getElementById('newChatFolderBtn')?.addEventListener('click', promptNewChatFolder);
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeChatOrganisation);
+} else {
+    initializeChatOrganisation();
+}
@@ -0,0 +1,210 @@
+/**
+ * Chat History Search Module
+ * Full-text search over session titles and messages in the sidebar, with
+ * date-range and cited-document filters. Hits open the session scrolled to
+ * the matching message.
+ */
+
+const CHAT_SEARCH_SNIPPET_RADIUS = 60;
+const CHAT_SEARCH_MAX_SNIPPETS = 3;
+
+let chatSearchState = { query: '', from: '', to: '', documentKey: '' };
+
+function isChatSearchActive() {
+    const s = chatSearchState;
+    return Boolean(s.query.trim() || s.from || s.to || s.documentKey);
+}
+
+// Key identifying a cited document across messages (id when known, else filename)
+function sourceDocumentKey(source) {
+    return source.document_id || source.documentId || source.filename || '';
+}
+
+/**
+ * Documents cited anywhere in the chat history, for the filter dropdown
+ * @returns {Array<Object>} [{ key, filename }] sorted by filename
+ */
+function collectCitedDocuments() {
+    const docs = {};
+    for (const session of Object.values(chatHistory)) {
+        for (const msg of session.messages || []) {
+            for (const source of msg.sources || []) {
+                const key = sourceDocumentKey(source);
+                if (key && !docs[key]) docs[key] = { key, filename: source.filename || key };
+            }
+        }
+    }
+    return Object.values(docs).sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Cut a snippet of text around the first term hit
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Lowercase terms
+ * @returns {string} Plain-text snippet
+ */
+function buildSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms.map(t => lower.indexOf(t)).filter(p => p >= 0);
+    const hit = positions.length ? Math.min(...positions) : 0;
+    const start = Math.max(0, hit - CHAT_SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, hit + CHAT_SEARCH_SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * Search the chat history
+ * @param {Object} state - { query, from, to, documentKey }
+ * @returns {Array<Object>} [{ session, titleHit, hits: [{ index, snippet }], total }], best first
+ */
+function searchChatHistory(state) {
+    const terms = state.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const from = state.from ? new Date(`${state.from}T00:00:00`) : null;
+    const to = state.to ? new Date(`${state.to}T23:59:59.999`) : null;
+    const results = [];
+
+    for (const session of Object.values(chatHistory)) {
+        const messages = session.messages || [];
+        if (state.documentKey && !messages.some(m => (m.sources || []).some(s => sourceDocumentKey(s) === state.documentKey))) {
+            continue;
+        }
+
+        const inRange = (iso) => {
+            const when = new Date(iso || session.created);
+            return (!from || when >= from) && (!to || when <= to);
+        };
+
+        const hits = [];
+        messages.forEach((msg, index) => {
+            if (!inRange(msg.timestamp)) return;
+            const lower = (msg.content || '').toLowerCase();
+            if (terms.every(t => lower.includes(t))) {
+                hits.push({ index, snippet: terms.length ? buildSnippet(msg.content, terms) : '' });
+            }
+        });
+
+        const title = (session.title || '').toLowerCase();
+        const titleHit = terms.length > 0 && terms.every(t => title.includes(t)) &&
+            (inRange(session.updated) || inRange(session.created));
+        if (!hits.length && !titleHit && !(messages.length === 0 && !terms.length && inRange(session.created))) continue;
+
+        results.push({ session, titleHit, hits: hits.slice(0, CHAT_SEARCH_MAX_SNIPPETS), total: hits.length });
+    }
+
+    const lastActivity = (s) => new Date(s.updated || s.created || 0);
+    return results.sort((a, b) =>
+        (Number(b.titleHit) - Number(a.titleHit)) ||
+        (b.total - a.total) ||
+        (lastActivity(b.session) - lastActivity(a.session)));
+}
+
+/**
+ * Render search results into the sidebar list
+ * @param {HTMLElement} list - #chatHistoryList
+ */
+function renderChatSearchResults(list) {
+    const terms = chatSearchState.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = searchChatHistory(chatSearchState);
+    list.innerHTML = '';
+
+    if (results.length === 0) {
+        list.innerHTML = '<li class="chat-search-empty">No chats match</li>';
+        return;
+    }
+
+    for (const result of results) {
+        const li = document.createElement('li');
+        li.className = 'chat-search-result' + (result.session.id === currentChatId ? ' active' : '');
+        const more = result.total > result.hits.length ? `<div class="chat-search-more">+${result.total - result.hits.length} more</div>` : '';
+        li.innerHTML = `
+            <div class="chat-search-title">
+                <i class="fas fa-comments"></i>
+                <span class="chat-title">${highlightTerms(result.session.title || 'Untitled', terms)}</span>
+            </div>
+            ${result.hits.filter(h => h.snippet).map(h => `
+                <div class="chat-search-snippet" data-index="${h.index}">${highlightTerms(h.snippet, terms)}</div>
+            `).join('')}
+            ${more}
+        `;
+        li.addEventListener('click', (e) => {
+            const snippet = e.target.closest('.chat-search-snippet');
+            const index = snippet ? parseInt(snippet.dataset.index) : (result.hits[0] ? result.hits[0].index : undefined);
+            loadChatSession(result.session.id, { messageIndex: index, highlight: terms });
+        });
+        li.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            showContextMenu(e.clientX, e.clientY, result.session.id);
+        });
+        list.appendChild(li);
+    }
+}
+
+// Refresh the cited-document dropdown, keeping the current selection
+function refreshChatSearchDocuments() {
+    const select = document.getElementById('chatSearchDocument');
+    if (!select) return;
+    const docs = collectCitedDocuments();
+    select.innerHTML = '<option value="">Any document</option>' +
+        docs.map(d => `<option value="${escapeHtml(d.key)}">${escapeHtml(d.filename)}</option>`).join('');
+    select.value = docs.some(d => d.key === chatSearchState.documentKey) ? chatSearchState.documentKey : '';
+    chatSearchState.documentKey = select.value;
+}
+
+/**
+ * Initialize the sidebar search box and filters
+ */
+function initializeChatSearch() {
+    const input = document.getElementById('chatSearchInput');
+    const filters = document.getElementById('chatSearchFilters');
+    const toggle = document.getElementById('chatSearchFilterBtn');
+    if (!input) return;
+
+    let chatSearchTimer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(chatSearchTimer);
+        chatSearchTimer = setTimeout(() => {
+            chatSearchState.query = input.value;
+            renderChatHistoryList();
+        }, 200);
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            input.value = '';
+            chatSearchState.query = '';
+            renderChatHistoryList();
+        }
+    });
+
+    toggle?.addEventListener('click', () => {
+        filters?.classList.toggle('hidden');
+        toggle.classList.toggle('active', !filters?.classList.contains('hidden'));
+        refreshChatSearchDocuments();
+    });
+
+    const bind = (id, key) => {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            chatSearchState[key] = e.target.value;
+            renderChatHistoryList();
+        });
+    };
+    bind('chatSearchFrom', 'from');
+    bind('chatSearchTo', 'to');
+    bind('chatSearchDocument', 'documentKey');
+
+    document.getElementById('chatSearchClear')?.addEventListener('click', () => {
+        chatSearchState = { query: '', from: '', to: '', documentKey: '' };
+        input.value = '';
+        ['chatSearchFrom', 'chatSearchTo', 'chatSearchDocument'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = '';
+        });
+        renderChatHistoryList();
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeChatSearch);
+} else {
+    initializeChatSearch();
+}
@@ -0,0 +1,260 @@
+/**
+ * Chat Session Sync Module
+ * Mirrors chat sessions to the server (/api/chats) so they follow the user
+ * across machines and browsers. localStorage stays the source for rendering
+ * and the offline fallback: changes that fail to reach the server are queued
+ * and replayed on the next sync. A session the server refuses (e.g. too many
+ * messages) stays local only and no longer holds up the others.
+ */
+
+const CHAT_SYNC_STATE_KEY = 'finrag_chat_sync_v1';
+
+// pending: id -> 'upsert' | 'delete' awaiting replay
+// known: ids the server has acknowledged (absent on the server => deleted elsewhere)
+// rejected: id -> error of sessions the server refused; not retried until they change
+let chatSyncState = loadChatSyncState();
+const chatSyncQueues = {};
+let chatSyncInFlight = null;
+
+function loadChatSyncState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(CHAT_SYNC_STATE_KEY) || '{}');
+        return { pending: state.pending || {}, known: state.known || [], rejected: state.rejected || {} };
+    } catch {
+        return { pending: {}, known: [], rejected: {} };
+    }
+}
+
+function saveChatSyncState() {
+    localStorage.setItem(CHAT_SYNC_STATE_KEY, JSON.stringify(chatSyncState));
+}
+
+function markChatKnown(id, known) {
+    const set = new Set(chatSyncState.known);
+    if (known) set.add(id); else set.delete(id);
+    chatSyncState.known = Array.from(set);
+    saveChatSyncState();
+}
+
+/**
+ * Call the sessions API
+ * @param {string} path - Path below /api/chats
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Response data
+ */
+async function chatApi(path, method = 'GET', body = undefined) {
+    const response = await authFetch(`${API_BASE}/chats${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+// The server refused the session itself (invalid, too many messages or sessions): retrying can't help
+function isChatSyncRejection(error) {
+    return error.status >= 400 && error.status < 500 && ![401, 404, 408, 429].includes(error.status);
+}
+
+/**
+ * Run one session's server call without failing the caller: a refused
+ * session is flagged and dropped from the queue, anything else is queued
+ * for replay
+ * @param {string} id - Chat id
+ * @param {Function} request - Async server call
+ */
+async function runChatSync(id, request) {
+    try {
+        await request();
+        if (chatSyncState.rejected[id]) {
+            delete chatSyncState.rejected[id];
+            saveChatSyncState();
+        }
+    } catch (error) {
+        if (isChatSyncRejection(error)) {
+            console.warn(`Chat ${id} was refused by the server and stays local:`, error.message);
+            chatSyncState.rejected[id] = error.message;
+            delete chatSyncState.pending[id];
+        } else {
+            console.warn(`Chat sync failed for ${id}; will retry:`, error.message);
+            chatSyncState.pending[id] = chatHistory[id] ? 'upsert' : 'delete';
+        }
+        saveChatSyncState();
+    }
+}
+
+/**
+ * Run a server update for a session, serialized per session so a full
+ * replace never overtakes a message append
+ * @param {string} id - Chat id
+ * @param {Function} request - Async server call
+ */
+function pushChatChange(id, request) {
+    const previous = chatSyncQueues[id] || Promise.resolve();
+    // Something older is still pending: replay the whole session instead
+    chatSyncQueues[id] = previous.then(() => runChatSync(id, chatSyncState.pending[id] ? () => replayChatSync(id) : request));
+    return chatSyncQueues[id];
+}
+
+async function putChatSession(id) {
+    if (!chatHistory[id]) return;
+    await chatApi(`/${encodeURIComponent(id)}`, 'PUT', chatHistory[id]);
+    markChatKnown(id, true);
+}
+
+// Fall back to a full replace when the server does not know the session yet
+async function withUpsertFallback(id, request) {
+    try {
+        await request();
+        markChatKnown(id, true);
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        await putChatSession(id);
+    }
+}
+
+function pushChatSession(id) {
+    return pushChatChange(id, () => putChatSession(id));
+}
+
+function pushChatMessage(id, message) {
+    return pushChatChange(id, () => withUpsertFallback(id,
+        () => chatApi(`/${encodeURIComponent(id)}/messages`, 'POST', message)));
+}
+
+function pushChatRename(id, title, titleSource) {
+    return pushChatChange(id, () => withUpsertFallback(id,
+        () => chatApi(`/${encodeURIComponent(id)}`, 'PATCH', { title, titleSource })));
+}
+
+function pushChatDelete(id) {
+    return pushChatChange(id, async () => {
+        try {
+            await chatApi(`/${encodeURIComponent(id)}`, 'DELETE');
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+        markChatKnown(id, false);
+    });
+}
+
+// Replay one queued change
+async function replayChatSync(id) {
+    const op = chatSyncState.pending[id];
+    if (op === 'delete' || !chatHistory[id]) {
+        try {
+            await chatApi(`/${encodeURIComponent(id)}`, 'DELETE');
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+        markChatKnown(id, false);
+    } else {
+        await putChatSession(id);
+    }
+    delete chatSyncState.pending[id];
+    saveChatSyncState();
+}
+
+// Failures are left for the next sync, which uploads folders newer than the server's
+async function pushChatFolders() {
+    try {
+        await chatApi('/folders', 'PUT', { folders: chatFolders, updated: chatFoldersUpdated });
+    } catch (error) {
+        console.warn('Folder sync failed; will retry:', error.message);
+    }
+}
+
+/**
+ * Keep whichever folder list changed last: the server's or this browser's
+ * @param {Object} data - GET /api/chats response
+ */
+async function mergeChatFolders(data) {
+    const remote = new Date(data.foldersUpdated || 0).getTime();
+    const local = new Date(chatFoldersUpdated || 0).getTime();
+    if (remote > local) {
+        storeChatFolders(Array.isArray(data.folders) ? data.folders : [], data.foldersUpdated);
+    } else if (local > remote) {
+        await pushChatFolders();
+    }
+}
+
+function chatSessionTime(session) {
+    return new Date(session.updated || session.created || 0).getTime();
+}
+
+/**
+ * Two-way sync: replay queued changes, then merge server sessions into
+ * chatHistory by last update, uploading sessions the server lacks, and the
+ * folder list the same way
+ */
+function syncChatHistory() {
+    if (chatSyncInFlight) return chatSyncInFlight;
+    chatSyncInFlight = (async () => {
+        try {
+            for (const id of Object.keys(chatSyncState.pending)) {
+                await runChatSync(id, () => replayChatSync(id));
+            }
+
+            const data = await chatApi('');
+            const known = new Set(chatSyncState.known);
+            const serverIds = new Set();
+            let currentChanged = false;
+
+            for (const remote of data.chats || []) {
+                serverIds.add(remote.id);
+                const local = chatHistory[remote.id];
+                if (!local || chatSessionTime(remote) > chatSessionTime(local)) {
+                    chatHistory[remote.id] = remote;
+                    if (remote.id === currentChatId) currentChanged = true;
+                } else if (chatSessionTime(local) > chatSessionTime(remote)) {
+                    await runChatSync(remote.id, () => putChatSession(remote.id));
+                }
+                known.add(remote.id);
+            }
+            chatSyncState.known = Array.from(known);
+            saveChatSyncState();
+            await mergeChatFolders(data);
+
+            for (const id of Object.keys(chatHistory)) {
+                if (serverIds.has(id)) continue;
+                if (known.has(id)) {
+                    // Deleted from another browser
+                    delete chatHistory[id];
+                    markChatKnown(id, false);
+                    if (id === currentChatId) currentChanged = true;
+                } else if (!chatSyncState.rejected[id]) {
+                    await runChatSync(id, () => putChatSession(id));
+                }
+            }
+
+            saveChatHistory();
+            if (currentChanged && !isProcessing) {
+                const fallback = Object.values(chatHistory).sort((a, b) => chatSessionTime(b) - chatSessionTime(a))[0];
+                if (chatHistory[currentChatId]) {
+                    loadChatSession(currentChatId);
+                } else if (fallback) {
+                    loadChatSession(fallback.id);
+                } else {
+                    createNewChatSession();
+                }
+            } else {
+                renderChatHistoryList();
+            }
+        } catch (error) {
+            console.warn('Chat sync unavailable; using local history:', error.message);
+        } finally {
+            chatSyncInFlight = null;
+        }
+    })();
+    return chatSyncInFlight;
+}
+
+// Catch up as soon as the browser comes back online
+window.addEventListener('online', () => syncChatHistory());
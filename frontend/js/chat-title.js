@@ -0,0 +1,117 @@
+/**
+ * Chat Auto-Title Module
+ * Names a session after its first exchange: a local company/metric/period
+ * heuristic is applied at once, then replaced by the server's LLM summary
+ * when available. Manually renamed sessions are left alone.
+ */
+
+const DEFAULT_CHAT_TITLE = 'New Chat';
+const MAX_AUTO_TITLE_LENGTH = 50;
+
+// Longest phrases first so "net income" wins over "income"
+const TITLE_METRICS = [
+    'free cash flow', 'operating cash flow', 'cash flow', 'net income', 'operating income', 'gross margin',
+    'operating margin', 'net margin', 'ebitda margin', 'ebitda', 'ebit', 'earnings per share', 'eps',
+    'revenue growth', 'revenue', 'sales', 'gross profit', 'net profit', 'profit', 'operating expenses', 'opex',
+    'capex', 'capital expenditure', 'guidance', 'dividend', 'buyback', 'share repurchase', 'debt', 'leverage',
+    'liquidity', 'cash', 'assets', 'liabilities', 'equity', 'roe', 'roa', 'roic', 'valuation', 'margin',
+    'headcount', 'backlog', 'bookings', 'arr', 'churn', 'cost of revenue', 'cogs', 'tax rate', 'income'
+];
+const TITLE_ACRONYMS = new Set(['eps', 'ebit', 'ebitda', 'opex', 'capex', 'roe', 'roa', 'roic', 'arr', 'cogs']);
+
+const TITLE_PERIOD_RE = new RegExp([
+    '\\b(?:Q[1-4]|H[12])\\s*(?:FY)?\\s*\'?\\d{2,4}\\b',
+    '\\b(?:FY|fiscal(?:\\s+year)?)\\s*\'?\\d{2,4}\\b',
+    '\\b(?:first|second|third|fourth)\\s+quarter(?:\\s+(?:of\\s+)?(?:19|20)\\d{2})?\\b',
+    '\\b(?:Q[1-4]|H[12])\\b',
+    '\\b(?:19|20)\\d{2}\\b'
+].join('|'), 'i');
+
+const TITLE_NON_COMPANY = new Set([
+    'What', 'How', 'Why', 'When', 'Where', 'Which', 'Who', 'Did', 'Does', 'Do', 'Is', 'Are', 'Was', 'Were',
+    'Can', 'Could', 'Show', 'Tell', 'Give', 'List', 'Compare', 'Summarize', 'Summarise', 'Explain', 'Please',
+    'The', 'In', 'For', 'Of', 'And', 'Q1', 'Q2', 'Q3', 'Q4', 'H1', 'H2', 'FY', 'I', 'YoY', 'QoQ',
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+    'November', 'December'
+]);
+
+function titleCase(text) {
+    return text.split(' ').map(w => TITLE_ACRONYMS.has(w) ? w.toUpperCase() : w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Build a title from a question without the server
+ * @param {string} question - First user question
+ * @returns {string} e.g. "Apple Revenue Q4 2024"
+ */
+function suggestLocalChatTitle(question) {
+    const text = (question || '').replace(/\s+/g, ' ').trim();
+    if (!text) return DEFAULT_CHAT_TITLE;
+    const lower = text.toLowerCase();
+
+    // Company: first run of capitalised words (or a ticker) that isn't a question word/period
+    let company = '';
+    const candidates = text.match(/\b[A-Z][A-Za-z0-9&.\-]*(?:\s+[A-Z][A-Za-z0-9&.\-]*)*/g) || [];
+    for (const candidate of candidates) {
+        const words = candidate.replace(/'s$/, '').split(' ')
+            .filter(w => !TITLE_NON_COMPANY.has(w.replace(/[.']+$/, '')) && !TITLE_METRICS.includes(w.toLowerCase()));
+        if (words.length && !TITLE_PERIOD_RE.test(words.join(' '))) {
+            company = words.join(' ').replace(/[.,]+$/, '');
+            break;
+        }
+    }
+
+    const metric = TITLE_METRICS.find(m => new RegExp(`\\b${m}\\b`).test(lower)) || '';
+    const periodMatch = text.match(TITLE_PERIOD_RE);
+    const period = periodMatch ? periodMatch[0].replace(/\s+/g, ' ').toUpperCase().replace(/^FISCAL(?: YEAR)?/, 'FY') : '';
+
+    const parts = [company, metric && titleCase(metric), period].filter(Boolean);
+    let title;
+    if (parts.length >= 2 || (parts.length === 1 && company)) {
+        title = parts.join(' ');
+    } else {
+        // Not enough structure: use the start of the question
+        title = text.replace(/[?.!]+$/, '').split(' ').slice(0, 7).join(' ');
+    }
+    return title.length > MAX_AUTO_TITLE_LENGTH ? title.slice(0, MAX_AUTO_TITLE_LENGTH - 1).trimEnd() + '…' : title;
+}
+
+function canAutoTitle(session) {
+    if (!session || session.titleSource === 'manual') return false;
+    return session.titleSource === 'auto' || !session.title || session.title === DEFAULT_CHAT_TITLE;
+}
+
+/**
+ * Auto-title a session after its first exchange
+ * @param {string} id - Chat id
+ */
+async function maybeAutoTitleChat(id) {
+    const session = chatHistory[id];
+    if (!canAutoTitle(session)) return;
+
+    // Only right after the first answer, so later turns don't keep renaming the chat
+    const answers = session.messages.filter(m => !m.isUser && !m.isError);
+    const question = session.messages.find(m => m.isUser && !m.isError);
+    if (!question || answers.length !== 1) return;
+    const answer = answers[0];
+
+    const localTitle = suggestLocalChatTitle(question.content);
+    setChatTitle(id, localTitle, 'auto');
+
+    try {
+        const response = await authFetch(`${API_BASE}/chat/title`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ question: question.content, answer: answer.content })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success || !data.title) return;
+        // Only replace our own heuristic title: the user may have renamed meanwhile
+        const current = chatHistory[id];
+        if (current && current.titleSource === 'auto' && current.title === localTitle) {
+            setChatTitle(id, data.title.slice(0, MAX_AUTO_TITLE_LENGTH), 'auto');
+        }
+    } catch (error) {
+        console.warn('Title generation unavailable; keeping local title:', error.message);
+    }
+}
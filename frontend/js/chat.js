@@ -4,6 +4,8 @@
 const API_BASE = '/api';
 let conversationId = null;
 let isProcessing = false;
+// AbortController for the in-flight streamed answer (null when idle)
+let activeStreamController = null;
 
 // Chat session management
 const CHAT_HISTORY_KEY = 'finrag_chat_history_v1';
@@ -22,11 +24,17 @@ function saveChatHistory() {
     localStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(chatHistory));
 }
 
+// Bump a session's last-modified time (used to merge with the server copy)
+function touchChatSession(id) {
+    if (chatHistory[id]) chatHistory[id].updated = new Date().toISOString();
+}
+
 function deleteChatSession(id) {
     if (!chatHistory[id]) return;
     if (confirm(`Delete "${chatHistory[id].title}"?`)) {
         delete chatHistory[id];
         saveChatHistory();
+        pushChatDelete(id);
         // If deleting current chat, switch to another or create new
         if (id === currentChatId) {
             const remaining = Object.keys(chatHistory);
@@ -45,76 +53,105 @@ function renameChatSession(id) {
     const newTitle = prompt('Rename chat:', chatHistory[id].title);
     if (newTitle && newTitle.trim()) {
         chatHistory[id].title = newTitle.trim();
+        // Manual titles are never replaced by auto-titling
+        chatHistory[id].titleSource = 'manual';
+        touchChatSession(id);
         saveChatHistory();
+        pushChatRename(id, chatHistory[id].title, 'manual');
         renderChatHistoryList();
     }
 }
 
 function createNewChatSession() {
     const id = 'chat_' + Date.now();
+    const now = new Date().toISOString();
     chatHistory[id] = {
         id,
         title: 'New Chat',
-        created: new Date().toISOString(),
+        created: now,
+        updated: now,
+        collectionId: currentCollectionId,
         messages: []
     };
     currentChatId = id;
     saveChatHistory();
+    pushChatSession(id);
     renderChatHistoryList();
     loadChatSession(id);
 }
 
-function setChatTitle(id, title) {
+function setChatTitle(id, title, titleSource = 'auto') {
     if (chatHistory[id]) {
         chatHistory[id].title = title;
+        chatHistory[id].titleSource = titleSource;
+        touchChatSession(id);
         saveChatHistory();
+        pushChatRename(id, title, titleSource);
         renderChatHistoryList();
     }
 }
 
 function renderChatHistoryList() {
-    const list = document.getElementById('chatHistoryList');
-    if (!list) return;
-    list.innerHTML = '';
-    // Sort by most recent
-    const items = Object.values(chatHistory).sort((a, b) => new Date(b.created) - new Date(a.created));
-    for (const chat of items) {
-        const li = document.createElement('li');
-        li.className = (chat.id === currentChatId ? 'active' : '');
-        li.innerHTML = `
-            <i class="fas fa-comments"></i> 
-            <span class="chat-title">${chat.title || 'Untitled'}</span>
-            <button class="chat-delete-btn" title="Delete chat">
-                <i class="fas fa-trash"></i>
-            </button>
-        `;
-        
-        // Click to load chat (but not on delete button)
-        li.addEventListener('click', (e) => {
-            if (!e.target.closest('.chat-delete-btn')) {
-                if (chat.id !== currentChatId) {
-                    loadChatSession(chat.id);
-                }
+    const container = document.getElementById('chatHistoryList');
+    if (!container) return;
+    container.innerHTML = '';
+    // Search results replace the grouped list while a query or filter is set
+    if (isChatSearchActive()) {
+        const list = document.createElement('ul');
+        list.className = 'gpt-chat-history-list';
+        container.appendChild(list);
+        renderChatSearchResults(list);
+        return;
+    }
+    renderChatGroups(container);
+}
+
+// Sidebar entry for one session (draggable between groups)
+function createChatListItem(chat) {
+    const li = document.createElement('li');
+    li.className = (chat.id === currentChatId ? 'active' : '');
+    li.draggable = true;
+    li.innerHTML = `
+        <i class="fas ${chat.pinned ? 'fa-thumbtack' : 'fa-comments'}"></i> 
+        <span class="chat-title">${escapeHtml(chat.title || 'Untitled')}</span>
+        <button class="chat-delete-btn" title="Delete chat">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    
+    // Click to load chat (but not on delete button)
+    li.addEventListener('click', (e) => {
+        if (!e.target.closest('.chat-delete-btn')) {
+            if (chat.id !== currentChatId) {
+                loadChatSession(chat.id);
             }
-        });
-        
-        // Delete button
-        const deleteBtn = li.querySelector('.chat-delete-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteChatSession(chat.id);
-            });
         }
-        
-        // Right-click context menu
-        li.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            showContextMenu(e.clientX, e.clientY, chat.id);
+    });
+    
+    // Delete button
+    const deleteBtn = li.querySelector('.chat-delete-btn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteChatSession(chat.id);
         });
-        
-        list.appendChild(li);
     }
+    
+    // Right-click context menu
+    li.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showContextMenu(e.clientX, e.clientY, chat.id);
+    });
+
+    // Drag onto a folder, Pinned or Archived group
+    li.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', chat.id);
+        e.dataTransfer.effectAllowed = 'move';
+        li.classList.add('dragging');
+    });
+    li.addEventListener('dragend', () => li.classList.remove('dragging'));
+    
+    return li;
 }
 
 function showContextMenu(x, y, chatId) {
@@ -125,25 +162,36 @@ function showContextMenu(x, y, chatId) {
     menu.style.left = `${x}px`;
     menu.style.top = `${y}px`;
     menu.classList.add('show');
+
+    // Toggle labels follow the chat's current state
+    const chat = chatHistory[chatId] || {};
+    const pinLabel = menu.querySelector('[data-action="pin"] span');
+    if (pinLabel) pinLabel.textContent = chat.pinned ? 'Unpin' : 'Pin';
+    const archiveLabel = menu.querySelector('[data-action="archive"] span');
+    if (archiveLabel) archiveLabel.textContent = chat.archived ? 'Unarchive' : 'Archive';
     
-    // Handle menu clicks
-    const handleMenuClick = (e) => {
+    // Handle menu clicks (assigned, not added, so only the latest chat is acted on)
+    menu.onclick = (e) => {
         const item = e.target.closest('.chat-context-menu-item');
         if (!item) return;
         
         const action = item.dataset.action;
         if (action === 'rename') {
             renameChatSession(chatId);
+        } else if (action === 'pin') {
+            toggleChatPinned(chatId);
+        } else if (action === 'move') {
+            promptMoveChatToFolder(chatId);
+        } else if (action === 'archive') {
+            toggleChatArchived(chatId);
+        } else if (action === 'export') {
+            openExportDialog(chatId);
         } else if (action === 'delete') {
             deleteChatSession(chatId);
         }
         
         hideContextMenu();
     };
-    
-    // Remove old listeners and add new
-    menu.removeEventListener('click', handleMenuClick);
-    menu.addEventListener('click', handleMenuClick);
 }
 
 function hideContextMenu() {
@@ -160,13 +208,23 @@ document.addEventListener('click', (e) => {
     }
 });
 
-function loadChatSession(id) {
+/**
+ * Show a chat session
+ * @param {string} id - Chat id
+ * @param {Object} options - { messageIndex, highlight } to scroll to and mark a search hit
+ */
+function loadChatSession(id, options = {}) {
     if (!chatHistory[id]) return;
     currentChatId = id;
-    conversationId = null;
+    // Opening a chat of another collection (e.g. from search) switches to that collection
+    const collectionId = chatCollectionId(chatHistory[id]);
+    if (collectionId !== currentCollectionId) selectCollection(collectionId, { keepChat: true });
+    // Resume the server-side conversation memory for this session
+    conversationId = chatHistory[id].conversationId || null;
     const chatMessages = document.getElementById('chatMessages');
     if (!chatMessages) return;
     chatMessages.innerHTML = '';
+    closeCitationPanel();
     // Welcome message
     const welcomeDiv = document.createElement('div');
     welcomeDiv.className = 'chat-message assistant';
@@ -176,28 +234,82 @@ function loadChatSession(id) {
     `;
     chatMessages.appendChild(welcomeDiv);
     // Render chat messages
-    for (const msg of chatHistory[id].messages) {
-        displayMessage(msg.content, msg.isUser, msg.sources, msg.isError, msg.timestamp);
-    }
+    chatHistory[id].messages.forEach((msg, index) => {
+        const messageDiv = displayMessage(msg.content, msg.isUser, msg.sources, msg.isError, {
+            timestamp: msg.timestamp,
+            interrupted: msg.interrupted
+        });
+        attachMessageActions(messageDiv, index);
+    });
     renderChatHistoryList();
+    if (options.messageIndex !== undefined) {
+        focusChatMessage(options.messageIndex, options.highlight);
+    }
 }
 
-function saveMessageToCurrentChat(content, isUser, sources = null, isError = false) {
-    if (!currentChatId || !chatHistory[currentChatId]) return;
-    chatHistory[currentChatId].messages.push({
+// Wrap term occurrences in <mark> inside an element's text nodes, keeping its markup
+function markTermsInElement(root, terms) {
+    const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'i');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    for (const node of nodes) {
+        if (!pattern.test(node.nodeValue)) continue;
+        const span = document.createElement('span');
+        span.innerHTML = highlightTerms(node.nodeValue, terms);
+        node.replaceWith(...span.childNodes);
+    }
+}
+
+// Scroll to a rendered message and flash it, highlighting search terms
+function focusChatMessage(index, terms = []) {
+    const messageDiv = document.querySelector(`#chatMessages .chat-message[data-message-index="${index}"]`);
+    if (!messageDiv) return;
+    const textEl = messageDiv.querySelector('.message-text');
+    if (textEl && terms.length) markTermsInElement(textEl, terms);
+    messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageDiv.classList.add('search-hit');
+    setTimeout(() => messageDiv.classList.remove('search-hit'), 2500);
+}
+
+function saveMessageToCurrentChat(content, isUser, sources = null, isError = false, extra = {}) {
+    if (!currentChatId || !chatHistory[currentChatId]) return -1;
+    const message = {
         content,
         isUser,
         sources,
         isError,
-        timestamp: new Date().toISOString()
-    });
+        timestamp: new Date().toISOString(),
+        ...extra
+    };
+    const index = chatHistory[currentChatId].messages.length;
+    applyPendingChatFork(message, index);
+    chatHistory[currentChatId].messages.push(message);
+    chatHistory[currentChatId].updated = message.timestamp;
     saveChatHistory();
+    pushChatMessage(currentChatId, message);
+    if (!isUser && !isError) maybeAutoTitleChat(currentChatId);
+    return index;
+}
+
+// Remember the server conversation id for the current session
+function setConversationId(id) {
+    conversationId = id;
+    if (currentChatId && chatHistory[currentChatId] && chatHistory[currentChatId].conversationId !== id) {
+        chatHistory[currentChatId].conversationId = id;
+        touchChatSession(currentChatId);
+        saveChatHistory();
+        pushChatSession(currentChatId);
+    }
 }
 
 function clearCurrentChat() {
     if (!currentChatId || !chatHistory[currentChatId]) return;
     chatHistory[currentChatId].messages = [];
+    chatHistory[currentChatId].conversationId = null;
+    touchChatSession(currentChatId);
     saveChatHistory();
+    pushChatSession(currentChatId);
     loadChatSession(currentChatId);
 }
 
@@ -218,8 +330,22 @@ function setupSidebarToggle() {
     }
 }
 
+// Request body for /chat and /chat/stream. Without a server conversation (new
+// chat, or the thread was forked) the visible turns are sent to seed one.
+function buildChatRequestBody(message, topK, includeContext, filters = null) {
+    const body = { message, conversationId, topK, includeContext, collection: chatCollectionId(chatHistory[currentChatId]) };
+    if (filters) body.filters = filters;
+    if (!conversationId && chatHistory[currentChatId]) {
+        const history = buildConversationSeed(chatHistory[currentChatId].messages);
+        if (history.length) body.history = history;
+    }
+    return body;
+}
+
 // Send a message
-async function sendMessage(message) {
+// options: { topK, includeContext, filters } override the chat options; skipUserMessage
+// re-asks the last question (regenerate) without adding it again
+async function sendMessage(message, options = {}) {
     if (!message || message.trim().length === 0) {
         showNotification('Please enter a message', 'warning');
         return;
@@ -233,8 +359,10 @@ async function sendMessage(message) {
     const chatMessages = document.getElementById('chatMessages');
     const chatInput = document.getElementById('chatInput');
     const chatSendBtn = document.getElementById('chatSendBtn');
-    const includeContext = document.getElementById('includeContext')?.checked ?? true;
-    const topK = parseInt(document.getElementById('contextTopK')?.value || '5');
+    const includeContext = options.includeContext ?? document.getElementById('includeContext')?.checked ?? true;
+    const topK = options.topK ?? parseInt(document.getElementById('contextTopK')?.value || '5');
+    const filters = options.filters !== undefined ? options.filters : readRetrievalFilters('chatFilters');
+    const settings = { topK, includeContext, filters };
 
     try {
         isProcessing = true;
@@ -244,39 +372,31 @@ async function sendMessage(message) {
         if (chatSendBtn) chatSendBtn.disabled = true;
 
     // Show user message
-        displayMessage(message, true);
-        saveMessageToCurrentChat(message, true);
+        if (!options.skipUserMessage) {
+            const userDiv = displayMessage(message, true);
+            attachMessageActions(userDiv, saveMessageToCurrentChat(message, true));
+        }
 
     // Typing indicator
         showTypingIndicator();
 
+        const streamEnabled = document.getElementById('streamResponses')?.checked ?? true;
+        if (streamEnabled && typeof ReadableStream !== 'undefined') {
+            await streamAssistantReply(message, settings);
+            return;
+        }
+
         // Send to API
-        const response = await fetch(`${API_BASE}/chat`, {
+        const response = await authFetch(`${API_BASE}/chat`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                message,
-                conversationId,
-                topK,
-                includeContext
-            })
+            body: JSON.stringify(buildChatRequestBody(message, topK, includeContext, filters))
         });
 
         if (!response.ok) {
-            let msg = `HTTP ${response.status}`;
-            try {
-                const errorData = await response.json();
-                msg = errorData.error || msg;
-            } catch {}
-            const error = new Error(msg);
-            error.status = response.status;
-            try {
-                const errorData = await response.clone().json();
-                error.retryable = errorData.retryable;
-            } catch {}
-            throw error;
+            throw await buildResponseError(response);
         }
 
         const data = await response.json();
@@ -286,12 +406,16 @@ async function sendMessage(message) {
 
         if (data.success) {
             // Show bot response
-            displayMessage(data.response || data.answer, false, data.citations || data.sources);
-            saveMessageToCurrentChat(data.response || data.answer, false, data.citations || data.sources);
+            const answerDiv = displayMessage(data.response || data.answer, false, data.citations || data.sources);
+            const index = saveMessageToCurrentChat(data.response || data.answer, false, data.citations || data.sources, false, {
+                settings,
+                model: data.model || null
+            });
+            attachMessageActions(answerDiv, index);
 
             // Update conversation ID
             if (data.conversationId) {
-                conversationId = data.conversationId;
+                setConversationId(data.conversationId);
             }
 
             // Scroll
@@ -305,22 +429,24 @@ async function sendMessage(message) {
         hideTypingIndicator();
         const issue = deriveNetworkIssue(error);
         const retryHint = error.retryable ? ' (retrying...)' : '';
-        displayMessage(
+        const errorDiv = displayMessage(
             `Sorry, I encountered an error: ${error.message}${issue ? ` — ${issue}` : ''}${retryHint}`,
             false,
             null,
             true
         );
-        saveMessageToCurrentChat(
+        const index = saveMessageToCurrentChat(
             `Error: ${error.message}`,
             false,
             null,
-            true
+            true,
+            { settings }
         );
+        attachMessageActions(errorDiv, index);
         if (error.retryable && message) {
             setTimeout(() => {
                 console.log('Auto-retrying message...');
-                sendMessage(message);
+                sendMessage(message, options);
             }, 3000);
         }
     } finally {
@@ -333,10 +459,167 @@ async function sendMessage(message) {
     }
 }
 
+// Build an Error from a non-2xx response, keeping status and retry hints
+async function buildResponseError(response) {
+    let msg = `HTTP ${response.status}`;
+    let errorData = null;
+    try {
+        errorData = await response.json();
+        msg = errorData.error || msg;
+    } catch {}
+    const error = new Error(msg);
+    error.status = response.status;
+    if (errorData) error.retryable = errorData.retryable;
+    return error;
+}
+
+// Stream an answer from /chat/stream into a progressively filled bubble
+async function streamAssistantReply(message, { topK, includeContext, filters }) {
+    const controller = new AbortController();
+    activeStreamController = controller;
+    setStreamingState(true);
+
+    let messageDiv = null;
+    let text = '';
+    let sources = null;
+    let model = null;
+
+    try {
+        const response = await authFetch(`${API_BASE}/chat/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildChatRequestBody(message, topK, includeContext, filters)),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw await buildResponseError(response);
+        }
+
+        await readEventStream(response, (event, data) => {
+            if (event === 'meta') {
+                model = data.model || null;
+                if (data.conversationId) setConversationId(data.conversationId);
+            } else if (event === 'token') {
+                if (!messageDiv) {
+                    hideTypingIndicator();
+                    messageDiv = displayMessage('', false);
+                }
+                text += data.text || '';
+                updateMessageContent(messageDiv, text);
+            } else if (event === 'citations') {
+                sources = data.citations || [];
+            } else if (event === 'error') {
+                throw new Error(data.error || 'Failed to get response');
+            } else if (event === 'done' && data.conversationId) {
+                setConversationId(data.conversationId);
+            }
+        });
+
+        hideTypingIndicator();
+        if (!messageDiv) {
+            messageDiv = displayMessage('', false);
+        }
+        setMessageSources(messageDiv, sources);
+        attachMessageActions(messageDiv, saveMessageToCurrentChat(text, false, sources, false, {
+            settings: { topK, includeContext, filters },
+            model
+        }));
+        scrollChatToBottom();
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            if (messageDiv) messageDiv.remove();
+            throw error;
+        }
+        // Stopped by the user: keep whatever arrived and flag it
+        hideTypingIndicator();
+        if (!messageDiv) {
+            messageDiv = displayMessage(text, false);
+        }
+        markMessageInterrupted(messageDiv);
+        attachMessageActions(messageDiv, saveMessageToCurrentChat(text, false, sources, false, {
+            interrupted: true,
+            settings: { topK, includeContext, filters },
+            model
+        }));
+    } finally {
+        activeStreamController = null;
+        setStreamingState(false);
+    }
+}
+
+// Minimal SSE reader for fetch() responses (EventSource cannot POST)
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (frame) => {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        }
+        if (dataLines.length === 0) return;
+        let data = {};
+        try {
+            data = JSON.parse(dataLines.join('\n'));
+        } catch {}
+        onEvent(event, data);
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
+
+// Toggle Send/Stop while an answer is streaming
+function setStreamingState(streaming) {
+    const chatSendBtn = document.getElementById('chatSendBtn');
+    const chatStopBtn = document.getElementById('chatStopBtn');
+    if (chatSendBtn) chatSendBtn.classList.toggle('hidden', streaming);
+    if (chatStopBtn) chatStopBtn.classList.toggle('hidden', !streaming);
+}
+
+function stopStreaming() {
+    if (activeStreamController) {
+        activeStreamController.abort();
+    }
+}
+
+// Re-render the text of an existing bubble
+function updateMessageContent(messageDiv, content) {
+    const body = messageDiv?.querySelector('.message-text');
+    if (body) body.innerHTML = formatResponse(content);
+    scrollChatToBottom();
+}
+
+// Flag a bubble whose answer was cut short
+function markMessageInterrupted(messageDiv) {
+    if (!messageDiv || messageDiv.querySelector('.message-interrupted')) return;
+    messageDiv.classList.add('interrupted');
+    const note = document.createElement('div');
+    note.className = 'message-interrupted';
+    note.innerHTML = '<i class="fas fa-stop-circle"></i> Response interrupted';
+    const timestamp = messageDiv.querySelector('.message-timestamp');
+    messageDiv.querySelector('.message-content')?.insertBefore(note, timestamp);
+}
+
 // Render a message
-function displayMessage(content, isUser, sources = null, isError = false) {
+function displayMessage(content, isUser, sources = null, isError = false, options = {}) {
     const chatMessages = document.getElementById('chatMessages');
-    if (!chatMessages) return;
+    if (!chatMessages) return null;
 
     const messageDiv = document.createElement('div');
     messageDiv.className = `chat-message ${isUser ? 'user' : 'assistant'} ${isError ? 'error' : ''}`;
@@ -354,44 +637,78 @@ function displayMessage(content, isUser, sources = null, isError = false) {
 
     // Format message with basic markdown support
     const formattedContent = formatResponse(content);
-    contentDiv.innerHTML = `<p>${formattedContent}</p>`;
-
-    // Sources
-    if (sources && sources.length > 0) {
-        const sourcesDiv = document.createElement('div');
-        sourcesDiv.className = 'message-sources';
-        sourcesDiv.innerHTML = '<strong>Sources:</strong> ' +
-            sources.map(source => {
-                // Prefer backend citation fields; gracefully fallback to older shapes
-                const docName = (
-                    source.filename ||
-                    source.documentName ||
-                    source.document ||
-                    source.name ||
-                    source.file ||
-                    (source.metadata && (source.metadata.filename || source.metadata.file)) ||
-                    'Unknown'
-                );
-                const idx = (source.chunk_index !== undefined && source.chunk_index !== null)
-                    ? source.chunk_index
-                    : source.chunkIndex;
-                const chunkInfo = (idx !== undefined && idx !== null) ? ` (chunk ${idx})` : '';
-                return `<span class="source-chip" title="${docName}">${docName}${chunkInfo}</span>`;
-            }).join(' ');
-        contentDiv.appendChild(sourcesDiv);
-    }
+    contentDiv.innerHTML = `<p class="message-text">${formattedContent}</p>`;
 
     // Timestamp
     const timestamp = document.createElement('div');
     timestamp.className = 'message-timestamp';
-    timestamp.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const when = options.timestamp ? new Date(options.timestamp) : new Date();
+    timestamp.textContent = when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     contentDiv.appendChild(timestamp);
 
     messageDiv.appendChild(avatar);
     messageDiv.appendChild(contentDiv);
     chatMessages.appendChild(messageDiv);
 
+    // Sources
+    setMessageSources(messageDiv, sources);
+    if (options.interrupted) {
+        markMessageInterrupted(messageDiv);
+    }
+
     scrollChatToBottom();
+    return messageDiv;
+}
+
+// Render (or replace) the source chips of a bubble
+function setMessageSources(messageDiv, sources) {
+    const contentDiv = messageDiv?.querySelector('.message-content');
+    if (!contentDiv) return;
+    contentDiv.querySelector('.message-sources')?.remove();
+    if (!sources || sources.length === 0) return;
+
+    const sourcesDiv = document.createElement('div');
+    sourcesDiv.className = 'message-sources';
+    sourcesDiv.innerHTML = '<strong>Sources:</strong> ';
+    sources.forEach(source => {
+        // Prefer backend citation fields; gracefully fallback to older shapes
+        const docName = (
+            source.filename ||
+            source.documentName ||
+            source.document ||
+            source.name ||
+            source.file ||
+            (source.metadata && (source.metadata.filename || source.metadata.file)) ||
+            'Unknown'
+        );
+        const idx = (source.chunk_index !== undefined && source.chunk_index !== null)
+            ? source.chunk_index
+            : source.chunkIndex;
+        const sheetRange = describeSheetRange(source);
+        let chunkInfo = (idx !== undefined && idx !== null) ? ` (chunk ${idx})` : '';
+        if (sheetRange) chunkInfo = ` › ${sheetRange}`;
+
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'source-chip';
+        chip.title = `${docName} — view cited passage`;
+        chip.textContent = `${docName}${chunkInfo}`;
+        chip.addEventListener('click', () => {
+            openCitationPanel(source, findQuestionForMessage(messageDiv));
+        });
+        sourcesDiv.appendChild(chip);
+        sourcesDiv.appendChild(document.createTextNode(' '));
+    });
+    contentDiv.insertBefore(sourcesDiv, contentDiv.querySelector('.message-timestamp'));
+}
+
+// Text of the closest user message above an answer bubble
+function findQuestionForMessage(messageDiv) {
+    let el = messageDiv?.previousElementSibling;
+    while (el && !el.classList.contains('user')) {
+        el = el.previousElementSibling;
+    }
+    return el?.querySelector('.message-text')?.textContent || '';
 }
 
 // Basic markdown formatting
@@ -535,6 +852,7 @@ function initializeChat() {
     const chatInput = document.getElementById('chatInput');
     const chatSendBtn = document.getElementById('chatSendBtn');
     const chatClearBtn = document.getElementById('chatClearBtn');
+    const chatStopBtn = document.getElementById('chatStopBtn');
 
     // Send button
     if (chatSendBtn) {
@@ -563,6 +881,11 @@ function initializeChat() {
         });
     }
 
+    // Stop button (visible only while streaming)
+    if (chatStopBtn) {
+        chatStopBtn.addEventListener('click', stopStreaming);
+    }
+
     // Clear button
     if (chatClearBtn) {
         chatClearBtn.addEventListener('click', () => {
@@ -585,14 +908,18 @@ function initializeChat() {
 
     // Load chat history and initialize
     loadChatHistory();
-    if (Object.keys(chatHistory).length === 0) {
+    const sessions = Object.values(chatHistory).filter(isChatInCurrentCollection);
+    if (sessions.length === 0) {
         createNewChatSession();
     } else {
-        // Load most recent chat
-        const mostRecent = Object.values(chatHistory).sort((a, b) => new Date(b.created) - new Date(a.created))[0];
+        // Load most recent chat of the current collection
+        const mostRecent = sessions.sort((a, b) => new Date(b.created) - new Date(a.created))[0];
         loadChatSession(mostRecent.id);
     }
     renderChatHistoryList();
+
+    // Pull sessions saved from other browsers; local history stays usable offline
+    syncChatHistory();
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,158 @@
+/**
+ * Citation Panel Module
+ * Side panel opened from a source chip: shows the cited chunk with its page,
+ * similarity score and neighbouring chunks, highlighting the question terms
+ */
+
+const CITATION_STOPWORDS = new Set([
+    'the', 'and', 'a', 'an', 'is', 'in', 'it', 'of', 'to', 'for', 'on', 'with', 'as', 'at', 'by',
+    'from', 'that', 'this', 'or', 'be', 'are', 'was', 'were', 'what', 'which', 'who', 'how',
+    'when', 'where', 'why', 'did', 'does', 'do', 'its', 'their', 'our', 'me', 'tell', 'about',
+    'show', 'give', 'please', 'can', 'you', 'much', 'many'
+]);
+
+/**
+ * Extract highlightable terms from a question
+ * @param {string} question - User question
+ * @returns {Array<string>} Terms
+ */
+function extractQuestionTerms(question) {
+    const words = (question || '').toLowerCase().match(/[a-z0-9$€£%][a-z0-9.,%-]*[a-z0-9%]|[a-z0-9]/g) || [];
+    return Array.from(new Set(words.filter(w => w.length > 2 && !CITATION_STOPWORDS.has(w))));
+}
+
+/**
+ * Render chunk text with question terms highlighted and the best-matching
+ * sentence marked as the matched passage
+ * @param {string} text - Chunk text
+ * @param {Array<string>} terms - Question terms
+ * @returns {string} Safe HTML
+ */
+function renderMatchedPassage(text, terms) {
+    const sentences = (text || '').split(/(?<=[.!?;])\s+|\n+/);
+    let best = -1;
+    let bestScore = 0;
+    sentences.forEach((sentence, i) => {
+        const lower = sentence.toLowerCase();
+        const score = terms.reduce((n, t) => n + (lower.includes(t) ? 1 : 0), 0);
+        if (score > bestScore) {
+            best = i;
+            bestScore = score;
+        }
+    });
+    return sentences.map((sentence, i) => {
+        const html = highlightTerms(sentence, terms);
+        return i === best ? `<span class="matched-passage">${html}</span>` : html;
+    }).join(' ');
+}
+
+/**
+ * Spreadsheet location of a citation or search hit, e.g. "P&L!A1:H40"
+ * @param {Object} source - Citation (sheet, cell_range) or search hit (sheet, cellRange)
+ * @returns {string} Plain text, '' when the source is not from a spreadsheet
+ */
+function describeSheetRange(source) {
+    const range = source?.cell_range || source?.cellRange;
+    return source?.sheet ? `${source.sheet}${range ? `!${range}` : ''}` : '';
+}
+
+/**
+ * Open the citation panel for a source chip
+ * @param {Object} source - Citation ({ filename, document_id, chunk_index, page_number, section, sheet, cell_range, score })
+ * @param {string} question - Question the answer was generated for
+ */
+async function openCitationPanel(source, question) {
+    const panel = document.getElementById('citationPanel');
+    const body = document.getElementById('citationPanelBody');
+    if (!panel || !body) return;
+
+    const docId = source.document_id || source.documentId;
+    const chunkIndex = (source.chunk_index !== undefined && source.chunk_index !== null)
+        ? source.chunk_index
+        : source.chunkIndex;
+    const terms = extractQuestionTerms(question);
+
+    panel.classList.remove('hidden');
+    document.getElementById('citationPanelTitle').textContent = source.filename || 'Source';
+    body.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Loading source...</div>';
+
+    if (!docId || chunkIndex === undefined || chunkIndex === null) {
+        body.innerHTML = '<div class="empty-state">This citation has no chunk reference</div>';
+        return;
+    }
+
+    panel.dataset.documentId = docId;
+    panel.dataset.chunkIndex = chunkIndex;
+    panel.dataset.question = question || '';
+
+    try {
+        const response = await authFetch(`/api/docs/${encodeURIComponent(docId)}/chunks/${chunkIndex}?window=1`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        // Ignore late responses if another chip was clicked meanwhile
+        if (panel.dataset.documentId !== docId || panel.dataset.chunkIndex !== String(chunkIndex)) return;
+
+        const chunk = data.chunk;
+        const page = chunk.page_number || source.page_number;
+        const score = (typeof source.score === 'number') ? `${(source.score * 100).toFixed(1)}%` : 'n/a';
+
+        const neighbour = (c) => `
+            <div class="citation-neighbour">
+                <div class="citation-neighbour-label">
+                    Chunk ${c.chunk_index}${c.page_number ? ` · Page ${c.page_number}` : ''}${c.sheet ? ` · ${escapeHtml(describeSheetRange(c))}` : ''}
+                </div>
+                <div class="viewer-chunk-text">${highlightTerms(c.text, terms)}</div>
+            </div>
+        `;
+
+        body.innerHTML = `
+            <div class="document-meta">
+                <span class="chip"><i class="fas fa-puzzle-piece"></i> Chunk ${chunk.chunk_index}</span>
+                ${page ? `<span class="chip"><i class="fas fa-file-alt"></i> Page ${page}</span>` : ''}
+                ${chunk.section ? `<span class="chip"><i class="fas fa-heading"></i> ${escapeHtml(chunk.section)}</span>` : ''}
+                ${chunk.sheet ? `<span class="chip"><i class="fas fa-table"></i> ${escapeHtml(describeSheetRange(chunk))}</span>` : ''}
+                <span class="chip"><i class="fas fa-bullseye"></i> Similarity ${score}</span>
+            </div>
+            ${data.before.map(neighbour).join('')}
+            <div class="citation-chunk">
+                <div class="viewer-chunk-text">${renderMatchedPassage(chunk.text, terms)}</div>
+            </div>
+            ${data.after.map(neighbour).join('')}
+        `;
+    } catch (error) {
+        console.error('Citation error:', error);
+        body.innerHTML = `<div class="error-state">Failed to load source: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Close the citation panel
+ */
+function closeCitationPanel() {
+    const panel = document.getElementById('citationPanel');
+    if (panel) panel.classList.add('hidden');
+}
+
+/**
+ * Initialize panel controls
+ */
+function initializeCitationPanel() {
+    document.getElementById('citationPanelClose')?.addEventListener('click', closeCitationPanel);
+    document.getElementById('citationPanelOpenDoc')?.addEventListener('click', () => {
+        const panel = document.getElementById('citationPanel');
+        if (!panel?.dataset.documentId) return;
+        openDocumentViewer(panel.dataset.documentId, {
+            chunkIndex: parseInt(panel.dataset.chunkIndex)
+        });
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCitationPanel);
+} else {
+    initializeCitationPanel();
+}
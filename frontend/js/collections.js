@@ -0,0 +1,188 @@
+/**
+ * Collections Module
+ * Named collections group documents (e.g. "ACME FY2024 diligence"). The header
+ * switcher picks the current collection: uploads land in it and the documents
+ * list, search and new chats are scoped to it. Each chat session keeps the
+ * collection it was started in (`collectionId`), so its answers only draw on
+ * that collection's documents.
+ */
+
+const COLLECTION_KEY = 'finrag_collection_v1';
+const DEFAULT_COLLECTION_ID = 'default';
+
+// Collections from the last /api/collections fetch ({ id, name, documents })
+let collections = [];
+let currentCollectionId = localStorage.getItem(COLLECTION_KEY) || DEFAULT_COLLECTION_ID;
+
+function getCollection(id) {
+    return collections.find(c => c.id === id) || null;
+}
+
+/**
+ * Collection a chat session retrieves from. Sessions from before collections
+ * existed, or whose collection was deleted, use the default collection.
+ * @param {Object} chat - Chat session
+ * @returns {string} Collection id
+ */
+function chatCollectionId(chat) {
+    const id = chat?.collectionId || DEFAULT_COLLECTION_ID;
+    return !collections.length || getCollection(id) ? id : DEFAULT_COLLECTION_ID;
+}
+
+function isChatInCurrentCollection(chat) {
+    return chatCollectionId(chat) === currentCollectionId;
+}
+
+async function loadCollections() {
+    try {
+        const response = await authFetch(`${API_BASE}/collections`);
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        collections = data.collections || [];
+    } catch (error) {
+        console.warn('Collections unavailable:', error.message);
+        return;
+    }
+    if (!getCollection(currentCollectionId)) setCurrentCollection(DEFAULT_COLLECTION_ID);
+    renderCollectionSwitcher();
+    renderChatHistoryList();
+}
+
+function renderCollectionSwitcher() {
+    const switcher = document.getElementById('collectionSwitcher');
+    const select = document.getElementById('collectionSelect');
+    if (!switcher || !select) return;
+    select.innerHTML = collections.map(c => `
+        <option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${c.documents || 0})</option>
+    `).join('');
+    select.value = currentCollectionId;
+    const isDefault = currentCollectionId === DEFAULT_COLLECTION_ID;
+    document.getElementById('renameCollectionBtn').disabled = isDefault;
+    document.getElementById('deleteCollectionBtn').disabled = isDefault;
+    const target = document.getElementById('uploadCollectionName');
+    if (target) target.textContent = getCollection(currentCollectionId)?.name || '';
+    switcher.classList.remove('hidden');
+}
+
+function setCurrentCollection(id) {
+    currentCollectionId = id;
+    localStorage.setItem(COLLECTION_KEY, id);
+}
+
+// Filter selections name documents of the previous collection; start the panels over
+function resetRetrievalFilterPanels() {
+    document.querySelectorAll('.retrieval-filters').forEach(panel => {
+        panel.innerHTML = '';
+        panel.classList.add('hidden');
+        updateRetrievalFiltersBadge(panel.id);
+    });
+}
+
+/**
+ * Make a collection current. Unless `keepChat`, the open chat is replaced by
+ * the collection's most recent chat (or a new one) when it belongs elsewhere.
+ * @param {string} id - Collection id
+ * @param {Object} options - { keepChat }
+ */
+function selectCollection(id, options = {}) {
+    if (id === currentCollectionId) return;
+    setCurrentCollection(id);
+    renderCollectionSwitcher();
+    resetRetrievalFilterPanels();
+
+    if (!options.keepChat && !isChatInCurrentCollection(chatHistory[currentChatId])) {
+        const latest = Object.values(chatHistory)
+            .filter(isChatInCurrentCollection)
+            .sort((a, b) => chatActivityTime(b) - chatActivityTime(a))[0];
+        if (latest) loadChatSession(latest.id);
+        else createNewChatSession();
+    } else {
+        renderChatHistoryList();
+    }
+    if (currentView === 'documents') loadDocumentsList();
+}
+
+async function createCollection() {
+    const name = prompt('New collection name (e.g. a client or deal):');
+    if (!name || !name.trim()) return;
+    try {
+        const response = await authFetch(`${API_BASE}/collections`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        collections.push(data.collection);
+        selectCollection(data.collection.id);
+        showNotification(`Collection "${data.collection.name}" created`, 'success');
+    } catch (error) {
+        showNotification(`Could not create collection: ${error.message}`, 'error');
+    }
+}
+
+async function renameCollection() {
+    const collection = getCollection(currentCollectionId);
+    if (!collection || collection.id === DEFAULT_COLLECTION_ID) return;
+    const name = prompt('Rename collection:', collection.name);
+    if (!name || !name.trim() || name.trim() === collection.name) return;
+    try {
+        const response = await authFetch(`${API_BASE}/collections/${encodeURIComponent(collection.id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        collection.name = data.collection.name;
+        renderCollectionSwitcher();
+    } catch (error) {
+        showNotification(`Rename failed: ${error.message}`, 'error');
+    }
+}
+
+async function deleteCollection() {
+    const collection = getCollection(currentCollectionId);
+    if (!collection || collection.id === DEFAULT_COLLECTION_ID) return;
+    const docs = collection.documents === 1 ? '1 document' : `${collection.documents || 0} documents`;
+    if (!confirm(`Delete collection "${collection.name}" and its ${docs}? Its chats move to ${getCollection(DEFAULT_COLLECTION_ID)?.name || 'the default collection'}. This cannot be undone.`)) {
+        return;
+    }
+    try {
+        const response = await authFetch(`${API_BASE}/collections/${encodeURIComponent(collection.id)}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        // Rebind the collection's chats so they keep working
+        for (const chat of Object.values(chatHistory)) {
+            if (chat.collectionId !== collection.id) continue;
+            chat.collectionId = DEFAULT_COLLECTION_ID;
+            touchChatSession(chat.id);
+            pushChatSession(chat.id);
+        }
+        saveChatHistory();
+        collections = collections.filter(c => c.id !== collection.id);
+        selectCollection(DEFAULT_COLLECTION_ID, { keepChat: true });
+        loadCollections();
+        showNotification(`Collection "${collection.name}" deleted`, 'success');
+    } catch (error) {
+        showNotification(`Delete failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Initialize the header switcher
+ */
+function initializeCollections() {
+    document.getElementById('collectionSelect')?.addEventListener('change', (e) => selectCollection(e.target.value));
+    document.getElementById('newCollectionBtn')?.addEventListener('click', createCollection);
+    document.getElementById('renameCollectionBtn')?.addEventListener('click', renameCollection);
+    document.getElementById('deleteCollectionBtn')?.addEventListener('click', deleteCollection);
+    if (getAuthToken()) loadCollections();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCollections);
+} else {
+    initializeCollections();
+}
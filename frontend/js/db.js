@@ -33,7 +33,7 @@ function searchDocuments(query) {
 
             const endpoint = searchType === 'hybrid' ? '/api/search/hybrid' : '/api/search';
 
-            const response = await fetch(endpoint, {
+            const response = await authFetch(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -41,16 +41,18 @@ function searchDocuments(query) {
                 body: JSON.stringify({
                     query,
                     topK: parseInt(topK),
-                    threshold: parseFloat(threshold)
+                    threshold: parseFloat(threshold),
+                    filters: readRetrievalFilters('searchFilters'),
+                    collection: currentCollectionId
                 })
             });
 
+            const data = await response.json().catch(() => ({}));
+
             if (!response.ok) {
-                throw new Error(`Search failed: ${response.status}`);
+                throw new Error(data.error || `Search failed: ${response.status}`);
             }
 
-            const data = await response.json();
-
             if (!data.success || !data.results || data.results.length === 0) {
                 searchResults.innerHTML = '<div class="empty-state">No results found</div>';
                 return;
@@ -69,11 +71,23 @@ function searchDocuments(query) {
                                 <span class="result-rank">#${result.rank}</span>
                                 <span class="result-score">Similarity: ${(result.similarity * 100).toFixed(1)}%</span>
                             </div>
+                            ${result.keywordScore !== undefined ? `
+                                <div class="result-breakdown">
+                                    Vector ${(result.vectorScore * 100).toFixed(1)}% · Keyword ${(result.keywordScore * 100).toFixed(1)}%
+                                </div>
+                            ` : ''}
                             <div class="result-content">${escapeHtml(result.content)}</div>
                             <div class="result-meta">
                                 <span><i class="fas fa-file"></i> ${escapeHtml(result.documentName)}</span>
                                 <span><i class="fas fa-puzzle-piece"></i> Chunk ${result.chunkIndex}</span>
                                 ${result.pageNumber ? `<span><i class="fas fa-file-pdf"></i> Page ${result.pageNumber}</span>` : ''}
+                                ${result.section ? `<span><i class="fas fa-heading"></i> ${escapeHtml(result.section)}</span>` : ''}
+                                ${result.sheet ? `<span><i class="fas fa-file-excel"></i> ${escapeHtml(describeSheetRange(result))}</span>` : ''}
+                                ${result.documentId ? `
+                                    <button class="btn-icon result-view-btn" data-doc="${escapeHtml(result.documentId)}" data-chunk="${result.chunkIndex}" title="Open in document viewer">
+                                        <i class="fas fa-eye"></i>
+                                    </button>
+                                ` : ''}
                             </div>
                         </div>
                     `).join('')}
@@ -85,7 +99,7 @@ function searchDocuments(query) {
 
         } catch (error) {
             console.error('Search error:', error);
-            searchResults.innerHTML = `<div class="error-state">Search failed: ${error.message}</div>`;
+            searchResults.innerHTML = `<div class="error-state">Search failed: ${escapeHtml(error.message)}</div>`;
         }
     }, 500); // 500ms debounce
 }
@@ -148,6 +162,19 @@ function initializeSearch() {
         });
     }
 
+    const searchResults = document.getElementById('searchResults');
+    if (searchResults) {
+        searchResults.addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('.result-view-btn');
+            if (viewBtn) {
+                openDocumentViewer(viewBtn.dataset.doc, {
+                    chunkIndex: parseInt(viewBtn.dataset.chunk),
+                    query: searchInput?.value.trim()
+                });
+            }
+        });
+    }
+
     if (searchInput) {
         searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
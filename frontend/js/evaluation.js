@@ -0,0 +1,254 @@
+/**
+ * Evaluation Module
+ * Runs a golden question set through /api/eval and shows the report:
+ * recall@k, MRR, citation accuracy and numeric answer match, then one row per
+ * question with what was retrieved. Previous runs are listed for comparison.
+ */
+
+// Report currently shown (for comparing against previous runs)
+let currentEvalReport = null;
+
+function formatEvalMetric(value) {
+    return value === null || value === undefined ? '–' : value.toFixed(3);
+}
+
+// Green/amber/red class for a 0..1 metric
+function evalMetricClass(value) {
+    if (value === null || value === undefined) return '';
+    return value >= 0.8 ? 'good' : value >= 0.5 ? 'fair' : 'poor';
+}
+
+function describeEvalConfig(config) {
+    const parts = [
+        config.mode,
+        `topK ${config.top_k}`,
+        `chunk ${config.chunk_size}/${config.chunk_overlap}`,
+        config.embedding_model
+    ];
+    if (config.answers) parts.push(`LLM ${config.llm || 'none'}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Upload the golden set (and optional documents) and run the evaluation
+ */
+async function runEvaluation() {
+    const goldenInput = document.getElementById('evalGoldenInput');
+    const golden = goldenInput?.files[0];
+    if (!golden) {
+        showNotification('Choose a golden set file first', 'warning');
+        return;
+    }
+
+    const form = new FormData();
+    form.append('golden', golden);
+    for (const file of document.getElementById('evalDocsInput')?.files || []) {
+        form.append('documents', file);
+    }
+    form.append('mode', document.getElementById('evalMode')?.value || 'stub');
+    form.append('topK', document.getElementById('evalTopK')?.value || '5');
+    form.append('answers', document.getElementById('evalAnswers')?.checked ? 'true' : 'false');
+
+    const button = document.getElementById('runEvalBtn');
+    const report = document.getElementById('evalReport');
+    button.disabled = true;
+    report.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Running evaluation...</div>';
+
+    try {
+        const response = await authFetch(`${API_BASE}/eval`, { method: 'POST', body: form });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        renderEvalReport(data.report);
+        loadEvalRuns();
+    } catch (error) {
+        console.error('Evaluation error:', error);
+        report.innerHTML = `<div class="error-state">Evaluation failed: ${escapeHtml(error.message)}</div>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderEvalHits(result) {
+    if (!result.hits.length) return '<span class="eval-muted">nothing retrieved</span>';
+    return result.hits.map((hit, i) => {
+        const relevant = result.first_relevant_rank === i + 1 ? ' relevant' : '';
+        const page = hit.page_number ? ` · p.${hit.page_number}` : '';
+        return `<span class="chip${relevant}">${i + 1}. ${escapeHtml(hit.filename || 'Unknown')} #${hit.chunk_index ?? '?'}${page}</span>`;
+    }).join('');
+}
+
+function renderEvalExpected(result) {
+    const chunks = result.expected_chunks.map(c =>
+        `${c.filename}${c.chunk_index !== null ? `#${c.chunk_index}` : ''}${c.page_number !== null ? ` p.${c.page_number}` : ''}`
+    );
+    const docs = result.expected_documents.filter(d => !result.expected_chunks.some(c => c.filename === d));
+    const figures = (result.figures.length ? result.figures : result.expected_figures.map(f => ({ figure: f })))
+        .map(f => `<span class="eval-figure ${f.found === true ? 'found' : f.found === false ? 'missing' : ''}">${escapeHtml(f.figure)}</span>`);
+    return [
+        ...[...docs, ...chunks].map(t => `<span class="chip">${escapeHtml(t)}</span>`),
+        ...figures
+    ].join(' ');
+}
+
+/**
+ * Render a full report: summary cards plus one row per question
+ * @param {Object} report - Report from /api/eval
+ */
+function renderEvalReport(report) {
+    currentEvalReport = report;
+    const container = document.getElementById('evalReport');
+    if (!container) return;
+    const s = report.summary;
+    const k = report.config.top_k;
+    const card = (label, value, icon) => `
+        <div class="stat-card eval-metric ${evalMetricClass(value)}">
+            <i class="fas ${icon}"></i>
+            <div>
+                <div class="stat-value">${formatEvalMetric(value)}</div>
+                <div class="stat-label">${label}</div>
+            </div>
+        </div>
+    `;
+
+    const rows = report.results.map(r => `
+        <tr class="${r.error ? 'eval-error' : ''}">
+            <td class="eval-question">
+                <div><strong>${escapeHtml(r.id)}</strong> ${escapeHtml(r.question)}</div>
+                <div class="eval-expected">${renderEvalExpected(r)}</div>
+                ${r.error ? `<div class="eval-error-text">${escapeHtml(r.error)}</div>` : ''}
+                ${r.answer ? `<details><summary>Answer</summary><div class="eval-answer">${escapeHtml(r.answer)}</div></details>` : ''}
+            </td>
+            <td class="eval-hits">${renderEvalHits(r)}</td>
+            <td class="${evalMetricClass(r.recall_at_k)}">${formatEvalMetric(r.recall_at_k)}</td>
+            <td class="${evalMetricClass(r.reciprocal_rank)}">${formatEvalMetric(r.reciprocal_rank)}</td>
+            <td class="${evalMetricClass(r.citation_accuracy)}">${formatEvalMetric(r.citation_accuracy)}</td>
+            <td class="${evalMetricClass(r.numeric_match)}">${formatEvalMetric(r.numeric_match)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="eval-report-header">
+            <h2>${escapeHtml(report.name)}</h2>
+            <span class="eval-muted">${escapeHtml(new Date(report.created).toLocaleString())} ·
+                ${s.questions} question(s) · ${report.corpus.documents} document(s) from ${escapeHtml(report.corpus.source)} ·
+                ${(report.durationMs / 1000).toFixed(1)} s</span>
+            <span class="eval-muted">${escapeHtml(describeEvalConfig(report.config))}</span>
+        </div>
+        ${(report.notes || []).map(n => `<div class="eval-note"><i class="fas fa-info-circle"></i> ${escapeHtml(n)}</div>`).join('')}
+        <div class="stats-grid">
+            ${card(`Recall@${k}`, s.recall_at_k, 'fa-bullseye')}
+            ${card('MRR', s.mrr, 'fa-list-ol')}
+            ${card('Citation accuracy', s.citation_accuracy, 'fa-quote-right')}
+            ${card('Numeric match', s.numeric_match, 'fa-hashtag')}
+        </div>
+        ${s.errors ? `<div class="error-state">${s.errors} question(s) failed to run</div>` : ''}
+        <div class="eval-table-wrapper">
+            <table class="eval-table">
+                <thead>
+                    <tr>
+                        <th>Question / expected</th>
+                        <th>Retrieved (rank order)</th>
+                        <th>Recall@${k}</th>
+                        <th>RR</th>
+                        <th>Citations</th>
+                        <th>Figures</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Load the list of saved runs
+ */
+async function loadEvalRuns() {
+    const list = document.getElementById('evalRuns');
+    if (!list) return;
+    try {
+        const response = await authFetch(`${API_BASE}/eval/runs`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        if (!data.runs.length) {
+            list.innerHTML = '<div class="empty-state">No evaluation runs yet</div>';
+            return;
+        }
+        list.innerHTML = data.runs.map(run => `
+            <div class="eval-run ${currentEvalReport?.id === run.id ? 'active' : ''}" data-id="${escapeHtml(run.id)}">
+                <div class="eval-run-title">
+                    <strong>${escapeHtml(run.name)}</strong>
+                    <span class="eval-muted">${escapeHtml(new Date(run.created).toLocaleString())}</span>
+                </div>
+                <div class="eval-muted">${escapeHtml(describeEvalConfig(run.config))}</div>
+                <div class="eval-run-metrics">
+                    <span>R@${run.config.top_k} ${formatEvalMetric(run.summary.recall_at_k)}</span>
+                    <span>MRR ${formatEvalMetric(run.summary.mrr)}</span>
+                    <span>Cite ${formatEvalMetric(run.summary.citation_accuracy)}</span>
+                    <span>Num ${formatEvalMetric(run.summary.numeric_match)}</span>
+                </div>
+                <button class="btn-icon eval-run-delete" title="Delete run"><i class="fas fa-trash"></i></button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Eval runs error:', error);
+        list.innerHTML = `<div class="error-state">Failed to load runs: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function showEvalRun(id) {
+    try {
+        const response = await authFetch(`${API_BASE}/eval/runs/${encodeURIComponent(id)}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        renderEvalReport(data.report);
+        loadEvalRuns();
+    } catch (error) {
+        showNotification(`Could not open run: ${error.message}`, 'error');
+    }
+}
+
+async function deleteEvalRun(id) {
+    if (!confirm('Delete this evaluation run?')) return;
+    try {
+        const response = await authFetch(`${API_BASE}/eval/runs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        if (currentEvalReport?.id === id) {
+            currentEvalReport = null;
+            document.getElementById('evalReport').innerHTML = '';
+        }
+        loadEvalRuns();
+    } catch (error) {
+        showNotification(`Delete failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Initialize Evaluation view controls
+ */
+function initializeEvaluation() {
+    document.getElementById('runEvalBtn')?.addEventListener('click', runEvaluation);
+    document.getElementById('evalRuns')?.addEventListener('click', (e) => {
+        const run = e.target.closest('.eval-run');
+        if (!run) return;
+        if (e.target.closest('.eval-run-delete')) {
+            deleteEvalRun(run.dataset.id);
+        } else {
+            showEvalRun(run.dataset.id);
+        }
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeEvaluation);
+} else {
+    initializeEvaluation();
+}
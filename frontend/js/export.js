@@ -0,0 +1,267 @@
+/**
+ * Chat Export Module
+ * Turns a stored chat session into a research memo: Markdown, standalone HTML
+ * or a printable report, with each answer's sources collected as footnotes
+ */
+
+// Session currently picked in the export dialog
+let exportChatId = null;
+
+/**
+ * Group a session's messages into question/answer turns and number its
+ * sources. A source cited by several answers shares one footnote.
+ * @param {Object} session - Chat session from chatHistory
+ * @returns {Object} { title, created, turns: [{ question, answer }], footnotes }
+ */
+function buildChatMemo(session) {
+    const footnotes = [];
+    const footnoteIds = {};
+    const turns = [];
+    let current = null;
+
+    for (const msg of session.messages || []) {
+        if (msg.isError) continue;
+        if (msg.isUser) {
+            current = { question: msg, answer: null, refs: [] };
+            turns.push(current);
+            continue;
+        }
+        if (!current || current.answer) {
+            // Answer without a recorded question (e.g. edited history)
+            current = { question: null, answer: null, refs: [] };
+            turns.push(current);
+        }
+        current.answer = msg;
+        for (const source of msg.sources || []) {
+            const key = `${source.document_id || source.filename}#${source.chunk_index ?? ''}`;
+            if (!footnoteIds[key]) {
+                footnotes.push(source);
+                footnoteIds[key] = footnotes.length;
+            }
+            if (!current.refs.includes(footnoteIds[key])) current.refs.push(footnoteIds[key]);
+        }
+    }
+
+    return {
+        title: session.title || 'Untitled chat',
+        created: session.created,
+        turns,
+        footnotes
+    };
+}
+
+function formatExportDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return isNaN(date) ? '' : date.toLocaleString();
+}
+
+/**
+ * Describe a source for the footnote list
+ * @param {Object} source - Citation ({ filename, page_number, sheet, cell_range, chunk_index, score })
+ * @returns {string} Plain text
+ */
+function describeSource(source) {
+    const parts = [source.filename || 'Unknown document'];
+    if (source.page_number) parts.push(`p. ${source.page_number}`);
+    if (source.sheet) parts.push(describeSheetRange(source));
+    if (source.chunk_index !== undefined && source.chunk_index !== null) parts.push(`chunk ${source.chunk_index}`);
+    if (typeof source.score === 'number') parts.push(`similarity ${(source.score * 100).toFixed(1)}%`);
+    return parts.join(', ');
+}
+
+/**
+ * Render a memo as Markdown
+ * @param {Object} memo - Output of buildChatMemo
+ * @returns {string} Markdown
+ */
+function renderMemoMarkdown(memo) {
+    const lines = [`# ${memo.title}`, ''];
+    lines.push(`_Exported ${formatExportDate(new Date().toISOString())}` +
+        (memo.created ? ` · Chat started ${formatExportDate(memo.created)}` : '') + '_', '');
+
+    memo.turns.forEach((turn, i) => {
+        lines.push(`## ${i + 1}. ${turn.question ? turn.question.content.split('\n')[0] : 'Answer'}`, '');
+        if (turn.question) {
+            lines.push(`**Question**${turn.question.timestamp ? ` (${formatExportDate(turn.question.timestamp)})` : ''}`, '');
+            lines.push(...turn.question.content.split('\n').map(l => `> ${l}`), '');
+        }
+        if (turn.answer) {
+            const marks = turn.refs.map(n => `[^${n}]`).join('');
+            lines.push(`**Answer**${turn.answer.timestamp ? ` (${formatExportDate(turn.answer.timestamp)})` : ''}`, '');
+            lines.push(turn.answer.content + (marks ? ` ${marks}` : ''));
+            if (turn.answer.interrupted) lines.push('', '_Answer was interrupted._');
+            lines.push('');
+        }
+    });
+
+    if (memo.footnotes.length) {
+        lines.push('## Sources', '');
+        memo.footnotes.forEach((source, i) => lines.push(`[^${i + 1}]: ${describeSource(source)}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render a memo as a standalone HTML document
+ * @param {Object} memo - Output of buildChatMemo
+ * @returns {string} HTML
+ */
+function renderMemoHtml(memo) {
+    const text = (value) => escapeHtml(value || '').replace(/\n/g, '<br>');
+    const turns = memo.turns.map((turn, i) => {
+        const refs = turn.refs.map(n => `<sup><a href="#fn-${n}">[${n}]</a></sup>`).join('');
+        return `
+<section class="turn">
+    <h2>${i + 1}. ${escapeHtml(turn.question ? turn.question.content.split('\n')[0] : 'Answer')}</h2>
+    ${turn.question ? `
+    <div class="label">Question <time>${escapeHtml(formatExportDate(turn.question.timestamp))}</time></div>
+    <blockquote>${text(turn.question.content)}</blockquote>` : ''}
+    ${turn.answer ? `
+    <div class="label">Answer <time>${escapeHtml(formatExportDate(turn.answer.timestamp))}</time></div>
+    <p>${text(turn.answer.content)}${refs}</p>
+    ${turn.answer.interrupted ? '<p class="note">Answer was interrupted.</p>' : ''}` : ''}
+</section>`;
+    }).join('\n');
+
+    const footnotes = memo.footnotes.length ? `
+<section class="sources">
+    <h2>Sources</h2>
+    <ol>
+        ${memo.footnotes.map((s, i) => `<li id="fn-${i + 1}">${escapeHtml(describeSource(s))}</li>`).join('\n        ')}
+    </ol>
+</section>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(memo.title)}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 780px; margin: 40px auto; padding: 0 24px; color: #1f2937; line-height: 1.6; }
+    h1 { font-size: 1.8em; margin-bottom: 0.2em; }
+    h2 { font-size: 1.15em; margin-top: 2em; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+    .meta, .label, .note { color: #6b7280; font-size: 0.85em; }
+    .label { text-transform: uppercase; letter-spacing: 0.05em; margin-top: 1em; }
+    .label time { text-transform: none; letter-spacing: 0; margin-left: 6px; }
+    blockquote { margin: 6px 0; padding: 6px 14px; border-left: 3px solid #2563eb; background: #f3f4f6; }
+    sup a { text-decoration: none; color: #2563eb; }
+    .sources ol { font-size: 0.9em; }
+    @media print { body { margin: 0; max-width: none; } .turn { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(memo.title)}</h1>
+<div class="meta">Exported ${escapeHtml(formatExportDate(new Date().toISOString()))}${memo.created ? ` · Chat started ${escapeHtml(formatExportDate(memo.created))}` : ''}</div>
+${turns}
+${footnotes}
+</body>
+</html>
+`;
+}
+
+function exportFileName(title, extension) {
+    const slug = (title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'chat';
+    return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Trigger a browser download
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export a chat session
+ * @param {string} chatId - Chat id
+ * @param {string} format - 'markdown' | 'html' | 'print'
+ */
+function exportChatSession(chatId, format) {
+    const session = chatHistory[chatId];
+    if (!session) return;
+    const memo = buildChatMemo(session);
+
+    if (format === 'markdown') {
+        downloadTextFile(exportFileName(memo.title, 'md'), renderMemoMarkdown(memo), 'text/markdown;charset=utf-8');
+    } else if (format === 'html') {
+        downloadTextFile(exportFileName(memo.title, 'html'), renderMemoHtml(memo), 'text/html;charset=utf-8');
+    } else if (format === 'print') {
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert('Allow pop-ups for this site to print the report.');
+            return;
+        }
+        win.document.open();
+        win.document.write(renderMemoHtml(memo));
+        win.document.close();
+        win.focus();
+        // Let the new window lay out before opening the print dialog (Save as PDF)
+        setTimeout(() => win.print(), 250);
+    }
+}
+
+/**
+ * Open the export format picker for a session
+ * @param {string} chatId - Chat id
+ */
+function openExportDialog(chatId) {
+    const modal = document.getElementById('exportModal');
+    if (!modal || !chatHistory[chatId]) return;
+    exportChatId = chatId;
+    const session = chatHistory[chatId];
+    const answered = (session.messages || []).filter(m => !m.isUser && !m.isError).length;
+    document.getElementById('exportChatTitle').textContent = session.title || 'Untitled chat';
+    document.getElementById('exportChatSummary').textContent =
+        `${answered} answer${answered === 1 ? '' : 's'} · ${buildChatMemo(session).footnotes.length} cited source(s)`;
+    modal.classList.remove('hidden');
+}
+
+function closeExportDialog() {
+    document.getElementById('exportModal')?.classList.add('hidden');
+    exportChatId = null;
+}
+
+/**
+ * Initialize export dialog controls
+ */
+function initializeExport() {
+    const modal = document.getElementById('exportModal');
+    if (!modal) return;
+
+    modal.addEventListener('click', (e) => {
+        if (e.target.closest('[data-close]')) {
+            closeExportDialog();
+            return;
+        }
+        const option = e.target.closest('[data-export-format]');
+        if (option && exportChatId) {
+            exportChatSession(exportChatId, option.dataset.exportFormat);
+            closeExportDialog();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeExportDialog();
+        }
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeExport);
+} else {
+    initializeExport();
+}
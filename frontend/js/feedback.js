@@ -0,0 +1,285 @@
+/**
+ * Answer Feedback Module
+ * Thumbs up/down with a reason on assistant answers, posted to /api/feedback
+ * together with the question, citations and retrieval settings. The Feedback
+ * view lists negative ratings as a regression set for retrieval.
+ */
+
+const FEEDBACK_REASONS = [
+    'Wrong number or figure',
+    'Cited the wrong source',
+    'Missing information',
+    'Not supported by the documents',
+    'Misunderstood the question',
+    'Other'
+];
+
+// Last list loaded in the Feedback view (for the download button)
+let feedbackEntries = [];
+
+// Question that produced the answer at `index`
+function findQuestionForIndex(messages, index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (messages[i].isUser) return messages[i].content;
+    }
+    return '';
+}
+
+async function feedbackRequest(path, method, body = undefined) {
+    const response = await authFetch(`${API_BASE}/feedback${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+}
+
+/**
+ * Save, change or clear the rating of an answer
+ * @param {number} index - Index of the assistant message
+ * @param {string|null} rating - 'up' | 'down' | null to clear
+ * @param {string} reason - Why (mostly for thumbs down)
+ */
+async function submitAnswerFeedback(index, rating, reason = '') {
+    const chatId = currentChatId;
+    const session = chatHistory[chatId];
+    const message = session?.messages[index];
+    if (!message) return;
+    const existingId = message.feedback?.id;
+
+    try {
+        if (!rating) {
+            if (existingId) {
+                const { response, data } = await feedbackRequest(`/${encodeURIComponent(existingId)}`, 'DELETE');
+                if (!response.ok && response.status !== 404) throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            delete message.feedback;
+        } else {
+            let entry = null;
+            if (existingId) {
+                const { response, data } = await feedbackRequest(`/${encodeURIComponent(existingId)}`, 'PUT', { rating, reason });
+                // 404: the server lost it; record it again below
+                if (!response.ok && response.status !== 404) throw new Error(data.error || `HTTP ${response.status}`);
+                if (response.ok) entry = data.feedback;
+            }
+            if (!entry) {
+                const settings = message.settings || {};
+                const { response, data } = await feedbackRequest('', 'POST', {
+                    rating,
+                    reason,
+                    question: findQuestionForIndex(session.messages, index),
+                    answer: message.content,
+                    citations: message.sources || [],
+                    topK: settings.topK ?? null,
+                    includeContext: settings.includeContext ?? true,
+                    chatId,
+                    conversationId: session.conversationId || null
+                });
+                if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+                entry = data.feedback;
+            }
+            message.feedback = { id: entry.id, rating, reason };
+        }
+
+        touchChatSession(chatId);
+        saveChatHistory();
+        pushChatSession(chatId);
+        if (chatId === currentChatId) {
+            const messageDiv = document.querySelector(`#chatMessages .chat-message[data-message-index="${index}"]`);
+            if (messageDiv) attachMessageActions(messageDiv, index);
+        }
+        if (rating === 'down') showNotification('Thanks — logged for review', 'success');
+    } catch (error) {
+        console.error('Feedback error:', error);
+        showNotification(`Feedback failed: ${error.message}`, 'error');
+    }
+}
+
+// Inline reason picker shown for thumbs down
+function openFeedbackReasonForm(messageDiv, index) {
+    const existing = messageDiv.querySelector('.feedback-form');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const message = chatHistory[currentChatId]?.messages[index];
+    const current = message?.feedback?.reason || '';
+    const preset = FEEDBACK_REASONS.includes(current) ? current : (current ? 'Other' : FEEDBACK_REASONS[0]);
+
+    const form = document.createElement('div');
+    form.className = 'feedback-form';
+    form.innerHTML = `
+        <select data-field="preset">
+            ${FEEDBACK_REASONS.map(r => `<option ${r === preset ? 'selected' : ''}>${escapeHtml(r)}</option>`).join('')}
+        </select>
+        <input type="text" data-field="detail" maxlength="500" placeholder="What was wrong? (optional)"
+            value="${escapeHtml(FEEDBACK_REASONS.includes(current) ? '' : current)}">
+        <button class="btn btn-primary">Send</button>
+    `;
+    const submit = () => {
+        const presetValue = form.querySelector('[data-field="preset"]').value;
+        const detail = form.querySelector('[data-field="detail"]').value.trim();
+        const reason = detail ? (presetValue === 'Other' ? detail : `${presetValue}: ${detail}`) : presetValue;
+        form.remove();
+        submitAnswerFeedback(index, 'down', reason);
+    };
+    form.querySelector('button').addEventListener('click', submit);
+    form.querySelector('[data-field="detail"]').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            submit();
+        }
+    });
+    messageDiv.querySelector('.message-content')?.appendChild(form);
+    form.querySelector('[data-field="detail"]').focus();
+}
+
+/**
+ * Add thumbs up/down buttons to an assistant message's action bar
+ * @param {HTMLElement} actions - .message-actions element
+ * @param {HTMLElement} messageDiv - Message bubble
+ * @param {number} index - Index of the assistant message
+ */
+function appendFeedbackButtons(actions, messageDiv, index) {
+    const rating = chatHistory[currentChatId]?.messages[index]?.feedback?.rating;
+    const wrapper = document.createElement('span');
+    wrapper.className = 'message-feedback';
+    wrapper.innerHTML = `
+        <button class="btn-icon ${rating === 'up' ? 'active' : ''}" data-feedback="up" title="Good answer">
+            <i class="fa${rating === 'up' ? 's' : 'r'} fa-thumbs-up"></i>
+        </button>
+        <button class="btn-icon ${rating === 'down' ? 'active' : ''}" data-feedback="down" title="Bad answer">
+            <i class="fa${rating === 'down' ? 's' : 'r'} fa-thumbs-down"></i>
+        </button>
+    `;
+    wrapper.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const button = e.target.closest('[data-feedback]');
+        if (!button) return;
+        const choice = button.dataset.feedback;
+        if (choice === rating) {
+            submitAnswerFeedback(index, null);
+        } else if (choice === 'up') {
+            submitAnswerFeedback(index, 'up');
+        } else {
+            openFeedbackReasonForm(messageDiv, index);
+        }
+    });
+    actions.appendChild(wrapper);
+}
+
+// ------------------------
+// Feedback view
+// ------------------------
+/**
+ * Load and render feedback in the Feedback view
+ */
+async function loadFeedbackList() {
+    const list = document.getElementById('feedbackList');
+    if (!list) return;
+    const rating = document.getElementById('feedbackFilter')?.value || 'down';
+    list.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Loading feedback...</div>';
+
+    try {
+        const query = rating === 'all' ? '' : `?rating=${rating}`;
+        const response = await authFetch(`${API_BASE}/feedback${query}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        feedbackEntries = data.feedback || [];
+        renderFeedbackList(list, feedbackEntries);
+    } catch (error) {
+        console.error('Feedback list error:', error);
+        list.innerHTML = `<div class="error-state">Failed to load feedback: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderFeedbackList(list, entries) {
+    const count = document.getElementById('feedbackCount');
+    if (count) count.textContent = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="empty-state">No feedback yet</div>';
+        return;
+    }
+
+    list.innerHTML = entries.map(entry => {
+        const answer = entry.answer.length > 400 ? entry.answer.slice(0, 400) + '…' : entry.answer;
+        const sources = (entry.citations || []).map(c =>
+            `<span class="chip"><i class="fas fa-file-alt"></i> ${escapeHtml(c.filename || 'Source')}${c.page_number ? ` · p.${escapeHtml(String(c.page_number))}` : ''}${c.sheet ? ` › ${escapeHtml(describeSheetRange(c))}` : ''}</span>`
+        ).join('');
+        // Only the two known ratings reach the class attribute (escapeHtml leaves quotes as they are)
+        const rating = entry.rating === 'up' ? 'up' : 'down';
+        const settings = entry.includeContext === false ? 'no context' : `topK ${entry.topK ?? 'default'}`;
+        return `
+            <div class="feedback-card ${rating}" data-id="${escapeHtml(entry.id)}">
+                <div class="feedback-card-header">
+                    <i class="fas fa-thumbs-${rating}"></i>
+                    <span class="feedback-question">${escapeHtml(entry.question)}</span>
+                    <span class="feedback-date">${escapeHtml(new Date(entry.created).toLocaleString())}</span>
+                    <button class="btn-icon feedback-delete" title="Remove"><i class="fas fa-trash"></i></button>
+                </div>
+                ${entry.reason ? `<div class="feedback-reason"><strong>Reason:</strong> ${escapeHtml(entry.reason)}</div>` : ''}
+                <div class="feedback-answer">${escapeHtml(answer)}</div>
+                <div class="document-meta">
+                    <span class="chip"><i class="fas fa-sliders-h"></i> ${escapeHtml(settings)}</span>
+                    ${sources}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function deleteFeedbackEntry(id) {
+    if (!confirm('Remove this feedback entry?')) return;
+    try {
+        const response = await authFetch(`${API_BASE}/feedback/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        loadFeedbackList();
+    } catch (error) {
+        showNotification(`Delete failed: ${error.message}`, 'error');
+    }
+}
+
+// Download the listed entries as a regression set (question + rejected answer)
+function downloadFeedbackSet() {
+    if (feedbackEntries.length === 0) {
+        showNotification('Nothing to download', 'warning');
+        return;
+    }
+    const items = feedbackEntries.map(e => ({
+        question: e.question,
+        rating: e.rating,
+        reason: e.reason,
+        answer: e.answer,
+        citations: e.citations,
+        topK: e.topK,
+        includeContext: e.includeContext,
+        created: e.created
+    }));
+    downloadTextFile(`finrag-feedback-${new Date().toISOString().slice(0, 10)}.json`,
+        JSON.stringify(items, null, 2), 'application/json');
+}
+
+/**
+ * Initialize Feedback view controls
+ */
+function initializeFeedback() {
+    document.getElementById('feedbackFilter')?.addEventListener('change', loadFeedbackList);
+    document.getElementById('refreshFeedbackBtn')?.addEventListener('click', loadFeedbackList);
+    document.getElementById('downloadFeedbackBtn')?.addEventListener('click', downloadFeedbackSet);
+    document.getElementById('feedbackList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.feedback-delete');
+        if (button) deleteFeedbackEntry(button.closest('.feedback-card').dataset.id);
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeFeedback);
+} else {
+    initializeFeedback();
+}
@@ -0,0 +1,169 @@
+/**
+ * Retrieval Filters Module
+ * Restricts chat and search retrieval to chosen documents, file types and an
+ * upload-date range, and can bring superseded document versions back in. Each panel (`.retrieval-filters`) is filled from /api/docs
+ * (documents of the current collection) when opened and read into the
+ * request's `filters` object.
+ */
+
+// Documents from the last /api/docs fetch
+let retrievalFilterDocs = [];
+
+/**
+ * Refresh a filter panel from /api/docs, keeping its current selection
+ * @param {HTMLElement} panel - .retrieval-filters container
+ */
+async function loadRetrievalFilterOptions(panel) {
+    const current = readRetrievalFilters(panel.id) || {};
+    try {
+        const response = await authFetch(`${API_BASE}/docs?collection=${encodeURIComponent(currentCollectionId)}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        retrievalFilterDocs = data.documents || [];
+    } catch (error) {
+        console.error('Filter documents error:', error);
+        panel.innerHTML = `<div class="error-state">Failed to load documents: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    renderRetrievalFilters(panel, current);
+}
+
+/**
+ * Render the picker, type chips and date range into a panel
+ * @param {HTMLElement} panel - .retrieval-filters container
+ * @param {Object} selected - Filters to pre-select ({ documentIds, fileTypes, uploadedFrom, uploadedTo, includeOldVersions })
+ */
+function renderRetrievalFilters(panel, selected = {}) {
+    const docIds = new Set(selected.documentIds || []);
+    const types = new Set(selected.fileTypes || []);
+    const fileTypes = [...new Set(retrievalFilterDocs.map(doc => doc.file_type).filter(Boolean))].sort();
+
+    const docList = retrievalFilterDocs.length
+        ? retrievalFilterDocs.map(doc => `
+            <label class="retrieval-doc" data-name="${escapeHtml((doc.filename || '').toLowerCase())}">
+                <input type="checkbox" data-filter="document" value="${escapeHtml(doc.document_id)}" ${docIds.has(doc.document_id) ? 'checked' : ''}>
+                <span>${escapeHtml(doc.filename || doc.document_id)}</span>
+                ${doc.versions > 1 ? `<span class="retrieval-doc-date">v${doc.version}</span>` : ''}
+                <span class="retrieval-doc-date">${doc.upload_date ? escapeHtml(doc.upload_date.slice(0, 10)) : ''}</span>
+            </label>
+        `).join('')
+        : '<div class="empty-state">No documents uploaded yet</div>';
+
+    panel.innerHTML = `
+        <div class="retrieval-filters-section">
+            <div class="retrieval-filters-label">Documents</div>
+            <input type="search" class="retrieval-doc-search" placeholder="Find a document...">
+            <div class="retrieval-doc-list">${docList}</div>
+        </div>
+        <div class="retrieval-filters-section">
+            <div class="retrieval-filters-label">File type</div>
+            <div class="retrieval-type-list">
+                ${fileTypes.map(type => `
+                    <label class="chip">
+                        <input type="checkbox" data-filter="type" value="${escapeHtml(type)}" ${types.has(type) ? 'checked' : ''}>
+                        ${escapeHtml(type.toUpperCase())}
+                    </label>
+                `).join('') || '<span class="retrieval-doc-date">–</span>'}
+            </div>
+        </div>
+        <div class="retrieval-filters-section retrieval-filters-dates">
+            <label>Uploaded from <input type="date" data-filter="from" value="${escapeHtml(selected.uploadedFrom || '')}"></label>
+            <label>to <input type="date" data-filter="to" value="${escapeHtml(selected.uploadedTo || '')}"></label>
+            <button type="button" class="btn btn-secondary" data-filter="clear">Clear</button>
+        </div>
+        <div class="retrieval-filters-section">
+            <label class="chip" title="Superseded versions are left out of retrieval unless picked above">
+                <input type="checkbox" data-filter="old-versions" ${selected.includeOldVersions ? 'checked' : ''}>
+                Include older versions
+            </label>
+        </div>
+    `;
+    updateRetrievalFiltersBadge(panel.id);
+}
+
+/**
+ * Current filters of a panel, shaped for the API
+ * @param {string} panelId - Panel element id
+ * @returns {Object|null} { documentIds, fileTypes, uploadedFrom, uploadedTo, includeOldVersions } or null when nothing is set
+ */
+function readRetrievalFilters(panelId) {
+    const panel = document.getElementById(panelId);
+    if (!panel) return null;
+    const checked = (kind) => [...panel.querySelectorAll(`input[data-filter="${kind}"]:checked`)].map(el => el.value);
+    const filters = {
+        documentIds: checked('document'),
+        fileTypes: checked('type'),
+        uploadedFrom: panel.querySelector('input[data-filter="from"]')?.value || '',
+        uploadedTo: panel.querySelector('input[data-filter="to"]')?.value || '',
+        includeOldVersions: Boolean(panel.querySelector('input[data-filter="old-versions"]')?.checked)
+    };
+    const active = filters.documentIds.length || filters.fileTypes.length || filters.uploadedFrom || filters.uploadedTo
+        || filters.includeOldVersions;
+    return active ? filters : null;
+}
+
+/**
+ * Short description of filters, e.g. "2 docs · PDF · from 2024-01-01"
+ * @param {Object|null} filters - Filters as sent to the API
+ * @returns {string} Description ('' when unfiltered)
+ */
+function describeRetrievalFilters(filters) {
+    if (!filters) return '';
+    const parts = [];
+    if (filters.documentIds?.length) {
+        parts.push(filters.documentIds.length === 1 ? '1 doc' : `${filters.documentIds.length} docs`);
+    }
+    if (filters.fileTypes?.length) parts.push(filters.fileTypes.map(t => t.toUpperCase()).join('/'));
+    if (filters.uploadedFrom && filters.uploadedTo) parts.push(`${filters.uploadedFrom} – ${filters.uploadedTo}`);
+    else if (filters.uploadedFrom) parts.push(`from ${filters.uploadedFrom}`);
+    else if (filters.uploadedTo) parts.push(`until ${filters.uploadedTo}`);
+    if (filters.includeOldVersions) parts.push('older versions');
+    return parts.join(' · ');
+}
+
+// Show the active filters on the panel's toggle button
+function updateRetrievalFiltersBadge(panelId) {
+    const toggle = document.querySelector(`.retrieval-filters-toggle[data-panel="${panelId}"]`);
+    if (!toggle) return;
+    const summary = describeRetrievalFilters(readRetrievalFilters(panelId));
+    toggle.classList.toggle('active', Boolean(summary));
+    toggle.querySelector('.retrieval-filters-summary').textContent = summary ? `: ${summary}` : '';
+}
+
+/**
+ * Initialize filter panels and their toggle buttons
+ */
+function initializeRetrievalFilters() {
+    document.querySelectorAll('.retrieval-filters-toggle').forEach(toggle => {
+        const panel = document.getElementById(toggle.dataset.panel);
+        if (!panel) return;
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) loadRetrievalFilterOptions(panel);
+        });
+
+        panel.addEventListener('change', () => updateRetrievalFiltersBadge(panel.id));
+        panel.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('retrieval-doc-search')) return;
+            const term = e.target.value.trim().toLowerCase();
+            panel.querySelectorAll('.retrieval-doc').forEach(row => {
+                row.classList.toggle('hidden', Boolean(term) && !row.dataset.name.includes(term));
+            });
+        });
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-filter="clear"]')) {
+                renderRetrievalFilters(panel);
+            }
+        });
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeRetrievalFilters);
+} else {
+    initializeRetrievalFilters();
+}
@@ -63,6 +63,12 @@ function switchView(viewName) {
     // Lazy-load per view
     if (viewName === 'documents') {
         loadDocumentsList();
+    } else if (viewName === 'feedback') {
+        loadFeedbackList();
+    } else if (viewName === 'eval') {
+        loadEvalRuns();
+    } else if (viewName === 'admin') {
+        loadAdminConsole();
     }
 }
 
@@ -81,7 +87,7 @@ async function checkSystemHealth() {
     }
 
     try {
-        const response = await fetch('/api/health');
+        const response = await authFetch('/api/health');
         const data = await response.json();
 
         // Remove checking state
@@ -127,7 +133,7 @@ async function loadDocumentsList() {
         `;
 
     try {
-        const response = await fetch('/api/docs');
+        const response = await authFetch(`/api/docs?collection=${encodeURIComponent(currentCollectionId)}`);
         if (!response.ok) {
             const err = new Error(`HTTP ${response.status}`);
             err.status = response.status;
@@ -136,7 +142,7 @@ async function loadDocumentsList() {
         const data = await response.json();
 
         if (!data.success || !data.documents || data.documents.length === 0) {
-            documentsList.innerHTML = '<div class="empty-state">No documents uploaded yet</div>';
+            documentsList.innerHTML = '<div class="empty-state">No documents in this collection yet</div>';
             if (documentsStats) documentsStats.innerHTML = '';
             return;
         }
@@ -176,6 +182,7 @@ async function loadDocumentsList() {
                         <span class="chip">${(doc.file_type || 'unknown').toUpperCase()}</span>
                         <span class="chip">${doc.total_chunks || 0} chunks</span>
                         <span class="chip">${new Date(doc.upload_date).toLocaleDateString()}</span>
+                        ${doc.versions > 1 ? `<span class="chip" title="${doc.versions} versions">v${doc.version}</span>` : ''}
                     </div>
                 </div>
                 <div class="document-actions">
@@ -202,17 +209,17 @@ function getFileIcon(fileType) {
         'pdf': 'pdf',
         'docx': 'word',
         'doc': 'word',
+        'xlsx': 'excel',
+        'xls': 'excel',
         'txt': 'alt',
         'csv': 'csv'
     };
     return icons[fileType.toLowerCase()] || 'alt';
 }
 
-// View document (placeholder)
-async function viewDocument(documentId) {
-    console.log('Viewing document:', documentId);
-    // TODO: Implement document viewer modal
-    alert(`Document viewer coming soon!\nDocument ID: ${documentId}`);
+// View document chunks in the viewer modal (viewer.js)
+function viewDocument(documentId) {
+    openDocumentViewer(documentId);
 }
 
 // Delete document
@@ -222,7 +229,7 @@ async function deleteDocument(documentId) {
     }
 
     try {
-        const response = await fetch(`/api/docs/${documentId}`, {
+        const response = await authFetch(`/api/docs/${documentId}`, {
             method: 'DELETE'
         });
 
@@ -231,6 +238,7 @@ async function deleteDocument(documentId) {
         if (data.success) {
             showNotification('Document deleted successfully', 'success');
             loadDocumentsList();
+            loadCollections();
         } else {
             throw new Error(data.error || 'Failed to delete document');
         }
@@ -1,11 +1,64 @@
 /**
  * Document Upload UI Logic
- * Handles file selection, drag-and-drop, upload progress, and validation
+ * Handles file selection, drag-and-drop, upload progress, and validation.
+ * Selected files form an upload queue: a few are sent in parallel (the
+ * "Parallel uploads" option), each card can cancel or retry its file, and
+ * transient failures are retried with backoff. Files above
+ * RESUMABLE_UPLOAD_THRESHOLD go through /api/uploads in chunks, so a retry
+ * continues from the last chunk the server stored instead of from zero.
+ * Selected files are hashed (SHA-256) and checked against the user's
+ * documents: exact duplicates are skipped unless the card says otherwise,
+ * and a card can upload its file as a new version of an existing document.
+ * The server answers an upload with an ingestion job; the Processing panel
+ * polls /api/jobs and shows each file's stage until it is indexed, and lists
+ * the user's jobs again after a page reload.
  */
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
-const ACCEPTED_TYPES = ['pdf', 'docx', 'doc', 'txt', 'csv'];
+const ACCEPTED_TYPES = ['pdf', 'docx', 'doc', 'xlsx', 'xls', 'txt', 'csv'];
+const UPLOAD_CONCURRENCY_KEY = 'finrag_upload_concurrency_v1';
+const DEFAULT_UPLOAD_CONCURRENCY = 2;
+const MAX_UPLOAD_CONCURRENCY = 4;
+const RESUMABLE_UPLOAD_THRESHOLD = 2 * 1024 * 1024; // Larger files upload in chunks
+const UPLOAD_MAX_ATTEMPTS = 6;
+const UPLOAD_RETRY_BASE_DELAY = 1000; // ms; doubles per attempt (about 30 s in total)
+const TRANSIENT_UPLOAD_STATUSES = [408, 429, 502, 503, 504];
+const ACTIVE_UPLOAD_STATUSES = ['waiting', 'uploading', 'retrying'];
+const JOB_POLL_INTERVAL = 1000; // ms
+const JOB_STAGE_LABELS = {
+    queued: 'Queued',
+    extracting: 'Extracting text',
+    chunking: 'Chunking',
+    embedding: 'Embedding',
+    upserting: 'Saving vectors',
+    done: 'Done'
+};
+// Progress bar span [from, to] % per stage; embedding and upserting advance by chunk count
+const JOB_STAGE_PROGRESS = {
+    queued: [0, 0],
+    extracting: [0, 15],
+    chunking: [15, 20],
+    embedding: [20, 85],
+    upserting: [85, 100],
+    done: [100, 100]
+};
+/*
+ * Upload queue, one entry per selected file:
+ * { key, file, status, error, percent, attempts, uploadId, request, retryTimer, retryAt, job, inBatch,
+ *   hash, checking, duplicate, mode }
+ * status: invalid | selected | waiting | uploading | retrying | uploaded | skipped | failed | cancelled
+ * `uploadId` is the resumable upload session; `inBatch` marks files of the
+ * run whose results are shown when the queue drains. `duplicate` is the
+ * user's document with identical content; `mode` is how to upload the file:
+ * 'new', 'skip' or 'version:<document id>'.
+ */
 let selectedFiles = [];
+let uploadEntryKey = 0;
+// Current documents of the current collection, offered as "new version of" targets
+let uploadVersionTargets = [];
+// The user's ingestion jobs from /api/jobs, newest first
+let ingestJobs = [];
+let jobPollTimer = null;
 
 /**
  * Initialize upload functionality
@@ -13,7 +66,8 @@ let selectedFiles = [];
 function initializeUpload() {
     const uploadArea = document.getElementById('uploadArea');
     const fileInput = document.getElementById('fileInput');
-    const uploadBtn = document.getElementById('uploadBtn');
+    const fileList = document.getElementById('fileList');
+    const concurrency = document.getElementById('uploadConcurrency');
 
     // Click to open file picker
     if (uploadArea) {
@@ -47,6 +101,44 @@ function initializeUpload() {
             handleFileSelection(files);
         });
     }
+
+    // File card buttons: upload all, cancel, retry, remove
+    fileList?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-upload-all]')) {
+            uploadAllFiles();
+            return;
+        }
+        const button = e.target.closest('[data-action]');
+        const entry = button && selectedFiles.find(f => f.key === Number(button.closest('[data-key]')?.dataset.key));
+        if (!entry) return;
+        if (button.dataset.action === 'cancel') cancelUpload(entry);
+        else if (button.dataset.action === 'retry') retryUpload(entry);
+        else if (button.dataset.action === 'remove') removeFile(entry.key);
+    });
+
+    fileList?.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-mode]')) return;
+        const entry = selectedFiles.find(f => f.key === Number(e.target.closest('[data-key]')?.dataset.key));
+        if (entry) entry.mode = e.target.value;
+    });
+
+    if (concurrency) {
+        concurrency.value = String(getUploadConcurrency());
+        concurrency.addEventListener('change', () => {
+            localStorage.setItem(UPLOAD_CONCURRENCY_KEY, concurrency.value);
+            pumpUploadQueue();
+        });
+    }
+
+    // Processing panel: dismiss one finished job or all of them
+    document.getElementById('uploadProgress')?.addEventListener('click', (e) => {
+        const dismiss = e.target.closest('[data-dismiss-job]');
+        if (dismiss) dismissIngestJobs(dismiss.dataset.dismissJob);
+        else if (e.target.closest('[data-clear-jobs]')) dismissIngestJobs();
+    });
+
+    // Jobs still processing from before a reload
+    if (getAuthToken()) refreshIngestJobs();
 }
 
 /**
@@ -56,223 +148,741 @@ function initializeUpload() {
 function handleFileSelection(files) {
     if (!files || files.length === 0) return;
 
-    const fileListDiv = document.getElementById('fileList');
-    if (!fileListDiv) return;
-
-    // Clear previous selection
-    selectedFiles = [];
-    fileListDiv.innerHTML = '';
-    fileListDiv.classList.remove('hidden');
+    // Start a new selection unless uploads are still running; then the files join the queue
+    if (!isUploadQueueBusy()) {
+        selectedFiles.forEach(discardUploadSession);
+        selectedFiles = [];
+    }
 
-    // Validate and display files
-    files.forEach((file, index) => {
+    // Validate files
+    files.forEach(file => {
         const ext = file.name.split('.').pop().toLowerCase();
-        const isValid = ACCEPTED_TYPES.includes(ext);
-        const isSizeValid = file.size <= MAX_FILE_SIZE;
-
-        const fileCard = document.createElement('div');
-        fileCard.className = `file-card ${!isValid || !isSizeValid ? 'invalid' : ''}`;
-
-        fileCard.innerHTML = `
-            <div class="file-icon">
-                <i class="fas fa-file-${getFileIconClass(ext)}"></i>
-            </div>
-            <div class="file-info">
-                <div class="file-name">${escapeHtml(file.name)}</div>
-                <div class="file-size">${formatFileSize(file.size)}</div>
-                ${!isValid ? '<div class="file-error">Unsupported file type</div>' : ''}
-                ${!isSizeValid ? '<div class="file-error">File too large (max 10MB)</div>' : ''}
-            </div>
-            <button class="btn-remove" onclick="removeFile(${index})">
-                <i class="fas fa-times"></i>
-            </button>
-        `;
+        let error = null;
+        if (!ACCEPTED_TYPES.includes(ext)) error = 'Unsupported file type';
+        else if (file.size > MAX_FILE_SIZE) error = 'File too large (max 10MB)';
+
+        selectedFiles.push({
+            key: ++uploadEntryKey,
+            file,
+            status: error ? 'invalid' : 'selected',
+            error,
+            percent: 0,
+            attempts: 0,
+            uploadId: null,
+            request: null,
+            retryTimer: null,
+            retryAt: null,
+            job: null,
+            inBatch: false,
+            hash: null,
+            checking: false,
+            duplicate: null,
+            mode: 'new'
+        });
+    });
 
-        fileListDiv.appendChild(fileCard);
+    renderFileList();
+    checkUploadDuplicates(selectedFiles.filter(f => f.status === 'selected' && !f.hash));
+}
 
-        if (isValid && isSizeValid) {
-            selectedFiles.push(file);
+/**
+ * Hash new files and look them up on the server: exact duplicates default to
+ * being skipped, and a file named like a document of the current collection
+ * defaults to a new version of it. Without the check (no Web Crypto, or the
+ * request failed) the server still skips exact duplicates.
+ * @param {Array} entries - Upload queue entries
+ */
+async function checkUploadDuplicates(entries) {
+    if (entries.length === 0) return;
+    entries.forEach(entry => { entry.checking = true; });
+    renderFileList();
+
+    try {
+        const [hashes, targets] = await Promise.all([
+            Promise.all(entries.map(entry => hashFile(entry.file))),
+            fetchUploadVersionTargets()
+        ]);
+        uploadVersionTargets = targets;
+        entries.forEach((entry, i) => { entry.hash = hashes[i]; });
+
+        const known = hashes.filter(Boolean);
+        let duplicates = {};
+        if (known.length) {
+            const response = await authFetch(`${API_BASE}/docs/duplicates`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ hashes: known })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+            duplicates = data.duplicates || {};
         }
-    });
 
-    // Show upload button if valid files exist
-    if (selectedFiles.length > 0) {
-        showUploadButton();
+        entries.forEach(entry => {
+            entry.duplicate = (entry.hash && duplicates[entry.hash]) || null;
+            const sameName = uploadVersionTargets.find(doc => doc.filename === entry.file.name);
+            entry.mode = entry.duplicate ? 'skip' : sameName ? `version:${sameName.document_id}` : 'new';
+        });
+    } catch (error) {
+        console.warn('Duplicate check unavailable:', error.message);
+    } finally {
+        entries.forEach(entry => { entry.checking = false; });
+        renderFileList();
     }
 }
 
+/**
+ * SHA-256 of a file as hex, or null where Web Crypto is unavailable
+ * (it needs https or localhost)
+ * @param {File} file - File
+ * @returns {Promise<string|null>} Hex digest
+ */
+async function hashFile(file) {
+    if (!window.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function fetchUploadVersionTargets() {
+    const response = await authFetch(`${API_BASE}/docs?collection=${encodeURIComponent(currentCollectionId)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+    return data.documents || [];
+}
+
+/**
+ * e.g. "10-K.pdf" (v2, General, 3/4/2025)
+ * @param {Object} doc - Document summary from the server
+ * @returns {string} Plain text
+ */
+function describeUploadedDocument(doc) {
+    const collection = getCollection(doc.collection)?.name || doc.collection;
+    const date = doc.upload_date ? new Date(doc.upload_date).toLocaleDateString() : '';
+    return `"${doc.filename}" (v${doc.version || 1}, ${[collection, date].filter(Boolean).join(', ')})`;
+}
+
+// Ingestion options from the upload view's checkboxes
+function readIngestOptions() {
+    return {
+        extractTables: document.getElementById('extractTables')?.checked ?? true,
+        preserveFormatting: document.getElementById('preserveFormatting')?.checked ?? true
+    };
+}
+
+// Request fields for an entry's upload mode
+function uploadModeFields(entry) {
+    return {
+        versionOf: entry.mode.startsWith('version:') ? entry.mode.slice('version:'.length) : null,
+        duplicate: entry.mode === 'new' && entry.duplicate ? 'allow' : null
+    };
+}
+
 /**
  * Remove file from selection
- * @param {number} index - File index
+ * @param {number} key - Queue entry key
  */
-function removeFile(index) {
-    selectedFiles.splice(index, 1);
+function removeFile(key) {
+    const entry = selectedFiles.find(f => f.key === key);
+    if (!entry || ACTIVE_UPLOAD_STATUSES.includes(entry.status)) return;
+    discardUploadSession(entry);
+    selectedFiles = selectedFiles.filter(f => f !== entry);
 
-    // Re-render file list
     const fileInput = document.getElementById('fileInput');
     if (fileInput) fileInput.value = '';
 
     if (selectedFiles.length === 0) {
-        document.getElementById('fileList').classList.add('hidden');
         document.getElementById('uploadResults').classList.add('hidden');
-    } else {
-        handleFileSelection(selectedFiles);
     }
+    renderFileList();
 }
 
 /**
- * Show upload button
+ * Render the file cards and the Upload All button
  */
-function showUploadButton() {
+function renderFileList() {
     const fileListDiv = document.getElementById('fileList');
     if (!fileListDiv) return;
 
-    let uploadBtn = fileListDiv.querySelector('.upload-btn');
-    if (!uploadBtn) {
-        uploadBtn = document.createElement('button');
-        uploadBtn.className = 'btn btn-primary upload-btn';
-        uploadBtn.innerHTML = '<i class="fas fa-cloud-upload-alt"></i> Upload All';
-        uploadBtn.onclick = uploadAllFiles;
-        fileListDiv.appendChild(uploadBtn);
+    if (selectedFiles.length === 0) {
+        fileListDiv.classList.add('hidden');
+        fileListDiv.innerHTML = '';
+        return;
     }
+
+    const startable = selectedFiles.filter(f => f.status === 'selected' && !f.checking).length;
+    const checking = selectedFiles.some(f => f.checking);
+    const busy = isUploadQueueBusy();
+    const remaining = selectedFiles.filter(f => ACTIVE_UPLOAD_STATUSES.includes(f.status)).length;
+    let label = `Upload ${busy ? 'Added Files' : 'All'}`;
+    if (!startable) label = busy ? `Uploading (${remaining} left)` : 'Checking for duplicates...';
+
+    fileListDiv.classList.remove('hidden');
+    fileListDiv.innerHTML = `
+        ${selectedFiles.map(renderFileCard).join('')}
+        ${startable || busy || checking ? `
+            <button class="btn btn-primary upload-btn ${startable ? '' : 'btn-loading'}" data-upload-all ${startable ? '' : 'disabled'}>
+                <i class="fas fa-cloud-upload-alt"></i>
+                ${label}
+            </button>
+        ` : ''}
+    `;
 }
 
 /**
- * Upload all selected files
+ * One file card with its upload state and buttons
+ * @param {Object} entry - Upload queue entry
+ * @returns {string} HTML
  */
-async function uploadAllFiles() {
-    if (selectedFiles.length === 0) return;
+function renderFileCard(entry) {
+    const ext = entry.file.name.split('.').pop().toLowerCase();
+    const active = ACTIVE_UPLOAD_STATUSES.includes(entry.status);
+    const showProgress = entry.status === 'uploading' || entry.status === 'retrying';
+    const status = fileStatusText(entry);
+
+    const button = (action, icon, title) => `
+        <button class="btn-remove" data-action="${action}" title="${title}">
+            <i class="fas ${icon}"></i>
+        </button>
+    `;
+    const option = (value, text) => `<option value="${escapeHtml(value)}" ${entry.mode === value ? 'selected' : ''}>${escapeHtml(text)}</option>`;
+    const choosable = ['selected', 'failed', 'cancelled'].includes(entry.status) && !entry.checking;
+    const modeSelect = choosable && (entry.duplicate || uploadVersionTargets.length) ? `
+        <label class="file-mode">
+            Upload as
+            <select data-mode>
+                ${entry.duplicate ? option('skip', 'Skip (already uploaded)') : ''}
+                ${option('new', 'New document')}
+                ${uploadVersionTargets.map(doc => option(`version:${doc.document_id}`, `New version of ${doc.filename} (now v${doc.version || 1})`)).join('')}
+            </select>
+        </label>
+    ` : '';
+    const actions = [
+        active ? button('cancel', 'fa-stop', 'Cancel upload') : '',
+        entry.status === 'failed' || entry.status === 'cancelled' ? button('retry', 'fa-redo', 'Retry upload') : '',
+        active ? '' : button('remove', 'fa-times', 'Remove')
+    ].join('');
+
+    return `
+        <div class="file-card ${entry.status}" data-key="${entry.key}">
+            <div class="file-icon">
+                <i class="fas fa-file-${getFileIconClass(ext)}"></i>
+            </div>
+            <div class="file-info">
+                <div class="file-name">${escapeHtml(entry.file.name)}</div>
+                <div class="file-size">${formatFileSize(entry.file.size)}${entry.file.size > RESUMABLE_UPLOAD_THRESHOLD ? ' · resumable' : ''}</div>
+                ${showProgress ? `
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${entry.percent}%"></div>
+                    </div>
+                ` : ''}
+                ${status ? `<div class="${entry.status === 'invalid' || entry.status === 'failed' ? 'file-error' : 'file-status'}">${escapeHtml(status)}</div>` : ''}
+                ${entry.duplicate && entry.status !== 'skipped' ? `
+                    <div class="file-warning"><i class="fas fa-clone"></i> Identical to ${escapeHtml(describeUploadedDocument(entry.duplicate))}</div>
+                ` : ''}
+                ${modeSelect}
+            </div>
+            <div class="file-actions">${actions}</div>
+        </div>
+    `;
+}
 
-    const uploadProgress = document.getElementById('uploadProgress');
-    const uploadResults = document.getElementById('uploadResults');
-    const uploadBtn = document.querySelector('.upload-btn');
+function fileStatusText(entry) {
+    switch (entry.status) {
+        case 'invalid':
+        case 'failed':
+            return entry.error;
+        case 'selected':
+            return entry.checking ? 'Checking for duplicates...' : '';
+        case 'waiting':
+            return 'Waiting to upload';
+        case 'uploading':
+            return `Uploading ${entry.percent}%`;
+        case 'retrying': {
+            const seconds = Math.max(1, Math.round((entry.retryAt - Date.now()) / 1000));
+            return `${entry.error} — retrying in ${seconds}s (attempt ${entry.attempts + 1} of ${UPLOAD_MAX_ATTEMPTS})`;
+        }
+        case 'uploaded':
+            return 'Uploaded — processing';
+        case 'skipped':
+            return `Skipped — identical to ${describeUploadedDocument(entry.duplicate)}`;
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return '';
+    }
+}
 
-    // Add loading state to button
-    if (uploadBtn) {
-        uploadBtn.classList.add('btn-loading');
-        uploadBtn.disabled = true;
+// Progress events only touch the bar and status line so the card's buttons stay clickable
+function setUploadPercent(entry, fraction) {
+    entry.percent = Math.min(100, Math.round(fraction * 100));
+    const card = document.querySelector(`#fileList [data-key="${entry.key}"]`);
+    const fill = card?.querySelector('.progress-fill');
+    if (!fill) {
+        renderFileList();
+        return;
     }
+    fill.style.width = `${entry.percent}%`;
+    const status = card.querySelector('.file-status');
+    if (status) status.textContent = fileStatusText(entry);
+}
 
-    uploadProgress.classList.remove('hidden');
-    uploadResults.classList.add('hidden');
-    uploadResults.innerHTML = '';
+function getUploadConcurrency() {
+    const value = parseInt(localStorage.getItem(UPLOAD_CONCURRENCY_KEY), 10);
+    return value >= 1 && value <= MAX_UPLOAD_CONCURRENCY ? value : DEFAULT_UPLOAD_CONCURRENCY;
+}
 
-    const results = {
-        success: [],
-        failed: []
-    };
+function isUploadQueueBusy() {
+    return selectedFiles.some(f => ACTIVE_UPLOAD_STATUSES.includes(f.status));
+}
 
-    for (let i = 0; i < selectedFiles.length; i++) {
-        const file = selectedFiles[i];
+/**
+ * Upload all selected files
+ */
+function uploadAllFiles() {
+    const entries = selectedFiles.filter(f => f.status === 'selected' && !f.checking);
+    if (entries.length === 0) return;
 
-        try {
-            // Update progress
-            updateProgress(i + 1, selectedFiles.length, `Uploading ${file.name}...`);
+    const uploadResults = document.getElementById('uploadResults');
+    if (!isUploadQueueBusy()) {
+        uploadResults.classList.add('hidden');
+        uploadResults.innerHTML = '';
+    }
 
-            // Upload file
-            const result = await uploadSingleFile(file, (progress) => {
-                updateProgress(i + 1, selectedFiles.length, `Uploading ${file.name}... ${progress}%`);
-            });
+    entries.forEach(entry => {
+        if (entry.mode === 'skip') {
+            entry.status = 'skipped';
+            entry.inBatch = true;
+        } else {
+            queueUpload(entry);
+        }
+    });
+    pumpUploadQueue();
+}
 
-            results.success.push({ file: file.name, ...result });
+function queueUpload(entry) {
+    entry.status = 'waiting';
+    entry.error = null;
+    entry.attempts = 0;
+    entry.inBatch = true;
+}
 
-        } catch (error) {
-            console.error(`Upload failed for ${file.name}:`, error);
-            results.failed.push({ file: file.name, error: error.message });
+/**
+ * Start waiting uploads up to the concurrency limit; show the results once
+ * nothing is waiting, uploading or retrying any more
+ */
+function pumpUploadQueue() {
+    const running = selectedFiles.filter(f => f.status === 'uploading').length;
+    selectedFiles
+        .filter(f => f.status === 'waiting')
+        .slice(0, Math.max(0, getUploadConcurrency() - running))
+        .forEach(startUpload);
+
+    renderFileList();
+    if (!isUploadQueueBusy()) finishUploadBatch();
+}
+
+/**
+ * Send one file: multipart for small files, resumable chunks for large ones
+ * @param {Object} entry - Upload queue entry
+ */
+async function startUpload(entry) {
+    entry.status = 'uploading';
+    entry.attempts += 1;
+
+    try {
+        const result = entry.file.size > RESUMABLE_UPLOAD_THRESHOLD
+            ? await uploadResumable(entry)
+            : await uploadSingleFile(entry);
+
+        entry.error = null;
+        if (result.skipped) {
+            // The server found identical content (e.g. the browser could not hash the file)
+            entry.status = 'skipped';
+            entry.duplicate = result.duplicate;
+        } else {
+            entry.status = 'uploaded';
+            entry.job = result.job || null;
+            trackIngestJob(result.job);
+        }
+    } catch (error) {
+        if (entry.status === 'cancelled') {
+            // cancelUpload already updated the entry
+        } else if (error.transient && entry.attempts < UPLOAD_MAX_ATTEMPTS) {
+            scheduleUploadRetry(entry, error);
+        } else {
+            console.error(`Upload failed for ${entry.file.name}:`, error);
+            entry.status = 'failed';
+            entry.error = error.message;
         }
+    } finally {
+        entry.request = null;
+        pumpUploadQueue();
     }
+}
+
+/**
+ * Retry a transient failure after an exponential backoff with jitter
+ * @param {Object} entry - Upload queue entry
+ * @param {Error} error - The failure
+ */
+function scheduleUploadRetry(entry, error) {
+    const delay = UPLOAD_RETRY_BASE_DELAY * 2 ** (entry.attempts - 1) * (0.75 + Math.random() * 0.5);
+    entry.status = 'retrying';
+    entry.error = error.message;
+    entry.retryAt = Date.now() + delay;
+    entry.retryTimer = setTimeout(() => {
+        entry.retryTimer = null;
+        if (entry.status !== 'retrying') return;
+        entry.status = 'waiting';
+        pumpUploadQueue();
+    }, delay);
+}
+
+function cancelUpload(entry) {
+    if (!ACTIVE_UPLOAD_STATUSES.includes(entry.status)) return;
+    entry.status = 'cancelled';
+    entry.error = null;
+    clearTimeout(entry.retryTimer);
+    entry.retryTimer = null;
+    entry.request?.abort();
+    discardUploadSession(entry);
+    pumpUploadQueue();
+}
 
-    // Remove loading state from button
-    if (uploadBtn) {
-        uploadBtn.classList.remove('btn-loading');
-        uploadBtn.disabled = false;
+// A failed upload keeps its resumable session, so the retry continues where it stopped
+function retryUpload(entry) {
+    if (entry.status !== 'failed' && entry.status !== 'cancelled') return;
+    const uploadResults = document.getElementById('uploadResults');
+    if (!isUploadQueueBusy()) uploadResults.classList.add('hidden');
+    if (entry.mode === 'skip') {
+        discardUploadSession(entry);
+        entry.status = 'skipped';
+        entry.inBatch = true;
+    } else {
+        queueUpload(entry);
     }
+    pumpUploadQueue();
+}
 
-    // Hide progress, show results
-    uploadProgress.classList.add('hidden');
-    displayUploadResults(results);
+// Drop the server's partial copy of an abandoned resumable upload
+function discardUploadSession(entry) {
+    if (!entry.uploadId) return;
+    authFetch(`${API_BASE}/uploads/${encodeURIComponent(entry.uploadId)}`, { method: 'DELETE' })
+        .catch(error => console.warn('Could not discard upload session:', error.message));
+    entry.uploadId = null;
+}
 
-    // Clear file selection
-    selectedFiles = [];
-    document.getElementById('fileInput').value = '';
-    document.getElementById('fileList').classList.add('hidden');
+/**
+ * Show the results of the files uploaded since the queue was last idle.
+ * Uploaded files continue in the Processing panel and skipped duplicates
+ * leave the list; failed and cancelled ones stay to be retried.
+ */
+function finishUploadBatch() {
+    const batch = selectedFiles.filter(f => f.inBatch);
+    if (batch.length === 0) return;
+    batch.forEach(f => { f.inBatch = false; });
 
-    // Refresh documents list if on documents view
-    if (typeof loadDocumentsList === 'function') {
-        loadDocumentsList();
-    }
+    const versionName = (f) => uploadVersionTargets.find(doc => doc.document_id === uploadModeFields(f).versionOf)?.filename;
+    const results = {
+        success: batch.filter(f => f.status === 'uploaded').map(f => ({ file: f.file.name, job: f.job, versionOf: versionName(f) })),
+        skipped: batch.filter(f => f.status === 'skipped').map(f => ({ file: f.file.name, duplicate: f.duplicate })),
+        failed: batch.filter(f => f.status === 'failed').map(f => ({ file: f.file.name, error: f.error }))
+    };
+    if (results.success.length || results.skipped.length || results.failed.length) displayUploadResults(results);
+
+    selectedFiles = selectedFiles.filter(f => f.status !== 'uploaded' && f.status !== 'skipped');
+    document.getElementById('fileInput').value = '';
+    renderFileList();
 }
 
 /**
- * Upload single file with progress tracking
- * @param {File} file - File to upload
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise} Upload result
+ * Send an upload request with the entry's XHR, so it can be cancelled.
+ * Rejects with `status`, `data` and `transient` (worth retrying), or
+ * `cancelled` when aborted.
+ * @param {Object} entry - Upload queue entry
+ * @param {string} method - HTTP method
+ * @param {string} url - URL
+ * @param {*} body - Request body
+ * @param {Object} options - { headers, onProgress(loaded, total) }
+ * @returns {Promise<Object>} Parsed JSON response
  */
-function uploadSingleFile(file, progressCallback) {
+function sendUploadRequest(entry, method, url, body = null, options = {}) {
     return new Promise((resolve, reject) => {
-        const formData = new FormData();
-        formData.append('file', file);
-
         const xhr = new XMLHttpRequest();
+        entry.request = xhr;
 
-        xhr.upload.onprogress = (event) => {
-            if (event.lengthComputable) {
-                const percent = Math.round((event.loaded / event.total) * 100);
-                progressCallback(percent);
-            }
-        };
+        if (options.onProgress) {
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable) options.onProgress(event.loaded, event.total);
+            };
+        }
 
         xhr.onload = () => {
-            if (xhr.status === 200) {
-                try {
-                    const response = JSON.parse(xhr.responseText);
-                    resolve(response);
-                } catch (error) {
-                    reject(new Error('Invalid server response'));
-                }
-            } else {
-                try {
-                    const error = JSON.parse(xhr.responseText);
-                    reject(new Error(error.message || 'Upload failed'));
-                } catch {
-                    reject(new Error(`Upload failed with status ${xhr.status}`));
-                }
+            let data = null;
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch {
+                // Not JSON (e.g. a proxy error page)
+            }
+            if (xhr.status >= 200 && xhr.status < 300) {
+                if (data) resolve(data);
+                else reject(new Error('Invalid server response'));
+                return;
             }
+            if (xhr.status === 401) handleUnauthorized();
+            const error = new Error(data?.error || data?.message || `Upload failed with status ${xhr.status}`);
+            error.status = xhr.status;
+            error.data = data;
+            error.transient = TRANSIENT_UPLOAD_STATUSES.includes(xhr.status);
+            reject(error);
         };
 
         xhr.onerror = () => {
-            reject(new Error('Network error during upload'));
+            reject(Object.assign(new Error('Network error during upload'), { transient: true }));
+        };
+
+        xhr.onabort = () => {
+            reject(Object.assign(new Error('Upload cancelled'), { cancelled: true }));
         };
 
-        xhr.open('POST', '/api/upload');
-        xhr.send(formData);
+        xhr.open(method, url);
+        Object.entries({ ...authHeaders(), ...(options.headers || {}) })
+            .forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        xhr.send(body);
     });
 }
 
 /**
- * Update upload progress display
- * @param {number} current - Current file number
- * @param {number} total - Total files
- * @param {string} message - Status message
+ * Upload a small file in one multipart request
+ * @param {Object} entry - Upload queue entry
+ * @returns {Promise} Upload result
  */
-function updateProgress(current, total, message) {
+function uploadSingleFile(entry) {
+    const formData = new FormData();
+    formData.append('file', entry.file);
+    formData.append('collection', currentCollectionId);
+    const { versionOf, duplicate } = uploadModeFields(entry);
+    if (versionOf) formData.append('version_of', versionOf);
+    if (duplicate) formData.append('duplicate', duplicate);
+    const { extractTables, preserveFormatting } = readIngestOptions();
+    formData.append('extract_tables', extractTables);
+    formData.append('preserve_formatting', preserveFormatting);
+
+    return sendUploadRequest(entry, 'POST', `${API_BASE}/upload`, formData, {
+        onProgress: (loaded, total) => setUploadPercent(entry, loaded / total)
+    });
+}
+
+/**
+ * Upload a large file in chunks through a resumable upload session. With an
+ * existing session (a retry) it continues from the server's offset.
+ * @param {Object} entry - Upload queue entry
+ * @returns {Promise} Upload result (the ingestion job)
+ */
+async function uploadResumable(entry) {
+    const file = entry.file;
+    let session = null;
+    let chunkSize = 0;
+
+    if (entry.uploadId) {
+        try {
+            ({ upload: session, chunkSize } = await sendUploadRequest(entry, 'GET', `${API_BASE}/uploads/${encodeURIComponent(entry.uploadId)}`));
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            entry.uploadId = null; // Expired; start over
+        }
+    }
+    if (!session) {
+        ({ upload: session, chunkSize } = await sendUploadRequest(entry, 'POST', `${API_BASE}/uploads`, JSON.stringify({
+            filename: file.name,
+            size: file.size,
+            collection: currentCollectionId,
+            ...uploadModeFields(entry),
+            ...readIngestOptions()
+        }), { headers: { 'Content-Type': 'application/json' } }));
+        entry.uploadId = session.id;
+    }
+
+    let offset = session.received;
+    setUploadPercent(entry, offset / file.size);
+    while (offset < file.size) {
+        throwIfUploadCancelled(entry);
+        const start = offset;
+        try {
+            ({ upload: session } = await sendUploadRequest(
+                entry,
+                'PUT',
+                `${API_BASE}/uploads/${encodeURIComponent(session.id)}?offset=${start}`,
+                file.slice(start, start + chunkSize),
+                {
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    onProgress: (loaded) => setUploadPercent(entry, (start + loaded) / file.size)
+                }
+            ));
+        } catch (error) {
+            // The server is at another offset (e.g. a chunk stored before its response was lost)
+            if (error.status !== 409 || !error.data?.upload) throw error;
+            session = error.data.upload;
+        }
+        offset = session.received;
+        setUploadPercent(entry, offset / file.size);
+    }
+
+    throwIfUploadCancelled(entry);
+    const result = await sendUploadRequest(entry, 'POST', `${API_BASE}/uploads/${encodeURIComponent(session.id)}/complete`);
+    entry.uploadId = null; // Completed: nothing left to resume or cancel
+    return result;
+}
+
+function throwIfUploadCancelled(entry) {
+    if (entry.status === 'cancelled') {
+        throw Object.assign(new Error('Upload cancelled'), { cancelled: true });
+    }
+}
+
+/**
+ * Render the Processing panel: the user's ingestion jobs with their current
+ * stage (files still being sent are shown on their file cards)
+ */
+function updateProgress() {
     const uploadProgress = document.getElementById('uploadProgress');
     if (!uploadProgress) return;
 
-    const percent = Math.round((current / total) * 100);
+    const rows = ingestJobs;
+    if (rows.length === 0) {
+        uploadProgress.classList.add('hidden');
+        uploadProgress.innerHTML = '';
+        return;
+    }
 
+    const active = rows.filter(isJobActive).length;
+    uploadProgress.classList.remove('hidden');
     uploadProgress.innerHTML = `
-        <div class="progress-header">
-            <span>${message}</span>
-            <span>${current} / ${total}</span>
+        <div class="progress-header processing-header">
+            <h3><i class="fas fa-cogs"></i> Processing</h3>
+            <span>${active ? `${active} in progress` : 'All done'}</span>
+            ${rows.length > active ? '<button class="btn btn-secondary" data-clear-jobs>Clear finished</button>' : ''}
         </div>
-        <div class="progress-bar">
-            <div class="progress-fill" style="width: ${percent}%"></div>
+        ${rows.map(renderJobProgress).join('')}
+    `;
+}
+
+/**
+ * One file's row in the Processing panel
+ * @param {Object} job - Ingestion job
+ * @returns {string} HTML
+ */
+function renderJobProgress(job) {
+    const [from, to] = JOB_STAGE_PROGRESS[job.stage] || [0, 0];
+    const fraction = job.total ? job.done / job.total : 0;
+    const percent = job.status === 'done' ? 100 : Math.round(from + (to - from) * fraction);
+    const stage = JOB_STAGE_LABELS[job.stage] || job.stage;
+
+    let status = stage;
+    if (job.status === 'done') {
+        const version = job.document?.version > 1 ? ` · version ${job.document.version}` : '';
+        const tables = job.document?.tablesExtracted ? ` · ${job.document.tablesExtracted} table(s)` : '';
+        status = job.document ? `Done${version} · ${job.document.chunksProcessed} chunks${tables} in ${job.document.processingTime}` : 'Done';
+    } else if (job.status === 'failed') {
+        status = `Failed while ${stage.toLowerCase()}: ${job.error}`;
+    } else if (job.status === 'interrupted') {
+        status = `Interrupted: ${job.error}`;
+    } else if (job.total && (job.stage === 'embedding' || job.stage === 'upserting')) {
+        status = `${stage} ${job.done} / ${job.total} chunks`;
+    }
+
+    const ext = job.filename.split('.').pop().toLowerCase();
+    return `
+        <div class="progress-item job-${job.status}">
+            <div class="progress-header">
+                <span><i class="fas fa-file-${getFileIconClass(ext)}"></i> ${escapeHtml(job.filename)}</span>
+                ${job.id && !isJobActive(job) ? `
+                    <button class="btn-icon" data-dismiss-job="${escapeHtml(job.id)}" title="Dismiss">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${percent}%"></div>
+            </div>
+            <div class="progress-status">${escapeHtml(status)}</div>
         </div>
     `;
 }
 
+function isJobActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+/**
+ * Add a job returned by /api/upload to the panel and start polling
+ * @param {Object} job - Ingestion job
+ */
+function trackIngestJob(job) {
+    if (!job) return;
+    ingestJobs = [job, ...ingestJobs.filter(j => j.id !== job.id)];
+    updateProgress();
+    scheduleJobPoll();
+}
+
+function scheduleJobPoll() {
+    clearTimeout(jobPollTimer);
+    jobPollTimer = ingestJobs.some(isJobActive) ? setTimeout(refreshIngestJobs, JOB_POLL_INTERVAL) : null;
+}
+
+/**
+ * Fetch the user's jobs; notify about jobs that finished since the last poll
+ * and refresh the documents list and collection counts when any succeeded
+ */
+async function refreshIngestJobs() {
+    try {
+        const response = await authFetch(`${API_BASE}/jobs`);
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+
+        const wasActive = new Set(ingestJobs.filter(isJobActive).map(j => j.id));
+        ingestJobs = data.jobs || [];
+        const finished = ingestJobs.filter(j => wasActive.has(j.id) && !isJobActive(j));
+        finished.forEach(notifyJobFinished);
+        if (finished.some(j => j.status === 'done')) {
+            if (typeof loadDocumentsList === 'function') {
+                loadDocumentsList();
+            }
+            loadCollections();
+        }
+    } catch (error) {
+        console.warn('Ingestion jobs unavailable:', error.message);
+    }
+    updateProgress();
+    scheduleJobPoll();
+}
+
+function notifyJobFinished(job) {
+    if (job.status === 'done') {
+        const tables = job.document?.tablesExtracted ? `, ${job.document.tablesExtracted} table(s)` : '';
+        showNotification(`${job.filename} is ready (${job.document?.chunksProcessed ?? 0} chunks${tables})`, 'success');
+    } else {
+        showNotification(`${job.filename} could not be processed: ${job.error}`, 'error');
+    }
+}
+
+/**
+ * Dismiss one finished job, or all finished jobs when no id is given
+ * @param {string} [jobId] - Job id
+ */
+async function dismissIngestJobs(jobId) {
+    const path = jobId ? `/jobs/${encodeURIComponent(jobId)}` : '/jobs';
+    try {
+        const response = await authFetch(`${API_BASE}${path}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+        ingestJobs = ingestJobs.filter(j => (jobId ? j.id !== jobId : isJobActive(j)));
+        updateProgress();
+    } catch (error) {
+        showNotification(`Could not dismiss: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Display upload results
  * @param {Object} results - Upload results
@@ -289,11 +899,29 @@ function displayUploadResults(results) {
         html += '<div class="results-success">';
         html += '<h4><i class="fas fa-check-circle"></i> Successfully Uploaded</h4>';
         results.success.forEach(item => {
+            let meta = 'Processing — see progress above';
+            if (item.document) meta = `${item.document.chunksProcessed} chunks${item.document.tablesExtracted ? `, ${item.document.tablesExtracted} table(s)` : ''} in ${item.document.processingTime}`;
+            else if (item.versionOf) meta = `New version of ${escapeHtml(item.versionOf)} — processing`;
             html += `
                 <div class="result-item success">
                     <i class="fas fa-file"></i>
                     <span>${escapeHtml(item.file)}</span>
-                    <span class="result-meta">${item.document.chunksProcessed} chunks in ${item.document.processingTime}</span>
+                    <span class="result-meta">${meta}</span>
+                </div>
+            `;
+        });
+        html += '</div>';
+    }
+
+    if (results.skipped?.length > 0) {
+        html += '<div class="results-warning">';
+        html += '<h4><i class="fas fa-clone"></i> Skipped Duplicates</h4>';
+        results.skipped.forEach(item => {
+            html += `
+                <div class="result-item warning">
+                    <i class="fas fa-file"></i>
+                    <span>${escapeHtml(item.file)}</span>
+                    <span class="result-meta">Identical to ${escapeHtml(describeUploadedDocument(item.duplicate))}</span>
                 </div>
             `;
         });
@@ -319,8 +947,12 @@ function displayUploadResults(results) {
 
     // Show notification
     if (typeof showNotification === 'function') {
-        if (results.failed.length === 0) {
-            showNotification(`${results.success.length} file(s) uploaded successfully`, 'success');
+        const skipped = results.skipped?.length || 0;
+        if (results.failed.length === 0 && results.success.length === 0) {
+            showNotification(`${skipped} duplicate file(s) skipped`, 'warning');
+        } else if (results.failed.length === 0) {
+            const note = skipped ? `, ${skipped} duplicate(s) skipped` : '';
+            showNotification(`${results.success.length} file(s) uploaded successfully${note}`, skipped ? 'warning' : 'success');
         } else if (results.success.length === 0) {
             showNotification('All uploads failed', 'error');
         } else {
@@ -339,6 +971,8 @@ function getFileIconClass(ext) {
         'pdf': 'pdf',
         'docx': 'word',
         'doc': 'word',
+        'xlsx': 'excel',
+        'xls': 'excel',
         'txt': 'alt',
         'csv': 'csv'
     };
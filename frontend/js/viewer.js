@@ -0,0 +1,305 @@
+/**
+ * Document Viewer Module
+ * Modal chunk browser for a single ingested document: ordered chunks with
+ * chunk/page labels, in-document search with highlighting, chunk jumps and
+ * links between the versions of a document
+ */
+
+const viewerState = {
+    documentId: null,
+    document: null,
+    chunks: [],
+    versions: [],     // version history, newest first
+    matches: [],      // chunk indexes containing the current search term
+    matchCursor: -1
+};
+
+/**
+ * Open the viewer for a document
+ * @param {string} documentId - Document ID
+ * @param {Object} options - Optional { chunkIndex, query } to focus on open
+ */
+async function openDocumentViewer(documentId, options = {}) {
+    const modal = document.getElementById('docViewerModal');
+    const chunksDiv = document.getElementById('docViewerChunks');
+    if (!modal || !chunksDiv) return;
+
+    viewerState.documentId = documentId;
+    viewerState.document = null;
+    viewerState.chunks = [];
+    viewerState.versions = [];
+    resetViewerSearch(options.query || '');
+
+    modal.classList.remove('hidden');
+    document.getElementById('docViewerTitle').textContent = 'Loading...';
+    document.getElementById('docViewerMeta').innerHTML = '';
+    document.getElementById('docViewerIndex').innerHTML = '';
+    chunksDiv.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Loading chunks...</div>';
+
+    try {
+        const response = await authFetch(`/api/docs/${encodeURIComponent(documentId)}/chunks`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        // Ignore late responses if another document was opened meanwhile
+        if (viewerState.documentId !== documentId) return;
+
+        viewerState.document = data.document;
+        viewerState.chunks = data.chunks || [];
+        viewerState.versions = data.versions || [];
+        renderViewerHeader();
+        renderViewerChunks();
+
+        if (options.query) {
+            runViewerSearch(options.query);
+        }
+        if (options.chunkIndex !== undefined && options.chunkIndex !== null) {
+            scrollToViewerChunk(options.chunkIndex);
+        }
+    } catch (error) {
+        console.error('Viewer error:', error);
+        chunksDiv.innerHTML = `<div class="error-state">Failed to load document: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Close the viewer modal
+ */
+function closeDocumentViewer() {
+    const modal = document.getElementById('docViewerModal');
+    if (modal) modal.classList.add('hidden');
+    viewerState.documentId = null;
+}
+
+/**
+ * Render title and metadata chips
+ */
+function renderViewerHeader() {
+    const doc = viewerState.document || {};
+    document.getElementById('docViewerTitle').textContent = doc.filename || 'Document';
+
+    const pages = new Set(viewerState.chunks.map(c => c.page_number).filter(p => p));
+    document.getElementById('docViewerMeta').innerHTML = `
+        <span class="chip">${escapeHtml((doc.file_type || 'unknown').toUpperCase())}</span>
+        <span class="chip">${viewerState.chunks.length} of ${doc.total_chunks || 0} chunks loaded</span>
+        ${pages.size ? `<span class="chip">${pages.size} pages</span>` : ''}
+        ${doc.upload_date ? `<span class="chip">${new Date(doc.upload_date).toLocaleString()}</span>` : ''}
+        ${renderViewerVersions()}
+    `;
+}
+
+/**
+ * Version links for documents uploaded more than once; a superseded version
+ * is flagged because search leaves it out by default
+ * @returns {string} HTML
+ */
+function renderViewerVersions() {
+    const versions = viewerState.versions;
+    if (versions.length < 2) return '';
+
+    const current = versions.find(v => v.document_id === viewerState.documentId);
+    return `
+        <div class="viewer-versions">
+            ${current && !current.latest ? `
+                <span class="viewer-version-note"><i class="fas fa-history"></i> Older version, excluded from search by default</span>
+            ` : ''}
+            ${versions.map(v => `
+                <button class="viewer-version ${v.document_id === viewerState.documentId ? 'active' : ''}"
+                        data-version="${escapeHtml(v.document_id)}"
+                        title="${escapeHtml(v.filename)} · ${v.upload_date ? new Date(v.upload_date).toLocaleString() : ''}">
+                    v${v.version}${v.latest ? ' (latest)' : ''}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the chunk list and the side index
+ */
+function renderViewerChunks() {
+    const chunksDiv = document.getElementById('docViewerChunks');
+    const indexNav = document.getElementById('docViewerIndex');
+    const term = document.getElementById('docViewerSearch')?.value.trim() || '';
+
+    if (viewerState.chunks.length === 0) {
+        chunksDiv.innerHTML = '<div class="empty-state">No chunks found for this document</div>';
+        indexNav.innerHTML = '';
+        return;
+    }
+
+    const matchSet = new Set(viewerState.matches);
+
+    chunksDiv.innerHTML = viewerState.chunks.map(chunk => `
+        <article class="viewer-chunk ${matchSet.has(chunk.chunk_index) ? 'has-match' : ''}" id="viewer-chunk-${chunk.chunk_index}" data-chunk="${chunk.chunk_index}">
+            <header class="viewer-chunk-header">
+                <span class="chip"><i class="fas fa-puzzle-piece"></i> Chunk ${chunk.chunk_index}</span>
+                ${chunk.page_number ? `<span class="chip"><i class="fas fa-file-alt"></i> Page ${chunk.page_number}</span>` : ''}
+                ${chunk.section ? `<span class="chip" title="Section"><i class="fas fa-heading"></i> ${escapeHtml(chunk.section)}</span>` : ''}
+                ${chunk.content_type === 'table' ? `<span class="chip"><i class="fas fa-table"></i> Table ${chunk.table_index || ''}</span>` : ''}
+                ${chunk.sheet ? `<span class="chip"><i class="fas fa-table"></i> ${escapeHtml(describeSheetRange(chunk))}</span>` : ''}
+            </header>
+            <div class="viewer-chunk-text">${highlightTerms(chunk.text, term ? [term] : [])}</div>
+        </article>
+    `).join('');
+
+    indexNav.innerHTML = viewerState.chunks.map(chunk => `
+        <button class="viewer-index-item ${matchSet.has(chunk.chunk_index) ? 'has-match' : ''}" data-chunk="${chunk.chunk_index}" title="${escapeHtml([chunk.page_number ? `Page ${chunk.page_number}` : '', chunk.section || '', describeSheetRange(chunk)].filter(Boolean).join(' · '))}">
+            ${chunk.chunk_index}${chunk.page_number ? ` <small>p${chunk.page_number}</small>` : ''}
+        </button>
+    `).join('');
+}
+
+/**
+ * Scroll a chunk into view and flash it
+ * @param {number} chunkIndex - Chunk index
+ */
+function scrollToViewerChunk(chunkIndex) {
+    const el = document.getElementById(`viewer-chunk-${chunkIndex}`);
+    if (!el) {
+        showNotification(`Chunk ${chunkIndex} not found`, 'warning');
+        return;
+    }
+    el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.querySelectorAll('.viewer-chunk.focused').forEach(c => c.classList.remove('focused'));
+    el.classList.add('focused');
+    document.querySelectorAll('.viewer-index-item.active').forEach(b => b.classList.remove('active'));
+    document.querySelector(`.viewer-index-item[data-chunk="${chunkIndex}"]`)?.classList.add('active');
+}
+
+/**
+ * Search within the loaded chunks
+ * @param {string} term - Search text
+ */
+function runViewerSearch(term) {
+    const needle = (term || '').trim().toLowerCase();
+    viewerState.matches = needle
+        ? viewerState.chunks.filter(c => (c.text || '').toLowerCase().includes(needle)).map(c => c.chunk_index)
+        : [];
+    viewerState.matchCursor = -1;
+    renderViewerChunks();
+    updateViewerMatchInfo();
+    if (viewerState.matches.length > 0) {
+        stepViewerMatch(1);
+    }
+}
+
+/**
+ * Move to the next/previous chunk with a match
+ * @param {number} direction - 1 or -1
+ */
+function stepViewerMatch(direction) {
+    const total = viewerState.matches.length;
+    if (total === 0) return;
+    viewerState.matchCursor = (viewerState.matchCursor + direction + total) % total;
+    scrollToViewerChunk(viewerState.matches[viewerState.matchCursor]);
+    updateViewerMatchInfo();
+}
+
+function updateViewerMatchInfo() {
+    const info = document.getElementById('docViewerMatchInfo');
+    if (!info) return;
+    const term = document.getElementById('docViewerSearch')?.value.trim();
+    if (!term) {
+        info.textContent = '';
+    } else if (viewerState.matches.length === 0) {
+        info.textContent = 'No matches';
+    } else {
+        info.textContent = `${viewerState.matchCursor + 1} / ${viewerState.matches.length} chunks`;
+    }
+}
+
+function resetViewerSearch(value) {
+    const input = document.getElementById('docViewerSearch');
+    if (input) input.value = value;
+    viewerState.matches = [];
+    viewerState.matchCursor = -1;
+    updateViewerMatchInfo();
+}
+
+/**
+ * Escape text and wrap every occurrence of the given terms in <mark>
+ * @param {string} text - Raw text
+ * @param {Array<string>} terms - Terms to highlight (case-insensitive)
+ * @returns {string} Safe HTML
+ */
+function highlightTerms(text, terms) {
+    const safe = escapeHtml(text || '');
+    const cleaned = (terms || [])
+        .map(t => escapeHtml(t.trim()))
+        .filter(t => t.length > 0)
+        .sort((a, b) => b.length - a.length)
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (cleaned.length === 0) return safe;
+    return safe.replace(new RegExp(`(${cleaned.join('|')})`, 'gi'), '<mark>$1</mark>');
+}
+
+/**
+ * Initialize viewer controls
+ */
+function initializeViewer() {
+    const modal = document.getElementById('docViewerModal');
+    if (!modal) return;
+
+    modal.addEventListener('click', (e) => {
+        if (e.target.closest('[data-close]')) {
+            closeDocumentViewer();
+            return;
+        }
+        const versionButton = e.target.closest('[data-version]');
+        if (versionButton) {
+            if (versionButton.dataset.version !== viewerState.documentId) {
+                openDocumentViewer(versionButton.dataset.version);
+            }
+            return;
+        }
+        const indexItem = e.target.closest('.viewer-index-item');
+        if (indexItem) {
+            scrollToViewerChunk(parseInt(indexItem.dataset.chunk));
+        }
+    });
+
+    const searchInput = document.getElementById('docViewerSearch');
+    if (searchInput) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => runViewerSearch(searchInput.value), 250);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                stepViewerMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+    }
+
+    document.getElementById('docViewerPrevMatch')?.addEventListener('click', () => stepViewerMatch(-1));
+    document.getElementById('docViewerNextMatch')?.addEventListener('click', () => stepViewerMatch(1));
+
+    const jumpInput = document.getElementById('docViewerJump');
+    if (jumpInput) {
+        jumpInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const idx = parseInt(jumpInput.value);
+                if (!isNaN(idx)) scrollToViewerChunk(idx);
+            }
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeDocumentViewer();
+        }
+    });
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeViewer);
+} else {
+    initializeViewer();
+}
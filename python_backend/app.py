@@ -1,22 +1,80 @@
 import os
+import json
 import time
-from flask import Flask, request, jsonify, send_from_directory
+from datetime import date
+from functools import wraps
+from flask import Flask, Response, g, request, jsonify, send_from_directory, stream_with_context
 from flask_cors import CORS
 
 from config import (
-    MAX_FILE_SIZE, MAX_FILES_PER_REQUEST, MAX_QUERY_LENGTH,
-    SUPPORTED_EXTENSIONS, PORT, DEBUG_MODE
+    MAX_FILE_SIZE, MAX_FILES_PER_REQUEST, MAX_QUERY_LENGTH, MAX_SEARCH_TOP_K, UPLOAD_CHUNK_SIZE,
+    SUPPORTED_EXTENSIONS, PORT, DEBUG_MODE, CONVERSATION_HISTORY_TURNS
 )
-from service import RAGService, DATA_DIR
+from service import RAGService, DATA_DIR, DEFAULT_COLLECTION
+from conversations import ConversationStore
+from chat_store import ChatStore
+from feedback import FeedbackStore
+from auth import UserStore
+from audit import AuditLog
+from jobs import IngestJobStore
+from uploads import UploadSessionStore, UploadOffsetMismatch, UploadCompleting
+import evaluation
 
 # Flask API for Financial RAG Chatbot
 # Modular backend serving:
+# Every /api route except health and the login/setup routes needs
+# `Authorization: Bearer <token>` (login session or API token); admin routes need the admin role.
 # Endpoints:
 #  - GET  /api/health
-#  - POST /api/upload         (multipart form: files[])
-#  - POST /api/chat           { message, topK, includeContext }
-#  - GET  /api/docs           list ingested docs
-#  - DELETE /api/docs/<id>    delete a document
+#  - GET  /api/auth/status    { setupRequired } (public)
+#  - POST /api/auth/setup     { username, password } create the first (admin) account (public, once)
+#  - POST /api/auth/login     { username, password } -> { token, user } (public)
+#  - POST /api/auth/logout    end the current session
+#  - GET  /api/auth/me        current user
+#  - GET/POST /api/auth/tokens        list / create API tokens { name }
+#  - DELETE /api/auth/tokens/<id>     revoke an API token
+#  - GET/POST /api/auth/users         ADMIN: list / create users { username, password, role }
+#  - GET/POST /api/collections        list your collections (with document counts) / create one { name }
+#  - PATCH/DELETE /api/collections/<id>  rename { name } / delete with its documents
+#  - POST /api/upload         (multipart form: files[], collection?, version_of?, duplicate=skip|allow,
+#                             extract_tables?, preserve_formatting?) -> 202 with one ingestion job per file; files identical to one of your
+#                             documents are skipped. ?wait=1 processes in the request and returns the documents
+#  - POST /api/uploads        { filename, size, collection, versionOf, duplicate, extractTables, preserveFormatting } open a resumable (chunked) upload -> { upload, chunkSize }
+#  - GET  /api/uploads/<id>   session with the `received` offset to resume from
+#  - PUT  /api/uploads/<id>?offset=N   raw chunk bytes at offset N (409 with the session on a mismatch)
+#  - POST /api/uploads/<id>/complete   hand the file to an ingestion job (same response as /api/upload)
+#  - DELETE /api/uploads/<id> cancel a resumable upload
+#  - GET  /api/jobs           your ingestion jobs, newest first (?active=1: queued/running only)
+#  - GET  /api/jobs/<id>      one job: status, stage, done/total, document or error
+#  - DELETE /api/jobs/<id>    dismiss a finished job; DELETE /api/jobs dismisses all finished ones
+#  - POST /api/chat           { message, topK, includeContext, conversationId, filters, collection }
+#  - POST /api/chat/stream    same body; Server-Sent Events (meta, token, citations, done, error)
+#  - POST /api/search         { query, topK, threshold, filters, collection }  vector retrieval only (no LLM)
+#  - POST /api/search/hybrid  same body; vector + BM25 keyword fusion
+#  - GET  /api/docs           list your ingested docs, ?collection=<id> for one collection
+#                             (current versions only, ?versions=all adds superseded ones;
+#                             admins: ?all=1 for everyone's)
+#  - POST /api/docs/duplicates   { hashes: [sha256...] } -> your documents with identical content
+#  - GET  /api/docs/<id>/versions  version history of a document, newest first
+#  - GET  /api/docs/<id>/chunks  document metadata, version history and its stored chunks
+#  - GET  /api/docs/<id>/chunks/<n>?window=1  one chunk with its neighbours
+#  - DELETE /api/docs/<id>    delete a document (yours; admins: any)
+#  - POST /api/chat/title     suggest a chat title from the first exchange
+#  - GET/POST /api/chats      list (with the sidebar folders) / create chat sessions
+#  - PUT /api/chats/folders   replace the sidebar folders { folders, updated }
+#  - GET/PUT/PATCH/DELETE /api/chats/<id>   read / replace / rename / delete a session
+#  - POST /api/chats/<id>/messages          append a message
+#  - POST /api/feedback       rate an answer (thumbs up/down + reason)
+#  - GET  /api/feedback?rating=down   ADMIN: list feedback, newest first
+#  - PUT/DELETE /api/feedback/<id>    change or remove your rating (admins: any)
+#  - POST /api/eval           ADMIN: run a golden question set (multipart: golden, documents[]; or JSON)
+#  - GET  /api/eval/runs      ADMIN: saved evaluation runs (summaries)
+#  - GET/DELETE /api/eval/runs/<id>   ADMIN: one full report / remove it
+#  - GET  /api/admin/index           ADMIN: store stats, per-document vector counts, orphaned vectors
+#  - POST /api/admin/reconcile       ADMIN: delete orphaned vectors, reindex incomplete documents
+#  - POST /api/admin/docs/<id>/reindex   ADMIN: re-embed one document from its stored text
+#  - POST /api/admin/flush-vectors    ADMIN: delete every vector (alias: /api/admin/flush-pinecone)
+#  - GET  /api/admin/audit?limit=100  ADMIN: maintenance actions, newest first
 #  - GET  /                   serve frontend
 
 app = Flask(
@@ -29,6 +87,55 @@ CORS(app, resources={r"/api/*": {"origins": "*"}})
 # SERVICE INITIALIZATION
 ALLOWED_EXTENSIONS = SUPPORTED_EXTENSIONS  # Import from config
 rag = RAGService()
+conversations = ConversationStore()
+chat_store = ChatStore()
+feedback_store = FeedbackStore()
+users = UserStore()
+audit_log = AuditLog()
+ingest_jobs = IngestJobStore()
+upload_sessions = UploadSessionStore()
+if not users.has_users():
+    print("• No user accounts yet: open the app to create the admin account")
+
+# Reachable without a token
+PUBLIC_API_PATHS = {"/api/health", "/api/auth/status", "/api/auth/setup", "/api/auth/login"}
+
+
+# AUTHENTICATION
+
+def bearer_token() -> str | None:
+    header = request.headers.get("Authorization", "")
+    return header[7:].strip() if header.lower().startswith("bearer ") else None
+
+
+@app.before_request
+def require_login():
+    """Resolve the bearer token to g.user; 401 for protected routes without a valid one."""
+    if request.method == "OPTIONS" or not request.path.startswith("/api/") or request.path in PUBLIC_API_PATHS:
+        return None
+    user = users.resolve(bearer_token())
+    if not user:
+        return jsonify({"success": False, "error": "Authentication required"}), 401
+    g.user = user
+    return None
+
+
+def current_user_id() -> str:
+    return g.user["id"]
+
+
+def is_admin() -> bool:
+    return g.user.get("role") == "admin"
+
+
+def admin_required(view):
+    """Route decorator: 403 unless the caller has the admin role."""
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        if not is_admin():
+            return jsonify({"success": False, "error": "Admin role required"}), 403
+        return view(*args, **kwargs)
+    return wrapper
 
 
 # UTILITY FUNCTIONS
@@ -38,6 +145,209 @@ def allowed_file(filename: str) -> bool:
     return any(filename.lower().endswith(ext) for ext in ALLOWED_EXTENSIONS)
 
 
+def upload_summary(info: dict, elapsed_ms: int) -> dict:
+    """Upload response / job result for an ingested document."""
+    return {
+        "document_id": info.get("document_id"),
+        "filename": info.get("filename"),
+        "collection": info.get("collection"),
+        "chunksProcessed": info.get("total_chunks") or 0,
+        "processingTime": f"{elapsed_ms} ms",
+        "version": info.get("version") or 1,
+        "tablesExtracted": info.get("tables") or 0,
+    }
+
+
+def check_upload(filename: str, size: int):
+    """Raise ValueError when a file may not be uploaded."""
+    if not filename:
+        raise ValueError("Invalid file")
+    if not allowed_file(filename):
+        raise ValueError(f"File type not allowed. Allowed: {', '.join(ALLOWED_EXTENSIONS)}")
+    if size > MAX_FILE_SIZE:
+        raise ValueError(f"File too large (max {MAX_FILE_SIZE // 1024 // 1024}MB)")
+
+
+def parse_upload_options(values) -> tuple:
+    """Read `version_of` (document id the file is a new version of) and
+    `duplicate` ("skip", the default, or "allow") from form fields or a JSON body."""
+    version_of = values.get("version_of") or values.get("versionOf") or None
+    if version_of and not rag.get_document(str(version_of), current_user_id()):
+        raise ValueError("Unknown document to add a version to")
+    duplicate = values.get("duplicate") or "skip"
+    if duplicate not in ("skip", "allow"):
+        raise ValueError("duplicate must be 'skip' or 'allow'")
+    return version_of, duplicate == "allow"
+
+
+def parse_ingest_options(values) -> dict:
+    """Read the `extract_tables` and `preserve_formatting` ingestion options
+    (both on by default) from form fields ("true"/"false") or a JSON body
+    (booleans, camelCase accepted). Returns add_document keyword arguments."""
+    options = {}
+    for name, camel in (("extract_tables", "extractTables"), ("preserve_formatting", "preserveFormatting")):
+        value = values.get(name, values.get(camel))
+        if value is None:
+            options[name] = True
+        elif isinstance(value, bool):
+            options[name] = value
+        elif str(value).lower() in ("1", "true", "on", "yes", "0", "false", "off", "no"):
+            options[name] = str(value).lower() in ("1", "true", "on", "yes")
+        else:
+            raise ValueError(f"{name} must be true or false")
+    return options
+
+
+def ingest_upload(filename: str, content: bytes, collection: str, wait: bool = False,
+                  version_of: str | None = None, allow_duplicate: bool = False,
+                  options: dict | None = None) -> dict:
+    """Queue an ingestion job for an uploaded file, or with `wait` process it
+    now. Returns the upload response for that file. A file identical to one
+    of the caller's documents is skipped (`duplicate` names that document)
+    unless `allow_duplicate`."""
+    owner = current_user_id()
+    if not allow_duplicate:
+        existing = rag.find_duplicates([rag.content_hash(content)], owner)
+        if existing:
+            return {"success": True, "skipped": True, "duplicate": next(iter(existing.values()))}
+
+    def ingest(progress=None):
+        start = time.perf_counter()
+        info = rag.add_document(filename, content, owner=owner, collection=collection, progress=progress,
+                                version_of=version_of, **(options or {}))
+        return upload_summary(info, int((time.perf_counter() - start) * 1000))
+
+    if wait:
+        return {"success": True, "document": ingest()}
+    return {"success": True, "job": ingest_jobs.submit(owner, filename, collection, len(content), ingest)}
+
+
+def upload_completion_response(result: dict):
+    """Response for a completed upload session, with the job's current state."""
+    if result.get("job"):
+        result = {**result, "job": ingest_jobs.get(result["job"]["id"]) or result["job"]}
+    return jsonify(result), 202 if result.get("job") else 200
+
+
+def parse_chat_request(data: dict):
+    """Validate a chat request body.
+    Returns (message, top_k, include_context); raises ValueError with a user-facing message."""
+    message = (data.get("message") or "").strip()
+    try:
+        top_k = int(data.get("topK") or 5)
+    except (TypeError, ValueError):
+        raise ValueError("Invalid input format")
+    include_context = bool(data.get("includeContext", True))
+
+    if not message:
+        raise ValueError("message is required")
+    if len(message) > MAX_QUERY_LENGTH:
+        raise ValueError(f"Message too long (max {MAX_QUERY_LENGTH} chars)")
+    if top_k < 1 or top_k > 20:
+        raise ValueError("topK must be between 1 and 20")
+    return message, top_k, include_context
+
+
+def parse_search_request(data: dict):
+    """Validate a search request body.
+    Returns (query, top_k, threshold); raises ValueError with a user-facing message."""
+    query = (data.get("query") or "").strip()
+    try:
+        top_k = int(data.get("topK") or 10)
+        threshold = float(data.get("threshold") or 0.0)
+    except (TypeError, ValueError):
+        raise ValueError("Invalid input format")
+
+    if not query:
+        raise ValueError("query is required")
+    if len(query) > MAX_QUERY_LENGTH:
+        raise ValueError(f"Query too long (max {MAX_QUERY_LENGTH} chars)")
+    if top_k < 1 or top_k > MAX_SEARCH_TOP_K:
+        raise ValueError(f"topK must be between 1 and {MAX_SEARCH_TOP_K}")
+    if threshold < 0 or threshold > 1:
+        raise ValueError("threshold must be between 0 and 1")
+    return query, top_k, threshold
+
+
+def parse_filters(data: dict):
+    """Validate optional retrieval filters:
+    { documentIds: [...], fileTypes: [...], uploadedFrom: "YYYY-MM-DD", uploadedTo: "YYYY-MM-DD",
+      includeOldVersions: bool }.
+    Returns a dict for RAGService (None when nothing is restricted); raises ValueError."""
+    raw = data.get("filters")
+    if not raw:
+        return None
+    if not isinstance(raw, dict):
+        raise ValueError("filters must be an object")
+
+    def string_list(key):
+        value = raw.get(key) or []
+        if not isinstance(value, list) or not all(isinstance(v, str) for v in value):
+            raise ValueError(f"filters.{key} must be a list of strings")
+        return [v.strip() for v in value if v.strip()]
+
+    def day(key):
+        value = raw.get(key)
+        if not value:
+            return None
+        try:
+            return date.fromisoformat(str(value)).isoformat()
+        except ValueError:
+            raise ValueError(f"filters.{key} must be a date (YYYY-MM-DD)")
+
+    filters = {
+        "document_ids": string_list("documentIds"),
+        "file_types": [t.lstrip(".").lower() for t in string_list("fileTypes")],
+        "uploaded_from": day("uploadedFrom"),
+        "uploaded_to": day("uploadedTo"),
+        "include_old_versions": raw.get("includeOldVersions") is True,
+    }
+    if filters["uploaded_from"] and filters["uploaded_to"] and filters["uploaded_from"] > filters["uploaded_to"]:
+        raise ValueError("filters.uploadedFrom must not be after filters.uploadedTo")
+    return filters if any(filters.values()) else None
+
+
+def parse_collection(value) -> str | None:
+    """Validate an optional collection id against the caller's collections.
+    Returns None when absent (retrieval then covers all of the caller's documents)."""
+    if value in (None, ""):
+        return None
+    if not isinstance(value, str) or not rag.get_collection(value, current_user_id()):
+        raise ValueError("Unknown collection")
+    return value
+
+
+def parse_history_seed(seed) -> list:
+    """Validate client-supplied turns [{question, answer}] for seeding a conversation."""
+    if seed is None:
+        return []
+    if not isinstance(seed, list):
+        raise ValueError("history must be a list")
+    turns = []
+    for turn in seed:
+        if not isinstance(turn, dict) or not isinstance(turn.get("question"), str) \
+                or not isinstance(turn.get("answer"), str):
+            raise ValueError("history entries need string question and answer")
+        turns.append({"question": turn["question"], "answer": turn["answer"]})
+    return turns
+
+
+def resolve_conversation(data: dict):
+    """Continue the client's conversation or mint a new one, seeded with the
+    client's visible turns when it sends them (e.g. after editing a message).
+    Another user's conversationId also starts a new one. Returns (conversation_id, recent turns)."""
+    conversation_id = data.get("conversationId")
+    owner = current_user_id()
+    if not conversations.exists(conversation_id, owner):
+        conversation_id = conversations.create(parse_history_seed(data.get("history")), owner)
+    return conversation_id, conversations.recent_turns(conversation_id, CONVERSATION_HISTORY_TURNS)
+
+
+def sse_event(event: str, payload: dict) -> str:
+    """Format a single Server-Sent Events frame."""
+    return f"event: {event}\ndata: {json.dumps(payload, ensure_ascii=False)}\n\n"
+
+
 # API ENDPOINTS
 
 @app.get("/api/health")
@@ -46,9 +356,105 @@ def health():
     return jsonify(rag.health())
 
 
+@app.get("/api/auth/status")
+def auth_status():
+    """Whether the first (admin) account still has to be created"""
+    return jsonify({"success": True, "setupRequired": not users.has_users()})
+
+
+@app.post("/api/auth/setup")
+def auth_setup():
+    """Create the first account (admin). Documents and chats from before accounts existed go to it."""
+    try:
+        if users.has_users():
+            return jsonify({"success": False, "error": "Setup already completed"}), 409
+        data = request.get_json(force=True, silent=True) or {}
+        user = users.create_user(data.get("username"), data.get("password"), role="admin", first=True)
+        docs_claimed = rag.claim_unowned(user["id"])
+        chats_claimed = chat_store.claim_unowned(user["id"])
+        print(f"✓ Admin account created ({user['username']}); claimed {docs_claimed} document(s), {chats_claimed} chat(s)")
+        token, _ = users.issue_token(user["id"])
+        return jsonify({"success": True, "token": token, "user": user}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Setup failed: {str(e)}"}), 500
+
+
+@app.post("/api/auth/login")
+def auth_login():
+    """Exchange { username, password } for a session token"""
+    data = request.get_json(force=True, silent=True) or {}
+    user = users.authenticate(data.get("username"), data.get("password"))
+    if not user:
+        return jsonify({"success": False, "error": "Invalid username or password"}), 401
+    token, info = users.issue_token(user["id"])
+    return jsonify({"success": True, "token": token, "expires": info["expires"], "user": user})
+
+
+@app.post("/api/auth/logout")
+def auth_logout():
+    """End the session of the token used for this request"""
+    users.revoke(bearer_token())
+    return jsonify({"success": True})
+
+
+@app.get("/api/auth/me")
+def auth_me():
+    """The authenticated user"""
+    return jsonify({"success": True, "user": g.user})
+
+
+@app.get("/api/auth/tokens")
+def list_api_tokens():
+    """The caller's API tokens (never the secrets)"""
+    return jsonify({"success": True, "tokens": users.list_tokens(current_user_id())})
+
+
+@app.post("/api/auth/tokens")
+def create_api_token():
+    """Create an API token { name }; the secret is returned only in this response"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        token, info = users.issue_token(current_user_id(), kind="api", name=data.get("name"))
+        return jsonify({"success": True, "token": token, "tokenInfo": info}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+
+
+@app.delete("/api/auth/tokens/<token_id>")
+def revoke_api_token(token_id: str):
+    """Revoke one of the caller's API tokens"""
+    if not users.revoke_api_token(current_user_id(), token_id):
+        return jsonify({"success": False, "error": "Token not found"}), 404
+    return jsonify({"success": True})
+
+
+@app.get("/api/auth/users")
+@admin_required
+def list_users():
+    """ADMIN: all accounts"""
+    return jsonify({"success": True, "users": users.list_users()})
+
+
+@app.post("/api/auth/users")
+@admin_required
+def create_user():
+    """ADMIN: create an account { username, password, role? }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        user = users.create_user(data.get("username"), data.get("password"), data.get("role") or "user")
+        return jsonify({"success": True, "user": user}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+
+
 @app.post("/api/upload")
 def upload():
-    """Upload one or more documents with security validation (single/multi unified)."""
+    """Upload one or more documents with security validation (single/multi unified).
+    Files are validated here and processed by background ingestion jobs; the
+    response (202) carries each file's job. ?wait=1 processes them in the
+    request instead and returns the documents (200)."""
     try:
         print(f"\nUpload request received")
 
@@ -63,6 +469,13 @@ def upload():
             return jsonify({"success": False, "error": "No files uploaded"}), 400
         if len(files) > MAX_FILES_PER_REQUEST:
             return jsonify({"success": False, "error": f"Too many files (max {MAX_FILES_PER_REQUEST})"}), 400
+        collection = parse_collection(request.form.get("collection")) or DEFAULT_COLLECTION
+        version_of, allow_duplicate = parse_upload_options(request.form)
+        if version_of and len(files) > 1:
+            raise ValueError("Upload one file at a time as a new version")
+        options = parse_ingest_options(request.form)
+        # Scripts can keep the old behaviour: process in the request and return the document
+        wait = request.args.get("wait") in ("1", "true")
 
         def handle_file(f):
             if not f or not f.filename:
@@ -72,18 +485,7 @@ def upload():
             content = f.read(MAX_FILE_SIZE + 1)
             if len(content) > MAX_FILE_SIZE:
                 return {"success": False, "filename": f.filename, "error": f"File too large (max {MAX_FILE_SIZE // 1024 // 1024}MB)"}
-            start = time.perf_counter()
-            info = rag.add_document(f.filename, content)
-            elapsed_ms = int((time.perf_counter() - start) * 1000)
-            return {
-                "success": True,
-                "document": {
-                    "document_id": info.get("document_id"),
-                    "filename": info.get("filename"),
-                    "chunksProcessed": info.get("total_chunks") or 0,
-                    "processingTime": f"{elapsed_ms} ms",
-                }
-            }
+            return ingest_upload(f.filename, content, collection, wait, version_of, allow_duplicate, options)
 
         results = []
         for f in files:
@@ -97,83 +499,741 @@ def upload():
         # For single-file requests, return a simplified shape for frontend compatibility
         if len(files) == 1:
             r0 = results[0]
-            status = 200 if r0.get("success") else (400 if "Invalid" in r0.get("error", "") else 500)
+            queued = r0.get("success") and not wait and not r0.get("skipped")
+            status = (202 if queued else 200) if r0.get("success") else (400 if "Invalid" in r0.get("error", "") else 500)
             return jsonify(r0), status
 
         ok = all(r.get("success") for r in results)
-        return jsonify({"success": ok, "results": results})
+        queued = not wait and any(r.get("success") and not r.get("skipped") for r in results)
+        return jsonify({"success": ok, "results": results}), 202 if queued else 200
+
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Upload failed: {str(e)}"}), 500
+
+@app.post("/api/uploads")
+def create_upload_session():
+    """Open a resumable upload; the client then PUTs chunks of `chunkSize` bytes"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        filename = os.path.basename(str(data.get("filename") or ""))
+        try:
+            size = int(data.get("size"))
+        except (TypeError, ValueError):
+            raise ValueError("size must be an integer")
+        if size <= 0:
+            raise ValueError("File is empty")
+        check_upload(filename, size)
+        collection = parse_collection(data.get("collection")) or DEFAULT_COLLECTION
+        version_of, allow_duplicate = parse_upload_options(data)
+        session = upload_sessions.create(current_user_id(), filename, collection, size, version_of, allow_duplicate,
+                                         parse_ingest_options(data))
+        return jsonify({"success": True, "upload": session, "chunkSize": UPLOAD_CHUNK_SIZE}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Upload failed: {str(e)}"}), 500
+
+
+@app.get("/api/uploads/<upload_id>")
+def get_upload_session(upload_id: str):
+    """A resumable upload with the offset to continue from"""
+    session = upload_sessions.get(upload_id, owner=current_user_id())
+    if not session:
+        return jsonify({"success": False, "error": "Upload not found"}), 404
+    return jsonify({"success": True, "upload": session, "chunkSize": UPLOAD_CHUNK_SIZE})
 
+
+@app.put("/api/uploads/<upload_id>")
+def put_upload_chunk(upload_id: str):
+    """Store one chunk; `offset` must equal the bytes received so far"""
+    try:
+        session = upload_sessions.get(upload_id, owner=current_user_id())
+        if not session:
+            return jsonify({"success": False, "error": "Upload not found"}), 404
+        try:
+            offset = int(request.args.get("offset", ""))
+        except ValueError:
+            raise ValueError("offset must be an integer")
+        chunk = request.get_data(cache=False)
+        if not chunk or len(chunk) > UPLOAD_CHUNK_SIZE:
+            raise ValueError(f"Chunks must be 1 to {UPLOAD_CHUNK_SIZE} bytes")
+        return jsonify({"success": True, "upload": upload_sessions.append(upload_id, chunk, offset)})
+    except UploadOffsetMismatch as e:
+        # e.g. a retried chunk that had already arrived; the client resumes from `received`
+        return jsonify({"success": False, "error": str(e), "upload": e.session}), 409
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
     except Exception as e:
         return jsonify({"success": False, "error": f"Upload failed: {str(e)}"}), 500
 
+
+@app.post("/api/uploads/<upload_id>/complete")
+def complete_upload_session(upload_id: str):
+    """Finish a resumable upload and queue its ingestion job (?wait=1 processes it now).
+    Completing again returns the first outcome (e.g. the job) instead of ingesting twice"""
+    claimed = False
+    try:
+        session = upload_sessions.begin_completion(upload_id, current_user_id())
+        if not session:
+            return jsonify({"success": False, "error": "Upload not found"}), 404
+        if session.get("result"):
+            return upload_completion_response(session["result"])
+        claimed = True
+        if session["received"] != session["size"]:
+            raise ValueError(f"Upload incomplete: {session['received']} of {session['size']} bytes received")
+        if not rag.get_collection(session["collection"], current_user_id()):
+            raise ValueError("Unknown collection")
+        if session.get("version_of") and not rag.get_document(session["version_of"], current_user_id()):
+            raise ValueError("Unknown document to add a version to")
+        wait = request.args.get("wait") in ("1", "true")
+        content = upload_sessions.read(upload_id)
+        result = ingest_upload(session["filename"], content, session["collection"], wait,
+                               session.get("version_of"), session.get("allow_duplicate", False),
+                               session.get("options"))
+        # Only now: a failed request keeps the bytes so the client can complete again without re-sending
+        upload_sessions.finish_completion(upload_id, result)
+        claimed = False
+        return upload_completion_response(result)
+    except UploadCompleting as e:
+        return jsonify({"success": False, "error": str(e)}), 409
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Upload failed: {str(e)}"}), 500
+    finally:
+        if claimed:
+            upload_sessions.abort_completion(upload_id)
+
+
+@app.delete("/api/uploads/<upload_id>")
+def cancel_upload_session(upload_id: str):
+    """Cancel a resumable upload and delete its partial data"""
+    if not upload_sessions.get(upload_id, owner=current_user_id()):
+        return jsonify({"success": False, "error": "Upload not found"}), 404
+    upload_sessions.discard(upload_id)
+    return jsonify({"success": True})
+
+
+@app.get("/api/jobs")
+def list_jobs():
+    """The caller's ingestion jobs, newest first"""
+    jobs = ingest_jobs.list(owner=current_user_id(), limit=50)
+    if request.args.get("active") in ("1", "true"):
+        jobs = [j for j in jobs if j["status"] in ("queued", "running")]
+    return jsonify({"success": True, "jobs": jobs})
+
+
+@app.get("/api/jobs/<job_id>")
+def get_job(job_id: str):
+    """One ingestion job with its current stage"""
+    job = ingest_jobs.get(job_id, owner=current_user_id())
+    if not job:
+        return jsonify({"success": False, "error": "Job not found"}), 404
+    return jsonify({"success": True, "job": job})
+
+
+@app.delete("/api/jobs/<job_id>")
+def dismiss_job(job_id: str):
+    """Remove a finished job from the caller's list"""
+    try:
+        if not ingest_jobs.dismiss(job_id, owner=current_user_id()):
+            return jsonify({"success": False, "error": "Job not found"}), 404
+        return jsonify({"success": True})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+
+
+@app.delete("/api/jobs")
+def clear_jobs():
+    """Remove all of the caller's finished jobs"""
+    return jsonify({"success": True, "removed": ingest_jobs.clear_finished(owner=current_user_id())})
+
+
 @app.post("/api/chat")
 def chat():
     """Chat with RAG context with input validation"""
     try:
         data = request.get_json(force=True, silent=True) or {}
-        message = (data.get("message") or "").strip()
-        top_k = int(data.get("topK") or 5)
-        include_context = bool(data.get("includeContext", True))
-        
-        # Validation
-        if not message:
-            return jsonify({"success": False, "error": "message is required"}), 400
-        if len(message) > MAX_QUERY_LENGTH:
-            return jsonify({"success": False, "error": f"Message too long (max {MAX_QUERY_LENGTH} chars)"}), 400
-        if top_k < 1 or top_k > 20:
-            return jsonify({"success": False, "error": "topK must be between 1 and 20"}), 400
-
-        answer, citations = rag.answer(message, top_k, include_context)
+        message, top_k, include_context = parse_chat_request(data)
+        filters = parse_filters(data)
+        collection = parse_collection(data.get("collection"))
+        conversation_id, history = resolve_conversation(data)
+        standalone = rag.rewrite_query(message, history)
+
+        answer, citations = rag.answer(
+            message, top_k, include_context, history=history, search_query=standalone, filters=filters,
+            owner=current_user_id(), collection=collection
+        )
+        conversations.append_turn(conversation_id, message, answer, standalone)
         return jsonify({
             "success": True,
             "response": answer,
-            "citations": citations
+            "citations": citations,
+            "conversationId": conversation_id,
+            "standaloneQuery": standalone,
+            "model": rag.answer_model(),
         })
     except ValueError as e:
-        return jsonify({"success": False, "error": "Invalid input format"}), 400
+        return jsonify({"success": False, "error": str(e)}), 400
     except Exception as e:
         return jsonify({"success": False, "error": f"Chat failed: {str(e)}"}), 500
 
 
+@app.post("/api/chat/stream")
+def chat_stream():
+    """Chat with RAG context, streaming the answer as Server-Sent Events"""
+    data = request.get_json(force=True, silent=True) or {}
+    try:
+        message, top_k, include_context = parse_chat_request(data)
+        filters = parse_filters(data)
+        collection = parse_collection(data.get("collection"))
+        conversation_id, history = resolve_conversation(data)
+        owner = current_user_id()
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+
+    def generate():
+        parts = []
+        standalone = message
+        try:
+            standalone = rag.rewrite_query(message, history)
+            yield sse_event("meta", {
+                "conversationId": conversation_id, "standaloneQuery": standalone, "model": rag.answer_model()
+            })
+            for event in rag.answer_stream(
+                message, top_k, include_context, history=history, search_query=standalone, filters=filters,
+                owner=owner, collection=collection
+            ):
+                kind = event.pop("type")
+                if kind == "token":
+                    parts.append(event.get("text", ""))
+                yield sse_event(kind, event)
+                if kind == "error":
+                    return
+            conversations.append_turn(conversation_id, message, "".join(parts), standalone)
+            yield sse_event("done", {"success": True, "conversationId": conversation_id})
+        except GeneratorExit:
+            # Client stopped the stream; remember the partial answer so follow-ups still resolve
+            if parts:
+                conversations.append_turn(conversation_id, message, "".join(parts) + " [interrupted]", standalone)
+            raise
+        except Exception as e:
+            yield sse_event("error", {"error": f"Chat failed: {str(e)}"})
+
+    return Response(
+        stream_with_context(generate()),
+        mimetype="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
+def run_search(search_fn, search_type: str):
+    """Shared handler for the search endpoints."""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        query, top_k, threshold = parse_search_request(data)
+        filters = parse_filters(data)
+        collection = parse_collection(data.get("collection"))
+
+        start = time.perf_counter()
+        results = search_fn(query, top_k, threshold, filters=filters, owner=current_user_id(), collection=collection)
+        elapsed_ms = int((time.perf_counter() - start) * 1000)
+        return jsonify({
+            "success": True,
+            "query": query,
+            "searchType": search_type,
+            "results": results,
+            "resultsCount": len(results),
+            "executionTime": f"{elapsed_ms} ms",
+        })
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Search failed: {str(e)}"}), 500
+
+
+@app.post("/api/search")
+def search():
+    """Semantic (vector) search over document chunks"""
+    return run_search(rag.semantic_search, "semantic")
+
+
+@app.post("/api/search/hybrid")
+def search_hybrid():
+    """Hybrid search: vector similarity fused with BM25 keyword scores"""
+    return run_search(rag.hybrid_search, "hybrid")
+
+
+@app.get("/api/collections")
+def list_collections():
+    """List the caller's collections, the default one first"""
+    try:
+        return jsonify({"success": True, "collections": rag.list_collections(current_user_id())})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to list collections: {str(e)}"}), 500
+
+
+@app.post("/api/collections")
+def create_collection():
+    """Create a collection { name }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        collection = rag.create_collection(data.get("name"), current_user_id())
+        return jsonify({"success": True, "collection": collection}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to create collection: {str(e)}"}), 500
+
+
+@app.patch("/api/collections/<collection_id>")
+def rename_collection(collection_id: str):
+    """Rename a collection { name }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        collection = rag.rename_collection(collection_id, data.get("name"), current_user_id())
+        if not collection:
+            return jsonify({"success": False, "error": "Collection not found"}), 404
+        return jsonify({"success": True, "collection": collection})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to rename collection: {str(e)}"}), 500
+
+
+@app.delete("/api/collections/<collection_id>")
+def delete_collection(collection_id: str):
+    """Delete a collection together with its documents"""
+    try:
+        deleted = rag.delete_collection(collection_id, current_user_id())
+        if deleted is None:
+            return jsonify({"success": False, "error": "Collection not found"}), 404
+        return jsonify({"success": True, "deletedDocuments": deleted})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Delete failed: {str(e)}"}), 500
+
+
 @app.get("/api/docs")
 def docs():
-    """List all ingested documents"""
+    """List the caller's documents, optionally of one collection; admins get everyone's with ?all=1.
+    Only current versions unless ?versions=all"""
     try:
-        return jsonify({"success": True, "documents": rag.list_documents()})
+        everyone = is_admin() and request.args.get("all") in ("1", "true")
+        collection = parse_collection(request.args.get("collection"))
+        old_versions = request.args.get("versions") == "all"
+        documents = rag.list_documents(None if everyone else current_user_id(), collection, old_versions)
+        return jsonify({"success": True, "documents": documents})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
     except Exception as e:
         return jsonify({"success": False, "error": f"Failed to list documents: {str(e)}"}), 500
 
 
+@app.post("/api/docs/duplicates")
+def doc_duplicates():
+    """Which of the given SHA-256 content hashes match the caller's documents"""
+    data = request.get_json(force=True, silent=True) or {}
+    hashes = data.get("hashes")
+    if not isinstance(hashes, list) or not all(isinstance(h, str) for h in hashes) or len(hashes) > 100:
+        return jsonify({"success": False, "error": "hashes must be a list of up to 100 strings"}), 400
+    return jsonify({"success": True, "duplicates": rag.find_duplicates([h.lower() for h in hashes], current_user_id())})
+
+
+@app.get("/api/docs/<document_id>/versions")
+def doc_versions(document_id: str):
+    """All versions of a document, newest first (of any user's document for admins)"""
+    versions = rag.document_versions(document_id, None if is_admin() else current_user_id())
+    if versions is None:
+        return jsonify({"success": False, "error": "Document not found"}), 404
+    return jsonify({"success": True, "versions": versions})
+
+
+@app.get("/api/docs/<document_id>/chunks")
+def doc_chunks(document_id: str):
+    """Return a document's metadata and its ingested chunks in order (any user's for admins, as with ?all=1)"""
+    try:
+        doc = rag.get_document(document_id, None if is_admin() else current_user_id())
+        if not doc:
+            return jsonify({"success": False, "error": "Document not found"}), 404
+        chunks = rag.get_document_chunks(document_id)
+        versions = rag.document_versions(document_id)
+        return jsonify({"success": True, "document": doc, "chunks": chunks, "versions": versions})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to load chunks: {str(e)}"}), 500
+
+
+@app.get("/api/docs/<document_id>/chunks/<int:chunk_index>")
+def doc_chunk(document_id: str, chunk_index: int):
+    """Return a single chunk with its neighbouring chunks (for citation review)"""
+    try:
+        window = min(max(int(request.args.get("window", 1)), 0), 5)
+    except ValueError:
+        return jsonify({"success": False, "error": "window must be an integer"}), 400
+    try:
+        doc = rag.get_document(document_id, None if is_admin() else current_user_id())
+        if not doc:
+            return jsonify({"success": False, "error": "Document not found"}), 404
+        ctx = rag.get_chunk_context(document_id, chunk_index, window)
+        if not ctx:
+            return jsonify({"success": False, "error": "Chunk not found"}), 404
+        return jsonify({"success": True, "document": doc, **ctx})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to load chunk: {str(e)}"}), 500
+
+
 @app.delete("/api/docs/<document_id>")
 def delete_doc(document_id: str):
     """Delete a document by ID with validation"""
+    doc = None
     try:
         # Validate document_id format (should be UUID)
         if not document_id or len(document_id) > 100:
             return jsonify({"success": False, "error": "Invalid document ID"}), 400
         
-        ok = rag.delete_document(document_id)
-        if not ok:
+        doc = rag.get_document(document_id, None if is_admin() else current_user_id())
+        if not doc or not rag.delete_document(document_id, None if is_admin() else current_user_id()):
             return jsonify({"success": False, "error": "Document not found"}), 404
+        # An admin removing someone else's document is audited like reindex and flush
+        if doc.get("owner") != current_user_id():
+            audit_log.record(g.user, "delete", document_id, {"filename": doc.get("filename"), "owner": doc.get("owner")})
         return jsonify({"success": True})
     except Exception as e:
+        if doc and doc.get("owner") != current_user_id():
+            audit_log.record(g.user, "delete", document_id, {"filename": doc.get("filename"), "owner": doc.get("owner")},
+                             error=str(e))
         return jsonify({"success": False, "error": f"Delete failed: {str(e)}"}), 500
 
 
+@app.post("/api/chat/title")
+def chat_title():
+    """Suggest a sidebar title for a chat from its first exchange { question, answer? }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        question, answer = data.get("question") or "", data.get("answer") or ""
+        if not isinstance(question, str) or not isinstance(answer, str):
+            return jsonify({"success": False, "error": "question and answer must be strings"}), 400
+        question = question.strip()
+        if not question:
+            return jsonify({"success": False, "error": "question is required"}), 400
+        if len(question) > MAX_QUERY_LENGTH:
+            return jsonify({"success": False, "error": f"question too long (max {MAX_QUERY_LENGTH} chars)"}), 400
+        # Only the start of the answer matters for a title; don't send the provider more
+        title = rag.suggest_title(question, answer[:MAX_QUERY_LENGTH])
+        if not title:
+            return jsonify({"success": False, "error": "Title generation unavailable"}), 503
+        return jsonify({"success": True, "title": title})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Title generation failed: {str(e)}"}), 500
+
+
+@app.get("/api/chats")
+def list_chats():
+    """List all stored chat sessions, with the sidebar folders and when they last changed"""
+    try:
+        folders = chat_store.get_folders(current_user_id())
+        return jsonify({"success": True, "chats": chat_store.list(current_user_id()),
+                        "folders": folders["folders"], "foldersUpdated": folders["updated"]})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to list chats: {str(e)}"}), 500
+
+
+@app.post("/api/chats")
+def create_chat():
+    """Create an empty chat session { id, title?, created? }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        chat = chat_store.create(data.get("id") or "", data.get("title"), data.get("created"), current_user_id())
+        return jsonify({"success": True, "chat": chat}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to create chat: {str(e)}"}), 500
+
+
+@app.put("/api/chats/folders")
+def put_chat_folders():
+    """Replace the caller's sidebar folders { folders: [{ id, name, created, collapsed }], updated } (client sync)"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        folders = chat_store.set_folders(data.get("folders"), data.get("updated"), current_user_id())
+        return jsonify({"success": True, "folders": folders["folders"], "foldersUpdated": folders["updated"]})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to save folders: {str(e)}"}), 500
+
+
+@app.get("/api/chats/<chat_id>")
+def get_chat(chat_id: str):
+    """Return one chat session with its messages"""
+    chat = chat_store.get(chat_id, current_user_id())
+    if not chat:
+        return jsonify({"success": False, "error": "Chat not found"}), 404
+    return jsonify({"success": True, "chat": chat})
+
+
+@app.put("/api/chats/<chat_id>")
+def put_chat(chat_id: str):
+    """Create or replace a whole chat session (client sync)"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        chat = chat_store.upsert(chat_id, data, current_user_id())
+        return jsonify({"success": True, "chat": chat})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to save chat: {str(e)}"}), 500
+
+
+@app.patch("/api/chats/<chat_id>")
+def rename_chat(chat_id: str):
+    """Rename a chat session { title, titleSource? }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        chat = chat_store.rename(chat_id, data.get("title"), data.get("titleSource"), current_user_id())
+        if not chat:
+            return jsonify({"success": False, "error": "Chat not found"}), 404
+        return jsonify({"success": True, "chat": chat})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to rename chat: {str(e)}"}), 500
+
+
+@app.delete("/api/chats/<chat_id>")
+def delete_chat(chat_id: str):
+    """Delete a chat session"""
+    try:
+        if not chat_store.delete(chat_id, current_user_id()):
+            return jsonify({"success": False, "error": "Chat not found"}), 404
+        return jsonify({"success": True})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to delete chat: {str(e)}"}), 500
+
+
+@app.post("/api/chats/<chat_id>/messages")
+def append_chat_message(chat_id: str):
+    """Append a message { content, isUser, sources?, isError?, timestamp? } to a session"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        message = chat_store.append_message(chat_id, data, current_user_id())
+        if message is None:
+            return jsonify({"success": False, "error": "Chat not found"}), 404
+        return jsonify({"success": True, "message": message}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to append message: {str(e)}"}), 500
+
+
+@app.post("/api/feedback")
+def add_feedback():
+    """Rate an answer { rating, reason?, question, answer, citations, topK, includeContext, chatId?, conversationId? }"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        entry = feedback_store.add(data, current_user_id())
+        return jsonify({"success": True, "feedback": entry}), 201
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to save feedback: {str(e)}"}), 500
+
+
+@app.get("/api/feedback")
+@admin_required
+def list_feedback():
+    """List feedback newest first; ?rating=down for the regression candidates"""
+    rating = request.args.get("rating") or None
+    if rating and rating not in ("up", "down"):
+        return jsonify({"success": False, "error": "rating must be 'up' or 'down'"}), 400
+    try:
+        limit = int(request.args.get("limit", 0)) or None
+    except ValueError:
+        return jsonify({"success": False, "error": "limit must be an integer"}), 400
+    entries = feedback_store.list(rating, limit)
+    return jsonify({"success": True, "feedback": entries, "count": len(entries)})
+
+
+@app.put("/api/feedback/<feedback_id>")
+def update_feedback(feedback_id: str):
+    """Change the rating and/or reason { rating?, reason? } of your own entry (admins: any)"""
+    try:
+        data = request.get_json(force=True, silent=True) or {}
+        entry = feedback_store.update(feedback_id, data.get("rating"), data.get("reason"),
+                                      None if is_admin() else current_user_id())
+        if not entry:
+            return jsonify({"success": False, "error": "Feedback not found"}), 404
+        return jsonify({"success": True, "feedback": entry})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to update feedback: {str(e)}"}), 500
+
+
+@app.delete("/api/feedback/<feedback_id>")
+def delete_feedback(feedback_id: str):
+    """Remove your own feedback entry (admins: any)"""
+    if not feedback_store.delete(feedback_id, None if is_admin() else current_user_id()):
+        return jsonify({"success": False, "error": "Feedback not found"}), 404
+    return jsonify({"success": True})
+
+
+@app.post("/api/eval")
+@admin_required
+def run_eval():
+    """Run a golden question set and save the report.
+    Multipart: golden (.json/.csv), documents[] (optional, stub mode), mode, topK, answers.
+    JSON: { golden: {...} | [...], mode, topK, answers }"""
+    try:
+        if request.files:
+            golden_file = request.files.get("golden")
+            if not golden_file or not golden_file.filename:
+                return jsonify({"success": False, "error": "golden file is required"}), 400
+            golden = evaluation.parse_golden_set(golden_file.read().decode("utf-8-sig"), golden_file.filename)
+            options = request.form
+            documents = []
+            for f in request.files.getlist("documents"):
+                if not f or not f.filename or not allowed_file(f.filename):
+                    return jsonify({"success": False, "error": f"Unsupported document: {getattr(f, 'filename', '')}"}), 400
+                content = f.read(MAX_FILE_SIZE + 1)
+                if len(content) > MAX_FILE_SIZE:
+                    return jsonify({"success": False, "error": f"{f.filename} is too large"}), 400
+                documents.append((f.filename, content))
+        else:
+            options = request.get_json(force=True, silent=True) or {}
+            if options.get("golden") is None:
+                return jsonify({"success": False, "error": "golden is required"}), 400
+            golden = evaluation.parse_golden_set(json.dumps(options["golden"]), "golden.json")
+            documents = []
+
+        try:
+            top_k = int(options.get("topK") or 5)
+        except (TypeError, ValueError):
+            return jsonify({"success": False, "error": "topK must be an integer"}), 400
+        with_answer = str(options.get("answers", "true")).lower() not in ("false", "0", "no")
+        report = evaluation.run_evaluation(
+            golden, options.get("mode") or "stub", top_k, with_answer, documents, live_service=rag
+        )
+        evaluation.save_report(report)
+        return jsonify({"success": True, "report": report})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Evaluation failed: {str(e)}"}), 500
+
+
+@app.get("/api/eval/runs")
+@admin_required
+def list_eval_runs():
+    """Saved evaluation runs, newest first (summaries only)"""
+    try:
+        return jsonify({"success": True, "runs": evaluation.list_reports()})
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Failed to list runs: {str(e)}"}), 500
+
+
+@app.get("/api/eval/runs/<run_id>")
+@admin_required
+def get_eval_run(run_id: str):
+    """One saved evaluation report with per-question results"""
+    report = evaluation.load_report(run_id)
+    if not report:
+        return jsonify({"success": False, "error": "Run not found"}), 404
+    return jsonify({"success": True, "report": report})
+
+
+@app.delete("/api/eval/runs/<run_id>")
+@admin_required
+def delete_eval_run(run_id: str):
+    """Remove a saved evaluation report"""
+    if not evaluation.delete_report(run_id):
+        return jsonify({"success": False, "error": "Run not found"}), 404
+    return jsonify({"success": True})
+
+
+@app.get("/api/admin/index")
+@admin_required
+def admin_index():
+    """ADMIN: compare the local index with the vector store"""
+    try:
+        return jsonify({"success": True, "health": rag.health(), **rag.index_report()})
+    except ValueError as e:
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        return jsonify({"success": False, "error": f"Index check failed: {str(e)}"}), 500
+
+
+@app.post("/api/admin/reconcile")
+@admin_required
+def admin_reconcile():
+    """ADMIN: delete orphaned vectors and reindex documents with missing vectors"""
+    try:
+        result = rag.reconcile_index()
+        audit_log.record(g.user, "reconcile", details={
+            "deleted_vectors": result["deleted_vectors"],
+            "reindexed": len(result["reindexed"]),
+            "failed": len(result["failed"]),
+        })
+        return jsonify({"success": True, **result})
+    except ValueError as e:
+        audit_log.record(g.user, "reconcile", error=str(e))
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        audit_log.record(g.user, "reconcile", error=str(e))
+        return jsonify({"success": False, "error": f"Reconcile failed: {str(e)}"}), 500
+
+
+@app.post("/api/admin/docs/<document_id>/reindex")
+@admin_required
+def admin_reindex(document_id: str):
+    """ADMIN: re-embed one document and replace its vectors"""
+    try:
+        result = rag.reindex_document(document_id)
+        if result is None:
+            return jsonify({"success": False, "error": "Document not found"}), 404
+        audit_log.record(g.user, "reindex", document_id, {"filename": result["filename"], "vectors": result["vectors"]})
+        return jsonify({"success": True, **result})
+    except ValueError as e:
+        audit_log.record(g.user, "reindex", document_id, error=str(e))
+        return jsonify({"success": False, "error": str(e)}), 400
+    except Exception as e:
+        audit_log.record(g.user, "reindex", document_id, error=str(e))
+        return jsonify({"success": False, "error": f"Reindex failed: {str(e)}"}), 500
+
+
+@app.get("/api/admin/audit")
+@admin_required
+def admin_audit():
+    """ADMIN: audit log of maintenance actions, newest first"""
+    try:
+        limit = min(max(int(request.args.get("limit", 100)), 1), 1000)
+    except ValueError:
+        return jsonify({"success": False, "error": "limit must be an integer"}), 400
+    return jsonify({"success": True, "entries": audit_log.list(limit)})
+
+
+@app.post("/api/admin/flush-vectors")
 @app.post("/api/admin/flush-pinecone")
-def flush_pinecone():
-    """ADMIN ONLY: Flush all vectors from Pinecone index"""
+@admin_required
+def flush_vectors():
+    """ADMIN ONLY: Flush all vectors from the vector store (flush-pinecone kept as an alias)"""
     try:
-        if not rag.index:
-            return jsonify({"success": False, "error": "Pinecone not configured"}), 500
+        if not rag.store:
+            return jsonify({"success": False, "error": "Vector store not configured"}), 500
         
-        print("⚠ ADMIN: Flushing all vectors from Pinecone...")
-        rag.index.delete(deleteAll=True)
-        print("✓ All vectors deleted from Pinecone")
+        print(f"⚠ ADMIN: Flushing all vectors from the {rag.store.provider} store...")
+        rag.flush_vectors()
+        print("✓ All vectors deleted")
+        audit_log.record(g.user, "flush", rag.store.provider)
         
-        return jsonify({"success": True, "message": "All vectors deleted from Pinecone"})
+        return jsonify({"success": True, "message": f"All vectors deleted from the {rag.store.provider} store"})
     except Exception as e:
         print(f"✗ Flush failed: {e}")
+        audit_log.record(g.user, "flush", rag.store.provider if rag.store else None, error=str(e))
         return jsonify({"success": False, "error": f"Flush failed: {str(e)}"}), 500
 
 
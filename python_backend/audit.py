@@ -0,0 +1,63 @@
+"""
+Audit log of admin maintenance actions backed by data/audit.json.
+Each entry: { id, time, user_id, username, action, target, details, success, error }.
+Actions run from the command line (quick_flush.py) are logged with user_id None.
+"""
+import json
+import os
+import threading
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List
+
+from config import AUDIT_FILE, MAX_AUDIT_ENTRIES
+
+
+class AuditLog:
+    """Thread-safe, append-only JSON log, trimmed to MAX_AUDIT_ENTRIES."""
+
+    def __init__(self, path: str = AUDIT_FILE):
+        self.path = path
+        self._lock = threading.Lock()
+        self._entries: List[Dict] = self._load()
+
+    def _load(self) -> List[Dict]:
+        if not os.path.exists(self.path):
+            return []
+        try:
+            with open(self.path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                data = json.loads(content) if content else []
+                return data if isinstance(data, list) else []
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(self.path)} ({e}); starting fresh")
+            return []
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump(self._entries, f, indent=2, ensure_ascii=False)
+
+    def record(self, user: Dict | None, action: str, target: str | None = None, details: Dict | None = None,
+               error: str | None = None) -> Dict:
+        """Append an entry for `action` by `user` (None: command line)."""
+        entry = {
+            "id": f"audit_{uuid.uuid4().hex[:12]}",
+            "time": datetime.now(timezone.utc).isoformat(),
+            "user_id": (user or {}).get("id"),
+            "username": (user or {}).get("username") or "command line",
+            "action": action,
+            "target": target,
+            "details": details or {},
+            "success": error is None,
+            "error": error,
+        }
+        with self._lock:
+            self._entries.append(entry)
+            self._entries = self._entries[-MAX_AUDIT_ENTRIES:]
+            self._save()
+        return dict(entry)
+
+    def list(self, limit: int | None = None) -> List[Dict]:
+        """Entries newest first."""
+        entries = list(reversed(self._entries))
+        return [dict(e) for e in (entries[:limit] if limit else entries)]
@@ -0,0 +1,282 @@
+"""
+User accounts and bearer tokens backed by data/users.json.
+
+Passwords are stored as salted hashes (werkzeug). Two kinds of token, both sent
+as `Authorization: Bearer <token>` and stored only as SHA-256 digests:
+- session: issued by login, expires after SESSION_TTL_HOURS
+- api:     named, long-lived tokens for scripts; revoked explicitly
+
+Roles: "admin" (user management, destructive admin endpoints) and "user".
+
+CLI (e.g. to add users or reset a password without the UI):
+    python auth.py add-user alice [--admin]
+It can run while the server is up: the store re-reads users.json whenever
+the file changed since it last read or wrote it.
+"""
+import argparse
+import getpass
+import hashlib
+import json
+import os
+import re
+import secrets
+import threading
+import uuid
+from datetime import datetime, timedelta, timezone
+from typing import Dict, List, Tuple
+
+from werkzeug.security import check_password_hash, generate_password_hash
+
+from config import USERS_FILE, SESSION_TTL_HOURS, MIN_PASSWORD_LENGTH, MAX_API_TOKENS_PER_USER
+
+ROLES = ("admin", "user")
+USERNAME_RE = re.compile(r"^[A-Za-z0-9_.\-@]{3,64}$")
+MAX_TOKEN_NAME_LENGTH = 100
+
+
+def _now() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+def _digest(token: str) -> str:
+    return hashlib.sha256(token.encode("utf-8")).hexdigest()
+
+
+def public_user(user: Dict) -> Dict:
+    """User fields safe to return to clients."""
+    return {k: user[k] for k in ("id", "username", "role", "created") if k in user}
+
+
+class UserStore:
+    """Thread-safe JSON-backed store of users and their tokens."""
+
+    def __init__(self, path: str = USERS_FILE):
+        self.path = path
+        self._lock = threading.RLock()
+        self._mtime = None
+        self._users: Dict[str, Dict] = {}
+        self._tokens: Dict[str, Dict] = {}  # keyed by token digest
+        self._refresh()
+
+    def _load(self) -> Dict:
+        if not os.path.exists(self.path):
+            return {}
+        try:
+            with open(self.path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                data = json.loads(content) if content else {}
+                return data if isinstance(data, dict) else {}
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(self.path)} ({e}); starting fresh")
+            return {}
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump({"users": self._users, "tokens": self._tokens}, f, indent=2, ensure_ascii=False)
+        self._mtime = os.stat(self.path).st_mtime_ns
+
+    def _refresh(self):
+        """Reload when another process (the CLI) wrote the file, so its users
+        are seen and not overwritten by the next save."""
+        with self._lock:
+            try:
+                mtime = os.stat(self.path).st_mtime_ns
+            except OSError:
+                return
+            if mtime == self._mtime:
+                return
+            data = self._load()
+            self._users = data.get("users", {})
+            self._tokens = data.get("tokens", {})
+            self._mtime = mtime
+
+    # ------------------------
+    # Users
+    # ------------------------
+    def has_users(self) -> bool:
+        self._refresh()
+        return bool(self._users)
+
+    def list_users(self) -> List[Dict]:
+        self._refresh()
+        return sorted((public_user(u) for u in self._users.values()), key=lambda u: u["username"].lower())
+
+    def get_user(self, user_id: str) -> Dict | None:
+        self._refresh()
+        user = self._users.get(user_id)
+        return public_user(user) if user else None
+
+    def _find(self, username: str) -> Dict | None:
+        self._refresh()
+        username = (username or "").strip().lower()
+        return next((u for u in self._users.values() if u["username"].lower() == username), None)
+
+    def create_user(self, username: str, password: str, role: str = "user", first: bool = False) -> Dict:
+        """Create an account. With `first`, fails unless it is the very first one (setup)."""
+        username = (username or "").strip()
+        if not USERNAME_RE.match(username):
+            raise ValueError("username must be 3-64 letters, digits or _ . - @")
+        if not isinstance(password, str) or len(password) < MIN_PASSWORD_LENGTH:
+            raise ValueError(f"password must be at least {MIN_PASSWORD_LENGTH} characters")
+        if role not in ROLES:
+            raise ValueError(f"role must be one of: {', '.join(ROLES)}")
+        with self._lock:
+            self._refresh()
+            if first and self._users:
+                raise ValueError("Setup already completed")
+            if self._find(username):
+                raise ValueError("username is already taken")
+            user = {
+                "id": f"user_{uuid.uuid4().hex[:12]}",
+                "username": username,
+                "role": role,
+                "password_hash": generate_password_hash(password),
+                "created": _now().isoformat(),
+            }
+            self._users[user["id"]] = user
+            self._save()
+            return public_user(user)
+
+    def set_password(self, user_id: str, password: str):
+        if not isinstance(password, str) or len(password) < MIN_PASSWORD_LENGTH:
+            raise ValueError(f"password must be at least {MIN_PASSWORD_LENGTH} characters")
+        with self._lock:
+            self._refresh()
+            user = self._users.get(user_id)
+            if not user:
+                raise ValueError("Unknown user")
+            user["password_hash"] = generate_password_hash(password)
+            # A new password ends every login session of the user
+            self._tokens = {
+                d: t for d, t in self._tokens.items() if not (t["user_id"] == user_id and t["kind"] == "session")
+            }
+            self._save()
+
+    def authenticate(self, username: str, password: str) -> Dict | None:
+        user = self._find(username)
+        if not user or not check_password_hash(user["password_hash"], password or ""):
+            return None
+        return public_user(user)
+
+    # ------------------------
+    # Tokens
+    # ------------------------
+    def issue_token(self, user_id: str, kind: str = "session", name: str | None = None) -> Tuple[str, Dict]:
+        """Create a token. Returns (token, info); the token itself is never stored."""
+        if kind == "api":
+            name = (name or "").strip()[:MAX_TOKEN_NAME_LENGTH]
+            if not name:
+                raise ValueError("token name is required")
+        token = f"frt_{secrets.token_urlsafe(32)}"
+        digest = _digest(token)
+        record = {
+            "id": digest[:16],
+            "user_id": user_id,
+            "kind": kind,
+            "name": name,
+            "created": _now().isoformat(),
+            "expires": (_now() + timedelta(hours=SESSION_TTL_HOURS)).isoformat() if kind == "session" else None,
+            "last_used": None,
+        }
+        with self._lock:
+            self._refresh()
+            if kind == "api" and len(self.list_tokens(user_id)) >= MAX_API_TOKENS_PER_USER:
+                raise ValueError(f"Too many API tokens (max {MAX_API_TOKENS_PER_USER})")
+            # Drop expired sessions while we are writing anyway
+            now = _now().isoformat()
+            self._tokens = {d: t for d, t in self._tokens.items() if not t["expires"] or t["expires"] > now}
+            self._tokens[digest] = record
+            self._save()
+        return token, self._token_info(record)
+
+    @staticmethod
+    def _token_info(record: Dict) -> Dict:
+        return {k: record[k] for k in ("id", "kind", "name", "created", "expires", "last_used")}
+
+    def resolve(self, token: str | None) -> Dict | None:
+        """The user a token belongs to, or None when unknown/expired."""
+        if not token:
+            return None
+        self._refresh()
+        record = self._tokens.get(_digest(token))
+        if not record:
+            return None
+        now = _now()
+        if record["expires"] and record["expires"] <= now.isoformat():
+            return None
+        user = self._users.get(record["user_id"])
+        if not user:
+            return None
+        # Track API token use, at most once an hour to keep writes rare
+        if record["kind"] == "api" and (record["last_used"] or "") < (now - timedelta(hours=1)).isoformat():
+            with self._lock:
+                self._refresh()
+                if _digest(token) in self._tokens:
+                    self._tokens[_digest(token)]["last_used"] = now.isoformat()
+                    self._save()
+        return public_user(user)
+
+    def revoke(self, token: str) -> bool:
+        with self._lock:
+            self._refresh()
+            if self._tokens.pop(_digest(token or ""), None) is None:
+                return False
+            self._save()
+            return True
+
+    def list_tokens(self, user_id: str) -> List[Dict]:
+        """API tokens of a user (login sessions are not listed)."""
+        self._refresh()
+        tokens = [self._token_info(t) for t in self._tokens.values() if t["user_id"] == user_id and t["kind"] == "api"]
+        return sorted(tokens, key=lambda t: t["created"], reverse=True)
+
+    def revoke_api_token(self, user_id: str, token_id: str) -> bool:
+        with self._lock:
+            self._refresh()
+            digest = next(
+                (d for d, t in self._tokens.items()
+                 if t["id"] == token_id and t["user_id"] == user_id and t["kind"] == "api"),
+                None,
+            )
+            if digest is None:
+                return False
+            del self._tokens[digest]
+            self._save()
+            return True
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Manage Financial RAG users")
+    sub = parser.add_subparsers(dest="command", required=True)
+    add = sub.add_parser("add-user", help="Create a user (prompts for the password)")
+    add.add_argument("username")
+    add.add_argument("--admin", action="store_true", help="Give the user the admin role")
+    reset = sub.add_parser("set-password", help="Reset a user's password (ends their sessions)")
+    reset.add_argument("username")
+    sub.add_parser("list", help="List users")
+    args = parser.parse_args()
+
+    store = UserStore()
+    try:
+        if args.command == "list":
+            for user in store.list_users():
+                print(f"{user['username']:<24} {user['role']:<6} {user['id']}")
+            return
+        password = getpass.getpass("Password: ")
+        if password != getpass.getpass("Repeat password: "):
+            raise ValueError("passwords do not match")
+        if args.command == "add-user":
+            user = store.create_user(args.username, password, "admin" if args.admin else "user")
+            print(f"✓ Created {user['role']} {user['username']}")
+        else:
+            user = store._find(args.username)
+            if not user:
+                raise ValueError(f"Unknown user '{args.username}'")
+            store.set_password(user["id"], password)
+            print(f"✓ Password updated for {user['username']}")
+    except ValueError as e:
+        raise SystemExit(f"✗ {e}")
+
+
+if __name__ == "__main__":
+    main()
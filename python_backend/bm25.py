@@ -0,0 +1,59 @@
+"""
+Okapi BM25 keyword scoring used by hybrid search.
+Pure Python so it works on the locally cached chunk texts without extra dependencies.
+"""
+import math
+import re
+from collections import Counter
+from typing import List, Tuple
+
+# Keep figures like "1,234.5" and "10-k" together so numeric queries still match
+_TOKEN_RE = re.compile(r"[a-z0-9]+(?:[.,\-][a-z0-9]+)*")
+
+
+def tokenize(text: str) -> List[str]:
+    """Lowercase word/number tokens."""
+    return _TOKEN_RE.findall((text or "").lower())
+
+
+class BM25Index:
+    """In-memory BM25 index over a list of documents (chunk texts)."""
+
+    def __init__(self, documents: List[str], k1: float = 1.5, b: float = 0.75):
+        self.k1 = k1
+        self.b = b
+        self._freqs = [Counter(tokenize(d)) for d in documents]
+        self._lengths = [sum(f.values()) for f in self._freqs]
+        self._avg_len = (sum(self._lengths) / len(self._lengths)) if self._lengths else 0.0
+
+        df = Counter()
+        for f in self._freqs:
+            df.update(f.keys())
+        n = len(documents)
+        # BM25+ style idf floor keeps very common terms from going negative
+        self._idf = {t: math.log(1 + (n - c + 0.5) / (c + 0.5)) for t, c in df.items()}
+
+    def __len__(self) -> int:
+        return len(self._freqs)
+
+    def score(self, query: str) -> List[float]:
+        """BM25 score of every document for the query."""
+        terms = tokenize(query)
+        scores = [0.0] * len(self._freqs)
+        if not terms or not self._avg_len:
+            return scores
+        for i, freqs in enumerate(self._freqs):
+            norm = self.k1 * (1 - self.b + self.b * self._lengths[i] / self._avg_len)
+            total = 0.0
+            for t in terms:
+                tf = freqs.get(t)
+                if tf:
+                    total += self._idf[t] * tf * (self.k1 + 1) / (tf + norm)
+            scores[i] = total
+        return scores
+
+    def search(self, query: str, top_k: int) -> List[Tuple[int, float]]:
+        """Return (document position, score) pairs for the best-scoring documents."""
+        scored = [(i, s) for i, s in enumerate(self.score(query)) if s > 0]
+        scored.sort(key=lambda x: x[1], reverse=True)
+        return scored[:top_k]
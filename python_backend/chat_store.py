@@ -0,0 +1,251 @@
+"""
+Server-side chat session store backed by data/chats.json.
+Mirrors the session shape the frontend keeps in localStorage:
+{ id, title, titleSource, created, updated, conversationId, collectionId, messages: [...] }
+plus `owner`, the id of the user the session belongs to. Sessions are keyed
+by owner and id: ids are picked by the client, so two users may both have
+a session with the same id without ever seeing each other's. Methods take
+the `owner` whose session is meant (None: sessions stored before accounts).
+Each user's sidebar folders ({ id, name, created, collapsed }) are kept in
+data/chat_folders.json as one list with the time it was last changed.
+"""
+import json
+import os
+import re
+import threading
+from datetime import datetime, timezone
+from typing import Dict, List
+
+from config import CHATS_FILE, CHAT_FOLDERS_FILE, MAX_CHAT_SESSIONS, MAX_MESSAGES_PER_CHAT, MAX_CHAT_FOLDERS
+
+CHAT_ID_RE = re.compile(r"^chat_[A-Za-z0-9_\-]{1,64}$")
+FOLDER_ID_RE = re.compile(r"^folder_[A-Za-z0-9_\-]{1,64}$")
+MAX_TITLE_LENGTH = 200
+MAX_FOLDER_NAME_LENGTH = 100
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+class ChatStore:
+    """Thread-safe JSON-backed store of chat sessions keyed by owner and id."""
+
+    def __init__(self, path: str = CHATS_FILE, folders_path: str = CHAT_FOLDERS_FILE):
+        self.path = path
+        self.folders_path = folders_path
+        self._lock = threading.Lock()
+        # Keyed by _key(owner, id), rebuilt from the sessions so files keyed by id alone still load
+        self._chats: Dict[str, Dict] = {
+            self._key(c.get("owner"), c["id"]): c for c in self._load(path).values() if isinstance(c, dict) and c.get("id")
+        }
+        self._folders: Dict[str, Dict] = self._load(folders_path)  # owner ("" without accounts) -> {folders, updated}
+
+    @staticmethod
+    def _load(path: str) -> Dict:
+        if not os.path.exists(path):
+            return {}
+        try:
+            with open(path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                data = json.loads(content) if content else {}
+                return data if isinstance(data, dict) else {}
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(path)} ({e}); starting fresh")
+            return {}
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump(self._chats, f, indent=2, ensure_ascii=False)
+
+    def _save_folders(self):
+        with open(self.folders_path, "w", encoding="utf-8") as f:
+            json.dump(self._folders, f, indent=2, ensure_ascii=False)
+
+    # ------------------------
+    # Validation
+    # ------------------------
+    @staticmethod
+    def validate_id(chat_id: str):
+        if not chat_id or not CHAT_ID_RE.match(chat_id):
+            raise ValueError("Invalid chat id")
+
+    @staticmethod
+    def _clean_title(title) -> str:
+        title = (title or "").strip() if isinstance(title, str) else ""
+        if not title:
+            raise ValueError("title is required")
+        return title[:MAX_TITLE_LENGTH]
+
+    @staticmethod
+    def _clean_message(message) -> Dict:
+        if not isinstance(message, dict):
+            raise ValueError("message must be an object")
+        if not isinstance(message.get("content"), str):
+            raise ValueError("message.content must be a string")
+        if not isinstance(message.get("isUser"), bool):
+            raise ValueError("message.isUser must be a boolean")
+        cleaned = dict(message)
+        cleaned.setdefault("timestamp", _now())
+        return cleaned
+
+    def _clean_session(self, chat_id: str, session) -> Dict:
+        if not isinstance(session, dict):
+            raise ValueError("session must be an object")
+        messages = session.get("messages") or []
+        if not isinstance(messages, list):
+            raise ValueError("messages must be a list")
+        if len(messages) > MAX_MESSAGES_PER_CHAT:
+            raise ValueError(f"Too many messages (max {MAX_MESSAGES_PER_CHAT})")
+        cleaned = dict(session)
+        cleaned["id"] = chat_id
+        cleaned["title"] = self._clean_title(session.get("title") or "New Chat")
+        cleaned["created"] = session.get("created") or _now()
+        cleaned["updated"] = session.get("updated") or _now()
+        cleaned["messages"] = [self._clean_message(m) for m in messages]
+        return cleaned
+
+    @staticmethod
+    def _clean_folder(folder) -> Dict:
+        if not isinstance(folder, dict):
+            raise ValueError("folder must be an object")
+        if not isinstance(folder.get("id"), str) or not FOLDER_ID_RE.match(folder["id"]):
+            raise ValueError("Invalid folder id")
+        name = folder.get("name").strip() if isinstance(folder.get("name"), str) else ""
+        if not name:
+            raise ValueError("folder name is required")
+        return {
+            "id": folder["id"],
+            "name": name[:MAX_FOLDER_NAME_LENGTH],
+            "created": folder.get("created") or _now(),
+            "collapsed": bool(folder.get("collapsed")),
+        }
+
+    # ------------------------
+    # Operations
+    # ------------------------
+    @staticmethod
+    def _key(owner: str | None, chat_id: str) -> str:
+        return f"{owner or ''}:{chat_id}"
+
+    def _owned(self, chat_id: str, owner: str | None) -> Dict | None:
+        return self._chats.get(self._key(owner, chat_id))
+
+    def _check_capacity(self, owner: str | None):
+        """MAX_CHAT_SESSIONS applies per user, so one user can't fill the store for everyone."""
+        if sum(1 for c in self._chats.values() if c.get("owner") == owner) >= MAX_CHAT_SESSIONS:
+            raise ValueError(f"Too many chat sessions (max {MAX_CHAT_SESSIONS})")
+
+    def list(self, owner: str | None = None) -> List[Dict]:
+        return [dict(c) for c in self._chats.values() if not owner or c.get("owner") == owner]
+
+    def get(self, chat_id: str, owner: str | None = None) -> Dict | None:
+        chat = self._owned(chat_id, owner)
+        return dict(chat) if chat else None
+
+    def create(self, chat_id: str, title: str | None = None, created: str | None = None,
+               owner: str | None = None) -> Dict:
+        self.validate_id(chat_id)
+        key = self._key(owner, chat_id)
+        with self._lock:
+            if key in self._chats:
+                raise ValueError("Chat already exists")
+            self._check_capacity(owner)
+            now = _now()
+            self._chats[key] = {
+                "id": chat_id,
+                "title": self._clean_title(title or "New Chat"),
+                "created": created or now,
+                "updated": now,
+                "owner": owner,
+                "messages": [],
+            }
+            self._save()
+            return dict(self._chats[key])
+
+    def upsert(self, chat_id: str, session: Dict, owner: str | None = None) -> Dict:
+        """Replace a whole session (used by client sync)."""
+        self.validate_id(chat_id)
+        cleaned = self._clean_session(chat_id, session)
+        key = self._key(owner, chat_id)
+        cleaned["owner"] = owner
+        with self._lock:
+            if key not in self._chats:
+                self._check_capacity(owner)
+            self._chats[key] = cleaned
+            self._save()
+            return dict(cleaned)
+
+    def rename(self, chat_id: str, title: str, title_source: str | None = None,
+               owner: str | None = None) -> Dict | None:
+        """Set a session title; title_source records whether it was typed ("manual") or generated ("auto")."""
+        title = self._clean_title(title)
+        if title_source not in (None, "manual", "auto"):
+            raise ValueError("titleSource must be 'manual' or 'auto'")
+        with self._lock:
+            chat = self._owned(chat_id, owner)
+            if not chat:
+                return None
+            chat["title"] = title
+            if title_source:
+                chat["titleSource"] = title_source
+            chat["updated"] = _now()
+            self._save()
+            return dict(chat)
+
+    def append_message(self, chat_id: str, message: Dict, owner: str | None = None) -> Dict | None:
+        cleaned = self._clean_message(message)
+        with self._lock:
+            chat = self._owned(chat_id, owner)
+            if not chat:
+                return None
+            if len(chat["messages"]) >= MAX_MESSAGES_PER_CHAT:
+                raise ValueError(f"Too many messages (max {MAX_MESSAGES_PER_CHAT})")
+            chat["messages"].append(cleaned)
+            chat["updated"] = cleaned.get("timestamp") or _now()
+            self._save()
+            return cleaned
+
+    def delete(self, chat_id: str, owner: str | None = None) -> bool:
+        with self._lock:
+            if not self._owned(chat_id, owner):
+                return False
+            del self._chats[self._key(owner, chat_id)]
+            self._save()
+            return True
+
+    def get_folders(self, owner: str | None = None) -> Dict:
+        """{ folders, updated } of `owner`; updated is None before the first save."""
+        entry = self._folders.get(owner or "") or {}
+        return {"folders": [dict(f) for f in entry.get("folders", [])], "updated": entry.get("updated")}
+
+    def set_folders(self, folders, updated: str | None = None, owner: str | None = None) -> Dict:
+        """Replace `owner`'s folder list (client sync); `updated` is when the client changed it."""
+        if not isinstance(folders, list):
+            raise ValueError("folders must be a list")
+        if len(folders) > MAX_CHAT_FOLDERS:
+            raise ValueError(f"Too many folders (max {MAX_CHAT_FOLDERS})")
+        cleaned = [self._clean_folder(f) for f in folders]
+        if len({f["id"] for f in cleaned}) != len(cleaned):
+            raise ValueError("Duplicate folder id")
+        with self._lock:
+            self._folders[owner or ""] = {"folders": cleaned, "updated": updated if isinstance(updated, str) and updated else _now()}
+            self._save_folders()
+            return self.get_folders(owner)
+
+    def claim_unowned(self, owner: str) -> int:
+        """Give sessions (and folders) created before accounts existed to `owner`. Returns how many sessions were claimed."""
+        with self._lock:
+            # An id the owner already uses stays unclaimed rather than replace their session
+            claimed = [c for c in self._chats.values()
+                       if not c.get("owner") and self._key(owner, c["id"]) not in self._chats]
+            for c in claimed:
+                del self._chats[self._key(None, c["id"])]
+                c["owner"] = owner
+                self._chats[self._key(owner, c["id"])] = c
+            if claimed:
+                self._save()
+            if "" in self._folders and owner not in self._folders:
+                self._folders[owner] = self._folders.pop("")
+                self._save_folders()
+            return len(claimed)
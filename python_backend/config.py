@@ -11,24 +11,41 @@ load_dotenv()
 ROOT_DIR = os.path.dirname(os.path.abspath(__file__))
 DATA_DIR = os.path.join(ROOT_DIR, "data")
 INDEX_FILE = os.path.join(DATA_DIR, "docs.json")
+CHUNKS_DIR = os.path.join(DATA_DIR, "chunks")  # Per-document chunk text cache
+CONVERSATIONS_FILE = os.path.join(DATA_DIR, "conversations.json")
+CHATS_FILE = os.path.join(DATA_DIR, "chats.json")  # Chat sessions synced from the UI
+CHAT_FOLDERS_FILE = os.path.join(DATA_DIR, "chat_folders.json")  # Sidebar folders per user
+FEEDBACK_FILE = os.path.join(DATA_DIR, "feedback.json")  # Thumbs up/down on answers
+EVALS_DIR = os.path.join(DATA_DIR, "evals")  # Saved evaluation reports
+USERS_FILE = os.path.join(DATA_DIR, "users.json")  # Accounts, hashed passwords and tokens
+AUDIT_FILE = os.path.join(DATA_DIR, "audit.json")  # Admin maintenance actions
+JOBS_FILE = os.path.join(DATA_DIR, "jobs.json")  # Background ingestion jobs
+UPLOADS_DIR = os.path.join(DATA_DIR, "uploads")  # Partial chunked uploads
 
-# Ensure data directory exists
+# Ensure data directories exist
 os.makedirs(DATA_DIR, exist_ok=True)
+os.makedirs(CHUNKS_DIR, exist_ok=True)
 
 # EMBEDDING MODEL CONFIGURATION
 EMBEDDING_MODEL_NAME = os.getenv("EMBEDDING_MODEL", "ProsusAI/finbert")
 EMBEDDING_DIMENSION = 768  # FinBERT outputs 768-dimensional vectors
 
-# VECTOR DATABASE CONFIGURATION (Pinecone)
-VECTOR_DB_PROVIDER = "pinecone"
+# VECTOR DATABASE CONFIGURATION
+VECTOR_DB_PROVIDER = os.getenv("VECTOR_DB_PROVIDER", "pinecone").lower()  # "pinecone" | "local"
+LOCAL_VECTOR_DB_PATH = os.getenv("LOCAL_VECTOR_DB_PATH", os.path.join(DATA_DIR, "vectors.sqlite3"))
+
+# Pinecone (VECTOR_DB_PROVIDER=pinecone)
 PINECONE_API_KEY = os.getenv("PINECONE_API_KEY")
 PINECONE_INDEX_NAME = os.getenv("PINECONE_INDEX_NAME", "financial-rag")
 PINECONE_CLOUD = "aws"
 PINECONE_REGION = os.getenv("PINECONE_ENVIRONMENT", "us-east-1")
 PINECONE_METRIC = "cosine"
 
-# LLM CONFIGURATION (Google Gemini)
-LLM_PROVIDER = "gemini"
+# LLM CONFIGURATION
+LLM_PROVIDER = os.getenv("LLM_PROVIDER", "gemini").lower()  # "gemini" | "openai" | "echo"
+LLM_TIMEOUT = int(os.getenv("LLM_TIMEOUT", 120))  # seconds, HTTP providers only
+
+# Google Gemini (LLM_PROVIDER=gemini)
 GEMINI_API_KEY = os.getenv("GEMINI_API_KEY")
 LLM_MODEL_PRIORITY = [
     "gemini-2.5-flash",
@@ -37,19 +54,65 @@ LLM_MODEL_PRIORITY = [
     "gemini-pro"
 ]
 
+# OpenAI-compatible endpoint (LLM_PROVIDER=openai): OpenAI, Ollama, llama.cpp server, vLLM
+OPENAI_BASE_URL = os.getenv("OPENAI_BASE_URL", "http://localhost:11434/v1")
+OPENAI_API_KEY = os.getenv("OPENAI_API_KEY")  # Not needed for most local servers
+OPENAI_MODEL = os.getenv("OPENAI_MODEL", "llama3.1")
+
 # TEXT PROCESSING CONFIGURATION
 CHUNK_SIZE = int(os.getenv("CHUNK_SIZE", 500))
 CHUNK_OVERLAP = int(os.getenv("CHUNK_OVERLAP", 50))
+TABLE_CHUNK_SIZE = int(os.getenv("TABLE_CHUNK_SIZE", 1000))  # Max chars of a table chunk or spreadsheet row range (split between rows)
 MIN_PDF_TEXT_LENGTH = 50
+EMBED_BATCH_SIZE = int(os.getenv("EMBED_BATCH_SIZE", 32))  # Chunks embedded per call (progress granularity)
+UPSERT_BATCH_SIZE = 100  # Vectors per vector-store upsert request
 
 # SEARCH CONFIGURATION
 DEFAULT_TOP_K = 5
 MAX_CONTEXT_LENGTH = 6000
+MAX_SEARCH_TOP_K = 50
+HYBRID_ALPHA = float(os.getenv("HYBRID_ALPHA", 0.5))  # Weight of vector vs BM25 score in hybrid search
+
+# CONVERSATION MEMORY CONFIGURATION
+CONVERSATION_HISTORY_TURNS = int(os.getenv("CONVERSATION_HISTORY_TURNS", 4))  # Turns included in prompts
+MAX_CONVERSATION_TURNS = 50  # Turns kept per conversation on disk
+MAX_CONVERSATIONS = int(os.getenv("MAX_CONVERSATIONS", 500))  # Per user; the least recently used are dropped
+MAX_HISTORY_ANSWER_CHARS = 600  # Earlier answers are truncated to this in prompts
+
+# COLLECTION CONFIGURATION
+DEFAULT_COLLECTION_NAME = os.getenv("DEFAULT_COLLECTION_NAME", "General")  # Collection every user starts with
+MAX_COLLECTION_NAME_LENGTH = 100
+
+# CHAT SESSION STORE CONFIGURATION
+MAX_CHAT_SESSIONS = int(os.getenv("MAX_CHAT_SESSIONS", 2000))  # Per user
+MAX_MESSAGES_PER_CHAT = 2000
+MAX_CHAT_FOLDERS = 200  # Per user
+
+# ANSWER FEEDBACK CONFIGURATION
+MAX_FEEDBACK_ENTRIES = int(os.getenv("MAX_FEEDBACK_ENTRIES", 10000))
+MAX_FEEDBACK_ANSWER_LENGTH = 20000  # Longer rated answers are stored truncated
+MAX_FEEDBACK_CITATIONS = 50
+
+# EVALUATION CONFIGURATION
+MAX_EVAL_QUESTIONS = int(os.getenv("MAX_EVAL_QUESTIONS", 500))
+EVAL_NUMERIC_TOLERANCE = float(os.getenv("EVAL_NUMERIC_TOLERANCE", 0.005))  # Relative tolerance for figure matches
+
+# AUTHENTICATION CONFIGURATION
+SESSION_TTL_HOURS = int(os.getenv("SESSION_TTL_HOURS", 168))  # Login sessions expire after a week
+MIN_PASSWORD_LENGTH = 8
+MAX_API_TOKENS_PER_USER = 20
+MAX_AUDIT_ENTRIES = int(os.getenv("MAX_AUDIT_ENTRIES", 5000))
 
 # FILE UPLOAD CONFIGURATION
 SUPPORTED_EXTENSIONS = {".pdf", ".docx", ".doc", ".xlsx", ".xls", ".csv", ".txt"}
 MAX_FILE_SIZE = int(os.getenv("MAX_FILE_SIZE", 10485760))  # 10MB default
 MAX_FILES_PER_REQUEST = 10
+UPLOAD_CHUNK_SIZE = int(os.getenv("UPLOAD_CHUNK_SIZE", 1048576))  # Bytes per chunk of a resumable upload
+UPLOAD_SESSION_TTL_HOURS = 24  # Unfinished resumable uploads are removed after this long idle
+
+# INGESTION JOB CONFIGURATION
+INGEST_WORKERS = int(os.getenv("INGEST_WORKERS", 1))  # Uploads processed in parallel
+MAX_INGEST_JOBS = 500  # Finished jobs kept in data/jobs.json
 
 # API CONFIGURATION
 MAX_QUERY_LENGTH = 1000
@@ -64,10 +127,14 @@ def validate_config():
     """
     warnings = []
     
-    if not PINECONE_API_KEY:
+    if VECTOR_DB_PROVIDER not in ("pinecone", "local"):
+        warnings.append(f"VECTOR_DB_PROVIDER '{VECTOR_DB_PROVIDER}' is unknown - use 'pinecone' or 'local'")
+    elif VECTOR_DB_PROVIDER == "pinecone" and not PINECONE_API_KEY:
         warnings.append("PINECONE_API_KEY not set - vector search will be unavailable")
     
-    if not GEMINI_API_KEY:
+    if LLM_PROVIDER not in ("gemini", "openai", "echo"):
+        warnings.append(f"LLM_PROVIDER '{LLM_PROVIDER}' is unknown - use 'gemini', 'openai' or 'echo'")
+    elif LLM_PROVIDER == "gemini" and not GEMINI_API_KEY:
         warnings.append("GEMINI_API_KEY not set - LLM answer generation will be unavailable")
     
     if CHUNK_SIZE < 100:
@@ -84,9 +151,12 @@ def get_config_summary():
         "embedding_model": EMBEDDING_MODEL_NAME,
         "embedding_dimension": EMBEDDING_DIMENSION,
         "vector_db": VECTOR_DB_PROVIDER,
-        "pinecone_index": PINECONE_INDEX_NAME,
-        "pinecone_region": PINECONE_REGION,
+        "pinecone_index": PINECONE_INDEX_NAME if VECTOR_DB_PROVIDER == "pinecone" else None,
+        "pinecone_region": PINECONE_REGION if VECTOR_DB_PROVIDER == "pinecone" else None,
+        "local_vector_db": LOCAL_VECTOR_DB_PATH if VECTOR_DB_PROVIDER == "local" else None,
         "llm_provider": LLM_PROVIDER,
+        "llm_endpoint": OPENAI_BASE_URL if LLM_PROVIDER == "openai" else None,
+        "llm_model": OPENAI_MODEL if LLM_PROVIDER == "openai" else None,
         "chunk_size": CHUNK_SIZE,
         "chunk_overlap": CHUNK_OVERLAP,
         "supported_extensions": list(SUPPORTED_EXTENSIONS),
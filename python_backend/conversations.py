@@ -0,0 +1,104 @@
+"""
+Server-side conversation memory for multi-turn chat.
+Turns are kept per conversationId in a small JSON file so follow-up questions
+can be resolved against earlier ones, even across server restarts. Each
+conversation belongs to the user who started it; beyond MAX_CONVERSATIONS
+per user the least recently used are forgotten.
+"""
+import json
+import os
+import threading
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List
+
+from config import CONVERSATIONS_FILE, MAX_CONVERSATION_TURNS, MAX_CONVERSATIONS
+
+
+class ConversationStore:
+    """Thread-safe JSON-backed store of conversation turns."""
+
+    def __init__(self, path: str = CONVERSATIONS_FILE):
+        self.path = path
+        self._lock = threading.Lock()
+        self._conversations: Dict[str, Dict] = self._load()
+
+    def _load(self) -> Dict:
+        if not os.path.exists(self.path):
+            return {}
+        try:
+            with open(self.path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                return json.loads(content) if content else {}
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(self.path)} ({e}); starting fresh")
+            return {}
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump(self._conversations, f, indent=2, ensure_ascii=False)
+
+    def _prune(self, owner: str | None):
+        """Drop `owner`'s least recently used conversations beyond MAX_CONVERSATIONS."""
+        owned = [c for c in self._conversations.values() if c.get("owner") == owner]
+        owned.sort(key=lambda c: c.get("updated") or c["created"], reverse=True)
+        for conv in owned[MAX_CONVERSATIONS:]:
+            del self._conversations[conv["id"]]
+
+    def exists(self, conversation_id: str | None, owner: str | None = None) -> bool:
+        """Whether the conversation exists (and belongs to `owner` when given)."""
+        conv = self._conversations.get(conversation_id) if conversation_id else None
+        return bool(conv) and not (owner and conv.get("owner") != owner)
+
+    def create(self, turns: List[Dict] | None = None, owner: str | None = None) -> str:
+        """Mint a new conversation for `owner`, optionally seeded with earlier
+        turns (used when the client forks a thread), and return its id."""
+        conversation_id = f"conv_{uuid.uuid4().hex}"
+        now = datetime.now(timezone.utc).isoformat()
+        seeded = [
+            {"question": t["question"], "standalone": t.get("standalone") or t["question"],
+             "answer": t["answer"], "timestamp": now}
+            for t in (turns or [])
+        ][-MAX_CONVERSATION_TURNS:]
+        with self._lock:
+            self._conversations[conversation_id] = {
+                "id": conversation_id,
+                "owner": owner,
+                "created": now,
+                "updated": now,
+                "turns": seeded,
+            }
+            self._prune(owner)
+            self._save()
+        return conversation_id
+
+    def recent_turns(self, conversation_id: str, limit: int) -> List[Dict]:
+        """Return up to `limit` most recent turns, oldest first."""
+        conv = self._conversations.get(conversation_id)
+        if not conv or limit <= 0:
+            return []
+        return [dict(t) for t in conv["turns"][-limit:]]
+
+    def append_turn(self, conversation_id: str, question: str, answer: str, standalone: str | None = None):
+        """Record a completed question/answer pair, trimming old turns."""
+        now = datetime.now(timezone.utc).isoformat()
+        with self._lock:
+            conv = self._conversations.get(conversation_id)
+            if conv is None:
+                return
+            conv["turns"].append({
+                "question": question,
+                "standalone": standalone or question,
+                "answer": answer,
+                "timestamp": now,
+            })
+            conv["turns"] = conv["turns"][-MAX_CONVERSATION_TURNS:]
+            conv["updated"] = now
+            self._save()
+
+    def delete(self, conversation_id: str) -> bool:
+        with self._lock:
+            if self._conversations.pop(conversation_id, None) is None:
+                return False
+            self._save()
+            return True
@@ -0,0 +1,538 @@
+"""
+Offline retrieval/answer evaluation against a golden question set.
+
+A golden set lists questions with what a good answer should use:
+expected documents, expected chunks (document + chunk index or page) and/or
+expected figures. Each question is run through retrieval (and optionally
+answering) and scored with recall@k, reciprocal rank (MRR overall), citation
+accuracy and numeric answer match. Reports are saved to data/evals/.
+
+Two modes:
+- stub: an isolated RAGService with a hashed bag-of-words embedder, a
+  throwaway local vector store and the extractive echo LLM provider, so runs
+  need neither Pinecone nor an LLM. Documents come from the golden set (re-chunked with
+  the current CHUNK_SIZE/CHUNK_OVERLAP) or, failing that, from the chunk
+  cache of the live library.
+- live: the configured service (FinBERT + configured vector store and LLM).
+
+CLI:
+    python evaluation.py golden.json [--docs FILE_OR_DIR ...] [--mode stub|live]
+                         [--top-k 5] [--no-answer] [--out report.json]
+"""
+import argparse
+import csv
+import hashlib
+import io
+import json
+import math
+import os
+import re
+import sys
+import tempfile
+import time
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, Iterator, List, Tuple
+
+import numpy as np
+
+from llm_provider import EchoProvider
+from structure import CHUNK_FIELDS
+from vector_store import LocalVectorStore
+from config import (
+    EVALS_DIR, EMBEDDING_DIMENSION, EMBEDDING_MODEL_NAME, CHUNK_SIZE, CHUNK_OVERLAP,
+    DEFAULT_TOP_K, MAX_EVAL_QUESTIONS, EVAL_NUMERIC_TOLERANCE, SUPPORTED_EXTENSIONS
+)
+
+MODES = ("stub", "live")
+_WORD_RE = re.compile(r"[a-z0-9]+(?:[.,][0-9]+)*")
+
+
+# ------------------------
+# Stub components
+# ------------------------
+class StubEmbedder:
+    """Deterministic hashed bag-of-words embeddings (same interface as
+    SentenceTransformer.encode). Good enough to compare chunking settings;
+    not a stand-in for FinBERT quality."""
+
+    def __init__(self, dimension: int = EMBEDDING_DIMENSION):
+        self.dimension = dimension
+
+    def _vector(self, text: str) -> np.ndarray:
+        vec = np.zeros(self.dimension, dtype=np.float32)
+        for word in _WORD_RE.findall(text.lower()):
+            h = int(hashlib.md5(word.encode("utf-8")).hexdigest(), 16)
+            vec[h % self.dimension] += 1.0 if (h >> 64) & 1 else -1.0
+        return vec
+
+    def encode(self, texts: List[str], normalize_embeddings: bool = True) -> np.ndarray:
+        vecs = np.stack([self._vector(t) for t in texts]) if texts else np.zeros((0, self.dimension))
+        if normalize_embeddings:
+            norms = np.linalg.norm(vecs, axis=1, keepdims=True)
+            vecs = vecs / np.where(norms == 0, 1.0, norms)
+        return vecs
+
+
+def describe_llm(llm) -> str | None:
+    """provider:model label for report configs."""
+    if not llm:
+        return None
+    info = llm.describe()
+    return f"{info['provider']}:{info['model']}"
+
+
+def build_stub_service(storage_dir: str):
+    """RAGService wired to the stub embedder, the echo LLM and a local vector store, all under storage_dir."""
+    from service import RAGService
+    store = LocalVectorStore(os.path.join(storage_dir, "vectors.sqlite3"))
+    return RAGService(embedding_model=StubEmbedder(), vector_store=store, llm=EchoProvider(), storage_dir=storage_dir)
+
+
+def index_cached_chunks(service, source) -> int:
+    """Copy the chunk cache of `source` (the live library) into a stub service
+    without re-chunking. Returns the number of documents copied."""
+    copied = 0
+    for doc in source.list_documents():
+        doc_id = doc["document_id"]
+        chunks = source.get_document_chunks(doc_id)
+        if not chunks:
+            continue
+        embeddings = service._embed_texts([c["text"] for c in chunks])
+        service.store.upsert([{
+            "id": f"{doc_id}-{c['chunk_index']}",
+            "values": vec,
+            "metadata": {
+                "document_id": doc_id,
+                "filename": doc.get("filename"),
+                "chunk_index": c["chunk_index"],
+                "total_chunks": len(chunks),
+                "text": c["text"],
+                **{k: c[k] for k in CHUNK_FIELDS if c.get(k) is not None},
+            },
+        } for c, vec in zip(chunks, embeddings)])
+        service._save_chunk_cache(doc_id, chunks)
+        service._docs[doc_id] = {k: v for k, v in doc.items() if k not in ("vectors", "in_index")}
+        copied += 1
+    service._save_index()
+    return copied
+
+
+# ------------------------
+# Golden set parsing
+# ------------------------
+def _split_list(value) -> List[str]:
+    if value is None:
+        return []
+    if isinstance(value, list):
+        return [str(v).strip() for v in value if str(v).strip()]
+    return [v.strip() for v in str(value).split(";") if v.strip()]
+
+
+def _parse_chunk_ref(ref) -> Dict:
+    """{"filename", "chunk_index"?, "page_number"?} from a dict or 'file.pdf#3' / 'file.pdf#p4'."""
+    if isinstance(ref, dict):
+        filename = ref.get("filename") or ref.get("document")
+        chunk_index, page = ref.get("chunk_index"), ref.get("page_number")
+    else:
+        filename, _, pos = str(ref).rpartition("#")
+        if not filename:
+            raise ValueError(f"chunk reference '{ref}' must look like file.pdf#3 or file.pdf#p4")
+        chunk_index, page = (None, pos[1:]) if pos.lower().startswith("p") else (pos, None)
+    if not filename:
+        raise ValueError("chunk reference needs a filename")
+    try:
+        return {
+            "filename": str(filename).strip(),
+            "chunk_index": int(chunk_index) if chunk_index not in (None, "") else None,
+            "page_number": int(page) if page not in (None, "") else None,
+        }
+    except (TypeError, ValueError):
+        raise ValueError(f"chunk reference '{ref}' has a non-numeric chunk or page")
+
+
+def _parse_question(raw: Dict, position: int) -> Dict:
+    if not isinstance(raw, dict):
+        raise ValueError(f"questions[{position}] must be an object")
+    question = (raw.get("question") or "").strip()
+    if not question:
+        raise ValueError(f"questions[{position}].question is required")
+    chunks = raw.get("expected_chunks")
+    chunk_refs = chunks if isinstance(chunks, list) else _split_list(chunks)
+    parsed = {
+        "id": str(raw.get("id") or f"q{position + 1}"),
+        "question": question,
+        "expected_documents": _split_list(raw.get("expected_documents")),
+        "expected_chunks": [_parse_chunk_ref(c) for c in chunk_refs],
+        "expected_figures": _split_list(raw.get("expected_figures")),
+    }
+    if not (parsed["expected_documents"] or parsed["expected_chunks"] or parsed["expected_figures"]):
+        raise ValueError(f"questions[{position}] needs expected_documents, expected_chunks or expected_figures")
+    return parsed
+
+
+def parse_golden_set(text: str, filename: str = "golden.json") -> Dict:
+    """Parse a JSON ({name?, documents?, questions} or a bare list) or CSV golden set.
+    CSV columns: id, question, expected_documents, expected_chunks, expected_figures;
+    list cells are ';'-separated."""
+    if filename.lower().endswith(".csv"):
+        rows = list(csv.DictReader(io.StringIO(text)))
+        data = {"name": os.path.splitext(os.path.basename(filename))[0], "questions": rows}
+    else:
+        try:
+            data = json.loads(text)
+        except json.JSONDecodeError as e:
+            raise ValueError(f"Golden set is not valid JSON ({e})")
+        if isinstance(data, list):
+            data = {"questions": data}
+        if not isinstance(data, dict) or not isinstance(data.get("questions"), list):
+            raise ValueError("Golden set must be a list of questions or an object with a 'questions' list")
+
+    questions = data["questions"]
+    if not questions:
+        raise ValueError("Golden set has no questions")
+    if len(questions) > MAX_EVAL_QUESTIONS:
+        raise ValueError(f"Too many questions (max {MAX_EVAL_QUESTIONS})")
+    return {
+        "name": str(data.get("name") or os.path.splitext(os.path.basename(filename))[0]),
+        "documents": _split_list(data.get("documents")),
+        "questions": [_parse_question(q, i) for i, q in enumerate(questions)],
+    }
+
+
+# ------------------------
+# Metrics
+# ------------------------
+_NUMBER_RE = re.compile(
+    r"(-?\d[\d,]*(?:\.\d+)?)\s*(%|percent|trillion|billion|million|thousand|bn|mn|tn|[kmb]\b)?",
+    re.IGNORECASE,
+)
+_SCALES = {
+    "thousand": 1e3, "k": 1e3,
+    "million": 1e6, "mn": 1e6, "m": 1e6,
+    "billion": 1e9, "bn": 1e9, "b": 1e9,
+    "trillion": 1e12, "tn": 1e12,
+}
+
+
+def extract_numbers(text: str) -> List[float]:
+    """Every number in `text`, both as written and scaled by a trailing unit
+    ('94.9 billion' yields 94.9 and 94.9e9; '45%' yields 45)."""
+    values = []
+    for m in _NUMBER_RE.finditer(text or ""):
+        try:
+            value = float(m.group(1).replace(",", ""))
+        except ValueError:
+            continue
+        values.append(value)
+        unit = (m.group(2) or "").lower()
+        if unit in _SCALES:
+            values.append(value * _SCALES[unit])
+    return values
+
+
+def figure_in_answer(figure: str, answer_numbers: List[float], tolerance: float = EVAL_NUMERIC_TOLERANCE) -> bool:
+    """True when any reading of `figure` matches a number in the answer within a relative tolerance."""
+    for expected in extract_numbers(figure):
+        for actual in answer_numbers:
+            if math.isclose(expected, actual, rel_tol=tolerance, abs_tol=1e-9):
+                return True
+    return False
+
+
+def _same_file(a: str | None, b: str | None) -> bool:
+    return bool(a and b) and os.path.basename(a).lower() == os.path.basename(b).lower()
+
+
+def _hit_matches(hit: Dict, target: Dict) -> bool:
+    if not _same_file(hit.get("filename"), target["filename"]):
+        return False
+    if target.get("chunk_index") is not None and hit.get("chunk_index") != target["chunk_index"]:
+        return False
+    if target.get("page_number") is not None and hit.get("page_number") != target["page_number"]:
+        return False
+    return True
+
+
+def score_question(question: Dict, hits: List[Dict], answer: str | None) -> Dict:
+    """Score one question. `hits` are ranked citations ({filename, chunk_index,
+    page_number, score}); metrics that have no expectation to check are None."""
+    targets = question["expected_chunks"] or [
+        {"filename": f, "chunk_index": None, "page_number": None} for f in question["expected_documents"]
+    ]
+    expected_files = set(question["expected_documents"]) | {c["filename"] for c in question["expected_chunks"]}
+
+    recall = reciprocal_rank = citation_accuracy = None
+    first_relevant = None
+    if targets:
+        found = [t for t in targets if any(_hit_matches(h, t) for h in hits)]
+        recall = len(found) / len(targets)
+        first_relevant = next((i + 1 for i, h in enumerate(hits) if any(_hit_matches(h, t) for t in targets)), None)
+        reciprocal_rank = 1.0 / first_relevant if first_relevant else 0.0
+    if expected_files and hits:
+        correct = [h for h in hits if any(_same_file(h.get("filename"), f) for f in expected_files)]
+        citation_accuracy = len(correct) / len(hits)
+
+    numeric_match = None
+    figures = []
+    if question["expected_figures"] and answer is not None:
+        numbers = extract_numbers(answer)
+        figures = [{"figure": f, "found": figure_in_answer(f, numbers)} for f in question["expected_figures"]]
+        numeric_match = sum(f["found"] for f in figures) / len(figures)
+
+    return {
+        "recall_at_k": recall,
+        "reciprocal_rank": reciprocal_rank,
+        "first_relevant_rank": first_relevant,
+        "citation_accuracy": citation_accuracy,
+        "numeric_match": numeric_match,
+        "figures": figures,
+    }
+
+
+def _mean(values: List[float | None]) -> float | None:
+    present = [v for v in values if v is not None]
+    return round(sum(present) / len(present), 4) if present else None
+
+
+def summarize(results: List[Dict]) -> Dict:
+    return {
+        "questions": len(results),
+        "errors": sum(1 for r in results if r.get("error")),
+        "recall_at_k": _mean([r["recall_at_k"] for r in results]),
+        "mrr": _mean([r["reciprocal_rank"] for r in results]),
+        "citation_accuracy": _mean([r["citation_accuracy"] for r in results]),
+        "numeric_match": _mean([r["numeric_match"] for r in results]),
+    }
+
+
+# ------------------------
+# Running
+# ------------------------
+def _retrieve_hits(service, question: str, top_k: int, with_answer: bool) -> Tuple[List[Dict], str | None]:
+    if with_answer:
+        answer, citations = service.answer(question, top_k, include_context=True)
+        return [{
+            "filename": c.get("filename"),
+            "chunk_index": c.get("chunk_index"),
+            "page_number": c.get("page_number"),
+            "score": c.get("score"),
+        } for c in citations], answer
+    hits = service.semantic_search(question, top_k)
+    return [{
+        "filename": h.get("documentName"),
+        "chunk_index": h.get("chunkIndex"),
+        "page_number": h.get("pageNumber"),
+        "score": h.get("similarity"),
+    } for h in hits], None
+
+
+def run_questions(service, golden: Dict, top_k: int = DEFAULT_TOP_K, with_answer: bool = True) -> List[Dict]:
+    results = []
+    for q in golden["questions"]:
+        start = time.perf_counter()
+        try:
+            hits, answer = _retrieve_hits(service, q["question"], top_k, with_answer)
+            scores = score_question(q, hits, answer)
+            error = None
+        except Exception as e:
+            hits, answer, error = [], None, str(e)
+            scores = score_question(q, [], None)
+        results.append({
+            "id": q["id"],
+            "question": q["question"],
+            "expected_documents": q["expected_documents"],
+            "expected_chunks": q["expected_chunks"],
+            "expected_figures": q["expected_figures"],
+            "answer": answer,
+            "hits": hits,
+            "error": error,
+            "latency_ms": int((time.perf_counter() - start) * 1000),
+            **scores,
+        })
+    return results
+
+
+def run_evaluation(golden: Dict, mode: str = "stub", top_k: int = DEFAULT_TOP_K, with_answer: bool = True,
+                   documents: List[Tuple[str, bytes]] | None = None, live_service=None) -> Dict:
+    """Run a parsed golden set and return the report.
+    `documents` are (filename, bytes) ingested into the stub service; without
+    them the stub copies the live library's chunk cache from `live_service`."""
+    if mode not in MODES:
+        raise ValueError(f"mode must be one of {', '.join(MODES)}")
+    if top_k < 1 or top_k > 20:
+        raise ValueError("topK must be between 1 and 20")
+
+    started = datetime.now(timezone.utc).isoformat()
+    start = time.perf_counter()
+    notes = []
+    if mode == "live":
+        if live_service is None:
+            from service import RAGService
+            live_service = RAGService()
+        if not live_service.store:
+            raise ValueError("Live mode needs a configured vector store; use mode 'stub'")
+        results = run_questions(live_service, golden, top_k, with_answer)
+        corpus = {"documents": len(live_service.list_documents()), "source": "library"}
+        llm = describe_llm(live_service.llm)
+        embedding = EMBEDDING_MODEL_NAME
+    else:
+        with tempfile.TemporaryDirectory(prefix="finrag-eval-") as tmp:
+            service = build_stub_service(tmp)
+            if documents:
+                for filename, content in documents:
+                    try:
+                        service.add_document(filename, content)
+                    except Exception as e:
+                        notes.append(f"Skipped {filename}: {e}")
+                source = "golden set"
+            elif live_service is not None:
+                index_cached_chunks(service, live_service)
+                source = "library chunk cache"
+            else:
+                raise ValueError("Stub mode needs documents (golden set 'documents' or --docs)")
+            if not service._docs:
+                raise ValueError("No documents could be indexed for the evaluation")
+            results = run_questions(service, golden, top_k, with_answer)
+            corpus = {"documents": len(service._docs), "source": source}
+        llm = describe_llm(EchoProvider())
+        embedding = "stub-hashed-bow"
+
+    return {
+        "id": f"eval_{datetime.now(timezone.utc).strftime('%Y%m%d%H%M%S')}_{uuid.uuid4().hex[:6]}",
+        "name": golden["name"],
+        "created": started,
+        "durationMs": int((time.perf_counter() - start) * 1000),
+        "config": {
+            "mode": mode,
+            "top_k": top_k,
+            "answers": with_answer,
+            "chunk_size": CHUNK_SIZE,
+            "chunk_overlap": CHUNK_OVERLAP,
+            "embedding_model": embedding,
+            "llm": llm,
+        },
+        "corpus": corpus,
+        "notes": notes,
+        "summary": summarize(results),
+        "results": results,
+    }
+
+
+# ------------------------
+# Saved reports
+# ------------------------
+_REPORT_ID_RE = re.compile(r"^eval_[A-Za-z0-9_]{1,64}$")
+
+
+def save_report(report: Dict, evals_dir: str = EVALS_DIR) -> str:
+    os.makedirs(evals_dir, exist_ok=True)
+    path = os.path.join(evals_dir, f"{report['id']}.json")
+    with open(path, "w", encoding="utf-8") as f:
+        json.dump(report, f, indent=2, ensure_ascii=False)
+    return path
+
+
+def load_report(report_id: str, evals_dir: str = EVALS_DIR) -> Dict | None:
+    if not _REPORT_ID_RE.match(report_id or ""):
+        return None
+    path = os.path.join(evals_dir, f"{report_id}.json")
+    if not os.path.exists(path):
+        return None
+    with open(path, "r", encoding="utf-8") as f:
+        return json.load(f)
+
+
+def delete_report(report_id: str, evals_dir: str = EVALS_DIR) -> bool:
+    if not _REPORT_ID_RE.match(report_id or ""):
+        return False
+    try:
+        os.remove(os.path.join(evals_dir, f"{report_id}.json"))
+        return True
+    except FileNotFoundError:
+        return False
+
+
+def list_reports(evals_dir: str = EVALS_DIR) -> List[Dict]:
+    """Saved runs without per-question results, newest first."""
+    runs = []
+    if not os.path.isdir(evals_dir):
+        return runs
+    for name in os.listdir(evals_dir):
+        if not name.endswith(".json"):
+            continue
+        try:
+            with open(os.path.join(evals_dir, name), "r", encoding="utf-8") as f:
+                report = json.load(f)
+            runs.append({k: report.get(k) for k in ("id", "name", "created", "durationMs", "config", "corpus", "summary")})
+        except Exception as e:
+            print(f"• Warning: Failed to read eval report {name} ({e})")
+    runs.sort(key=lambda r: r.get("created") or "", reverse=True)
+    return runs
+
+
+# ------------------------
+# CLI
+# ------------------------
+def _collect_documents(paths: List[str], base_dir: str) -> Iterator[Tuple[str, bytes]]:
+    for path in paths:
+        path = path if os.path.isabs(path) else os.path.join(base_dir, path)
+        files = [os.path.join(path, n) for n in sorted(os.listdir(path))] if os.path.isdir(path) else [path]
+        for file_path in files:
+            if os.path.splitext(file_path)[1].lower() in SUPPORTED_EXTENSIONS:
+                with open(file_path, "rb") as f:
+                    yield os.path.basename(file_path), f.read()
+
+
+def _fmt(value: float | None) -> str:
+    return "-" if value is None else f"{value:.3f}"
+
+
+def main(argv: List[str] | None = None) -> int:
+    parser = argparse.ArgumentParser(description="Evaluate retrieval and answers against a golden question set")
+    parser.add_argument("golden", help="Golden set (.json or .csv)")
+    parser.add_argument("--docs", nargs="*", default=None,
+                        help="Documents or directories to index in stub mode (default: the golden set's 'documents')")
+    parser.add_argument("--mode", choices=MODES, default="stub")
+    parser.add_argument("--top-k", type=int, default=DEFAULT_TOP_K)
+    parser.add_argument("--no-answer", action="store_true", help="Score retrieval only (skip answer generation)")
+    parser.add_argument("--out", help="Also write the report to this path")
+    args = parser.parse_args(argv)
+
+    try:
+        with open(args.golden, "r", encoding="utf-8") as f:
+            golden = parse_golden_set(f.read(), args.golden)
+        base_dir = os.path.dirname(os.path.abspath(args.golden))
+        doc_paths = args.docs if args.docs is not None else golden["documents"]
+        documents = list(_collect_documents(doc_paths, os.getcwd() if args.docs is not None else base_dir))
+        live = None
+        if args.mode == "stub" and not documents:
+            from service import RAGService
+            live = RAGService()
+        report = run_evaluation(golden, args.mode, args.top_k, not args.no_answer, documents, live)
+    except (OSError, ValueError) as e:
+        print(f"✗ {e}")
+        return 1
+
+    path = save_report(report)
+    if args.out:
+        with open(args.out, "w", encoding="utf-8") as f:
+            json.dump(report, f, indent=2, ensure_ascii=False)
+
+    s = report["summary"]
+    print(f"\n{report['name']} — {s['questions']} question(s), mode={args.mode}, top_k={args.top_k}, "
+          f"chunk_size={CHUNK_SIZE}, overlap={CHUNK_OVERLAP}")
+    for r in report["results"]:
+        status = f"ERROR {r['error']}" if r["error"] else (
+            f"recall={_fmt(r['recall_at_k'])} rr={_fmt(r['reciprocal_rank'])} "
+            f"cite={_fmt(r['citation_accuracy'])} num={_fmt(r['numeric_match'])}"
+        )
+        print(f"  {r['id']:<10} {status}")
+    print(f"\nrecall@{args.top_k}={_fmt(s['recall_at_k'])}  MRR={_fmt(s['mrr'])}  "
+          f"citation accuracy={_fmt(s['citation_accuracy'])}  numeric match={_fmt(s['numeric_match'])}")
+    print(f"✓ Report saved to {path}")
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
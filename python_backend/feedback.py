@@ -0,0 +1,172 @@
+"""
+Answer feedback store backed by data/feedback.json.
+Each entry keeps everything needed to replay the question later:
+{ id, owner, rating, reason, question, answer, citations, topK, includeContext,
+  chatId, conversationId, created, updated }
+`owner` is the rating user's id; only they (or an admin) may change or remove it.
+"""
+import json
+import os
+import threading
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List
+
+from config import (
+    FEEDBACK_FILE, MAX_FEEDBACK_ENTRIES, MAX_FEEDBACK_ANSWER_LENGTH, MAX_FEEDBACK_CITATIONS, MAX_QUERY_LENGTH,
+)
+
+RATINGS = ("up", "down")
+MAX_REASON_LENGTH = 1000
+# Citation fields kept from the client (as the chat endpoints return them) and their types
+CITATION_FIELDS = {
+    "filename": str, "document_id": str, "section": str, "sheet": str, "cell_range": str,
+    "chunk_index": int, "page_number": int, "score": float,
+}
+MAX_CITATION_FIELD_LENGTH = 300
+MAX_REFERENCE_LENGTH = 100  # chatId / conversationId
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+class FeedbackStore:
+    """Thread-safe JSON-backed list of answer ratings."""
+
+    def __init__(self, path: str = FEEDBACK_FILE):
+        self.path = path
+        self._lock = threading.Lock()
+        self._entries: List[Dict] = self._load()
+
+    def _load(self) -> List[Dict]:
+        if not os.path.exists(self.path):
+            return []
+        try:
+            with open(self.path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                data = json.loads(content) if content else []
+                return data if isinstance(data, list) else []
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(self.path)} ({e}); starting fresh")
+            return []
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump(self._entries, f, indent=2, ensure_ascii=False)
+
+    @staticmethod
+    def _clean_rating(rating) -> str:
+        if rating not in RATINGS:
+            raise ValueError("rating must be 'up' or 'down'")
+        return rating
+
+    @staticmethod
+    def _clean_reason(reason) -> str:
+        if reason is None:
+            return ""
+        if not isinstance(reason, str):
+            raise ValueError("reason must be a string")
+        return reason.strip()[:MAX_REASON_LENGTH]
+
+    @staticmethod
+    def _clean_citation(citation) -> Dict:
+        """Keep the known citation fields, as their type; anything else is dropped."""
+        if not isinstance(citation, dict):
+            raise ValueError("citations must be objects")
+        cleaned = {}
+        for key, kind in CITATION_FIELDS.items():
+            value = citation.get(key)
+            if value is None:
+                continue
+            if kind is str:
+                if not isinstance(value, str):
+                    raise ValueError(f"citation {key} must be a string")
+                cleaned[key] = value[:MAX_CITATION_FIELD_LENGTH]
+                continue
+            if isinstance(value, bool) or not isinstance(value, (int, float)):
+                raise ValueError(f"citation {key} must be a number")
+            cleaned[key] = kind(value)
+        return cleaned
+
+    @staticmethod
+    def _clean_reference(value, name: str) -> str | None:
+        if value is None:
+            return None
+        if not isinstance(value, str) or len(value) > MAX_REFERENCE_LENGTH:
+            raise ValueError(f"{name} must be a string of at most {MAX_REFERENCE_LENGTH} chars")
+        return value
+
+    def _owned(self, feedback_id: str, owner: str | None) -> Dict | None:
+        entry = next((e for e in self._entries if e["id"] == feedback_id), None)
+        if entry is None or (owner and entry.get("owner") != owner):
+            return None
+        return entry
+
+    def add(self, data: Dict, owner: str | None = None) -> Dict:
+        """Record `owner`'s rating for an answer."""
+        question = data.get("question")
+        answer = data.get("answer")
+        if not isinstance(question, str) or not question.strip():
+            raise ValueError("question is required")
+        if len(question) > MAX_QUERY_LENGTH:
+            raise ValueError(f"question too long (max {MAX_QUERY_LENGTH} chars)")
+        if not isinstance(answer, str):
+            raise ValueError("answer is required")
+        citations = data.get("citations") or []
+        if not isinstance(citations, list):
+            raise ValueError("citations must be a list")
+        if len(citations) > MAX_FEEDBACK_CITATIONS:
+            raise ValueError(f"Too many citations (max {MAX_FEEDBACK_CITATIONS})")
+        top_k = data.get("topK")
+        if top_k is not None and (isinstance(top_k, bool) or not isinstance(top_k, int) or not 1 <= top_k <= 20):
+            raise ValueError("topK must be an integer between 1 and 20")
+
+        now = _now()
+        entry = {
+            "id": f"fb_{uuid.uuid4().hex[:12]}",
+            "owner": owner,
+            "rating": self._clean_rating(data.get("rating")),
+            "reason": self._clean_reason(data.get("reason")),
+            "question": question.strip(),
+            "answer": answer[:MAX_FEEDBACK_ANSWER_LENGTH],
+            "citations": [self._clean_citation(c) for c in citations],
+            "topK": top_k,
+            "includeContext": bool(data.get("includeContext", True)),
+            "chatId": self._clean_reference(data.get("chatId"), "chatId"),
+            "conversationId": self._clean_reference(data.get("conversationId"), "conversationId"),
+            "created": now,
+            "updated": now,
+        }
+        with self._lock:
+            self._entries.append(entry)
+            self._entries = self._entries[-MAX_FEEDBACK_ENTRIES:]
+            self._save()
+        return dict(entry)
+
+    def update(self, feedback_id: str, rating=None, reason=None, owner: str | None = None) -> Dict | None:
+        """Change the rating and/or reason of an existing entry (only `owner`'s when given)."""
+        with self._lock:
+            entry = self._owned(feedback_id, owner)
+            if entry is None:
+                return None
+            if rating is not None:
+                entry["rating"] = self._clean_rating(rating)
+            if reason is not None:
+                entry["reason"] = self._clean_reason(reason)
+            entry["updated"] = _now()
+            self._save()
+            return dict(entry)
+
+    def list(self, rating: str | None = None, limit: int | None = None) -> List[Dict]:
+        """Entries newest first, optionally only one rating."""
+        entries = [e for e in reversed(self._entries) if not rating or e["rating"] == rating]
+        return [dict(e) for e in (entries[:limit] if limit else entries)]
+
+    def delete(self, feedback_id: str, owner: str | None = None) -> bool:
+        with self._lock:
+            if self._owned(feedback_id, owner) is None:
+                return False
+            self._entries = [e for e in self._entries if e["id"] != feedback_id]
+            self._save()
+            return True
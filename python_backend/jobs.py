@@ -0,0 +1,162 @@
+"""
+Background ingestion jobs backed by data/jobs.json.
+/api/upload validates a file, queues it here and answers with the job at once;
+a small worker pool runs RAGService.add_document and records its progress.
+Job shape:
+{ id, owner, filename, collection, size_bytes, status, stage, done, total,
+  document, error, created, updated, finished }
+status: queued | running | done | failed | interrupted (server stopped mid-job)
+stage:  queued | extracting | chunking | embedding | upserting | done
+`done`/`total` count chunks during embedding and upserting.
+"""
+import json
+import os
+import threading
+import uuid
+from concurrent.futures import ThreadPoolExecutor
+from datetime import datetime, timezone
+from typing import Callable, Dict, List
+
+from config import JOBS_FILE, INGEST_WORKERS, MAX_INGEST_JOBS
+
+FINISHED = ("done", "failed", "interrupted")
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+class IngestJobStore:
+    """Thread-safe job list plus the worker pool that runs the jobs."""
+
+    def __init__(self, path: str = JOBS_FILE, workers: int = INGEST_WORKERS):
+        self.path = path
+        self._lock = threading.Lock()
+        self._jobs: Dict[str, Dict] = self._load()
+        # Jobs that were queued or running when the server stopped can't resume: their bytes are gone
+        interrupted = [j for j in self._jobs.values() if j["status"] not in FINISHED]
+        for job in interrupted:
+            job.update(status="interrupted", error="The server restarted before processing finished; upload the file again",
+                       updated=_now(), finished=_now())
+        if interrupted:
+            self._save()
+        self._pool = ThreadPoolExecutor(max_workers=max(1, workers), thread_name_prefix="ingest")
+
+    def _load(self) -> Dict:
+        if not os.path.exists(self.path):
+            return {}
+        try:
+            with open(self.path, "r", encoding="utf-8") as f:
+                content = f.read().strip()
+                data = json.loads(content) if content else {}
+                return data if isinstance(data, dict) else {}
+        except Exception as e:
+            print(f"• Warning: Failed to parse {os.path.basename(self.path)} ({e}); starting fresh")
+            return {}
+
+    def _save(self):
+        with open(self.path, "w", encoding="utf-8") as f:
+            json.dump(self._jobs, f, indent=2, ensure_ascii=False)
+
+    def _trim(self):
+        """Drop the oldest finished jobs beyond MAX_INGEST_JOBS."""
+        finished = sorted((j for j in self._jobs.values() if j["status"] in FINISHED), key=lambda j: j["created"])
+        for job in finished[:max(0, len(self._jobs) - MAX_INGEST_JOBS)]:
+            del self._jobs[job["id"]]
+
+    # ------------------------
+    # Running jobs
+    # ------------------------
+    def submit(self, owner: str | None, filename: str, collection: str, size_bytes: int,
+               ingest: Callable[[Callable], Dict]) -> Dict:
+        """Queue `ingest(progress)`, which returns the document summary stored
+        on the job; `progress(stage, done=None, total=None)` reports stages."""
+        now = _now()
+        job = {
+            "id": f"job_{uuid.uuid4().hex[:12]}",
+            "owner": owner,
+            "filename": filename,
+            "collection": collection,
+            "size_bytes": size_bytes,
+            "status": "queued",
+            "stage": "queued",
+            "done": None,
+            "total": None,
+            "document": None,
+            "error": None,
+            "created": now,
+            "updated": now,
+            "finished": None,
+        }
+        with self._lock:
+            self._jobs[job["id"]] = job
+            self._trim()
+            self._save()
+        self._pool.submit(self._run, job["id"], ingest)
+        return dict(job)
+
+    def _update(self, job_id: str, persist: bool = True, **changes):
+        with self._lock:
+            job = self._jobs.get(job_id)
+            if not job:
+                return
+            job.update(changes, updated=_now())
+            if persist:
+                self._save()
+
+    def _run(self, job_id: str, ingest: Callable[[Callable], Dict]):
+        def progress(stage: str, done: int | None = None, total: int | None = None):
+            # Counters change often; write the file only when the stage changes
+            stage_changed = self._jobs.get(job_id, {}).get("stage") != stage
+            self._update(job_id, persist=stage_changed, stage=stage, done=done, total=total)
+
+        self._update(job_id, status="running")
+        try:
+            document = ingest(progress)
+            self._update(job_id, status="done", stage="done", document=document, finished=_now())
+        except Exception as e:
+            print(f"✗ Ingestion job {job_id} failed: {e}")
+            self._update(job_id, status="failed", error=str(e), finished=_now())
+
+    # ------------------------
+    # Queries
+    # ------------------------
+    def _owned(self, job_id: str, owner: str | None) -> Dict | None:
+        job = self._jobs.get(job_id)
+        if not job or (owner and job.get("owner") != owner):
+            return None
+        return job
+
+    def list(self, owner: str | None = None, limit: int | None = None) -> List[Dict]:
+        """Jobs newest first (only `owner`'s when given)."""
+        with self._lock:
+            jobs = [dict(j) for j in self._jobs.values() if not owner or j.get("owner") == owner]
+        jobs.sort(key=lambda j: j["created"], reverse=True)
+        return jobs[:limit] if limit else jobs
+
+    def get(self, job_id: str, owner: str | None = None) -> Dict | None:
+        with self._lock:
+            job = self._owned(job_id, owner)
+            return dict(job) if job else None
+
+    def dismiss(self, job_id: str, owner: str | None = None) -> bool:
+        """Remove a finished job from the list."""
+        with self._lock:
+            job = self._owned(job_id, owner)
+            if not job:
+                return False
+            if job["status"] not in FINISHED:
+                raise ValueError("Job is still processing")
+            del self._jobs[job_id]
+            self._save()
+            return True
+
+    def clear_finished(self, owner: str | None = None) -> int:
+        with self._lock:
+            ids = [j["id"] for j in self._jobs.values()
+                   if j["status"] in FINISHED and (not owner or j.get("owner") == owner)]
+            for job_id in ids:
+                del self._jobs[job_id]
+            if ids:
+                self._save()
+            return len(ids)
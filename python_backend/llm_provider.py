@@ -0,0 +1,193 @@
+"""
+LLM providers behind one interface, selected with LLM_PROVIDER:
+- "gemini": Google Gemini, first available model of LLM_MODEL_PRIORITY
+- "openai": any OpenAI-compatible /chat/completions endpoint (OpenAI, a local
+            Ollama or llama.cpp server, vLLM, ...)
+- "echo":   deterministic extractive answers from the prompt's context, for
+            tests and offline runs (no model involved)
+
+RAGService only calls generate() and stream(), so prompts are the same
+whichever provider answers.
+"""
+import json
+import re
+import urllib.error
+import urllib.request
+from typing import Dict, Iterator
+
+from config import (
+    LLM_PROVIDER, LLM_TIMEOUT, GEMINI_API_KEY, LLM_MODEL_PRIORITY,
+    OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL
+)
+
+LLM_PROVIDERS = ("gemini", "openai", "echo")
+
+
+class LLMProvider:
+    """Text generation for RAGService. `model` names what produced an answer;
+    `follows_instructions` is False for providers that can't rewrite queries
+    or write titles (the service then uses its heuristics)."""
+
+    provider = ""
+    model = ""
+    follows_instructions = True
+
+    def generate(self, prompt: str) -> str:
+        raise NotImplementedError
+
+    def stream(self, prompt: str) -> Iterator[str]:
+        """Yield the answer in pieces; providers without streaming yield it whole."""
+        yield self.generate(prompt)
+
+    def describe(self) -> Dict:
+        """{provider, model}, shown in /api/health and next to each answer."""
+        return {"provider": self.provider, "model": self.model}
+
+
+# ------------------------
+# Gemini
+# ------------------------
+class GeminiProvider(LLMProvider):
+    """Google Gemini with fallback model selection."""
+
+    provider = "gemini"
+
+    def __init__(self, api_key: str = GEMINI_API_KEY, models=LLM_MODEL_PRIORITY):
+        import google.generativeai as genai
+        genai.configure(api_key=api_key)
+
+        # Try models in priority order
+        last_error = None
+        for model_name in models:
+            try:
+                self.client = genai.GenerativeModel(model_name)
+                self.model = model_name
+                print(f"✓ Gemini LLM initialized ({model_name})")
+                return
+            except Exception as e:
+                last_error = e
+        raise last_error or ValueError("No Gemini model configured")
+
+    def generate(self, prompt: str) -> str:
+        resp = self.client.generate_content(prompt)
+        return resp.text if hasattr(resp, "text") else str(resp)
+
+    def stream(self, prompt: str) -> Iterator[str]:
+        for chunk in self.client.generate_content(prompt, stream=True):
+            try:
+                piece = chunk.text
+            except Exception:
+                # Chunks without text parts (e.g. safety metadata) raise on .text
+                piece = ""
+            if piece:
+                yield piece
+
+
+# ------------------------
+# OpenAI-compatible HTTP endpoint
+# ------------------------
+class OpenAICompatibleProvider(LLMProvider):
+    """POSTs to {base_url}/chat/completions; streams via SSE `data:` lines."""
+
+    provider = "openai"
+
+    def __init__(self, base_url: str = OPENAI_BASE_URL, model: str = OPENAI_MODEL,
+                 api_key: str | None = OPENAI_API_KEY, timeout: int = LLM_TIMEOUT):
+        self.base_url = base_url.rstrip("/")
+        self.model = model
+        self.api_key = api_key
+        self.timeout = timeout
+        print(f"✓ OpenAI-compatible LLM configured ({model} at {self.base_url})")
+
+    def _request(self, prompt: str, stream: bool):
+        body = {"model": self.model, "messages": [{"role": "user", "content": prompt}], "stream": stream}
+        headers = {"Content-Type": "application/json"}
+        if self.api_key:
+            headers["Authorization"] = f"Bearer {self.api_key}"
+        req = urllib.request.Request(
+            f"{self.base_url}/chat/completions", data=json.dumps(body).encode("utf-8"), headers=headers, method="POST"
+        )
+        try:
+            return urllib.request.urlopen(req, timeout=self.timeout)
+        except urllib.error.HTTPError as e:
+            detail = e.read().decode("utf-8", errors="replace")[:300]
+            raise RuntimeError(f"LLM endpoint returned HTTP {e.code}: {detail}")
+        except urllib.error.URLError as e:
+            raise RuntimeError(f"LLM endpoint {self.base_url} unreachable ({e.reason})")
+
+    def generate(self, prompt: str) -> str:
+        with self._request(prompt, stream=False) as resp:
+            data = json.load(resp)
+        try:
+            return data["choices"][0]["message"]["content"] or ""
+        except (KeyError, IndexError, TypeError):
+            raise RuntimeError("LLM endpoint returned an unexpected response")
+
+    def stream(self, prompt: str) -> Iterator[str]:
+        with self._request(prompt, stream=True) as resp:
+            for raw in resp:
+                line = raw.decode("utf-8", errors="replace").strip()
+                if not line.startswith("data:"):
+                    continue
+                payload = line[5:].strip()
+                if payload == "[DONE]":
+                    break
+                try:
+                    delta = json.loads(payload)["choices"][0].get("delta") or {}
+                except (ValueError, KeyError, IndexError, TypeError):
+                    continue
+                if delta.get("content"):
+                    yield delta["content"]
+
+
+# ------------------------
+# Echo (deterministic)
+# ------------------------
+_WORD_RE = re.compile(r"[a-z0-9]+(?:[.,][0-9]+)*")
+
+
+class EchoProvider(LLMProvider):
+    """Answers with the context sentences that share the most words with the
+    question, so figures in the retrieved chunks reach the answer. Without
+    context it echoes the question. Same prompt, same answer."""
+
+    provider = "echo"
+    model = "extractive-echo"
+    follows_instructions = False
+
+    _CONTEXT_RE = re.compile(r"Context \(verbatim excerpts\):\n(.*?)\n\nUser question: (.*?)\n", re.DOTALL)
+    _QUESTION_RE = re.compile(r"User question(?: \(no context attached\))?: (.*?)\n")
+
+    def generate(self, prompt: str) -> str:
+        m = self._CONTEXT_RE.search(prompt)
+        if not m:
+            q = self._QUESTION_RE.search(prompt)
+            return f"Echo: {q.group(1).strip()}" if q else f"Echo: {prompt.strip()[:200]}"
+        context, question = m.group(1), m.group(2)
+        terms = set(_WORD_RE.findall(question.lower()))
+        sentences = [s.strip() for s in re.split(r"(?<=[.!?])\s+|\n+", context) if s.strip()]
+        scored = sorted(
+            ((len(terms & set(_WORD_RE.findall(s.lower()))), i, s) for i, s in enumerate(sentences)),
+            key=lambda t: (-t[0], t[1]),
+        )
+        best = [s for score, _, s in scored[:2] if score > 0]
+        return " ".join(best) if best else "Not found in provided documents."
+
+
+def create_llm_provider(provider: str = LLM_PROVIDER) -> LLMProvider | None:
+    """Build the configured provider. Returns None when Gemini is selected but
+    unusable, which the service treats as "LLM unavailable"."""
+    if provider == "echo":
+        return EchoProvider()
+    if provider == "openai":
+        return OpenAICompatibleProvider()
+    if provider != "gemini":
+        raise ValueError(f"Unknown LLM_PROVIDER '{provider}' (use one of: {', '.join(LLM_PROVIDERS)})")
+    if not GEMINI_API_KEY:
+        print("⚠ Warning: GEMINI_API_KEY not set. LLM answer generation will be unavailable.")
+        return None
+    try:
+        return GeminiProvider()
+    except Exception as e:
+        print(f"⚠ Gemini LLM initialization failed: {e}")
+        return None
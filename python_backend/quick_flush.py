@@ -1,21 +1,21 @@
-"""Quick script to flush Pinecone - run this once"""
+"""Quick script to flush the configured vector store - run this once"""
 import sys
 import os
 sys.path.insert(0, os.path.dirname(__file__))
 
-from config import PINECONE_API_KEY, PINECONE_INDEX_NAME
-from pinecone import Pinecone
+from config import VECTOR_DB_PROVIDER
+from vector_store import create_vector_store
+from audit import AuditLog
 
 if __name__ == "__main__":
-    if not PINECONE_API_KEY:
-        print("PINECONE_API_KEY not set")
+    print(f"🔌 Connecting to the {VECTOR_DB_PROVIDER} vector store...")
+    store = create_vector_store()
+    if not store:
+        print("Vector store not configured")
         sys.exit(1)
     
-    print(f"🔌 Connecting to Pinecone index '{PINECONE_INDEX_NAME}'...")
-    pc = Pinecone(api_key=PINECONE_API_KEY)
-    index = pc.Index(PINECONE_INDEX_NAME)
-    
-    print("Deleting ALL vectors from Pinecone...")
-    index.delete(delete_all=True)
-    print("All vectors deleted from Pinecone index!")
+    print(f"Deleting ALL vectors from the {store.provider} store...")
+    store.delete_all()
+    AuditLog().record(None, "flush", store.provider, {"source": "quick_flush.py"})
+    print(f"All vectors deleted from the {store.provider} store!")
     print("The index is now empty. Upload new documents to add vectors.")
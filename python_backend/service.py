@@ -2,36 +2,45 @@ import os
 import shutil
 import json
 import uuid
+import hashlib
+import threading
 from datetime import datetime, timezone
 from dataclasses import dataclass
-from typing import List, Dict, Tuple
-import math
+from typing import Callable, List, Dict, Tuple, Iterator
+import re
 
 """
-Modular RAG service backed by Pinecone with FinBERT sentence embeddings.
+Modular RAG service over a pluggable vector store (Pinecone or local, see
+vector_store.py) with FinBERT sentence embeddings.
 All configuration is imported from config module for maintainability.
 """
 
 # Import configuration
 from config import (
-    DATA_DIR, INDEX_FILE,
+    DATA_DIR, INDEX_FILE, CHUNKS_DIR,
     EMBEDDING_MODEL_NAME, EMBEDDING_DIMENSION,
-    PINECONE_API_KEY, PINECONE_INDEX_NAME, PINECONE_CLOUD, PINECONE_REGION, PINECONE_METRIC,
-    GEMINI_API_KEY, LLM_MODEL_PRIORITY, LLM_PROVIDER, VECTOR_DB_PROVIDER,
-    CHUNK_SIZE, CHUNK_OVERLAP, MIN_PDF_TEXT_LENGTH,
-    DEFAULT_TOP_K, MAX_CONTEXT_LENGTH, SUPPORTED_EXTENSIONS
+    LLM_PROVIDER, VECTOR_DB_PROVIDER,
+    CHUNK_SIZE, CHUNK_OVERLAP, TABLE_CHUNK_SIZE, MIN_PDF_TEXT_LENGTH, EMBED_BATCH_SIZE, UPSERT_BATCH_SIZE,
+    DEFAULT_TOP_K, MAX_CONTEXT_LENGTH, SUPPORTED_EXTENSIONS, HYBRID_ALPHA,
+    MAX_HISTORY_ANSWER_CHARS, DEFAULT_COLLECTION_NAME, MAX_COLLECTION_NAME_LENGTH
 )
+from bm25 import BM25Index
+from structure import CHUNK_FIELDS, build_segments, chunk_markdown_table, sheet_segments, table_text
+from vector_store import create_vector_store
+from llm_provider import create_llm_provider
 
 # Embeddings
 from sentence_transformers import SentenceTransformer, models
 
-# Pinecone
-from pinecone import Pinecone, ServerlessSpec
-
 # File handling
 import pypdf
 from io import BytesIO
 
+VECTOR_STORE_MISSING = "Vector store not configured. Add PINECONE_API_KEY to .env or set VECTOR_DB_PROVIDER=local"
+
+# Every user has this collection; it maps to the vector store's default namespace
+DEFAULT_COLLECTION = "default"
+
 # DATA MODELS
 
 @dataclass
@@ -45,23 +54,29 @@ class SearchResult:
 
 class RAGService:
     """
-    Retrieval-Augmented Generation service using Pinecone + FinBERT + Gemini.
+    Retrieval-Augmented Generation service using a vector store + FinBERT + an LLM provider.
     
     Architecture:
     - Embeddings: FinBERT (768-dim) for financial domain
-    - Vector Store: Pinecone serverless index
-    - LLM: Google Gemini for answer generation
-    - Local Storage: JSON file for document metadata
+    - Vector Store: Pinecone serverless index or local SQLite file (VECTOR_DB_PROVIDER)
+    - LLM: Gemini, an OpenAI-compatible endpoint or the echo stub (LLM_PROVIDER)
+    - Local Storage: JSON file for document metadata and collections
+    
+    Documents belong to one collection; each collection is a namespace in the
+    vector store, so retrieval scoped to a collection never sees the others.
     """
     
-    def __init__(self):
-        print("Initializing RAG Service (Pinecone + Gemini)...")
+    def __init__(self, embedding_model=None, vector_store=None, llm=None, storage_dir: str | None = None):
+        """Components left as None are built from config. Passing them in (see
+        evaluation.py) runs the service without FinBERT, Pinecone or Gemini;
+        `storage_dir` keeps docs.json and the chunk cache out of DATA_DIR."""
+        print(f"Initializing RAG Service ({VECTOR_DB_PROVIDER} + {LLM_PROVIDER})...")
         
         # Initialize components
-        self._init_vector_store()
-        self._init_embedding_model()
-        self._init_llm()
-        self._init_local_storage()
+        self._init_vector_store(vector_store)
+        self._init_embedding_model(embedding_model)
+        self._init_llm(llm)
+        self._init_local_storage(storage_dir)
         
         print("✓ RAG Service initialization complete")
 
@@ -69,77 +84,15 @@ class RAGService:
     # Initialization Methods
     # ------------------------
     
-    def _init_vector_store(self):
-        """Initialize Pinecone vector database connection."""
-        # Pinecone setup
-        self.pinecone_api_key = PINECONE_API_KEY
-        self.index_name = PINECONE_INDEX_NAME
-        self.pc = None
-        self.index = None
-        self._stats_filter_supported = True
-        
-        if not self.pinecone_api_key:
-            print("⚠ Warning: PINECONE_API_KEY not set. Vector search will be unavailable.")
-            return
-        
-        try:
-            print(f"Connecting to Pinecone (index: {self.index_name})...")
-            self.pc = Pinecone(api_key=self.pinecone_api_key)
-            
-            existing = self.pc.list_indexes().names()
-            
-            # Validate or create index
-            if self.index_name in existing:
-                self._validate_index_dimension()
-            else:
-                self._create_index()
-            
-            self.index = self.pc.Index(self.index_name)
-            print("✓ Pinecone connected successfully")
-            
-        except Exception as e:
-            print(f"✗ Pinecone initialization failed: {e}")
-            self.pc = None
-            self.index = None
+    def _init_vector_store(self, vector_store=None):
+        """Initialize the configured vector store (None when unavailable)."""
+        self.store = vector_store if vector_store is not None else create_vector_store()
     
-    def _validate_index_dimension(self):
-        """Validate that existing Pinecone index matches required dimension."""
-        try:
-            desc = self.pc.describe_index(self.index_name)
-            detected_dim = None
-            
-            if isinstance(desc, dict):
-                detected_dim = desc.get("dimension") or (desc.get("spec") or {}).get("dimension")
-            else:
-                detected_dim = getattr(desc, "dimension", None)
-            
-            if detected_dim:
-                detected_dim = int(detected_dim)
-                print(f"• Detected existing index dimension: {detected_dim}")
-                
-                if detected_dim != EMBEDDING_DIMENSION:
-                    raise ValueError(
-                        f"Index dimension {detected_dim} != {EMBEDDING_DIMENSION} (required for {EMBEDDING_MODEL_NAME}). "
-                        f"Please use a different index name or recreate the index."
-                    )
-            else:
-                print(f"• Could not detect index dimension; assuming {EMBEDDING_DIMENSION}")
-                
-        except Exception as e:
-            print(f"• Warning: Index validation failed ({e}); proceeding with caution")
-    
-    def _create_index(self):
-        """Create a new Pinecone index with configured settings."""
-        print(f"Creating new Pinecone index: {self.index_name}")
-        self.pc.create_index(
-            name=self.index_name,
-            dimension=EMBEDDING_DIMENSION,
-            metric=PINECONE_METRIC,
-            spec=ServerlessSpec(cloud=PINECONE_CLOUD, region=PINECONE_REGION),
-        )
-    
-    def _init_embedding_model(self):
+    def _init_embedding_model(self, embedding_model=None):
         """Initialize FinBERT embedding model with mean pooling."""
+        if embedding_model is not None:
+            self.embedding_model = embedding_model
+            return
         print(f"• Loading embedding model: {EMBEDDING_MODEL_NAME} (dim={EMBEDDING_DIMENSION})")
         
         transformer = models.Transformer(EMBEDDING_MODEL_NAME, do_lower_case=True)
@@ -152,53 +105,46 @@ class RAGService:
         self.embedding_model = SentenceTransformer(modules=[transformer, pooling])
         print(f"✓ Embedding model loaded")
     
-    def _init_llm(self):
-        """Initialize Gemini LLM with fallback model selection."""
-        self.gemini_key = GEMINI_API_KEY
-        self.llm = None
-        
-        if not self.gemini_key:
-            print("⚠ Warning: GEMINI_API_KEY not set. LLM answer generation will be unavailable.")
-            return
-        
-        try:
-            import google.generativeai as genai
-            genai.configure(api_key=self.gemini_key)
-            
-            # Try models in priority order
-            last_error = None
-            for model_name in LLM_MODEL_PRIORITY:
-                try:
-                    self.llm = genai.GenerativeModel(model_name)
-                    print(f"✓ Gemini LLM initialized ({model_name})")
-                    return
-                except Exception as e:
-                    last_error = e
-                    continue
-            
-            if last_error:
-                raise last_error
-                
-        except Exception as e:
-            print(f"⚠ Gemini LLM initialization failed: {e}")
-            self.llm = None
+    def _init_llm(self, llm=None):
+        """Initialize the configured LLM provider (None when unavailable)."""
+        self.llm = llm if llm is not None else create_llm_provider()
     
-    def _init_local_storage(self):
+    def _init_local_storage(self, storage_dir: str | None = None):
         """Initialize local JSON storage for document metadata."""
-        self._docs = self._load_index()
-        print(f"• Loaded {len(self._docs)} document(s) from local index")
+        self.index_file = os.path.join(storage_dir, "docs.json") if storage_dir else INDEX_FILE
+        self.chunks_dir = os.path.join(storage_dir, "chunks") if storage_dir else CHUNKS_DIR
+        os.makedirs(self.chunks_dir, exist_ok=True)
+        index = self._load_index()
+        # Ingestion jobs add documents from worker threads while requests delete
+        # and reorganise them: hold this around changes to either map and saves
+        self._index_lock = threading.RLock()
+        # Documents being ingested: their vectors are stored before their record
+        self._ingesting: set = set()
+        self._docs = index["documents"]
+        self._collections = index["collections"]
+        self._keyword_index = None  # Lazily built BM25 index over cached chunks
+        print(f"• Loaded {len(self._docs)} document(s) and {len(self._collections)} collection(s) from local index")
 
     # ------------------------
     # Local metadata index I/O
     # ------------------------
     def _load_index(self) -> Dict:
-        if os.path.exists(INDEX_FILE):
+        """Read docs.json as {"documents": {id: record}, "collections": {id: record}}.
+        Files written before collections existed hold only the documents map;
+        those documents end up in the default collection."""
+        data = self._read_index_file()
+        if isinstance(data.get("documents"), dict):
+            return {"documents": data["documents"], "collections": data.get("collections") or {}}
+        return {"documents": data, "collections": {}}
+
+    def _read_index_file(self) -> Dict:
+        if os.path.exists(self.index_file):
             try:
                 # Handle empty or whitespace-only files gracefully
-                if os.path.getsize(INDEX_FILE) == 0:
+                if os.path.getsize(self.index_file) == 0:
                     print("• docs.json is empty; starting with a fresh local index")
                     return {}
-                with open(INDEX_FILE, "r", encoding="utf-8") as f:
+                with open(self.index_file, "r", encoding="utf-8") as f:
                     content = f.read().strip()
                     if not content:
                         print("• docs.json is blank; starting with a fresh local index")
@@ -208,16 +154,218 @@ class RAGService:
                 # Backup the problematic file once and continue
                 print(f"• Warning: Failed to parse docs.json ({e}); backing it up and starting fresh")
                 try:
-                    backup_path = INDEX_FILE + ".bak"
-                    shutil.copy2(INDEX_FILE, backup_path)
+                    backup_path = self.index_file + ".bak"
+                    shutil.copy2(self.index_file, backup_path)
                 except Exception:
                     pass
                 return {}
         return {}
 
     def _save_index(self):
-        with open(INDEX_FILE, "w", encoding="utf-8") as f:
-            json.dump(self._docs, f, indent=2, ensure_ascii=False)
+        with self._index_lock, open(self.index_file, "w", encoding="utf-8") as f:
+            json.dump({"documents": self._docs, "collections": self._collections}, f, indent=2, ensure_ascii=False)
+
+    # ------------------------
+    # Collections
+    # ------------------------
+    def _collection_namespace(self, collection_id: str | None) -> str | None:
+        """Vector-store namespace of a collection ("" for the default one);
+        None, meaning every namespace, when no collection is given."""
+        if collection_id is None:
+            return None
+        col = self._collections.get(collection_id)
+        return col["namespace"] if col else ""
+
+    def _document_namespace(self, document_id: str) -> str:
+        doc = self._docs.get(document_id) or {}
+        return self._collection_namespace(doc.get("collection") or DEFAULT_COLLECTION)
+
+    def get_collection(self, collection_id: str, owner: str | None = None) -> Dict | None:
+        """Return a collection record (only `owner`'s when given). The default
+        collection exists for everyone."""
+        if collection_id == DEFAULT_COLLECTION:
+            return {"id": DEFAULT_COLLECTION, "name": DEFAULT_COLLECTION_NAME, "owner": owner,
+                    "namespace": "", "created": None}
+        col = self._collections.get(collection_id)
+        if not col or (owner and col.get("owner") != owner):
+            return None
+        return dict(col)
+
+    def list_collections(self, owner: str | None = None) -> List[Dict]:
+        """The default collection followed by `owner`'s collections (all when
+        None) by name, each with its number of documents."""
+        with self._index_lock:
+            collections, records = list(self._collections.values()), list(self._docs.values())
+        cols = [self.get_collection(DEFAULT_COLLECTION, owner)] + sorted(
+            (dict(c) for c in collections if not owner or c.get("owner") == owner),
+            key=lambda c: c["name"].lower(),
+        )
+        counts: Dict[str, int] = {}
+        for d in records:
+            if owner and d.get("owner") != owner:
+                continue
+            key = d.get("collection") or DEFAULT_COLLECTION
+            counts[key] = counts.get(key, 0) + 1
+        for c in cols:
+            c["documents"] = counts.get(c["id"], 0)
+        return cols
+
+    def _check_collection_name(self, name: str, owner: str | None, exclude: str | None = None) -> str:
+        name = (name or "").strip()
+        if not name:
+            raise ValueError("Collection name is required")
+        if len(name) > MAX_COLLECTION_NAME_LENGTH:
+            raise ValueError(f"Collection name is too long (max {MAX_COLLECTION_NAME_LENGTH} characters)")
+        taken = {DEFAULT_COLLECTION_NAME.lower()} | {
+            c["name"].lower() for c in self._collections.values() if c.get("owner") == owner and c["id"] != exclude
+        }
+        if name.lower() in taken:
+            raise ValueError(f"A collection named '{name}' already exists")
+        return name
+
+    def create_collection(self, name: str, owner: str | None = None) -> Dict:
+        collection_id = f"col_{uuid.uuid4().hex[:12]}"
+        with self._index_lock:
+            name = self._check_collection_name(name, owner)
+            self._collections[collection_id] = {
+                "id": collection_id,
+                "name": name,
+                "owner": owner,
+                "namespace": collection_id,
+                "created": datetime.now(timezone.utc).isoformat(),
+            }
+            self._save_index()
+            return {**self._collections[collection_id], "documents": 0}
+
+    def rename_collection(self, collection_id: str, name: str, owner: str | None = None) -> Dict | None:
+        """Rename a collection; None when it doesn't exist for `owner`."""
+        if collection_id == DEFAULT_COLLECTION:
+            raise ValueError("The default collection cannot be renamed")
+        with self._index_lock:
+            col = self.get_collection(collection_id, owner)
+            if not col:
+                return None
+            self._collections[collection_id]["name"] = self._check_collection_name(name, col.get("owner"), collection_id)
+            self._save_index()
+            return dict(self._collections[collection_id])
+
+    def delete_collection(self, collection_id: str, owner: str | None = None) -> int | None:
+        """Delete a collection with its documents, vectors and chunk caches.
+        Returns the number of documents deleted, None when not found."""
+        if collection_id == DEFAULT_COLLECTION:
+            raise ValueError("The default collection cannot be deleted")
+        col = self.get_collection(collection_id, owner)
+        if not col:
+            return None
+        if self.store:
+            try:
+                self.store.delete_namespace(col["namespace"])
+            except Exception as e:
+                print(f"Warning: Failed to delete vectors of collection {collection_id}: {e}")
+        with self._index_lock:
+            doc_ids = [doc_id for doc_id, d in self._docs.items() if d.get("collection") == collection_id]
+            for doc_id in doc_ids:
+                self._docs.pop(doc_id, None)
+            self._collections.pop(collection_id, None)
+            self._save_index()
+        for doc_id in doc_ids:
+            self._delete_chunk_cache(doc_id)
+        self._keyword_index = None
+        return len(doc_ids)
+
+    # ------------------------
+    # Duplicates and versions
+    # ------------------------
+    # Uploading a file as a new version of a document adds a document record
+    # with the next `version` in the same `version_group` (the first
+    # version's id) and marks the previous one `superseded_by` it. Superseded
+    # versions stay viewable but are left out of search unless asked for.
+    @staticmethod
+    def content_hash(content: bytes) -> str:
+        return hashlib.sha256(content).hexdigest()
+
+    @staticmethod
+    def _version_group(meta: Dict) -> str:
+        return meta.get("version_group") or meta["document_id"]
+
+    @staticmethod
+    def _version_summary(meta: Dict) -> Dict:
+        return {
+            "document_id": meta["document_id"],
+            "filename": meta.get("filename"),
+            "collection": meta.get("collection") or DEFAULT_COLLECTION,
+            "upload_date": meta.get("upload_date"),
+            "total_chunks": meta.get("total_chunks"),
+            "version": meta.get("version") or 1,
+            "latest": not meta.get("superseded_by"),
+        }
+
+    def _latest_version(self, document_id: str) -> Dict | None:
+        """The current version of the document `document_id` belongs to."""
+        meta = self._docs.get(document_id)
+        seen = set()
+        while meta and meta.get("superseded_by") and meta["document_id"] not in seen:
+            seen.add(meta["document_id"])
+            meta = self._docs.get(meta["superseded_by"]) or meta
+        return meta
+
+    def _next_version(self, previous: Dict) -> int:
+        group = self._version_group(previous)
+        return max((d.get("version") or 1) for d in self._docs.values() if self._version_group(d) == group) + 1
+
+    def document_versions(self, document_id: str, owner: str | None = None) -> List[Dict] | None:
+        """All versions of a document, newest first; None when not found."""
+        doc = self.get_document(document_id, owner)
+        if not doc:
+            return None
+        group = self._version_group(doc)
+        with self._index_lock:
+            versions = [self._version_summary(d) for d in self._docs.values() if self._version_group(d) == group]
+        return sorted(versions, key=lambda v: v["version"], reverse=True)
+
+    def find_duplicates(self, hashes: List[str], owner: str | None = None) -> Dict[str, Dict]:
+        """Map each content hash that matches one of `owner`'s documents to
+        that document (the newest matching version). Documents ingested
+        before hashing existed have no hash and never match."""
+        wanted = set(hashes)
+        matches: Dict[str, Dict] = {}
+        with self._index_lock:
+            records = list(self._docs.values())
+        for meta in records:
+            digest = meta.get("content_hash")
+            if digest not in wanted or (owner and meta.get("owner") != owner):
+                continue
+            current = matches.get(digest)
+            if not current or (meta.get("version") or 1) > current["version"]:
+                matches[digest] = self._version_summary(meta)
+        return matches
+
+    # ------------------------
+    # Local chunk text cache
+    # ------------------------
+    def _chunk_cache_path(self, document_id: str) -> str:
+        return os.path.join(self.chunks_dir, f"{document_id}.json")
+
+    def _load_chunk_cache(self, document_id: str) -> List[Dict] | None:
+        path = self._chunk_cache_path(document_id)
+        if not os.path.exists(path):
+            return None
+        try:
+            with open(path, "r", encoding="utf-8") as f:
+                return json.load(f)
+        except Exception as e:
+            print(f"• Warning: Failed to read chunk cache for {document_id} ({e})")
+            return None
+
+    def _save_chunk_cache(self, document_id: str, chunks: List[Dict]):
+        with open(self._chunk_cache_path(document_id), "w", encoding="utf-8") as f:
+            json.dump(chunks, f, ensure_ascii=False)
+
+    def _delete_chunk_cache(self, document_id: str):
+        try:
+            os.remove(self._chunk_cache_path(document_id))
+        except FileNotFoundError:
+            pass
 
     # ------------------------
     # Utilities
@@ -241,6 +389,31 @@ class RAGService:
                 start = 0
         return chunks
 
+    def _chunk_vectors(self, doc: Dict, chunks: List[Tuple[str, Dict]],
+                       progress: Callable | None = None) -> List[Dict]:
+        """Embed (text, segment metadata) chunks into vectors carrying the
+        document's id, filename, owner and collection. Embeds EMBED_BATCH_SIZE
+        chunks at a time, reporting progress("embedding", done, total)."""
+        embeddings: List[List[float]] = []
+        for start in range(0, len(chunks), EMBED_BATCH_SIZE):
+            if progress:
+                progress("embedding", start, len(chunks))
+            embeddings.extend(self._embed_texts([chunk for chunk, _ in chunks[start:start + EMBED_BATCH_SIZE]]))
+        return [{
+            "id": f"{doc['document_id']}-{i}",
+            "values": vec,
+            "metadata": {
+                "document_id": doc["document_id"],
+                "filename": doc.get("filename"),
+                "owner": doc.get("owner") or "",
+                "collection": doc.get("collection") or DEFAULT_COLLECTION,
+                "chunk_index": i,
+                "total_chunks": len(chunks),
+                "text": chunk,
+                **seg_meta,
+            }
+        } for i, ((chunk, seg_meta), vec) in enumerate(zip(chunks, embeddings))]
+
     def _embed_texts(self, texts: List[str]) -> List[List[float]]:
         """Convert text strings to embedding vectors."""
         if not texts:
@@ -252,110 +425,176 @@ class RAGService:
             return [v for v in vecs]
 
     # ------------------------
-    # Pinecone helpers
+    # Vector store helpers
     # ------------------------
-    def _pinecone_count(self, document_id: str | None = None) -> int:
-        """Return total vector count, optionally filtered by a document_id.
-        Safe across Pinecone SDK variations and serverless limits."""
-        if not self.index:
-            return 0
-        try:
-            # v2 style
-            filt = {"document_id": {"$eq": document_id}} if document_id else None
-            stats = None
-            if filt and self._stats_filter_supported:
-                stats = self.index.describe_index_stats(filter=filt)
-            else:
-                stats = self.index.describe_index_stats()
-            # Common shapes: {"namespaces": {"": {"vectorCount": n}}, "totalVectorCount": m}
-            if isinstance(stats, dict):
-                if "totalVectorCount" in stats:
-                    return int(stats.get("totalVectorCount") or 0)
-                # Fallback: sum namespaces
-                ns = stats.get("namespaces") or {}
-                return int(sum((ns[k].get("vectorCount") if isinstance(ns.get(k), dict) else 0) for k in ns))
-            else:
-                # Model object, try attributes
-                tv = getattr(stats, "total_vector_count", None) or getattr(stats, "totalVectorCount", None)
-                if tv is not None:
-                    return int(tv)
-                ns = getattr(stats, "namespaces", None) or {}
-                total = 0
-                if isinstance(ns, dict):
-                    for v in ns.values():
-                        vc = getattr(v, "vector_count", None) or getattr(v, "vectorCount", None)
-                        if vc is not None:
-                            total += int(vc)
-                return int(total)
-        except Exception as e:
-            msg = str(e)
-            if "do not support describing index stats with metadata filtering" in msg:
-                # Pinecone Serverless/Starter limitation; disable filtered stats to avoid log spam
-                self._stats_filter_supported = False
-            else:
-                print(f"• Warning: describe_index_stats failed: {e}")
+    def _vector_count(self, document_id: str | None = None) -> int | None:
+        """Vectors in the store, optionally only one document's; None when unknown."""
+        if not self.store:
             return 0
+        return self.store.count({"document_id": {"$eq": document_id}} if document_id else None)
 
     # ------------------------
     # Extraction
     # ------------------------
-    def _extract_pdf(self, file_bytes: bytes) -> str:
+    def _extract_pdf_pages(self, file_bytes: bytes) -> List[Tuple[int, str]]:
+        """Extract (page_number, text) pairs for every PDF page that has text."""
         print(f"\n📄 Extracting PDF ({len(file_bytes)} bytes)...")
         try:
             pdf = pypdf.PdfReader(BytesIO(file_bytes))
-            parts = []
+            pages = []
             print(f"  PDF has {len(pdf.pages)} pages")
             for i, page in enumerate(pdf.pages):
                 page_text = page.extract_text() or ""
                 if page_text.strip():
-                    parts.append(page_text.strip())
+                    pages.append((i + 1, page_text.strip()))
                     print(f"  Page {i+1}: {len(page_text)} chars")
-            text = "\n\n".join(parts)
-            print(f"✓ Extracted {len(text)} chars total")
-            if len(text) < MIN_PDF_TEXT_LENGTH:
+            total = sum(len(t) for _, t in pages)
+            print(f"✓ Extracted {total} chars total")
+            if total < MIN_PDF_TEXT_LENGTH:
                 raise ValueError("PDF contains insufficient text (may be image-based or encrypted)")
-            return text
+            return pages
         except Exception as e:
             print(f"✗ PDF extraction failed: {e}")
             raise ValueError(f"Failed to extract text from PDF: {str(e)}")
 
+    def _extract_pdf(self, file_bytes: bytes) -> str:
+        return "\n\n".join(text for _, text in self._extract_pdf_pages(file_bytes))
+
+    def _extract_pdf_blocks(self, file_bytes: bytes, extract_tables: bool = True) -> List[Dict]:
+        """PDF pages as structure blocks. Table extraction needs pdfplumber;
+        without it (or with extract_tables off) pages are plain pypdf text."""
+        if extract_tables:
+            try:
+                import pdfplumber
+            except ImportError:
+                print("⚠ pdfplumber not installed; PDF tables are ingested as plain text (pip install pdfplumber)")
+            else:
+                return self._extract_pdf_tables(pdfplumber, file_bytes)
+        return [{"kind": "text", "text": text, "page_number": page} for page, text in self._extract_pdf_pages(file_bytes)]
+
+    def _extract_pdf_tables(self, pdfplumber, file_bytes: bytes) -> List[Dict]:
+        """Read each page top to bottom: the text above (and beside) every
+        table, then the table's rows. Text inside tables is left out of the
+        text blocks so it is not indexed twice."""
+        print(f"\n📄 Extracting PDF with tables ({len(file_bytes)} bytes)...")
+        blocks = []
+        with pdfplumber.open(BytesIO(file_bytes)) as pdf:
+            for number, page in enumerate(pdf.pages, start=1):
+                tables = sorted(page.find_tables(), key=lambda t: (t.bbox[1], t.bbox[0]))
+                boxes = [t.bbox for t in tables]
+
+                def outside(obj):
+                    x = (obj.get("x0", 0) + obj.get("x1", 0)) / 2
+                    y = (obj.get("top", 0) + obj.get("bottom", 0)) / 2
+                    return not any(x0 <= x <= x1 and top <= y <= bottom for x0, top, x1, bottom in boxes)
+
+                body = page.filter(outside)
+                left, page_top, right, page_bottom = page.bbox
+
+                def text_between(top, bottom):
+                    top, bottom = max(top, page_top), min(bottom, page_bottom)
+                    if bottom <= top:
+                        return
+                    text = (body.crop((left, top, right, bottom)).extract_text() or "").strip()
+                    if text:
+                        blocks.append({"kind": "text", "text": text, "page_number": number})
+
+                y = page_top
+                for table in tables:
+                    text_between(y, table.bbox[3])
+                    blocks.append({"kind": "table", "rows": table.extract(), "page_number": number})
+                    y = max(y, table.bbox[3])
+                text_between(y, page_bottom)
+                print(f"  Page {number}: {len(tables)} table(s)")
+
+        total = sum(len(b["text"]) if b["kind"] == "text" else len(table_text(b["rows"])) for b in blocks)
+        print(f"✓ Extracted {total} chars total")
+        if total < MIN_PDF_TEXT_LENGTH:
+            raise ValueError("PDF contains insufficient text (may be image-based or encrypted)")
+        return blocks
+
     def _extract_docx(self, file_bytes: bytes) -> str:
         from docx import Document as Docx
         doc = Docx(BytesIO(file_bytes))
         return "\n\n".join([p.text for p in doc.paragraphs if p.text.strip()])
 
-    def _extract_excel(self, file_bytes: bytes) -> str:
-        """Extract text from Excel files (.xlsx, .xls) converting to structured text."""
+    def _extract_docx_blocks(self, file_bytes: bytes, extract_tables: bool = True) -> List[Dict]:
+        """Paragraphs, headings (Heading/Title styles) and tables in document order."""
+        from docx import Document as Docx
+        from docx.table import Table
+        from docx.text.paragraph import Paragraph
+        doc = Docx(BytesIO(file_bytes))
+        blocks = []
+        for element in doc.element.body.iterchildren():
+            tag = element.tag.rsplit("}", 1)[-1]
+            if tag == "p":
+                paragraph = Paragraph(element, doc)
+                if not paragraph.text.strip():
+                    continue
+                style = paragraph.style.name if paragraph.style is not None else ""
+                kind = "heading" if style.startswith("Heading") or style == "Title" else "text"
+                blocks.append({"kind": kind, "text": paragraph.text})
+            elif tag == "tbl":
+                rows = []
+                for row in Table(element, doc).rows:
+                    # Merged cells repeat the same cell; keep it once
+                    cells, seen = [], set()
+                    for cell in row.cells:
+                        if id(cell._tc) not in seen:
+                            seen.add(id(cell._tc))
+                            cells.append(cell.text)
+                    rows.append(cells)
+                if extract_tables:
+                    blocks.append({"kind": "table", "rows": rows})
+                elif table_text(rows):
+                    blocks.append({"kind": "text", "text": table_text(rows)})
+        return blocks
+
+    def _read_workbook(self, file_bytes: bytes, ext: str) -> List[Tuple[str, List[List]]]:
+        """(sheet name, rows of cell values from A1) for every worksheet.
+        .xlsx is read with openpyxl (cached formula results), legacy .xls with xlrd."""
+        if ext == ".xls":
+            try:
+                import xlrd
+            except ImportError:
+                raise ValueError("xlrd not installed. Run: pip install xlrd")
+            book = xlrd.open_workbook(file_contents=file_bytes)
+
+            def value(cell):
+                if cell.ctype == xlrd.XL_CELL_DATE:
+                    return xlrd.xldate_as_datetime(cell.value, book.datemode)
+                if cell.ctype == xlrd.XL_CELL_BOOLEAN:
+                    return bool(cell.value)
+                return None if cell.ctype in (xlrd.XL_CELL_EMPTY, xlrd.XL_CELL_BLANK, xlrd.XL_CELL_ERROR) else cell.value
+
+            return [(sheet.name, [[value(c) for c in sheet.row(r)] for r in range(sheet.nrows)]) for sheet in book.sheets()]
+
         try:
-            import openpyxl
             from openpyxl import load_workbook
         except ImportError:
             raise ValueError("openpyxl not installed. Run: pip install openpyxl")
-        
         wb = load_workbook(BytesIO(file_bytes), data_only=True)
-        text_parts = []
-        
-        for sheet_name in wb.sheetnames:
-            sheet = wb[sheet_name]
-            text_parts.append(f"\n\n=== Sheet: {sheet_name} ===\n")
-            
-            # Extract header row if present
-            headers = []
-            for cell in sheet[1]:
-                if cell.value:
-                    headers.append(str(cell.value))
-            
-            if headers:
-                text_parts.append(" | ".join(headers))
-                text_parts.append("-" * (len(" | ".join(headers))))
-            
-            # Extract data rows
-            for row in sheet.iter_rows(min_row=2 if headers else 1, values_only=True):
-                row_text = " | ".join([str(cell) if cell is not None else "" for cell in row])
-                if row_text.strip():
-                    text_parts.append(row_text)
-        
-        return "\n".join(text_parts)
+        # Worksheets only: chart sheets have no cells
+        return [(ws.title, [list(row) for row in ws.iter_rows(values_only=True)]) for ws in wb.worksheets]
+
+    def _extract_workbook_segments(self, file_bytes: bytes, ext: str) -> Tuple[List[Tuple[str, Dict]], int]:
+        """Every sheet as row-range segments (see structure.sheet_segments) and
+        the number of sheets with data."""
+        segments, sheets = [], 0
+        for name, rows in self._read_workbook(file_bytes, ext):
+            ranges = sheet_segments(name, rows, TABLE_CHUNK_SIZE, sheets + 1)
+            if ranges:
+                sheets += 1
+                segments.extend(ranges)
+                print(f"  Sheet {name}: {len(ranges)} range(s), {ranges[-1][1]['cell_range'].split(':')[-1]}")
+        if not segments:
+            raise ValueError("Workbook has no cell data")
+        return segments, sheets
+
+    def _extract_excel(self, file_bytes: bytes, ext: str = ".xlsx") -> str:
+        """Extract text from Excel files (.xlsx, .xls), one Markdown table per row range."""
+        segments, _ = self._extract_workbook_segments(file_bytes, ext)
+        return "\n\n".join(text for text, _ in segments)
 
     def _extract_csv(self, file_bytes: bytes) -> str:
         """Enhanced CSV to plain text with better formatting."""
@@ -395,7 +634,7 @@ class RAGService:
             ".docx": self._extract_docx,
             ".doc": self._extract_docx,
             ".xlsx": self._extract_excel,
-            ".xls": self._extract_excel,
+            ".xls": lambda data: self._extract_excel(data, ".xls"),
             ".csv": self._extract_csv,
             ".txt": self._extract_text,
         }
@@ -407,94 +646,294 @@ class RAGService:
         except Exception as e:
             raise ValueError(f"Failed to extract text from {filename}: {str(e)}")
 
+    def extract_segments(self, filename: str, content: bytes, extract_tables: bool = True,
+                         preserve_formatting: bool = True) -> Tuple[List[Tuple[str, Dict]], int]:
+        """Extract text as (text, metadata) segments that are chunked independently,
+        plus the number of tables found. PDF segments carry their page_number;
+        with `extract_tables`, PDF and DOCX tables become Markdown table segments;
+        with `preserve_formatting`, segments carry their section heading and number
+        (see structure.py). Workbooks always come as sheet row ranges, counted
+        as one table per sheet."""
+        ext = os.path.splitext(filename)[1].lower()
+        try:
+            if ext in (".xlsx", ".xls"):
+                return self._extract_workbook_segments(content, ext)
+            if ext == ".pdf":
+                blocks = self._extract_pdf_blocks(content, extract_tables)
+            elif ext in (".docx", ".doc"):
+                blocks = self._extract_docx_blocks(content, extract_tables)
+            else:
+                blocks = None
+        except Exception as e:
+            raise ValueError(f"Failed to extract text from {filename}: {str(e)}")
+        if blocks is None:
+            blocks = [{"kind": "text", "text": self.extract_text(filename, content)}]
+        return build_segments(blocks, preserve_formatting)
+
     # ------------------------
     # Core operations
     # ------------------------
-    def add_document(self, filename: str, content: bytes) -> Dict:
+    def add_document(self, filename: str, content: bytes, owner: str | None = None,
+                     collection: str = DEFAULT_COLLECTION, progress: Callable | None = None,
+                     version_of: str | None = None, extract_tables: bool = True,
+                     preserve_formatting: bool = True) -> Dict:
+        """Extract, chunk, embed and index a document into `collection`; `owner`
+        is the id of the uploading user (None for documents ingested outside the API).
+        `progress(stage, done=None, total=None)` is called as the stages
+        (extracting, chunking, embedding, upserting) start and advance.
+        With `version_of`, the file becomes the next version of that document
+        (in its collection) and the previous version is superseded.
+        `extract_tables` and `preserve_formatting` are the upload options of
+        extract_segments()."""
+        report = progress or (lambda *args: None)
         print(f"\nProcessing document: {filename} ({len(content)} bytes)")
-        if not self.index:
-            raise ValueError("Pinecone not configured. Add PINECONE_API_KEY to .env")
+        if not self.store:
+            raise ValueError(VECTOR_STORE_MISSING)
+        previous = None
+        if version_of:
+            previous = self._latest_version(version_of)
+            if not previous:
+                raise ValueError(f"Unknown document '{version_of}'")
+            collection = previous.get("collection") or DEFAULT_COLLECTION
+        if not self.get_collection(collection):
+            raise ValueError(f"Unknown collection '{collection}'")
+        namespace = self._collection_namespace(collection)
 
-        text = self.extract_text(filename, content)
-        print(f"Extracted {len(text)} chars")
+        report("extracting")
+        segments, tables = self.extract_segments(filename, content, extract_tables, preserve_formatting)
+        print(f"Extracted {sum(len(t) for t, _ in segments)} chars, {tables} table(s)")
 
-        chunks = self._chunk_text(text)
+        # Chunk each segment separately so chunk metadata (e.g. page, section) stays exact;
+        # tables are split between rows only and sheet row ranges are chunks already
+        report("chunking")
+        chunks: List[Tuple[str, Dict]] = []
+        for seg_text, seg_meta in segments:
+            content_type = seg_meta.get("content_type")
+            if content_type == "sheet":
+                pieces = [seg_text]
+            elif content_type == "table":
+                pieces = chunk_markdown_table(seg_text, TABLE_CHUNK_SIZE)
+            else:
+                pieces = self._chunk_text(seg_text)
+            chunks.extend((chunk, seg_meta) for chunk in pieces)
         print(f"Created {len(chunks)} chunks")
 
         doc_id = f"doc_{uuid.uuid4().hex}"
 
-        # Embed and upsert
-        vectors = []
-        embeddings = self._embed_texts(chunks)
-        for i, (chunk, vec) in enumerate(zip(chunks, embeddings)):
-            vectors.append({
-                "id": f"{doc_id}-{i}",
-                "values": vec,
-                "metadata": {
+        with self._index_lock:
+            self._ingesting.add(doc_id)
+        try:
+            # Embed and upsert
+            vectors = self._chunk_vectors(
+                {"document_id": doc_id, "filename": filename, "owner": owner, "collection": collection}, chunks, report
+            )
+            if vectors:
+                print(f"Adding {len(vectors)} vectors to {self.store.provider} store...")
+                for start in range(0, len(vectors), UPSERT_BATCH_SIZE):
+                    report("upserting", start, len(vectors))
+                    self.store.upsert(vectors[start:start + UPSERT_BATCH_SIZE], namespace=namespace)
+                report("upserting", len(vectors), len(vectors))
+                print(f"✓ Added to {self.store.provider} store")
+                count = self._vector_count(doc_id)
+                if count is not None:
+                    print(f"• Store now has {count} vectors for document_id={doc_id}")
+
+            # Cache chunk texts locally for keyword search and the document viewer
+            self._save_chunk_cache(doc_id, [
+                {"chunk_index": i, "page_number": seg_meta.get("page_number"), **seg_meta, "text": chunk}
+                for i, (chunk, seg_meta) in enumerate(chunks)
+            ])
+            self._keyword_index = None
+
+            # Save metadata locally
+            with self._index_lock:
+                self._docs[doc_id] = {
                     "document_id": doc_id,
                     "filename": filename,
-                    "chunk_index": i,
+                    "file_type": os.path.splitext(filename)[1].replace(".", "").lower(),
                     "total_chunks": len(chunks),
-                    "text": chunk,
+                    "upload_date": datetime.now(timezone.utc).isoformat(),
+                    "size_bytes": len(content),
+                    "owner": owner,
+                    "collection": collection,
+                    "content_hash": self.content_hash(content),
+                    "version_group": self._version_group(previous) if previous else doc_id,
+                    "version": self._next_version(previous) if previous else 1,
+                    "superseded_by": None,
+                    "tables": tables,
                 }
-            })
-        if vectors:
-            print(f"Adding {len(vectors)} vectors to Pinecone...")
-            self.index.upsert(vectors=vectors)
-            print("✓ Added to Pinecone")
-            try:
-                count = self._pinecone_count(doc_id)
-                print(f"• Pinecone now has {count} vectors for document_id={doc_id}")
-            except Exception:
-                pass
-
-        # Save metadata locally
-        self._docs[doc_id] = {
-            "document_id": doc_id,
-            "filename": filename,
-            "file_type": os.path.splitext(filename)[1].replace(".", "").lower(),
-            "total_chunks": len(chunks),
-            "upload_date": datetime.now(timezone.utc).isoformat(),
-            "size_bytes": len(content)
-        }
-        self._save_index()
+                if previous and previous["document_id"] in self._docs:
+                    self._docs[previous["document_id"]]["superseded_by"] = doc_id
+                    print(f"• {doc_id} is version {self._docs[doc_id]['version']} of {self._version_group(previous)}")
+                self._save_index()
+                record = self._docs[doc_id]
+        finally:
+            with self._index_lock:
+                self._ingesting.discard(doc_id)
         print(f"✓ Document processed: {doc_id}")
-        return self._docs[doc_id]
+        return record
+
+    def resolve_filters(self, filters: Dict | None, owner: str | None = None,
+                        collection: str | None = None) -> Dict | None:
+        """Turn request filters ({document_ids, file_types, uploaded_from,
+        uploaded_to, include_old_versions}; dates as YYYY-MM-DD, inclusive), the requesting user
+        (`owner`: only their documents are searchable) and the collection
+        into a vector-store metadata filter. Documents are matched against the
+        local index, so vectors ingested before these fields existed are
+        covered too. Returns None when nothing is restricted."""
+        filters = filters or {}
+        ids = filters.get("document_ids")
+        types = {t.lower() for t in filters.get("file_types") or []}
+        start, end = filters.get("uploaded_from"), filters.get("uploaded_to")
+        # Superseded versions only match when asked for, or picked by id
+        include_old = bool(filters.get("include_old_versions"))
+        with self._index_lock:
+            records = list(self._docs.items())
+        has_old = not include_old and any(meta.get("superseded_by") for _, meta in records)
+        if not (ids or types or start or end or owner or collection or has_old):
+            return None
+        matched = []
+        for doc_id, meta in records:
+            day = (meta.get("upload_date") or "")[:10]
+            if owner and meta.get("owner") != owner:
+                continue
+            if meta.get("superseded_by") and not include_old and not (ids and doc_id in ids):
+                continue
+            if collection and (meta.get("collection") or DEFAULT_COLLECTION) != collection:
+                continue
+            if ids and doc_id not in ids:
+                continue
+            if types and (meta.get("file_type") or "") not in types:
+                continue
+            if (start and day < start) or (end and day > end):
+                continue
+            matched.append(doc_id)
+        return {"document_id": {"$in": sorted(matched)}}
 
-    def search(self, query: str, top_k: int = DEFAULT_TOP_K) -> List[SearchResult]:
-        """Search for similar document chunks using vector similarity."""
-        if not self.index:
+    def search(self, query: str, top_k: int = DEFAULT_TOP_K, filter: Dict | None = None,
+               namespace: str | None = None) -> List[SearchResult]:
+        """Search for similar document chunks using vector similarity,
+        optionally restricted by a metadata filter (see resolve_filters) and
+        to one namespace (None searches the namespaces of the documents the
+        filter allows, or every collection's when nothing is filtered)."""
+        if not self.store:
             return []
+        allowed = (filter or {}).get("document_id", {}).get("$in")
+        if allowed == []:
+            return []  # Nothing matches the filters; some stores reject an empty $in
         qvec = self._embed_texts([query])[0]
-        res = self.index.query(vector=qvec, top_k=top_k, include_metadata=True)
-        # Normalize matches from different SDK response shapes
-        matches = []
-        if isinstance(res, dict):
-            matches = res.get("matches") or []
+        if namespace is None and allowed is not None:
+            # Only the caller's collections that hold matching documents, not every user's
+            namespaces = sorted({self._document_namespace(doc_id) for doc_id in allowed})
+        elif namespace is None:
+            namespaces = sorted({""} | {c["namespace"] for c in self._collections.values()})
         else:
-            matches = getattr(res, "matches", None) or (
-                (getattr(res, "data", None) or [{}])[0].get("matches") if getattr(res, "data", None) else []
-            )
-        out: List[SearchResult] = []
-        for m in matches:
-            md = m.get("metadata", {})
-            content = md.get("text", "")
-            raw_score = m.get("score", 0.0)
-            try:
-                score = float(raw_score)
-            except Exception:
-                score = 0.0
-            if score is None or (isinstance(score, float) and math.isnan(score)):
-                score = 0.0
-            out.append(SearchResult(content=content, metadata=md, score=score))
-        return out
-
-    def answer(self, query: str, top_k: int = DEFAULT_TOP_K, include_context: bool = True) -> Tuple[str, List[Dict]]:
-        """Generate an answer to a query using RAG (Retrieval-Augmented Generation)."""
-        if not self.index:
-            return "Pinecone not configured. Add PINECONE_API_KEY to .env", []
-
-        results = self.search(query, top_k)
+            namespaces = [namespace]
+        matches = [m for ns in namespaces for m in self.store.query(qvec, top_k, filter=filter, namespace=ns)]
+        matches.sort(key=lambda m: m["score"], reverse=True)
+        return [
+            SearchResult(content=m["metadata"].get("text", ""), metadata=m["metadata"], score=m["score"])
+            for m in matches[:top_k]
+        ]
+
+    def _search_hit(self, md: Dict, content: str, similarity: float) -> Dict:
+        """Shape a retrieval hit for the /api/search endpoints."""
+        doc_id = md.get("document_id")
+        raw_idx = md.get("chunk_index") if md.get("chunk_index") is not None else md.get("chunkIndex")
+        page = md.get("page_number")
+        return {
+            "content": content,
+            "documentId": doc_id,
+            "documentName": md.get("filename") or (self._docs.get(doc_id) or {}).get("filename") or "Unknown",
+            "chunkIndex": int(raw_idx) if raw_idx is not None else None,
+            "pageNumber": int(page) if page is not None else None,
+            "section": md.get("section"),
+            "sheet": md.get("sheet"),
+            "cellRange": md.get("cell_range"),
+            "similarity": round(float(similarity), 4),
+        }
+
+    @staticmethod
+    def _rank(hits: List[Dict], top_k: int, threshold: float) -> List[Dict]:
+        hits = [h for h in hits if h["similarity"] >= threshold]
+        hits.sort(key=lambda h: h["similarity"], reverse=True)
+        hits = hits[:top_k]
+        for i, h in enumerate(hits):
+            h["rank"] = i + 1
+        return hits
+
+    def semantic_search(self, query: str, top_k: int = DEFAULT_TOP_K, threshold: float = 0.0,
+                        filters: Dict | None = None, owner: str | None = None,
+                        collection: str | None = None) -> List[Dict]:
+        """Pure vector retrieval, no LLM."""
+        store_filter = self.resolve_filters(filters, owner, collection)
+        results = self.search(query, top_k, store_filter, self._collection_namespace(collection))
+        hits = [self._search_hit(r.metadata or {}, r.content, r.score) for r in results]
+        return self._rank(hits, top_k, threshold)
+
+    def _get_keyword_index(self) -> Tuple[BM25Index, List[Dict]]:
+        """Build (once) a BM25 index over every cached chunk of every document."""
+        # Ingestion resets the attribute to None at any time: only ever return a local
+        keyword_index = self._keyword_index
+        if keyword_index is None:
+            with self._index_lock:
+                doc_ids = list(self._docs.keys())
+            entries = []
+            for doc_id in doc_ids:
+                try:
+                    for c in self.get_document_chunks(doc_id):
+                        entries.append({**c, "document_id": doc_id})
+                except Exception as e:
+                    print(f"• Warning: Skipping {doc_id} in keyword index ({e})")
+            keyword_index = (BM25Index([e["text"] for e in entries]), entries)
+            with self._index_lock:
+                # Not cached when documents came or went meanwhile: it would miss them
+                if list(self._docs.keys()) == doc_ids:
+                    self._keyword_index = keyword_index
+        return keyword_index
+
+    def hybrid_search(self, query: str, top_k: int = DEFAULT_TOP_K, threshold: float = 0.0,
+                      alpha: float = HYBRID_ALPHA, filters: Dict | None = None,
+                      owner: str | None = None, collection: str | None = None) -> List[Dict]:
+        """Fuse vector similarity with BM25 keyword scores.
+
+        Both retrievers contribute a candidate pool; BM25 scores are normalised
+        by the best keyword score so the fused similarity stays in [0, 1].
+        """
+        pool = max(top_k * 4, 20)
+        store_filter = self.resolve_filters(filters, owner, collection)
+        candidates: Dict[Tuple, Dict] = {}
+        for r in self.search(query, pool, store_filter, self._collection_namespace(collection)):
+            md = r.metadata or {}
+            key = (md.get("document_id"), md.get("chunk_index"))
+            candidates[key] = {"metadata": md, "content": r.content, "vector": max(r.score, 0.0), "keyword": 0.0}
+
+        bm25, entries = self._get_keyword_index()
+        keyword_hits = bm25.search(query, len(entries) if store_filter else pool)
+        if store_filter:
+            allowed = set(store_filter["document_id"]["$in"])
+            keyword_hits = [(pos, score) for pos, score in keyword_hits if entries[pos]["document_id"] in allowed][:pool]
+        for pos, score in keyword_hits:
+            entry = entries[pos]
+            key = (entry["document_id"], entry["chunk_index"])
+            cand = candidates.setdefault(key, {"metadata": entry, "content": entry["text"], "vector": 0.0, "keyword": 0.0})
+            cand["keyword"] = score
+
+        best_keyword = max((c["keyword"] for c in candidates.values()), default=0.0) or 1.0
+        hits = []
+        for c in candidates.values():
+            keyword = c["keyword"] / best_keyword
+            hit = self._search_hit(c["metadata"], c["content"], alpha * c["vector"] + (1 - alpha) * keyword)
+            hit["vectorScore"] = round(c["vector"], 4)
+            hit["keywordScore"] = round(keyword, 4)
+            hits.append(hit)
+        return self._rank(hits, top_k, threshold)
+
+    def _retrieve(self, query: str, top_k: int, filters: Dict | None = None, owner: str | None = None,
+                  collection: str | None = None) -> Tuple[List[SearchResult], str, List[Dict]]:
+        """Run vector search and assemble the prompt context and citation list."""
+        store_filter = self.resolve_filters(filters, owner, collection)
+        results = self.search(query, top_k, store_filter, self._collection_namespace(collection))
         context = "\n\n".join([r.content for r in results])
         citations = []
         for r in results:
@@ -513,21 +952,98 @@ class RAGService:
                 chunk_index = int(raw_idx) if raw_idx is not None else None
             except Exception:
                 chunk_index = None
+            page = md.get("page_number")
             citations.append({
                 "filename": filename,
                 "document_id": doc_id,
                 "chunk_index": chunk_index,
+                "page_number": int(page) if page is not None else None,
+                "section": md.get("section"),
+                "sheet": md.get("sheet"),
+                "cell_range": md.get("cell_range"),
+                "score": round(r.score, 4),
             })
+        return results, context, citations
 
-        # If no LLM, fall back to a simple metric extractor for common finance asks
-        if not self.llm:
-            extracted = self._fallback_extract_financials(query, results)
-            if extracted:
-                return extracted, citations
-            answer = f"LLM not configured. Here's the relevant context (top chunks):\n\n{context[:800]}..."
-            return answer, citations
+    # Follow-ups that lean on the previous turn ("what about the prior year?")
+    _FOLLOW_UP_RE = re.compile(
+        r"^(what|how) about\b|^(and|also|compare|versus|vs\.?)\b|\b(it|its|they|them|their|those|these|prior|previous|same)\b",
+        re.IGNORECASE,
+    )
+
+    def rewrite_query(self, query: str, history: List[Dict] | None = None) -> str:
+        """Rewrite a follow-up question into a standalone query for retrieval.
+        Uses the LLM when available; otherwise prefixes what the latest turn asked about
+        to short or referential follow-ups so retrieval keeps the company/period/metric."""
+        if not history:
+            return query
+        previous = self._turn_topic(history[-1])
 
-        # Prompt: be intelligent, extract figures precisely, cite sources; prefer context but allow light general chat
+        if self.llm and self.llm.follows_instructions:
+            transcript = "\n".join(
+                f"User: {t.get('question', '')}\nAssistant: {(t.get('answer') or '')[:300]}" for t in history
+            )
+            prompt = (
+                "Rewrite the final user question so it can be understood without the conversation, "
+                "keeping every company name, metric, period and figure it refers to. "
+                "Return only the rewritten question on one line. If it is already standalone, return it unchanged.\n\n"
+                f"Conversation:\n{transcript}\n\nFinal user question: {query}\nStandalone question:"
+            )
+            try:
+                text = self.llm.generate(prompt).strip().splitlines()
+                if text and text[0].strip():
+                    return text[0].strip().strip('"')
+            except Exception as e:
+                print(f"• Warning: Query rewrite failed ({e}); using heuristic")
+
+        words = query.split()
+        if previous and (len(words) <= 6 or self._FOLLOW_UP_RE.search(query)):
+            return f"{previous} {query}"
+        return query
+
+    @staticmethod
+    def _turn_topic(turn: Dict) -> str:
+        """The standalone question of a turn without a follow-up the heuristic
+        appended to it, so a chain of follow-ups doesn't keep growing the query."""
+        question = turn.get("question") or ""
+        standalone = turn.get("standalone") or question
+        if standalone != question and standalone.endswith(f" {question}"):
+            return standalone[:-len(question) - 1]
+        return standalone
+
+    def suggest_title(self, question: str, answer: str = "") -> str | None:
+        """Summarise the first exchange of a chat into a short sidebar title.
+        Returns None without an LLM so the client can apply its own heuristic."""
+        if not self.llm or not self.llm.follows_instructions or not question.strip():
+            return None
+        prompt = (
+            "Write a title of at most 6 words for a financial research chat that starts with the exchange below. "
+            "Lead with the company, then the metric and the period when they are mentioned "
+            "(e.g. \"Apple Revenue Q4 2024\"). Return only the title, without quotes or trailing punctuation.\n\n"
+            f"User: {question[:500]}\nAssistant: {(answer or '')[:500]}\nTitle:"
+        )
+        try:
+            lines = self.llm.generate(prompt).strip().splitlines()
+            title = lines[0].strip().strip('"\'').rstrip(".") if lines else ""
+            return title[:80] or None
+        except Exception as e:
+            print(f"• Warning: Title generation failed ({e})")
+            return None
+
+    def _format_history(self, history: List[Dict] | None) -> str:
+        if not history:
+            return ""
+        lines = []
+        for t in history:
+            answer = (t.get("answer") or "").strip()
+            if len(answer) > MAX_HISTORY_ANSWER_CHARS:
+                answer = answer[:MAX_HISTORY_ANSWER_CHARS] + "..."
+            lines.append(f"User: {t.get('question', '')}\nAssistant: {answer}")
+        return "\nConversation so far (oldest first):\n" + "\n\n".join(lines) + "\n"
+
+    def _build_prompt(self, query: str, context: str, include_context: bool,
+                      history: List[Dict] | None = None, search_query: str | None = None) -> str:
+        """Compose the LLM prompt; prefer context but allow light general chat."""
         base_instructions = (
             "You are a precise financial analyst assistant.\n"
             "Answer ONLY the question asked. If the user asks for a specific figure, return exactly that figure first.\n"
@@ -537,29 +1053,101 @@ class RAGService:
             "- Cite sources using the provided citations list (filename and chunk index).\n"
             "- DO NOT fabricate numbers; only use the provided context. If a requested value isn’t in context, say ‘Not found in provided documents’ and suggest what to upload.\n"
             "- Prefer brevity. Avoid extra commentary or definitions unless explicitly requested.\n"
+            "- Use the conversation so far only to resolve what the question refers to; figures must still come from the context.\n"
         )
+        history_block = self._format_history(history)
+        interpreted = f"(Interpreted as: {search_query})\n" if search_query and search_query != query else ""
 
         if include_context and context.strip():
-            prompt = (
+            return (
                 base_instructions
+                + history_block
                 + "\nContext (verbatim excerpts):\n" + context[:MAX_CONTEXT_LENGTH] + "\n\n"
                 + f"User question: {query}\n"
+                + interpreted
                 + "Answer:"
             )
-        else:
-            prompt = (
-                base_instructions
-                + f"\nUser question (no context attached): {query}\n"
-                + "If you need specific figures, ask the user to upload or reference documents. Be concise.\n"
-                + "Answer:"
-            )
+        return (
+            base_instructions
+            + history_block
+            + f"\nUser question (no context attached): {query}\n"
+            + interpreted
+            + "If you need specific figures, ask the user to upload or reference documents. Be concise.\n"
+            + "Answer:"
+        )
+
+    def _answer_without_llm(self, query: str, results: List[SearchResult], context: str) -> str:
+        """Fall back to a simple metric extractor for common finance asks when no LLM is configured."""
+        extracted = self._fallback_extract_financials(query, results)
+        if extracted:
+            return extracted
+        return f"LLM not configured. Here's the relevant context (top chunks):\n\n{context[:800]}..."
+
+    def answer_model(self) -> Dict:
+        """What produces answers right now ({provider, model}), shown next to each answer."""
+        if self.llm:
+            return self.llm.describe()
+        return {"provider": "none", "model": "rule-based extractor"}
+
+    def answer(self, query: str, top_k: int = DEFAULT_TOP_K, include_context: bool = True,
+               history: List[Dict] | None = None, search_query: str | None = None,
+               filters: Dict | None = None, owner: str | None = None,
+               collection: str | None = None) -> Tuple[str, List[Dict]]:
+        """Generate an answer to a query using RAG (Retrieval-Augmented Generation).
+        `history` holds earlier turns of the conversation; `search_query` is the
+        standalone rewrite of `query` used for retrieval (see rewrite_query);
+        `filters`, `owner` and `collection` restrict which documents are
+        searched (see resolve_filters)."""
+        if not self.store:
+            return VECTOR_STORE_MISSING, []
+
+        search_query = search_query or query
+        results, context, citations = self._retrieve(search_query, top_k, filters, owner, collection)
+
+        if not self.llm:
+            return self._answer_without_llm(search_query, results, context), citations
+
+        prompt = self._build_prompt(query, context, include_context, history, search_query)
         try:
-            resp = self.llm.generate_content(prompt)
-            text = resp.text if hasattr(resp, "text") else str(resp)
+            text = self.llm.generate(prompt)
         except Exception as e:
             text = f"Failed to get LLM answer: {e}\n\nContext:\n{context[:800]}..."
         return text, citations
 
+    def answer_stream(self, query: str, top_k: int = DEFAULT_TOP_K, include_context: bool = True,
+                      history: List[Dict] | None = None, search_query: str | None = None,
+                      filters: Dict | None = None, owner: str | None = None,
+                      collection: str | None = None) -> Iterator[Dict]:
+        """Streaming variant of answer().
+
+        Yields events as dicts: {"type": "token", "text"} for each generated
+        piece, then {"type": "citations", "citations"} once the answer is
+        complete. Errors after streaming started are reported as a final
+        {"type": "error", "error"} event; the client then drops the partial
+        text and shows the error in its place.
+        """
+        if not self.store:
+            yield {"type": "token", "text": VECTOR_STORE_MISSING}
+            yield {"type": "citations", "citations": []}
+            return
+
+        search_query = search_query or query
+        results, context, citations = self._retrieve(search_query, top_k, filters, owner, collection)
+
+        if not self.llm:
+            yield {"type": "token", "text": self._answer_without_llm(search_query, results, context)}
+            yield {"type": "citations", "citations": citations}
+            return
+
+        prompt = self._build_prompt(query, context, include_context, history, search_query)
+        try:
+            for piece in self.llm.stream(prompt):
+                yield {"type": "token", "text": piece}
+        except Exception as e:
+            yield {"type": "error", "error": f"Failed to get LLM answer: {e}"}
+            return
+        yield {"type": "citations", "citations": citations}
+
     def _fallback_extract_financials(self, query: str, results: List[SearchResult]) -> str:
         """Very lightweight rule-based extractor for revenue-like asks when LLM is unavailable."""
         q = (query or "").lower()
@@ -590,81 +1178,325 @@ class RAGService:
             bullets.append(f"• Revenue: {val} (source: {src}, chunk {idx})")
         return "Here are revenue figures found in your documents:\n" + "\n".join(bullets)
 
-    def list_documents(self) -> List[Dict]:
-        # Augment local records with Pinecone counts for better visibility
+    def list_documents(self, owner: str | None = None, collection: str | None = None,
+                       include_old_versions: bool = False) -> List[Dict]:
+        """Local document records (only `owner`'s and `collection`'s when given,
+        current versions only unless `include_old_versions`), augmented with
+        vector counts for better visibility and the number of `versions`."""
+        with self._index_lock:
+            records = list(self._docs.values())
+        versions: Dict[str, int] = {}
+        for d in records:
+            group = self._version_group(d)
+            versions[group] = versions.get(group, 0) + 1
         docs = []
-        for d in self._docs.values():
+        for d in records:
+            if owner and d.get("owner") != owner:
+                continue
+            if collection and (d.get("collection") or DEFAULT_COLLECTION) != collection:
+                continue
+            if d.get("superseded_by") and not include_old_versions:
+                continue
             doc = dict(d)
-            if self.index:
+            doc["collection"] = doc.get("collection") or DEFAULT_COLLECTION
+            doc["version"] = doc.get("version") or 1
+            doc["versions"] = versions[self._version_group(d)]
+            if self.store:
                 try:
-                    pc_count = self._pinecone_count(doc.get("document_id"))
-                    doc["pinecone_vectors"] = pc_count
-                    tc = int(doc.get("total_chunks") or 0)
-                    doc["in_index"] = pc_count >= tc and tc > 0
+                    count = self._vector_count(doc.get("document_id"))
+                    if count is not None:
+                        doc["vectors"] = count
+                        tc = int(doc.get("total_chunks") or 0)
+                        doc["in_index"] = count >= tc and tc > 0
                 except Exception:
                     pass
             docs.append(doc)
         return docs
 
-    def delete_document(self, document_id: str) -> bool:
-        if document_id not in self._docs:
-            return False
+    def get_document(self, document_id: str, owner: str | None = None) -> Dict | None:
+        """Return the local metadata record for a document, if known (and owned by `owner` when given)."""
+        doc = self._docs.get(document_id)
+        if not doc or (owner and doc.get("owner") != owner):
+            return None
+        return dict(doc)
+
+    def claim_unowned(self, owner: str) -> int:
+        """Give documents ingested before accounts existed to `owner`. Returns how many were claimed.
+        Vector metadata keeps its empty owner; ownership is enforced through the local index."""
+        with self._index_lock:
+            claimed = [d for d in self._docs.values() if not d.get("owner")]
+            for d in claimed:
+                d["owner"] = owner
+            if claimed:
+                self._save_index()
+            return len(claimed)
+
+    def _fetch_chunks(self, document_id: str, indexes: List[int]) -> List[Dict]:
+        """Fetch the given chunk indexes of a document, ordered by chunk index.
+        Served from the local chunk cache when present, otherwise from the vector store."""
+        cached = self._load_chunk_cache(document_id)
+        if cached is not None:
+            wanted = set(indexes)
+            return sorted((c for c in cached if c.get("chunk_index") in wanted), key=lambda c: c["chunk_index"])
+        if not self.store or not indexes:
+            return []
+        chunks = []
+        ids = [f"{document_id}-{i}" for i in indexes]
+        for vid, md in self.store.fetch(ids, namespace=self._document_namespace(document_id)).items():
+            raw_idx = md.get("chunk_index")
+            try:
+                chunk_index = int(raw_idx) if raw_idx is not None else int(vid.rsplit("-", 1)[-1])
+            except Exception:
+                continue
+            page = md.get("page_number")
+            chunks.append({
+                "chunk_index": chunk_index,
+                "page_number": int(page) if page is not None else None,
+                **{k: md[k] for k in CHUNK_FIELDS if k != "page_number" and md.get(k) is not None},
+                "text": md.get("text", ""),
+            })
+        chunks.sort(key=lambda c: c["chunk_index"])
+        return chunks
+
+    def get_document_chunks(self, document_id: str) -> List[Dict]:
+        """Fetch every stored chunk of a document, ordered by chunk index."""
+        doc = self._docs.get(document_id)
+        if not doc:
+            return []
+        total = int(doc.get("total_chunks") or 0)
+        chunks = self._fetch_chunks(document_id, list(range(total)))
+        # Backfill the cache for documents ingested before it existed
+        if total and len(chunks) == total and self._load_chunk_cache(document_id) is None:
+            self._save_chunk_cache(document_id, chunks)
+        return chunks
+
+    def get_chunk_context(self, document_id: str, chunk_index: int, window: int = 1) -> Dict | None:
+        """Return one chunk plus up to `window` neighbouring chunks on each side."""
+        doc = self._docs.get(document_id)
+        if not doc:
+            return None
+        total = int(doc.get("total_chunks") or 0)
+        if chunk_index < 0 or chunk_index >= total:
+            return None
+        lo, hi = max(0, chunk_index - window), min(total - 1, chunk_index + window)
+        chunks = self._fetch_chunks(document_id, list(range(lo, hi + 1)))
+        target = next((c for c in chunks if c["chunk_index"] == chunk_index), None)
+        if not target:
+            return None
+        return {
+            "chunk": target,
+            "before": [c for c in chunks if c["chunk_index"] < chunk_index],
+            "after": [c for c in chunks if c["chunk_index"] > chunk_index],
+        }
+
+    def _delete_document_vectors(self, document_id: str):
+        namespace = self._document_namespace(document_id)
         try:
-            if self.index:
-                deleted_via_filter = False
-                # Preferred: delete via metadata filter to avoid relying on stored chunk count
-                try:
-                    self.index.delete(filter={"document_id": {"$eq": document_id}})
-                    deleted_via_filter = True
-                except Exception as e1:
-                    # Some serverless tiers/SDKs accept a simplified equality form
-                    try:
-                        self.index.delete(filter={"document_id": document_id})
-                        deleted_via_filter = True
-                    except Exception as e2:
-                        # Fallback: delete by explicit ids if we know total_chunks
-                        try:
-                            total_chunks = int(self._docs[document_id].get("total_chunks", 0))
-                            if total_chunks > 0:
-                                ids = [f"{document_id}-{i}" for i in range(total_chunks)]
-                                self.index.delete(ids=ids)
-                        except Exception as e3:
-                            print(f"Warning: Pinecone delete fallback by ids failed: {e3}")
-                # Optional verification and second-pass safety
-                try:
-                    remaining = self._pinecone_count(document_id)
-                    if remaining and remaining > 0 and not deleted_via_filter:
-                        # Try one more time with filter if first filter delete path was skipped
-                        try:
-                            self.index.delete(filter={"document_id": {"$eq": document_id}})
-                        except Exception:
-                            pass
-                except Exception:
-                    pass
+            # Preferred: delete via metadata filter to avoid relying on stored chunk count
+            self.store.delete(filter={"document_id": {"$eq": document_id}}, namespace=namespace)
         except Exception as e:
-            print(f"Warning: Failed to delete vectors from Pinecone: {e}")
-        self._docs.pop(document_id, None)
-        self._save_index()
+            # Fallback: delete by explicit ids if we know total_chunks
+            print(f"Warning: Filtered vector delete failed ({e}); deleting by id")
+            try:
+                total_chunks = int(self._docs[document_id].get("total_chunks", 0))
+                if total_chunks > 0:
+                    self.store.delete(ids=[f"{document_id}-{i}" for i in range(total_chunks)], namespace=namespace)
+            except Exception as e2:
+                print(f"Warning: Failed to delete vectors for {document_id}: {e2}")
+        remaining = self._vector_count(document_id)
+        if remaining:
+            print(f"Warning: {remaining} vector(s) still stored for {document_id}")
+
+    def delete_document(self, document_id: str, owner: str | None = None) -> bool:
+        """Delete a document's vectors, chunk cache and record. With `owner`,
+        documents of other users are treated as missing. Deleting the current
+        version makes the previous one current again."""
+        if not self.get_document(document_id, owner):
+            return False
+        if self.store:
+            self._delete_document_vectors(document_id)
+        with self._index_lock:
+            removed = self._docs.pop(document_id, None) or {}
+            # Keep the version chain intact: the predecessor now points at the successor
+            # (or becomes the current version again)
+            for meta in self._docs.values():
+                if meta.get("superseded_by") == document_id:
+                    meta["superseded_by"] = removed.get("superseded_by")
+            self._save_index()
+        self._delete_chunk_cache(document_id)
+        self._keyword_index = None
         return True
 
+    def flush_vectors(self):
+        """Delete every vector from the store, in every namespace (local metadata is kept)."""
+        if not self.store:
+            raise ValueError(VECTOR_STORE_MISSING)
+        self.store.delete_all()
+
+    # ------------------------
+    # Index maintenance (admin console)
+    # ------------------------
+    def _stored_vectors(self) -> Dict[Tuple[str, str], List[str]] | None:
+        """Vector ids in the store grouped by (namespace, document_id); None
+        when the store can't list ids."""
+        grouped: Dict[Tuple[str, str], List[str]] = {}
+        for namespace in set(self.store.namespaces()) | {""}:
+            ids = self.store.list_ids(namespace)
+            if ids is None:
+                return None
+            for vid in ids:
+                grouped.setdefault((namespace, vid.rsplit("-", 1)[0]), []).append(vid)
+        return grouped
+
+    @staticmethod
+    def _index_status(vectors: int | None, total_chunks: int) -> str:
+        if vectors is None:
+            return "unknown"
+        if vectors == 0:
+            return "missing"
+        if vectors < total_chunks:
+            return "partial"
+        return "extra" if vectors > total_chunks else "ok"
+
+    def index_report(self) -> Dict:
+        """Compare the local index with the vector store: per-document vector
+        counts with a status (ok / missing / partial / extra / unknown) and
+        orphaned vectors, i.e. stored under a document id the local index
+        doesn't know or outside the document's namespace. Orphans are None
+        when the store can't list its ids."""
+        return self._index_report()[0]
+
+    def _index_report(self) -> Tuple[Dict, Dict[Tuple[str, str], List[str]] | None]:
+        """index_report() and the store listing it was made from."""
+        if not self.store:
+            raise ValueError(VECTOR_STORE_MISSING)
+        stored = self._stored_vectors()
+        documents = []
+        # Read after listing: a document ingested meanwhile is either indexed or still
+        # marked as ingesting, so its fresh vectors are never taken for orphans
+        with self._index_lock:
+            records = list(self._docs.items())
+            ingesting = set(self._ingesting)
+        known = {doc_id for doc_id, _ in records}
+        for doc_id, d in records:
+            namespace = self._document_namespace(doc_id)
+            total = int(d.get("total_chunks") or 0)
+            if stored is not None:
+                vectors = len(stored.get((namespace, doc_id), []))
+            else:
+                vectors = self._vector_count(doc_id)
+            documents.append({
+                "document_id": doc_id,
+                "filename": d.get("filename"),
+                "owner": d.get("owner"),
+                "collection": d.get("collection") or DEFAULT_COLLECTION,
+                "namespace": namespace,
+                "total_chunks": total,
+                "vectors": vectors,
+                "cached": self._load_chunk_cache(doc_id) is not None,
+                "status": self._index_status(vectors, total),
+            })
+        orphans = None
+        if stored is not None:
+            orphans = [
+                {"document_id": doc_id, "namespace": namespace, "vectors": len(ids)}
+                for (namespace, doc_id), ids in sorted(stored.items())
+                if doc_id not in ingesting
+                and (doc_id not in known or self._document_namespace(doc_id) != namespace)
+            ]
+        statuses = [d["status"] for d in documents]
+        report = {
+            "store": self.store.describe(),
+            "summary": {
+                "documents": len(documents),
+                "collections": len(self._collections) + 1,
+                "chunks": sum(d["total_chunks"] for d in documents),
+                "healthy": statuses.count("ok"),
+                "needs_reindex": sum(statuses.count(s) for s in ("missing", "partial", "extra")),
+                "orphaned_vectors": sum(o["vectors"] for o in orphans) if orphans is not None else None,
+            },
+            "documents": sorted(documents, key=lambda d: (d["status"] == "ok", (d["filename"] or "").lower())),
+            "orphans": orphans,
+        }
+        return report, stored
+
+    def reindex_document(self, document_id: str) -> Dict | None:
+        """Re-embed a document from its cached chunk texts (or the vectors still
+        stored) and replace its vectors. None when the document is unknown."""
+        doc = self._docs.get(document_id)
+        if not doc:
+            return None
+        if not self.store:
+            raise ValueError(VECTOR_STORE_MISSING)
+        chunks = self._load_chunk_cache(document_id)
+        if chunks is None:
+            total = int(doc.get("total_chunks") or 0)
+            chunks = self._fetch_chunks(document_id, list(range(total)))
+            if len(chunks) < total:
+                raise ValueError(
+                    f"Only {len(chunks)} of {total} chunks of {doc.get('filename') or document_id} are stored "
+                    f"and there is no cached text; upload it again"
+                )
+        if not chunks:
+            raise ValueError(f"No stored text for {doc.get('filename') or document_id}; upload it again")
+        chunks = sorted(chunks, key=lambda c: c["chunk_index"])
+        vectors = self._chunk_vectors(doc, [
+            (c["text"], {k: c[k] for k in CHUNK_FIELDS if c.get(k) is not None})
+            for c in chunks
+        ])
+        self._delete_document_vectors(document_id)
+        self.store.upsert(vectors, namespace=self._document_namespace(document_id))
+        # Chunk indexes are renumbered from 0 when the cache had gaps
+        self._save_chunk_cache(document_id, [{**c, "chunk_index": i} for i, c in enumerate(chunks)])
+        with self._index_lock:
+            doc["total_chunks"] = len(chunks)
+            self._save_index()
+        self._keyword_index = None
+        return {"document_id": document_id, "filename": doc.get("filename"), "vectors": len(vectors)}
+
+    def reconcile_index(self) -> Dict:
+        """Bring the store in line with the local index: delete orphaned
+        vectors and reindex documents whose vectors are missing, partial or
+        extra. Documents without stored text are reported as failed."""
+        report, stored = self._index_report()
+        deleted = 0
+        if report["orphans"]:
+            for orphan in report["orphans"]:
+                ids = stored.get((orphan["namespace"], orphan["document_id"]), [])
+                for start in range(0, len(ids), 1000):
+                    self.store.delete(ids=ids[start:start + 1000], namespace=orphan["namespace"])
+                deleted += len(ids)
+        reindexed, failed = [], []
+        for d in report["documents"]:
+            if d["status"] not in ("missing", "partial", "extra"):
+                continue
+            try:
+                reindexed.append(self.reindex_document(d["document_id"]))
+            except Exception as e:
+                failed.append({"document_id": d["document_id"], "filename": d["filename"], "error": str(e)})
+        return {
+            "deleted_vectors": deleted,
+            "reindexed": reindexed,
+            "failed": failed,
+            "orphans_checked": report["orphans"] is not None,
+        }
+
     def health(self) -> Dict:
         """Check health status of all service components."""
         try:
             _ = self._embed_texts(["hello"])
             details = {
-                "vector_store": bool(self.index),
+                "vector_store": bool(self.store),
                 "llm": bool(self.llm),
+                "llm_provider": self.llm.provider if self.llm else None,
+                "llm_model": self.llm.model if self.llm else None,
             }
-            # Add Pinecone quick stats if available
-            if self.index:
+            # Add vector store quick stats if available
+            if self.store:
                 try:
-                    total = self._pinecone_count()
-                    details["pinecone_total_vectors"] = total
+                    details.update(self.store.describe())
                     details["embed_dim"] = EMBEDDING_DIMENSION
-                    details["index_name"] = self.index_name
                     details["embedding_model"] = EMBEDDING_MODEL_NAME
-                    details["vector_db"] = VECTOR_DB_PROVIDER
-                    details["llm_provider"] = LLM_PROVIDER if self.llm else None
                 except Exception:
                     pass
             return {"status": "healthy", **details}
@@ -0,0 +1,260 @@
+"""
+Document structure for ingestion: headings, sections and tables.
+Extractors describe a document as ordered blocks
+    {"kind": "text", "text": ..., "page_number"?}
+    {"kind": "heading", "text": ..., "page_number"?}     (e.g. DOCX heading styles)
+    {"kind": "table", "rows": [[cell, ...], ...], "page_number"?}
+and build_segments() turns them into the (text, metadata) segments that
+RAGService chunks. With preserve_formatting, text is split at headings and
+every segment carries `section` (the heading) and `section_number`
+("Item 7", "2.1", "Note 12"); tables become Markdown segments with
+content_type "table" that chunk_markdown_table() splits between rows.
+Spreadsheets skip the block stage: sheet_segments() cuts every sheet into
+row ranges that are chunks of their own (content_type "sheet") carrying
+`sheet` and `cell_range` ("A1:H40").
+"""
+import re
+from datetime import date, datetime
+from typing import Dict, List, Tuple
+
+# "Item 7.", "Note 12", "2.1", "IV." followed by a short title
+NUMBERED_HEADING = re.compile(
+    r"^(?P<number>(?:(?:item|note|part|section|article)\s+)?(?:\d{1,3}(?:\.\d{1,3})*[A-Z]?|[IVX]{1,6}))[.):]?\s+"
+    r"(?P<title>[A-Za-z][^\n]*)$",
+    re.IGNORECASE,
+)
+MARKDOWN_HEADING = re.compile(r"^#{1,6}\s+(?P<title>\S.*)$")
+MAX_HEADING_LENGTH = 100
+MAX_HEADING_WORDS = 14
+MAX_NUMBERED_TITLE_WORDS = 10
+# Lower-case words a title-case heading keeps ("Basis of Presentation")
+MINOR_WORDS = {"a", "an", "and", "as", "at", "by", "for", "from", "in", "of", "on", "or", "the", "to", "vs", "with"}
+
+# Segment metadata that chunks inherit (vector metadata and the chunk cache)
+CHUNK_FIELDS = ("page_number", "section", "section_number", "content_type", "table_index", "sheet", "cell_range")
+
+
+def looks_like_title(title: str) -> bool:
+    """Whether the text after a heading number reads as a title rather than
+    a numbered-list sentence ("Revenue was $100m in Q4"): short, without
+    figures, and with most words capitalised."""
+    words = [w for w in re.findall(r"[A-Za-z][A-Za-z'\-]*", title) if w.lower() not in MINOR_WORDS]
+    if not words or len(title.split()) > MAX_NUMBERED_TITLE_WORDS or re.search(r"[\d$€£¥%]", title):
+        return False
+    if title.rstrip().endswith(("?", "!")):
+        return False
+    return sum(w[0].isupper() for w in words) * 2 >= len(words) + 1
+
+
+def split_heading(line: str) -> Tuple[str, str | None] | None:
+    """(heading, section_number) when `line` looks like a heading, else None.
+    Recognised: numbered headings, Markdown headings and short ALL CAPS lines."""
+    line = line.strip()
+    if not line or len(line) > MAX_HEADING_LENGTH or len(line.split()) > MAX_HEADING_WORDS:
+        return None
+    if line.endswith((".", ",", ";", ":")) and not re.match(r"^(item|note|part|section|article)\s", line, re.I):
+        return None
+    md = MARKDOWN_HEADING.match(line)
+    if md:
+        inner = split_heading(md.group("title"))
+        return (md.group("title").strip(), inner[1] if inner else None)
+    numbered = NUMBERED_HEADING.match(line)
+    if numbered:
+        title = numbered.group("title")
+        # Table rows and numbered-list sentences; "Item 7." / "Note 12" headings may be sentence case
+        if not title[0].isupper():
+            return None
+        if re.match(r"^(item|note|part|section|article)\s", line, re.I):
+            if re.search(r"[$€£¥%]", title):
+                return None
+        elif not looks_like_title(title):
+            return None
+        return (line, numbered.group("number"))
+    letters = [ch for ch in line if ch.isalpha()]
+    if len(letters) >= 4 and all(ch.isupper() for ch in letters) and sum(ch.isdigit() for ch in line) <= 4:
+        return (line, None)
+    return None
+
+
+def markdown_table(rows: List[List]) -> str | None:
+    """Render table rows as a Markdown table (first row as the header).
+    None for fragments with fewer than two rows or columns."""
+    cleaned = [[re.sub(r"\s+", " ", str(cell)).strip().replace("|", "\\|") if cell is not None else ""
+                for cell in row] for row in rows or []]
+    cleaned = [row for row in cleaned if any(row)]
+    width = max((len(row) for row in cleaned), default=0)
+    cleaned = [row + [""] * (width - len(row)) for row in cleaned]
+    # Drop columns that are empty in every row (merged cells leave them behind)
+    keep = [i for i in range(width) if any(row[i] for row in cleaned)]
+    cleaned = [[row[i] for i in keep] for row in cleaned]
+    if len(cleaned) < 2 or len(keep) < 2:
+        return None
+    header, *body = cleaned
+    lines = ["| " + " | ".join(header) + " |", "|" + "---|" * len(header)]
+    lines.extend("| " + " | ".join(row) + " |" for row in body)
+    return "\n".join(lines)
+
+
+def table_text(rows: List[List]) -> str:
+    """Plain text of a table, one " | " separated line per row."""
+    return "\n".join(" | ".join(str(cell).strip() for cell in row if cell not in (None, ""))
+                     for row in rows or [] if any(cell not in (None, "") for cell in row))
+
+
+def chunk_markdown_table(table: str, chunk_size: int) -> List[str]:
+    """Split a Markdown table between rows, repeating the header in every
+    chunk so each one reads as a table on its own. A row longer than
+    `chunk_size` becomes a chunk by itself rather than being cut."""
+    lines = table.strip().split("\n")
+    header, rows = "\n".join(lines[:2]), lines[2:]
+    chunks, current = [], []
+    for row in rows:
+        if current and len(header) + sum(len(r) + 1 for r in current) + len(row) + 1 > chunk_size:
+            chunks.append("\n".join([header, *current]))
+            current = []
+        current.append(row)
+    if current or not chunks:
+        chunks.append("\n".join([header, *current]))
+    return chunks
+
+
+def build_segments(blocks: List[Dict], preserve_formatting: bool = True) -> Tuple[List[Tuple[str, Dict]], int]:
+    """Turn extractor blocks into (text, metadata) segments and count the
+    tables. A new segment starts at every page, heading and table, so chunk
+    metadata (page, section) stays exact. A table that directly continues
+    the previous one on the next page keeps its header and table_index."""
+    segments: List[Tuple[str, Dict]] = []
+    lines: List[str] = []
+    meta: Dict = {}
+    section: Dict = {}
+    tables = 0
+    last_table: Dict = {}   # header, index and page of a table nothing but a page break follows yet
+
+    def flush():
+        text = "\n".join(lines).strip()
+        if text:
+            segments.append((text, dict(meta)))
+        lines.clear()
+
+    def start(page_number):
+        flush()
+        meta.clear()
+        if page_number is not None:
+            meta["page_number"] = page_number
+        meta.update(section)
+
+    def open_section(heading: str, number: str | None, page_number):
+        section.clear()
+        section["section"] = heading
+        if number:
+            section["section_number"] = number
+        start(page_number)
+
+    for block in blocks:
+        page_number = block.get("page_number")
+        if page_number != meta.get("page_number"):
+            start(page_number)
+
+        if block["kind"] == "table":
+            rows = [row for row in block["rows"] or [] if any(cell not in (None, "") for cell in row)]
+            continued = (bool(last_table) and not lines and rows and page_number != last_table["page"]
+                         and len(rows[0]) == len(last_table["header"]))
+            if continued and rows[0] != last_table["header"]:
+                rows = [last_table["header"], *rows]
+            rendered = markdown_table(rows)
+            if not rendered:
+                lines.append(table_text(rows))
+                last_table.clear()
+                continue
+            flush()
+            if not continued:
+                tables += 1
+                last_table.update(header=rows[0], index=tables)
+            last_table["page"] = page_number
+            segments.append((rendered, {**meta, "content_type": "table", "table_index": last_table["index"]}))
+            continue
+
+        last_table.clear()
+        if block["kind"] == "heading" and preserve_formatting:
+            heading = block["text"].strip()
+            detected = split_heading(heading)
+            open_section(heading, detected[1] if detected else None, page_number)
+            lines.append(heading)
+            continue
+
+        for line in block["text"].split("\n"):
+            detected = split_heading(line) if preserve_formatting else None
+            if detected and not detected[1] and section and lines == [section["section"]]:
+                # The second line of a heading that wrapped ("... DISCUSSION AND" / "ANALYSIS")
+                section["section"] = meta["section"] = f"{section['section']} {detected[0]}"
+                lines[0] = section["section"]
+                continue
+            if detected:
+                open_section(*detected, page_number)
+            lines.append(line.rstrip())
+    flush()
+    return segments, tables
+
+
+def column_letter(index: int) -> str:
+    """Spreadsheet column name of a 1-based column index (1 -> A, 28 -> AB)."""
+    letters = ""
+    while index > 0:
+        index, rest = divmod(index - 1, 26)
+        letters = chr(65 + rest) + letters
+    return letters
+
+
+def cell_text(value) -> str:
+    """Display text of a spreadsheet cell value."""
+    if value is None:
+        return ""
+    if isinstance(value, bool):
+        return "TRUE" if value else "FALSE"
+    if isinstance(value, float):
+        return str(int(value)) if value.is_integer() else str(round(value, 6))
+    if isinstance(value, datetime):
+        return value.date().isoformat() if value.time() == datetime.min.time() else value.isoformat(sep=" ")
+    if isinstance(value, date):
+        return value.isoformat()
+    return str(value).strip()
+
+
+def sheet_segments(sheet: str, rows: List[List], chunk_size: int, table_index: int) -> List[Tuple[str, Dict]]:
+    """Cut one sheet (rows of cell values from A1) into row ranges of at most
+    about `chunk_size` chars. Every range is a Markdown table led by the
+    sheet's first non-empty row as header and a Row column with the sheet's
+    row numbers, so cells can be traced back; empty rows and columns are left out."""
+    cells = [[cell_text(v) for v in row] for row in rows]
+    used = [(number, row) for number, row in enumerate(cells, start=1) if any(row)]
+    if not used:
+        return []
+    columns = [i for i in range(max(len(row) for _, row in used)) if any(i < len(row) and row[i] for _, row in used)]
+    first_col, last_col = column_letter(columns[0] + 1), column_letter(columns[-1] + 1)
+
+    def line(label, row):
+        values = [row[i].replace("|", "\\|").replace("\n", " ") if i < len(row) else "" for i in columns]
+        return "| " + " | ".join([label, *values]) + " |"
+
+    header_number, header = used[0]
+    header_lines = [line("Row", header), "|" + "---|" * (len(columns) + 1)]
+    overhead = sum(len(h) + 1 for h in header_lines) + len(sheet) + 30
+    segments = []
+
+    def flush(start: int, body: List[Tuple[int, str]]):
+        cell_range = f"{first_col}{start}:{last_col}{body[-1][0]}"
+        text = "\n".join([f'Sheet "{sheet}" ({cell_range})', *header_lines, *(row for _, row in body)])
+        segments.append((text, {"content_type": "sheet", "sheet": sheet, "cell_range": cell_range,
+                                "table_index": table_index}))
+
+    # The first range starts at the header row; a one-row sheet is just its header
+    start, current, size = header_number, [], overhead
+    for number, row in used[1:] or used:
+        text = line(str(number), row)
+        if current and size + len(text) + 1 > chunk_size:
+            flush(start, current)
+            start, current, size = number, [], overhead
+        current.append((number, text))
+        size += len(text) + 1
+    flush(start, current)
+    return segments
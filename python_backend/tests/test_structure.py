@@ -0,0 +1,49 @@
+"""
+Heading detection in structure.py: numbered-list sentences must not open sections.
+Run from python_backend/:  python -m unittest discover tests
+"""
+import unittest
+
+from structure import build_segments, split_heading
+
+
+class SplitHeadingTest(unittest.TestCase):
+    def test_numbered_headings(self):
+        self.assertEqual(split_heading("1. Overview"), ("1. Overview", "1"))
+        self.assertEqual(split_heading("2.1 Revenue Recognition"), ("2.1 Revenue Recognition", "2.1"))
+        self.assertEqual(split_heading("3. Basis of Presentation"), ("3. Basis of Presentation", "3"))
+        self.assertEqual(split_heading("IV. Risk Factors"), ("IV. Risk Factors", "IV"))
+
+    def test_keyword_headings_may_be_sentence_case(self):
+        self.assertEqual(split_heading("Item 7. Management's discussion and analysis")[1], "Item 7")
+        self.assertEqual(split_heading("Note 12 Fair Value Measurements")[1], "Note 12")
+
+    def test_numbered_list_lines_are_not_headings(self):
+        for line in (
+            "1. Revenue was $100m in Q4",
+            "2. Revenue grew strongly in the fourth quarter",
+            "3. We opened 12 new stores",
+            "4. Gross margin improved to 41%",
+            "5. Why did costs rise?",
+            "2 Significant accounting policies were unchanged",
+        ):
+            with self.subTest(line=line):
+                self.assertIsNone(split_heading(line))
+
+
+class BuildSegmentsTest(unittest.TestCase):
+    def test_numbered_list_stays_in_its_section(self):
+        text = "\n".join([
+            "1. Overview",
+            "Highlights of the year:",
+            "1. Revenue was $100m in Q4",
+            "2. Operating costs fell in every region",
+        ])
+        segments, _ = build_segments([{"kind": "text", "text": text, "page_number": 1}])
+        self.assertEqual(len(segments), 1)
+        self.assertEqual(segments[0][1]["section"], "1. Overview")
+        self.assertEqual(segments[0][1]["section_number"], "1")
+
+
+if __name__ == "__main__":
+    unittest.main()
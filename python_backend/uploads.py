@@ -0,0 +1,187 @@
+"""
+Resumable upload sessions under data/uploads/.
+Large files are sent in chunks: the client opens a session, PUTs each chunk
+at the offset the server has received so far and completes the session after
+the last one, which hands the file to an ingestion job. After a dropped
+connection the client asks for the session's `received` offset and carries
+on from there. Sessions survive server restarts and expire after
+UPLOAD_SESSION_TTL_HOURS without activity (checked at startup and whenever
+a session is opened).
+Session (<id>.json next to the <id>.part bytes):
+{ id, owner, filename, collection, version_of, allow_duplicate, options, size, received, created, updated, result? }
+`options` are the ingestion options (extract_tables, preserve_formatting).
+Completing is claimed under the lock, so only one request ingests the bytes;
+the outcome is kept as `result` (the bytes are dropped) until the session
+expires, so a repeated complete gets the same job instead of a second one.
+"""
+import json
+import os
+import re
+import threading
+import time
+import uuid
+from datetime import datetime, timezone
+from typing import Dict
+
+from config import UPLOADS_DIR, UPLOAD_SESSION_TTL_HOURS
+
+SESSION_ID = re.compile(r"^upl_[0-9a-f]{32}$")
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+class UploadOffsetMismatch(ValueError):
+    """A chunk did not start at the bytes received so far; carries the session."""
+
+    def __init__(self, session: Dict):
+        super().__init__(f"Expected offset {session['received']}")
+        self.session = session
+
+
+class UploadCompleting(ValueError):
+    """Another request is completing the session right now."""
+
+    def __init__(self):
+        super().__init__("Upload is already being completed")
+
+
+class UploadSessionStore:
+    """Partial uploads on disk, one metadata file and one data file per session."""
+
+    def __init__(self, directory: str = UPLOADS_DIR):
+        self.directory = directory
+        self._lock = threading.Lock()
+        self._completing: set = set()  # In memory: a claim must not outlive a server restart
+        os.makedirs(directory, exist_ok=True)
+        self.expire_stale()
+
+    def _path(self, session_id: str, ext: str) -> str:
+        return os.path.join(self.directory, f"{session_id}.{ext}")
+
+    def _load(self, session_id: str) -> Dict | None:
+        # Ids come from URLs; only well-formed ones may become file paths
+        if not SESSION_ID.match(session_id or ""):
+            return None
+        try:
+            with open(self._path(session_id, "json"), "r", encoding="utf-8") as f:
+                return json.load(f)
+        except (OSError, ValueError):
+            return None
+
+    def _save(self, session: Dict):
+        with open(self._path(session["id"], "json"), "w", encoding="utf-8") as f:
+            json.dump(session, f, indent=2, ensure_ascii=False)
+
+    def create(self, owner: str | None, filename: str, collection: str, size: int,
+               version_of: str | None = None, allow_duplicate: bool = False, options: Dict | None = None) -> Dict:
+        self.expire_stale()
+        now = _now()
+        session = {
+            "id": f"upl_{uuid.uuid4().hex}",
+            "owner": owner,
+            "filename": filename,
+            "collection": collection,
+            "version_of": version_of,
+            "allow_duplicate": allow_duplicate,
+            "options": options or {},
+            "size": size,
+            "received": 0,
+            "created": now,
+            "updated": now,
+        }
+        with self._lock:
+            open(self._path(session["id"], "part"), "wb").close()
+            self._save(session)
+        return session
+
+    def get(self, session_id: str, owner: str | None = None) -> Dict | None:
+        session = self._load(session_id)
+        if not session or (owner and session.get("owner") != owner):
+            return None
+        return session
+
+    def append(self, session_id: str, data: bytes, offset: int) -> Dict:
+        """Append a chunk that starts at `offset`. Raises UploadOffsetMismatch
+        unless that is the session's current offset (e.g. a retried chunk that
+        already arrived) and ValueError when it would exceed the declared size.
+        The offset is checked under the lock, so of two requests carrying the
+        same chunk only one is stored."""
+        with self._lock:
+            session = self._load(session_id)
+            if not session:
+                raise ValueError("Upload session not found")
+            if offset != session["received"]:
+                raise UploadOffsetMismatch(session)
+            if session["received"] + len(data) > session["size"]:
+                raise ValueError("Chunk exceeds the declared file size")
+            with open(self._path(session_id, "part"), "r+b") as f:
+                # Drop bytes of a chunk that was cut off before its metadata was saved
+                f.truncate(session["received"])
+                f.seek(session["received"])
+                f.write(data)
+            session.update(received=session["received"] + len(data), updated=_now())
+            self._save(session)
+            return session
+
+    def begin_completion(self, session_id: str, owner: str | None = None) -> Dict | None:
+        """Claim a session for completion. Returns it (with `result` when it was
+        completed before, in which case nothing is claimed), None when not found;
+        raises UploadCompleting while another request holds the claim."""
+        with self._lock:
+            session = self.get(session_id, owner)
+            if not session or session.get("result"):
+                return session
+            if session_id in self._completing:
+                raise UploadCompleting()
+            self._completing.add(session_id)
+            return session
+
+    def finish_completion(self, session_id: str, result: Dict):
+        """Record the outcome of a claimed completion and drop the bytes."""
+        with self._lock:
+            self._completing.discard(session_id)
+            session = self._load(session_id)
+            if session:
+                session.update(result=result, updated=_now())
+                self._save(session)
+            try:
+                os.remove(self._path(session_id, "part"))
+            except FileNotFoundError:
+                pass
+
+    def abort_completion(self, session_id: str):
+        """Release a claim after a failed completion; the client may try again."""
+        with self._lock:
+            self._completing.discard(session_id)
+
+    def read(self, session_id: str) -> bytes:
+        session = self._load(session_id)
+        if not session:
+            raise ValueError("Upload session not found")
+        with open(self._path(session_id, "part"), "rb") as f:
+            return f.read(session["received"])
+
+    def discard(self, session_id: str):
+        if not SESSION_ID.match(session_id or ""):
+            return
+        with self._lock:
+            for ext in ("json", "part"):
+                try:
+                    os.remove(self._path(session_id, ext))
+                except FileNotFoundError:
+                    pass
+
+    def expire_stale(self) -> int:
+        """Remove sessions idle for longer than UPLOAD_SESSION_TTL_HOURS."""
+        cutoff = time.time() - UPLOAD_SESSION_TTL_HOURS * 3600
+        expired = 0
+        for name in os.listdir(self.directory):
+            session_id, ext = os.path.splitext(name)
+            if ext == ".json" and os.path.getmtime(os.path.join(self.directory, name)) < cutoff:
+                self.discard(session_id)
+                expired += 1
+        if expired:
+            print(f"• Removed {expired} expired upload session(s)")
+        return expired
@@ -0,0 +1,471 @@
+"""
+Vector store backends behind one interface, selected with VECTOR_DB_PROVIDER:
+- "pinecone": Pinecone serverless index (the original backend)
+- "local":    SQLite file under data/ with NumPy cosine search, for deployments
+              where documents must not leave the machine and for offline runs
+
+Both take Pinecone-style vectors ({id, values, metadata}) and metadata filters
+({"document_id": {"$eq": "doc_1"}}, $in, $ne, $gt/$gte/$lt/$lte, $exists,
+$and/$or), so RAGService doesn't care which one it talks to.
+
+Vectors live in namespaces, one per document collection. "" is the default
+namespace; count() with namespace=None counts across all of them.
+"""
+import json
+import math
+import os
+import sqlite3
+import threading
+from typing import Dict, List
+
+import numpy as np
+
+from config import (
+    VECTOR_DB_PROVIDER, LOCAL_VECTOR_DB_PATH, EMBEDDING_DIMENSION, EMBEDDING_MODEL_NAME,
+    PINECONE_API_KEY, PINECONE_INDEX_NAME, PINECONE_CLOUD, PINECONE_REGION, PINECONE_METRIC
+)
+
+VECTOR_DB_PROVIDERS = ("pinecone", "local")
+
+
+# ------------------------
+# Metadata filters
+# ------------------------
+def _compare(op: str, value, target) -> bool:
+    values = value if isinstance(value, list) else [value]
+    if op == "$eq":
+        return target in values
+    if op == "$ne":
+        return target not in values
+    if op == "$in":
+        return any(v in target for v in values)
+    if op == "$nin":
+        return not any(v in target for v in values)
+    if op == "$exists":
+        return (value is not None) == bool(target)
+    if op in ("$gt", "$gte", "$lt", "$lte"):
+        if value is None or isinstance(value, (list, bool)):
+            return False
+        try:
+            if op == "$gt":
+                return value > target
+            if op == "$gte":
+                return value >= target
+            if op == "$lt":
+                return value < target
+            return value <= target
+        except TypeError:
+            return False
+    raise ValueError(f"Unsupported filter operator: {op}")
+
+
+def matches_filter(metadata: Dict, filter: Dict | None) -> bool:
+    """Evaluate a Pinecone-style metadata filter against one record's metadata."""
+    if not filter:
+        return True
+    for key, cond in filter.items():
+        if key == "$and":
+            if not all(matches_filter(metadata, f) for f in cond):
+                return False
+        elif key == "$or":
+            if not any(matches_filter(metadata, f) for f in cond):
+                return False
+        else:
+            ops = cond if isinstance(cond, dict) else {"$eq": cond}
+            if not all(_compare(op, metadata.get(key), target) for op, target in ops.items()):
+                return False
+    return True
+
+
+def _clean_score(raw) -> float:
+    try:
+        score = float(raw)
+    except Exception:
+        return 0.0
+    return 0.0 if math.isnan(score) else score
+
+
+# ------------------------
+# Interface
+# ------------------------
+class VectorStore:
+    """Operations RAGService needs from a vector database.
+
+    query() returns matches as [{id, score, metadata}] best first; fetch()
+    returns {id: metadata}; count() and list_ids() return None when the
+    backend cannot answer. delete_all() empties every namespace."""
+
+    provider = ""
+
+    def upsert(self, vectors: List[Dict], namespace: str = ""):
+        raise NotImplementedError
+
+    def query(self, vector: List[float], top_k: int, filter: Dict | None = None,
+              namespace: str = "") -> List[Dict]:
+        raise NotImplementedError
+
+    def fetch(self, ids: List[str], namespace: str = "") -> Dict[str, Dict]:
+        raise NotImplementedError
+
+    def count(self, filter: Dict | None = None, namespace: str | None = None) -> int | None:
+        raise NotImplementedError
+
+    def delete(self, ids: List[str] | None = None, filter: Dict | None = None, namespace: str = ""):
+        raise NotImplementedError
+
+    def delete_namespace(self, namespace: str):
+        raise NotImplementedError
+
+    def delete_all(self):
+        raise NotImplementedError
+
+    def namespaces(self) -> List[str]:
+        """Namespaces that hold vectors."""
+        raise NotImplementedError
+
+    def list_ids(self, namespace: str = "") -> List[str] | None:
+        """Every vector id in a namespace (for index maintenance)."""
+        raise NotImplementedError
+
+    def describe(self) -> Dict:
+        """Details for /api/health."""
+        return {"vector_db": self.provider, "total_vectors": self.count()}
+
+
+# ------------------------
+# Pinecone
+# ------------------------
+class PineconeStore(VectorStore):
+    """Pinecone serverless index. Creates the index on first use and checks the
+    dimension of an existing one."""
+
+    provider = "pinecone"
+
+    def __init__(self, api_key: str = PINECONE_API_KEY, index_name: str = PINECONE_INDEX_NAME):
+        from pinecone import Pinecone
+        self.index_name = index_name
+        self._stats_filter_supported = True
+
+        print(f"Connecting to Pinecone (index: {self.index_name})...")
+        self.pc = Pinecone(api_key=api_key)
+        existing = self.pc.list_indexes().names()
+
+        # Validate or create index
+        if self.index_name in existing:
+            self._validate_index_dimension()
+        else:
+            self._create_index()
+
+        self.index = self.pc.Index(self.index_name)
+        print("✓ Pinecone connected successfully")
+
+    def _validate_index_dimension(self):
+        """Validate that existing Pinecone index matches required dimension."""
+        try:
+            desc = self.pc.describe_index(self.index_name)
+            detected_dim = None
+
+            if isinstance(desc, dict):
+                detected_dim = desc.get("dimension") or (desc.get("spec") or {}).get("dimension")
+            else:
+                detected_dim = getattr(desc, "dimension", None)
+
+            if detected_dim:
+                detected_dim = int(detected_dim)
+                print(f"• Detected existing index dimension: {detected_dim}")
+
+                if detected_dim != EMBEDDING_DIMENSION:
+                    raise ValueError(
+                        f"Index dimension {detected_dim} != {EMBEDDING_DIMENSION} (required for {EMBEDDING_MODEL_NAME}). "
+                        f"Please use a different index name or recreate the index."
+                    )
+            else:
+                print(f"• Could not detect index dimension; assuming {EMBEDDING_DIMENSION}")
+
+        except Exception as e:
+            print(f"• Warning: Index validation failed ({e}); proceeding with caution")
+
+    def _create_index(self):
+        """Create a new Pinecone index with configured settings."""
+        from pinecone import ServerlessSpec
+        print(f"Creating new Pinecone index: {self.index_name}")
+        self.pc.create_index(
+            name=self.index_name,
+            dimension=EMBEDDING_DIMENSION,
+            metric=PINECONE_METRIC,
+            spec=ServerlessSpec(cloud=PINECONE_CLOUD, region=PINECONE_REGION),
+        )
+
+    def upsert(self, vectors: List[Dict], namespace: str = ""):
+        self.index.upsert(vectors=vectors, namespace=namespace)
+
+    def query(self, vector: List[float], top_k: int, filter: Dict | None = None,
+              namespace: str = "") -> List[Dict]:
+        kwargs = {"filter": filter} if filter else {}
+        res = self.index.query(vector=vector, top_k=top_k, include_metadata=True, namespace=namespace, **kwargs)
+        # Normalize matches from different SDK response shapes
+        if isinstance(res, dict):
+            matches = res.get("matches") or []
+        else:
+            matches = getattr(res, "matches", None) or (
+                (getattr(res, "data", None) or [{}])[0].get("matches") if getattr(res, "data", None) else []
+            )
+        return [{
+            "id": m.get("id"),
+            "score": _clean_score(m.get("score", 0.0)),
+            "metadata": m.get("metadata") or {},
+        } for m in matches]
+
+    def fetch(self, ids: List[str], namespace: str = "") -> Dict[str, Dict]:
+        out = {}
+        # Pinecone caps fetch requests, so page through ids
+        for start in range(0, len(ids), 100):
+            res = self.index.fetch(ids=ids[start:start + 100], namespace=namespace)
+            vectors = res.get("vectors") if isinstance(res, dict) else getattr(res, "vectors", None)
+            for vid, vec in (vectors or {}).items():
+                out[vid] = (vec.get("metadata") if isinstance(vec, dict) else getattr(vec, "metadata", None)) or {}
+        return out
+
+    @staticmethod
+    def _namespace_counts(stats) -> Dict[str, int]:
+        """{namespace: vector count} from the stats dict or model object."""
+        ns = (stats.get("namespaces") if isinstance(stats, dict) else getattr(stats, "namespaces", None)) or {}
+        counts = {}
+        if isinstance(ns, dict):
+            for name, v in ns.items():
+                if isinstance(v, dict):
+                    vc = v.get("vectorCount", v.get("vector_count"))
+                else:
+                    vc = getattr(v, "vector_count", None) or getattr(v, "vectorCount", None)
+                counts[name] = int(vc or 0)
+        return counts
+
+    def count(self, filter: Dict | None = None, namespace: str | None = None) -> int | None:
+        """Return total vector count, optionally filtered and for one namespace.
+        Safe across Pinecone SDK variations and serverless limits."""
+        if filter and not self._stats_filter_supported:
+            return None
+        try:
+            stats = self.index.describe_index_stats(filter=filter) if filter else self.index.describe_index_stats()
+            # Common shapes: {"namespaces": {"": {"vectorCount": n}}, "totalVectorCount": m}
+            if namespace is not None:
+                return self._namespace_counts(stats).get(namespace, 0)
+            if isinstance(stats, dict):
+                if "totalVectorCount" in stats:
+                    return int(stats.get("totalVectorCount") or 0)
+            else:
+                # Model object, try attributes
+                tv = getattr(stats, "total_vector_count", None) or getattr(stats, "totalVectorCount", None)
+                if tv is not None:
+                    return int(tv)
+            # Fallback: sum namespaces
+            return int(sum(self._namespace_counts(stats).values()))
+        except Exception as e:
+            msg = str(e)
+            if "do not support describing index stats with metadata filtering" in msg:
+                # Pinecone Serverless/Starter limitation; disable filtered stats to avoid log spam
+                self._stats_filter_supported = False
+            else:
+                print(f"• Warning: describe_index_stats failed: {e}")
+            return None
+
+    def delete(self, ids: List[str] | None = None, filter: Dict | None = None, namespace: str = ""):
+        if ids is not None:
+            self.index.delete(ids=ids, namespace=namespace)
+            return
+        try:
+            self.index.delete(filter=filter, namespace=namespace)
+        except Exception:
+            # Some serverless tiers/SDKs only accept the simplified equality form
+            simple = {k: v["$eq"] for k, v in filter.items() if isinstance(v, dict) and "$eq" in v}
+            if not simple or len(simple) != len(filter):
+                raise
+            self.index.delete(filter=simple, namespace=namespace)
+
+    def delete_namespace(self, namespace: str):
+        try:
+            self.index.delete(delete_all=True, namespace=namespace)
+        except Exception as e:
+            # Deleting a namespace that was never written to is an error on some tiers
+            if "not found" not in str(e).lower():
+                raise
+
+    def delete_all(self):
+        for namespace in self.namespaces() or [""]:
+            self.delete_namespace(namespace)
+
+    def namespaces(self) -> List[str]:
+        try:
+            return sorted(self._namespace_counts(self.index.describe_index_stats()))
+        except Exception as e:
+            print(f"• Warning: describe_index_stats failed: {e}")
+            return []
+
+    def list_ids(self, namespace: str = "") -> List[str] | None:
+        # Listing ids is a serverless feature; pod-based indexes can't enumerate
+        try:
+            ids = []
+            for page in self.index.list(namespace=namespace):
+                ids.extend(page)
+            return ids
+        except Exception as e:
+            print(f"• Warning: Listing vector ids failed ({e})")
+            return None
+
+    def describe(self) -> Dict:
+        return {**super().describe(), "index_name": self.index_name}
+
+
+# ------------------------
+# Local (SQLite + NumPy)
+# ------------------------
+class LocalVectorStore(VectorStore):
+    """Vectors and metadata in one SQLite file; queries are exact cosine
+    similarity over a NumPy matrix that is loaded once and dropped on writes."""
+
+    provider = "local"
+
+    def __init__(self, path: str = LOCAL_VECTOR_DB_PATH, dimension: int = EMBEDDING_DIMENSION):
+        self.path = path
+        self.dimension = dimension
+        self._lock = threading.Lock()
+        if os.path.dirname(path):
+            os.makedirs(os.path.dirname(path), exist_ok=True)
+        self._conn = sqlite3.connect(path, check_same_thread=False)
+        self._conn.execute(
+            "CREATE TABLE IF NOT EXISTS vectors (id TEXT PRIMARY KEY, metadata TEXT NOT NULL, vector BLOB NOT NULL, "
+            "namespace TEXT NOT NULL DEFAULT '')"
+        )
+        # Files created before namespaces existed lack the column; their vectors land in ""
+        columns = [row[1] for row in self._conn.execute("PRAGMA table_info(vectors)")]
+        if "namespace" not in columns:
+            self._conn.execute("ALTER TABLE vectors ADD COLUMN namespace TEXT NOT NULL DEFAULT ''")
+        self._conn.commit()
+        self._cache = None  # (ids, metadata list, namespaces, normalized matrix)
+        print(f"✓ Local vector store ready ({path})")
+
+    def _load(self):
+        if self._cache is None:
+            rows = self._conn.execute("SELECT id, metadata, namespace, vector FROM vectors ORDER BY rowid").fetchall()
+            ids = [r[0] for r in rows]
+            metadata = [json.loads(r[1]) for r in rows]
+            namespaces = [r[2] for r in rows]
+            matrix = (np.stack([np.frombuffer(r[3], dtype=np.float32) for r in rows])
+                      if rows else np.zeros((0, self.dimension), dtype=np.float32))
+            self._cache = (ids, metadata, namespaces, matrix)
+        return self._cache
+
+    def upsert(self, vectors: List[Dict], namespace: str = ""):
+        rows = []
+        for v in vectors:
+            vec = np.asarray(v["values"], dtype=np.float32)
+            if vec.shape != (self.dimension,):
+                raise ValueError(f"Vector dimension {vec.size} does not match the dimension of the index {self.dimension}")
+            norm = np.linalg.norm(vec)
+            rows.append((v["id"], json.dumps(v.get("metadata") or {}, ensure_ascii=False),
+                         namespace, (vec / norm if norm else vec).tobytes()))
+        with self._lock:
+            self._conn.executemany(
+                "INSERT OR REPLACE INTO vectors (id, metadata, namespace, vector) VALUES (?, ?, ?, ?)", rows
+            )
+            self._conn.commit()
+            self._cache = None
+
+    def query(self, vector: List[float], top_k: int, filter: Dict | None = None,
+              namespace: str = "") -> List[Dict]:
+        with self._lock:
+            ids, metadata, namespaces, matrix = self._load()
+        candidates = [i for i, md in enumerate(metadata) if namespaces[i] == namespace and matches_filter(md, filter)]
+        if not candidates:
+            return []
+        q = np.asarray(vector, dtype=np.float32)
+        norm = np.linalg.norm(q)
+        scores = matrix[candidates] @ (q / norm if norm else q)
+        order = np.argsort(-scores, kind="stable")[:top_k]
+        return [{
+            "id": ids[candidates[i]],
+            "score": _clean_score(scores[i]),
+            "metadata": dict(metadata[candidates[i]]),
+        } for i in order]
+
+    def fetch(self, ids: List[str], namespace: str = "") -> Dict[str, Dict]:
+        out = {}
+        with self._lock:
+            for start in range(0, len(ids), 500):
+                batch = ids[start:start + 500]
+                marks = ",".join("?" * len(batch))
+                rows = self._conn.execute(
+                    f"SELECT id, metadata FROM vectors WHERE namespace = ? AND id IN ({marks})", [namespace, *batch]
+                )
+                for vid, md in rows:
+                    out[vid] = json.loads(md)
+        return out
+
+    def count(self, filter: Dict | None = None, namespace: str | None = None) -> int | None:
+        with self._lock:
+            if not filter:
+                if namespace is None:
+                    return int(self._conn.execute("SELECT COUNT(*) FROM vectors").fetchone()[0])
+                return int(self._conn.execute(
+                    "SELECT COUNT(*) FROM vectors WHERE namespace = ?", (namespace,)
+                ).fetchone()[0])
+            _, metadata, namespaces, _ = self._load()
+        return sum(1 for md, ns in zip(metadata, namespaces)
+                   if (namespace is None or ns == namespace) and matches_filter(md, filter))
+
+    def delete(self, ids: List[str] | None = None, filter: Dict | None = None, namespace: str = ""):
+        with self._lock:
+            if ids is None:
+                all_ids, metadata, namespaces, _ = self._load()
+                ids = [vid for vid, md, ns in zip(all_ids, metadata, namespaces)
+                       if ns == namespace and matches_filter(md, filter)]
+            for start in range(0, len(ids), 500):
+                batch = ids[start:start + 500]
+                self._conn.execute(
+                    f"DELETE FROM vectors WHERE namespace = ? AND id IN ({','.join('?' * len(batch))})",
+                    [namespace, *batch],
+                )
+            self._conn.commit()
+            self._cache = None
+
+    def delete_namespace(self, namespace: str):
+        with self._lock:
+            self._conn.execute("DELETE FROM vectors WHERE namespace = ?", (namespace,))
+            self._conn.commit()
+            self._cache = None
+
+    def namespaces(self) -> List[str]:
+        with self._lock:
+            return [r[0] for r in self._conn.execute("SELECT DISTINCT namespace FROM vectors ORDER BY namespace")]
+
+    def list_ids(self, namespace: str = "") -> List[str] | None:
+        with self._lock:
+            return [r[0] for r in self._conn.execute(
+                "SELECT id FROM vectors WHERE namespace = ? ORDER BY rowid", (namespace,)
+            )]
+
+    def delete_all(self):
+        with self._lock:
+            self._conn.execute("DELETE FROM vectors")
+            self._conn.commit()
+            self._cache = None
+
+    def describe(self) -> Dict:
+        return {**super().describe(), "path": self.path}
+
+
+def create_vector_store(provider: str = VECTOR_DB_PROVIDER) -> VectorStore | None:
+    """Build the configured store. Returns None when Pinecone is selected but
+    unusable, which the service treats as "vector search unavailable"."""
+    if provider == "local":
+        return LocalVectorStore()
+    if provider != "pinecone":
+        raise ValueError(f"Unknown VECTOR_DB_PROVIDER '{provider}' (use one of: {', '.join(VECTOR_DB_PROVIDERS)})")
+    if not PINECONE_API_KEY:
+        print("⚠ Warning: PINECONE_API_KEY not set. Vector search will be unavailable.")
+        return None
+    try:
+        return PineconeStore()
+    except Exception as e:
+        print(f"✗ Pinecone initialization failed: {e}")
+        return None